@@ -0,0 +1,118 @@
+// api/_lib/access.js
+// Wraps a route handler with sign-in (./auth.js), rate limits and daily
+// quotas (./limits.js), usage recording (./usage.js) and one log line per
+// request with credentials redacted.
+import { authenticate, readAuthConfig } from "./auth.js";
+import { HttpError, sendError } from "./http.js";
+import { createRateLimiter, quotaError, rateLimitError, readLimitsConfig } from "./limits.js";
+import { getUsage, recordUsage } from "./usage.js";
+
+// never written to the logs
+export const REDACTED_HEADERS = ["authorization", "proxy-authorization", "cookie", "set-cookie", "x-api-key", "x-access-code"];
+
+export function redactHeaders(headers = {}) {
+  const out = {};
+  for (const [name, value] of Object.entries(headers)) {
+    out[name] = REDACTED_HEADERS.includes(name.toLowerCase()) ? "[redacted]" : value;
+  }
+  return out;
+}
+
+/**
+ * The caller's address. Each proxy appends the address it was called from
+ * to X-Forwarded-For, and anything left of that is whatever the client
+ * sent, so with `trustedProxies` in front of us the caller is that many
+ * hops from the right. With none it is the socket's address.
+ */
+export function clientIp(req, trustedProxies = 0) {
+  const socket = (req.socket && req.socket.remoteAddress) || "unknown";
+  if (!trustedProxies) return socket;
+  const hops = String(req.headers["x-forwarded-for"] || "").split(",").map((h) => h.trim()).filter(Boolean);
+  // fewer hops than proxies: the request did not come through them
+  return hops.length >= trustedProxies ? hops[hops.length - trustedProxies] : socket;
+}
+
+export function logRequest(entry) {
+  console.log(JSON.stringify({ type: "request", ...entry }));
+}
+
+let limiters = null;
+
+function getLimiters(limits) {
+  if (!limiters) {
+    limiters = {
+      user: createRateLimiter({ limit: limits.perUser }),
+      ip: createRateLimiter({ limit: limits.perIp })
+    };
+  }
+  return limiters;
+}
+
+/**
+ * `handler(req, res, access)` runs only for signed-in callers within their
+ * limits. `access` is `{ user, ip, checkQuota({ audioSeconds }),
+ * recordUsage({ audioSeconds, promptTokens, completionTokens }) }`.
+ *
+ * Options: `meter` is the quota the route spends ("audio" or "tokens"),
+ * `teacherOnly` refuses students, and `requireUser: false` lets anyone in
+ * (still rate limited by IP), with `access.user` null. For routes whose
+ * methods differ, `teacherOnly` and `requireUser` may be functions of `req`.
+ */
+export function withAccess(route, handler, { meter = null, teacherOnly = false, requireUser = true } = {}) {
+  return async function guarded(req, res) {
+    const started = Date.now();
+    const ip = clientIp(req, readLimitsConfig().trustedProxies);
+    const spent = { audioSeconds: 0, promptTokens: 0, completionTokens: 0 };
+    let user = null;
+
+    try {
+      const authConfig = readAuthConfig();
+      const limits = readLimitsConfig();
+      const { user: userLimiter, ip: ipLimiter } = getLimiters(limits);
+
+      const byIp = ipLimiter.hit(ip);
+      if (!byIp.allowed) throw rateLimitError("ip", byIp.retryAfter);
+
+      if (typeof requireUser === "function" ? requireUser(req) : requireUser) {
+        user = authenticate(req, authConfig, { ip });
+        if ((typeof teacherOnly === "function" ? teacherOnly(req) : teacherOnly) && user.role !== "teacher") throw new HttpError(403, "forbidden", "Only teachers can do this");
+        const byUser = userLimiter.hit(user.id);
+        if (!byUser.allowed) throw rateLimitError("user", byUser.retryAfter);
+      }
+
+      const checkQuota = async (extra = {}) => {
+        if (!user || !meter) return;
+        const err = quotaError(await getUsage(user.id), limits, { meter, ...extra });
+        if (err) throw err;
+      };
+      await checkQuota();
+
+      await handler(req, res, {
+        user,
+        ip,
+        checkQuota,
+        async recordUsage(amounts) {
+          for (const key of Object.keys(spent)) spent[key] += amounts[key] || 0;
+          if (user) await recordUsage(user, route, amounts);
+        }
+      });
+    } catch (err) {
+      // only our own refusals get here; handlers answer their own errors
+      if (!(err instanceof HttpError)) console.error(`${route} access error:`, err);
+      sendError(res, err, "access_failed");
+    } finally {
+      logRequest({
+        at: new Date(started).toISOString(),
+        route,
+        method: req.method,
+        status: res.statusCode,
+        ms: Date.now() - started,
+        ip,
+        user: user ? user.id : null,
+        via: user ? user.via : null,
+        usage: spent,
+        headers: redactHeaders(req.headers)
+      });
+    }
+  };
+}
@@ -0,0 +1,122 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { signJwt } from "./auth.js";
+
+// the store reads DATA_DIR when it is first imported, so everything that
+// uses it is imported once DATA_DIR points at a scratch folder
+let dir;
+let redactHeaders;
+let clientIp;
+let withAccess;
+let listUsage;
+let summarizeUsage;
+const saved = {};
+const ENV = { DATA_DIR: null, AUTH_JWT_SECRET: "s3cret", QUOTA_TOKENS: "100", RATE_LIMIT_PER_USER: "3", TRUSTED_PROXY_HOPS: "1" };
+
+before(async () => {
+  dir = await mkdtemp(path.join(tmpdir(), "oral-access-"));
+  for (const [key, value] of Object.entries({ ...ENV, DATA_DIR: dir })) {
+    saved[key] = process.env[key];
+    process.env[key] = value;
+  }
+  ({ clientIp, redactHeaders, withAccess } = await import("./access.js"));
+  ({ listUsage, summarizeUsage } = await import("./usage.js"));
+});
+
+after(async () => {
+  for (const [key, value] of Object.entries(saved)) {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  }
+  await rm(dir, { recursive: true, force: true });
+});
+
+function call(handler, token, method = "POST") {
+  const req = { method, headers: { "x-forwarded-for": "10.0.0.1, 10.0.0.2", ...(token ? { authorization: `Bearer ${token}` } : {}) } };
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    setHeader(name, value) { this.headers[name] = value; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  return handler(req, res).then(() => res);
+}
+
+test("redacts credentials from logged headers", () => {
+  assert.deepEqual(redactHeaders({ Authorization: "Bearer x", cookie: "a=b", "user-agent": "ua" }), { Authorization: "[redacted]", cookie: "[redacted]", "user-agent": "ua" });
+});
+
+test("takes the caller's address from the hop a trusted proxy added", () => {
+  const req = { headers: { "x-forwarded-for": "6.6.6.6, 203.0.113.9, 10.0.0.5" }, socket: { remoteAddress: "10.0.0.9" } };
+  assert.equal(clientIp(req), "10.0.0.9");
+  assert.equal(clientIp(req, 1), "10.0.0.5");
+  assert.equal(clientIp(req, 2), "203.0.113.9");
+  assert.equal(clientIp({ headers: {}, socket: { remoteAddress: "10.0.0.9" } }, 1), "10.0.0.9");
+});
+
+test("signs in, meters usage, enforces quotas and rate limits", async () => {
+  const logs = [];
+  const log = console.log;
+  console.log = (line) => logs.push(JSON.parse(line));
+  try {
+    const guarded = withAccess("questions", async (req, res, access) => {
+      await access.recordUsage({ promptTokens: 50, completionTokens: 20 });
+      res.status(200).json({ ok: true, user: access.user.id });
+    }, { meter: "tokens" });
+    const token = signJwt({ sub: "ada", name: "Ada", exp: Date.now() / 1000 + 60 }, "s3cret");
+
+    const anonymous = await call(guarded);
+    assert.equal(anonymous.statusCode, 401);
+    assert.equal(anonymous.body.code, "unauthenticated");
+
+    assert.deepEqual((await call(guarded, token)).body, { ok: true, user: "sso:ada" });
+    assert.equal((await call(guarded, token)).statusCode, 200);
+
+    // 140 tokens used of 100
+    const spent = await call(guarded, token);
+    assert.equal(spent.statusCode, 429);
+    assert.equal(spent.body.code, "quota_exceeded");
+    assert.ok(Number(spent.headers["Retry-After"]) > 0);
+
+    const limited = await call(guarded, token);
+    assert.equal(limited.body.code, "rate_limited");
+
+    const [usage] = summarizeUsage(await listUsage());
+    assert.deepEqual({ ...usage }, { userId: "sso:ada", name: "Ada", via: "sso", className: null, days: 1, requests: 2, promptTokens: 100, completionTokens: 40, audioMinutes: 0, totalTokens: 140 });
+
+    assert.equal(logs.length, 5);
+    assert.deepEqual(logs.map((l) => l.status), [401, 200, 200, 429, 429]);
+    assert.equal(logs[1].ip, "10.0.0.2");
+    assert.equal(logs[1].headers.authorization, "[redacted]");
+    assert.ok(!JSON.stringify(logs).includes(token));
+  } finally {
+    console.log = log;
+  }
+});
+
+test("teacherOnly and requireUser can depend on the request", async () => {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    const guarded = withAccess("glossaries", async (req, res, access) => {
+      res.status(200).json({ user: access.user && access.user.id });
+    }, { teacherOnly: (req) => req.method === "POST", requireUser: (req) => req.method !== "GET" });
+    const exp = Date.now() / 1000 + 60;
+    const student = signJwt({ sub: "sam", exp }, "s3cret");
+    const teacher = signJwt({ sub: "tess", role: "teacher", exp }, "s3cret");
+
+    assert.deepEqual((await call(guarded, null, "GET")).body, { user: null });
+    assert.deepEqual((await call(guarded, student, "PATCH")).body, { user: "sso:sam" });
+    const refused = await call(guarded, student, "POST");
+    assert.equal(refused.statusCode, 403);
+    assert.equal(refused.body.code, "forbidden");
+    assert.deepEqual((await call(guarded, teacher, "POST")).body, { user: "sso:tess" });
+  } finally {
+    console.log = log;
+  }
+});
@@ -0,0 +1,233 @@
+// api/_lib/assignments.js
+// Validation and helpers for teacher assignments and student submissions.
+import { randomInt } from "node:crypto";
+import { HttpError } from "./http.js";
+import { readLanguage } from "./language.js";
+import { list } from "./store.js";
+import { analyzeReading } from "../../src/lib/fluency.js";
+import { validateRubric } from "../../src/lib/rubric.js";
+import { getRubric } from "../../src/rubrics/index.js";
+import { DEFAULT_LANGUAGE } from "../../src/lexicons/index.js";
+
+// no 0/O or 1/I so codes can be read aloud and copied from a board
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 6;
+export const MAX_SECONDS_LIMIT = 60 * 60;
+// "read-aloud" assignments score the reading against `referenceText`
+// (src/lib/fluency.js) instead of free speech; "discussion" recordings are
+// diarized and measured per student (src/lib/discussion.js)
+export const ASSIGNMENT_MODES = ["speech", "read-aloud", "discussion"];
+export const MAX_REFERENCE_CHARS = 10000;
+export const MAX_SPEAKERS = 12;
+// timed transcript segments a submission may carry (an hour of speech is a
+// few hundred to a thousand)
+export const MAX_SEGMENTS = 5000;
+const SPEAKER_LABEL_RE = /^[A-Za-z0-9_-]{1,8}$/;
+const MAX_NAME_CHARS = 60;
+// exam mode (./exam.js)
+export const MAX_PROMPT_CARDS = 50;
+export const MAX_CARD_CHARS = 1000;
+export const MAX_PREP_SECONDS = 30 * 60;
+export const MAX_ATTEMPTS = 10;
+// exam recordings are sent as 16 kHz WAV so the server can measure their
+// length; 12 minutes of that fits the 25 MB upload limit
+export const MAX_EXAM_SECONDS = 12 * 60;
+// a submission's transcript and word timings; an hour of fast speech is
+// well within both
+export const MAX_TRANSCRIPT_CHARS = 100000;
+export const MAX_WORDS = 20000;
+
+export async function generateCode() {
+  const taken = new Set((await list("assignments")).map((a) => a.code));
+  for (;;) {
+    let code = "";
+    for (let i = 0; i < CODE_LENGTH; i++) code += CODE_ALPHABET[randomInt(CODE_ALPHABET.length)];
+    if (!taken.has(code)) return code;
+  }
+}
+
+function parseRoster(roster) {
+  const names = Array.isArray(roster) ? roster : String(roster || "").split(/\r?\n|,/);
+  return [...new Set(names.map((n) => String(n).trim()).filter(Boolean))];
+}
+
+function seconds(value, fallback, name) {
+  if (value === undefined || value === null || value === "") return fallback;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0 || n > MAX_SECONDS_LIMIT) {
+    throw new HttpError(400, "invalid_assignment", `${name} must be between 0 and ${MAX_SECONDS_LIMIT} seconds`);
+  }
+  return Math.round(n);
+}
+
+/**
+ * Exam settings from a create-assignment body, or null for a practice
+ * assignment: `{ promptCards, prepSeconds, maxAttempts }`. Cards come as an
+ * array or one per line.
+ */
+export function readExam(exam) {
+  if (!exam || exam.enabled === false) return null;
+  const lines = Array.isArray(exam.promptCards) ? exam.promptCards : String(exam.promptCards || "").split(/\r?\n/);
+  const promptCards = [...new Set(lines.map((c) => String(c).trim()).filter(Boolean))];
+  if (!promptCards.length) throw new HttpError(400, "invalid_assignment", "An exam needs at least one prompt card");
+  if (promptCards.length > MAX_PROMPT_CARDS) throw new HttpError(400, "invalid_assignment", `An exam can have at most ${MAX_PROMPT_CARDS} prompt cards`);
+  if (promptCards.some((c) => c.length > MAX_CARD_CHARS)) {
+    throw new HttpError(400, "invalid_assignment", `Prompt cards must be at most ${MAX_CARD_CHARS} characters`);
+  }
+
+  const prepSeconds = seconds(exam.prepSeconds, 60, "prepSeconds");
+  if (prepSeconds > MAX_PREP_SECONDS) throw new HttpError(400, "invalid_assignment", `prepSeconds must be at most ${MAX_PREP_SECONDS}`);
+  const maxAttempts = exam.maxAttempts === undefined || exam.maxAttempts === "" ? 1 : Number(exam.maxAttempts);
+  if (!Number.isInteger(maxAttempts) || maxAttempts < 1 || maxAttempts > MAX_ATTEMPTS) {
+    throw new HttpError(400, "invalid_assignment", `maxAttempts must be a whole number from 1 to ${MAX_ATTEMPTS}`);
+  }
+  return { promptCards, prepSeconds, maxAttempts };
+}
+
+/**
+ * Validate a create-assignment request body and return the record to store.
+ */
+export function normalizeAssignment(body) {
+  const title = typeof body.title === "string" ? body.title.trim() : "";
+  if (!title) throw new HttpError(400, "invalid_assignment", "Assignment needs a title");
+
+  const minSeconds = seconds(body.minSeconds, 0, "minSeconds");
+  const maxSeconds = seconds(body.maxSeconds, 600, "maxSeconds");
+  if (maxSeconds < 30 || minSeconds > maxSeconds) {
+    throw new HttpError(400, "invalid_assignment", "Time limits must satisfy minSeconds <= maxSeconds and maxSeconds >= 30");
+  }
+
+  const mode = body.mode === undefined || body.mode === "" ? "speech" : String(body.mode);
+  if (!ASSIGNMENT_MODES.includes(mode)) {
+    throw new HttpError(400, "invalid_assignment", `mode must be one of ${ASSIGNMENT_MODES.join(", ")}`);
+  }
+  const referenceText = mode === "read-aloud" && typeof body.referenceText === "string" ? body.referenceText.trim() : "";
+  if (mode === "read-aloud" && !referenceText) throw new HttpError(400, "invalid_assignment", "A read-aloud assignment needs a passage to read");
+  if (referenceText.length > MAX_REFERENCE_CHARS) {
+    throw new HttpError(400, "invalid_assignment", `The passage must be at most ${MAX_REFERENCE_CHARS} characters`);
+  }
+
+  const exam = readExam(body.exam);
+  if (exam && maxSeconds > MAX_EXAM_SECONDS) {
+    throw new HttpError(400, "invalid_assignment", `An exam recording can be at most ${MAX_EXAM_SECONDS / 60} minutes`);
+  }
+
+  let rubric;
+  if (body.rubric) {
+    const problems = validateRubric(body.rubric);
+    if (problems.length) throw new HttpError(400, "invalid_rubric", "Rubric is not valid", problems);
+    rubric = body.rubric;
+  } else {
+    rubric = getRubric(body.taskType);
+  }
+
+  return {
+    title,
+    prompt: typeof body.prompt === "string" ? body.prompt.trim() : "",
+    className: typeof body.className === "string" ? body.className.trim() : "",
+    roster: parseRoster(body.roster),
+    language: readLanguage(body.language) || DEFAULT_LANGUAGE,
+    mode,
+    referenceText,
+    exam,
+    minSeconds,
+    maxSeconds,
+    rubric
+  };
+}
+
+/**
+ * What a student sees after entering the join code. An exam's prompt cards
+ * stay on the server until one is drawn (./exam.js).
+ */
+export function publicAssignment(a) {
+  return {
+    id: a.id,
+    code: a.code,
+    title: a.title,
+    prompt: a.prompt,
+    className: a.className,
+    roster: a.roster,
+    language: a.language || DEFAULT_LANGUAGE,
+    mode: a.mode || "speech",
+    referenceText: a.referenceText || "",
+    exam: a.exam ? { prepSeconds: a.exam.prepSeconds, maxAttempts: a.exam.maxAttempts, cardCount: a.exam.promptCards.length } : null,
+    minSeconds: a.minSeconds,
+    maxSeconds: a.maxSeconds,
+    rubric: a.rubric
+  };
+}
+
+/**
+ * The speaker label -> student name map of a discussion, keeping only
+ * short string names for a handful of labels.
+ */
+export function readSpeakerNames(value) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) return {};
+  const entries = Object.entries(value)
+    .filter(([label, name]) => label.length <= 8 && typeof name === "string" && name.trim())
+    .map(([label, name]) => [label, name.trim().slice(0, MAX_NAME_CHARS)]);
+  if (entries.length > MAX_SPEAKERS) throw new HttpError(400, "invalid_speakers", `At most ${MAX_SPEAKERS} speakers can be named`);
+  return Object.fromEntries(entries);
+}
+
+/**
+ * The timed segments of a submission payload as `{ start, end, text,
+ * speaker? }`, the shape /api/transcribe returns. Anything else (a segment
+ * that is not an object, text that is not a string, times that are not
+ * numbers, an odd speaker label, too many segments or speakers) is refused
+ * with 400, since discussions are worked out from them.
+ */
+export function readSegments(value) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value)) throw new HttpError(400, "invalid_segments", "segments must be an array");
+  if (value.length > MAX_SEGMENTS) throw new HttpError(400, "invalid_segments", `At most ${MAX_SEGMENTS} segments can be submitted`);
+  const segments = value.map((s, i) => {
+    const ok = s && typeof s === "object" && typeof s.text === "string"
+      && Number.isFinite(s.start) && Number.isFinite(s.end) && s.start >= 0 && s.end >= s.start
+      && (s.speaker === undefined || (typeof s.speaker === "string" && SPEAKER_LABEL_RE.test(s.speaker)));
+    if (!ok) throw new HttpError(400, "invalid_segments", `Segment ${i + 1} needs text, a start and end time and, if any, a short speaker label`);
+    return { start: s.start, end: s.end, text: s.text, ...(s.speaker ? { speaker: s.speaker } : {}) };
+  });
+  if (new Set(segments.map((s) => s.speaker).filter(Boolean)).size > MAX_SPEAKERS) {
+    throw new HttpError(400, "invalid_segments", `At most ${MAX_SPEAKERS} speakers can be told apart`);
+  }
+  return segments;
+}
+
+/**
+ * The transcript and word timings of a submission payload, refused with
+ * 413 when they are longer than any recording allowed here could produce.
+ */
+export function readTranscript(payload) {
+  const transcript = typeof payload.transcript === "string" ? payload.transcript : "";
+  const words = Array.isArray(payload.words) ? payload.words : [];
+  if (transcript.length > MAX_TRANSCRIPT_CHARS) {
+    throw new HttpError(413, "transcript_too_long", `The transcript must be at most ${MAX_TRANSCRIPT_CHARS} characters`);
+  }
+  if (words.length > MAX_WORDS) throw new HttpError(413, "transcript_too_long", `The transcript must have at most ${MAX_WORDS} timed words`);
+  return { transcript, words };
+}
+
+/**
+ * Read-aloud fluency for a submission (src/lib/fluency.js), or null for
+ * other modes. A reading too long to align against the passage is refused
+ * with 413 rather than failing as a server error.
+ */
+export function fluencyFor(assignment, transcript, { words, durationSeconds }) {
+  if (assignment.mode !== "read-aloud") return null;
+  try {
+    return analyzeReading(assignment.referenceText, transcript, { words, durationSeconds, language: assignment.language });
+  } catch (err) {
+    if (err.code === "too_long_to_align") throw new HttpError(413, "reading_too_long", "The reading is too long to check against the passage");
+    throw err;
+  }
+}
+
+/**
+ * Submission without the stored audio file name, for listings.
+ */
+export function publicSubmission(s) {
+  const { audio, ...rest } = s;
+  return { ...rest, hasAudio: Boolean(audio) };
+}
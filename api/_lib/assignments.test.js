@@ -0,0 +1,99 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MAX_SEGMENTS, MAX_TRANSCRIPT_CHARS, MAX_WORDS, fluencyFor, normalizeAssignment, publicAssignment, publicSubmission, readExam, readSegments, readSpeakerNames, readTranscript } from "./assignments.js";
+import { getRubric } from "../../src/rubrics/index.js";
+
+test("normalizeAssignment trims fields, dedupes the roster and falls back to the task rubric", () => {
+  const a = normalizeAssignment({
+    title: "  Persuasive speech ",
+    roster: "Ana Lopez\nBen Okafor, Ana Lopez\n\n",
+    minSeconds: "90",
+    maxSeconds: 300,
+    taskType: "a-level-presentation"
+  });
+  assert.equal(a.title, "Persuasive speech");
+  assert.deepEqual(a.roster, ["Ana Lopez", "Ben Okafor"]);
+  assert.equal(a.minSeconds, 90);
+  assert.equal(a.maxSeconds, 300);
+  assert.equal(a.rubric, getRubric("a-level-presentation"));
+  assert.equal(a.language, "en");
+  assert.equal(normalizeAssignment({ title: "Oral", language: "es" }).language, "es");
+  assert.throws(() => normalizeAssignment({ title: "Oral", language: "it" }), { code: "unsupported_language" });
+});
+
+test("normalizeAssignment rejects missing titles, bad limits and invalid rubrics", () => {
+  assert.throws(() => normalizeAssignment({ title: " " }), { status: 400, code: "invalid_assignment" });
+  assert.throws(() => normalizeAssignment({ title: "x", minSeconds: 400, maxSeconds: 300 }), { code: "invalid_assignment" });
+  assert.throws(() => normalizeAssignment({ title: "x", maxSeconds: 10 }), { code: "invalid_assignment" });
+  assert.throws(() => normalizeAssignment({ title: "x", rubric: { id: "r" } }), { status: 400, code: "invalid_rubric" });
+});
+
+test("read-aloud assignments need a passage", () => {
+  const a = normalizeAssignment({ title: "Reading check", mode: "read-aloud", referenceText: "  The cat sat on the mat. " });
+  assert.equal(a.mode, "read-aloud");
+  assert.equal(a.referenceText, "The cat sat on the mat.");
+  assert.equal(normalizeAssignment({ title: "Oral", referenceText: "ignored" }).referenceText, "");
+  assert.throws(() => normalizeAssignment({ title: "x", mode: "read-aloud", referenceText: " " }), { code: "invalid_assignment" });
+  assert.throws(() => normalizeAssignment({ title: "x", mode: "dictation" }), { code: "invalid_assignment" });
+});
+
+test("exam settings need prompt cards and keep them from students", () => {
+  assert.equal(readExam(null), null);
+  assert.equal(readExam({ enabled: false, promptCards: "A" }), null);
+  assert.deepEqual(readExam({ promptCards: "Card one\n\n Card two \nCard one" }), { promptCards: ["Card one", "Card two"], prepSeconds: 60, maxAttempts: 1 });
+  assert.equal(readExam({ promptCards: ["A"], prepSeconds: "30", maxAttempts: "3" }).maxAttempts, 3);
+  assert.throws(() => readExam({ promptCards: " \n " }), { status: 400, code: "invalid_assignment" });
+  assert.throws(() => readExam({ promptCards: ["A"], maxAttempts: 0 }), { code: "invalid_assignment" });
+  assert.throws(() => readExam({ promptCards: ["A"], maxAttempts: 1.5 }), { code: "invalid_assignment" });
+  assert.throws(() => readExam({ promptCards: ["A"], prepSeconds: 3600 }), { code: "invalid_assignment" });
+
+  const a = normalizeAssignment({ title: "Oral exam", exam: { promptCards: ["Describe a festival", "Defend a rule"], prepSeconds: 90, maxAttempts: 2 } });
+  assert.deepEqual(a.exam.promptCards, ["Describe a festival", "Defend a rule"]);
+  const visible = publicAssignment({ ...a, id: "1", code: "ABC123" });
+  assert.deepEqual(visible.exam, { prepSeconds: 90, maxAttempts: 2, cardCount: 2 });
+  // the cards are only ever sent one at a time, when an attempt draws one
+  assert.ok(!JSON.stringify(visible).includes("festival"));
+  assert.ok(!JSON.stringify(visible).includes("Defend"));
+  assert.equal(normalizeAssignment({ title: "Oral" }).exam, null);
+  assert.throws(() => normalizeAssignment({ title: "Long exam", maxSeconds: 15 * 60, exam: { promptCards: ["A"] } }), { code: "invalid_assignment" });
+  assert.equal(normalizeAssignment({ title: "Long talk", maxSeconds: 15 * 60 }).maxSeconds, 900);
+});
+
+test("readSpeakerNames keeps named labels only", () => {
+  assert.deepEqual(readSpeakerNames({ A: " Ada ", B: "", C: 3 }), { A: "Ada" });
+  assert.deepEqual(readSpeakerNames(["Ada"]), {});
+  assert.deepEqual(readSpeakerNames(null), {});
+  const many = Object.fromEntries(Array.from({ length: 13 }, (_, i) => [String(i), `Student ${i}`]));
+  assert.throws(() => readSpeakerNames(many), { status: 400, code: "invalid_speakers" });
+});
+
+test("publicSubmission hides the stored audio name", () => {
+  const s = publicSubmission({ id: "1", studentName: "Ana", audio: "1.wav" });
+  assert.equal(s.audio, undefined);
+  assert.equal(s.hasAudio, true);
+});
+
+test("over-long transcripts and readings are refused with 413", () => {
+  assert.deepEqual(readTranscript({ transcript: "hello", words: "no" }), { transcript: "hello", words: [] });
+  assert.throws(() => readTranscript({ transcript: "a".repeat(MAX_TRANSCRIPT_CHARS + 1) }), { status: 413, code: "transcript_too_long" });
+  assert.throws(() => readTranscript({ transcript: "a", words: new Array(MAX_WORDS + 1).fill({}) }), { status: 413, code: "transcript_too_long" });
+
+  const assignment = normalizeAssignment({ title: "Reading", mode: "read-aloud", referenceText: "one ".repeat(2000) });
+  assert.equal(fluencyFor(assignment, "one one", { words: [], durationSeconds: 2 }).tokens.length, 2000);
+  // 2000 passage words against 2000 spoken ones is past what can be aligned
+  assert.throws(() => fluencyFor(assignment, "one ".repeat(2000), { words: [], durationSeconds: 60 }), { status: 413, code: "reading_too_long" });
+  assert.equal(fluencyFor({ mode: "speech" }, "one", { words: [] }), null);
+});
+
+test("readSegments keeps well-formed segments and refuses malformed ones", () => {
+  const good = { start: 0, end: 2.5, text: "I think", speaker: "A", extra: "dropped" };
+  assert.deepEqual(readSegments([good, { start: 2.5, end: 3, text: "so" }]), [{ start: 0, end: 2.5, text: "I think", speaker: "A" }, { start: 2.5, end: 3, text: "so" }]);
+  assert.deepEqual(readSegments(undefined), []);
+  for (const bad of [null, "text", { ...good, text: 42 }, { ...good, start: "0" }, { ...good, end: Infinity }, { ...good, end: -1 }, { ...good, speaker: { name: "A" } }, { ...good, speaker: "Speaker with a long label" }]) {
+    assert.throws(() => readSegments([good, bad]), { status: 400, code: "invalid_segments" });
+  }
+  assert.throws(() => readSegments({ 0: good }), { code: "invalid_segments" });
+  assert.throws(() => readSegments(new Array(MAX_SEGMENTS + 1).fill(good)), { code: "invalid_segments" });
+  const crowd = Array.from({ length: 13 }, (_, i) => ({ ...good, speaker: `S${i}` }));
+  assert.throws(() => readSegments(crowd), { code: "invalid_segments" });
+});
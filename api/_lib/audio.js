@@ -0,0 +1,145 @@
+// api/_lib/audio.js
+// Pulls the audio out of an upload request (multipart or raw body) and
+// works out what container it really is from its magic bytes.
+import { HttpError, readRawBody } from "./http.js";
+import { parseWav } from "./wav.js";
+
+// OpenAI's transcription endpoint rejects files over 25 MB.
+export const MAX_UPLOAD_BYTES = Number(process.env.MAX_UPLOAD_MB || 25) * 1024 * 1024;
+
+/**
+ * Containers accepted by the transcription model, in detection order.
+ * `test` receives the first bytes of the file.
+ */
+const FORMATS = [
+  { ext: "webm", mime: "audio/webm", test: (b) => startsWith(b, [0x1a, 0x45, 0xdf, 0xa3]) },
+  { ext: "ogg", mime: "audio/ogg", test: (b) => ascii(b, 0, 4) === "OggS" },
+  { ext: "wav", mime: "audio/wav", test: (b) => ascii(b, 0, 4) === "RIFF" && ascii(b, 8, 4) === "WAVE" },
+  { ext: "flac", mime: "audio/flac", test: (b) => ascii(b, 0, 4) === "fLaC" },
+  { ext: "m4a", mime: "audio/mp4", test: (b) => ascii(b, 4, 4) === "ftyp" },
+  { ext: "mp3", mime: "audio/mpeg", test: (b) => ascii(b, 0, 3) === "ID3" || (b[0] === 0xff && (b[1] & 0xe0) === 0xe0) }
+];
+
+// Compressed uploads are not decoded here, so their length is guessed from
+// their size at a bitrate speech is rarely recorded above (128 kbps, or CD
+// quality for FLAC). That guess is the shortest the recording can be, so it
+// never refuses one that would fit.
+const MAX_BYTES_PER_SECOND = { flac: 176400 };
+const LOSSY_BYTES_PER_SECOND = 16000;
+
+function startsWith(buf, bytes) {
+  return buf.length >= bytes.length && bytes.every((v, i) => buf[i] === v);
+}
+
+function ascii(buf, offset, length) {
+  if (buf.length < offset + length) return "";
+  return buf.toString("latin1", offset, offset + length);
+}
+
+/**
+ * Detect the audio container from magic bytes.
+ * Returns `{ ext, mime }` or null when the data is not a supported format.
+ */
+export function detectAudioFormat(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+  const match = FORMATS.find((f) => f.test(buffer));
+  return match ? { ext: match.ext, mime: match.mime } : null;
+}
+
+function getBoundary(contentType) {
+  const m = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType);
+  return m ? (m[1] || m[2]).trim() : null;
+}
+
+function parsePartHeaders(raw) {
+  const headers = {};
+  for (const line of raw.split("\r\n")) {
+    const idx = line.indexOf(":");
+    if (idx > 0) headers[line.slice(0, idx).trim().toLowerCase()] = line.slice(idx + 1).trim();
+  }
+  const disposition = headers["content-disposition"] || "";
+  const name = /\bname="([^"]*)"/i.exec(disposition);
+  const filename = /\bfilename="([^"]*)"/i.exec(disposition);
+  return {
+    name: name ? name[1] : null,
+    filename: filename ? filename[1] : null,
+    contentType: headers["content-type"] || null
+  };
+}
+
+/**
+ * Minimal multipart/form-data parser. Returns an array of
+ * `{ name, filename, contentType, data }` where `data` is a Buffer.
+ */
+export function parseMultipart(buffer, contentType) {
+  const boundary = getBoundary(contentType || "");
+  if (!boundary) throw new HttpError(400, "malformed_multipart", "Multipart body has no boundary");
+
+  const delimiter = Buffer.from(`--${boundary}`);
+  const parts = [];
+  let pos = buffer.indexOf(delimiter);
+  if (pos === -1) throw new HttpError(400, "malformed_multipart", "Multipart boundary not found in body");
+
+  while (pos !== -1) {
+    let start = pos + delimiter.length;
+    // "--" after the delimiter marks the end of the body
+    if (buffer[start] === 0x2d && buffer[start + 1] === 0x2d) break;
+    if (buffer[start] === 0x0d && buffer[start + 1] === 0x0a) start += 2;
+
+    const headerEnd = buffer.indexOf("\r\n\r\n", start, "latin1");
+    if (headerEnd === -1) throw new HttpError(400, "malformed_multipart", "Multipart part is missing headers");
+    const next = buffer.indexOf(delimiter, headerEnd + 4);
+    if (next === -1) throw new HttpError(400, "malformed_multipart", "Multipart body is truncated");
+
+    const headers = parsePartHeaders(buffer.toString("utf8", start, headerEnd));
+    // part data ends with the CRLF that precedes the next delimiter
+    const data = buffer.subarray(headerEnd + 4, next - 2);
+    parts.push({ ...headers, data });
+    pos = next;
+  }
+  return parts;
+}
+
+/**
+ * Read an upload request and return `{ buffer, format, filename, fields }`.
+ * Accepts either multipart/form-data with a `file` field or a raw audio body;
+ * other multipart fields are returned as strings in `fields`.
+ * Throws HttpError 400 (empty/malformed), 413 (too large) or 415 (not audio).
+ */
+export async function readAudioUpload(req, { limit = MAX_UPLOAD_BYTES } = {}) {
+  const contentType = req.headers["content-type"] || "";
+  const body = await readRawBody(req, { limit });
+  if (body.length === 0) throw new HttpError(400, "empty_body", "No audio received");
+
+  let buffer = body;
+  let filename = null;
+  const fields = {};
+  if (/^multipart\/form-data/i.test(contentType)) {
+    const parts = parseMultipart(body, contentType);
+    for (const p of parts) if (p.filename === null && p.name) fields[p.name] = p.data.toString("utf8");
+    const part = parts.find((p) => p.name === "file" && p.filename !== null) || parts.find((p) => p.filename !== null);
+    if (!part) throw new HttpError(400, "missing_file", "Multipart body has no \"file\" field");
+    buffer = part.data;
+    filename = part.filename;
+  }
+
+  if (buffer.length === 0) throw new HttpError(400, "empty_file", "Uploaded file is empty");
+
+  const format = detectAudioFormat(buffer);
+  if (!format) {
+    throw new HttpError(415, "unsupported_media_type", "Unsupported audio format. Use webm, ogg, wav, flac, m4a or mp3.");
+  }
+
+  const base = (filename || "audio").replace(/\.[^.]*$/, "") || "audio";
+  return { buffer, format, filename: `${base}.${format.ext}`, fields };
+}
+
+/**
+ * Seconds of audio in an upload from readAudioUpload, for checking it
+ * against a quota before it is transcribed: exact for WAV, a lower bound
+ * from the size for compressed formats.
+ */
+export function estimateAudioSeconds({ buffer, format }) {
+  if (format.ext === "wav") return parseWav(buffer).duration;
+  return buffer.length / (MAX_BYTES_PER_SECOND[format.ext] || LOSSY_BYTES_PER_SECOND);
+}
@@ -0,0 +1,52 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { detectAudioFormat, estimateAudioSeconds } from "./audio.js";
+import { quotaError } from "./limits.js";
+
+// `seconds` of 16 kHz mono 16-bit silence
+function wav(seconds) {
+  const dataLength = seconds * 16000 * 2;
+  const buf = Buffer.alloc(44 + dataLength);
+  buf.write("RIFF", 0, "latin1");
+  buf.writeUInt32LE(36 + dataLength, 4);
+  buf.write("WAVEfmt ", 8, "latin1");
+  buf.writeUInt32LE(16, 16);
+  buf.writeUInt16LE(1, 20);
+  buf.writeUInt16LE(1, 22);
+  buf.writeUInt32LE(16000, 24);
+  buf.writeUInt32LE(32000, 28);
+  buf.writeUInt16LE(2, 32);
+  buf.writeUInt16LE(16, 34);
+  buf.write("data", 36, "latin1");
+  buf.writeUInt32LE(dataLength, 40);
+  return buf;
+}
+
+function upload(buffer) {
+  return { buffer, format: detectAudioFormat(buffer) };
+}
+
+test("measures WAV uploads and bounds compressed ones by their size", () => {
+  assert.equal(estimateAudioSeconds(upload(wav(3))), 3);
+
+  const webm = Buffer.alloc(16000 * 90);
+  webm.set([0x1a, 0x45, 0xdf, 0xa3]);
+  assert.equal(estimateAudioSeconds(upload(webm)), 90);
+
+  const flac = Buffer.alloc(176400 * 2);
+  flac.write("fLaC", 0, "latin1");
+  assert.equal(estimateAudioSeconds(upload(flac)), 2);
+});
+
+test("a compressed upload that would overrun the audio quota is refused", () => {
+  const ogg = Buffer.alloc(16000 * 120);
+  ogg.write("OggS", 0, "latin1");
+  const limits = { audioMinutes: 60 };
+  const usage = { audioSeconds: 59 * 60 };
+
+  const err = quotaError(usage, limits, { meter: "audio", audioSeconds: estimateAudioSeconds(upload(ogg)) });
+  assert.equal(err.status, 429);
+  assert.equal(err.code, "quota_exceeded");
+  assert.equal(err.details.requested, 2);
+  assert.equal(quotaError(usage, limits, { meter: "audio", audioSeconds: 30 }), null);
+});
@@ -0,0 +1,192 @@
+// api/_lib/auth.js
+// Who is calling. Requests carry `Authorization: Bearer <jwt>`, either a
+// token from the school's SSO or a session token this API signs when a
+// student enters their class access code (see api/session.js).
+//
+//   AUTH_JWT_SECRET       HS256 secret shared with the SSO provider
+//   AUTH_JWT_PUBLIC_KEY   or its RS256 public key (PEM)
+//   AUTH_JWT_ISSUER       expected `iss` of SSO tokens (optional)
+//   AUTH_JWT_AUDIENCE     expected `aud` of SSO tokens (optional)
+//   AUTH_SSO_LOGIN_URL    where the app sends people to sign in; the SSO
+//                         redirects back with #token=<jwt>
+//   AUTH_SESSION_SECRET   signs access-code sessions
+//   CLASS_ACCESS_CODES    "10A English=7QK2PX, 10B English=M4T9WD"
+//   AUTH_DISABLED         "true" for local development: everyone is
+//                         anonymous, identified by IP
+import { createHmac, createVerify, timingSafeEqual } from "node:crypto";
+import { HttpError } from "./http.js";
+
+export const SESSION_ISSUER = "oral-feedback";
+export const SESSION_HOURS = 12;
+const CLOCK_SKEW_SECONDS = 60;
+
+/**
+ * Parse CLASS_ACCESS_CODES into a Map from upper-cased code to class name.
+ */
+export function parseAccessCodes(value) {
+  const codes = new Map();
+  for (const pair of String(value || "").split(",")) {
+    const i = pair.lastIndexOf("=");
+    if (i === -1) continue;
+    const className = pair.slice(0, i).trim();
+    const code = pair.slice(i + 1).trim().toUpperCase();
+    if (className && code) codes.set(code, className);
+  }
+  return codes;
+}
+
+export function readAuthConfig(env = process.env) {
+  return {
+    disabled: env.AUTH_DISABLED === "true",
+    jwtSecret: env.AUTH_JWT_SECRET || null,
+    jwtPublicKey: env.AUTH_JWT_PUBLIC_KEY ? env.AUTH_JWT_PUBLIC_KEY.replace(/\\n/g, "\n") : null,
+    issuer: env.AUTH_JWT_ISSUER || null,
+    audience: env.AUTH_JWT_AUDIENCE || null,
+    ssoLoginUrl: env.AUTH_SSO_LOGIN_URL || null,
+    sessionSecret: env.AUTH_SESSION_SECRET || null,
+    accessCodes: parseAccessCodes(env.CLASS_ACCESS_CODES)
+  };
+}
+
+/**
+ * The sign-in methods a config allows, for the client's sign-in screen.
+ */
+export function signInMethods(config) {
+  const methods = [];
+  if (config.jwtSecret || config.jwtPublicKey) methods.push("sso");
+  if (config.sessionSecret && config.accessCodes.size) methods.push("access-code");
+  return methods;
+}
+
+function base64url(input) {
+  return Buffer.from(input).toString("base64url");
+}
+
+function decodePart(part) {
+  try {
+    return JSON.parse(Buffer.from(part, "base64url").toString("utf8"));
+  } catch {
+    return null;
+  }
+}
+
+function invalid(message) {
+  return new HttpError(401, "invalid_token", message);
+}
+
+export function signJwt(payload, secret) {
+  const head = base64url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+  const body = base64url(JSON.stringify(payload));
+  const signature = createHmac("sha256", secret).update(`${head}.${body}`).digest("base64url");
+  return `${head}.${body}.${signature}`;
+}
+
+/**
+ * Verify a compact JWT signed with HS256 (`secret`) or RS256 (`publicKey`)
+ * and return its claims. Checks exp, nbf and, when given, iss and aud.
+ * Throws HttpError 401 `invalid_token` otherwise.
+ */
+export function verifyJwt(token, { secret, publicKey, issuer, audience, now = Date.now() } = {}) {
+  const parts = String(token).split(".");
+  if (parts.length !== 3) throw invalid("Malformed token");
+  const [head, body, signature] = parts;
+  const header = decodePart(head);
+  const claims = decodePart(body);
+  if (!header || !claims || typeof claims !== "object") throw invalid("Malformed token");
+
+  const signed = `${head}.${body}`;
+  let ok = false;
+  if (header.alg === "HS256" && secret) {
+    const expected = Buffer.from(createHmac("sha256", secret).update(signed).digest("base64url"));
+    const given = Buffer.from(signature);
+    ok = expected.length === given.length && timingSafeEqual(expected, given);
+  } else if (header.alg === "RS256" && publicKey) {
+    try {
+      ok = createVerify("RSA-SHA256").update(signed).verify(publicKey, Buffer.from(signature, "base64url"));
+    } catch {
+      ok = false;
+    }
+  } else {
+    throw invalid(`Tokens signed with ${header.alg || "no algorithm"} are not accepted`);
+  }
+  if (!ok) throw invalid("Token signature is not valid");
+
+  const seconds = now / 1000;
+  if (typeof claims.exp === "number" && seconds > claims.exp + CLOCK_SKEW_SECONDS) throw invalid("Token has expired");
+  if (typeof claims.nbf === "number" && seconds < claims.nbf - CLOCK_SKEW_SECONDS) throw invalid("Token is not valid yet");
+  if (issuer && claims.iss !== issuer) throw invalid("Token was issued by someone else");
+  if (audience) {
+    const aud = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!aud.includes(audience)) throw invalid("Token is for another application");
+  }
+  return claims;
+}
+
+function slug(text) {
+  return String(text).normalize("NFKD").replace(/[\u0300-\u036f]/g, "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+}
+
+function roleFromClaims(claims) {
+  const roles = [].concat(claims.role || [], claims.roles || []).map((r) => String(r).toLowerCase());
+  return roles.includes("teacher") || roles.includes("admin") ? "teacher" : "student";
+}
+
+/**
+ * Exchange a class access code and the student's name for a session token.
+ * Returns `{ token, user, expiresAt }`.
+ */
+export function createSession({ accessCode, name }, config, now = Date.now()) {
+  if (!config.sessionSecret || !config.accessCodes.size) {
+    throw new HttpError(400, "access_codes_disabled", "Class access codes are not enabled on this server");
+  }
+  const className = config.accessCodes.get(String(accessCode || "").trim().toUpperCase());
+  if (!className) throw new HttpError(401, "invalid_access_code", "That access code is not valid");
+  const displayName = typeof name === "string" ? name.trim().replace(/\s+/g, " ").slice(0, 80) : "";
+  if (!displayName) throw new HttpError(400, "missing_name", "Enter your name");
+
+  const iat = Math.floor(now / 1000);
+  const exp = iat + SESSION_HOURS * 3600;
+  const claims = { iss: SESSION_ISSUER, sub: `code:${slug(className)}:${slug(displayName)}`, name: displayName, className, role: "student", iat, exp };
+  return { token: signJwt(claims, config.sessionSecret), user: userFromClaims(claims, "access-code"), expiresAt: new Date(exp * 1000).toISOString() };
+}
+
+function userFromClaims(claims, via) {
+  if (!claims.sub) throw invalid("Token does not say who it is for");
+  const user = { id: via === "sso" ? `sso:${claims.sub}` : String(claims.sub), name: claims.name || claims.email || String(claims.sub), role: roleFromClaims(claims), via };
+  if (claims.className) user.className = claims.className;
+  return user;
+}
+
+export function bearerToken(req) {
+  const header = req.headers.authorization || "";
+  const match = /^Bearer\s+(\S+)$/i.exec(header);
+  return match ? match[1] : null;
+}
+
+/**
+ * The user making `req`: `{ id, name, role, via, className? }`, where
+ * `via` is "sso", "access-code" or "anonymous" and role is "teacher" or
+ * "student". Throws HttpError 401 when there is no valid token.
+ */
+export function authenticate(req, config, { ip, now = Date.now() } = {}) {
+  // with sign-in off there is no one to tell teachers from students
+  if (config.disabled) return { id: `ip:${ip || "unknown"}`, name: "Anonymous", role: "teacher", via: "anonymous" };
+
+  const methods = signInMethods(config);
+  if (!methods.length) {
+    throw new HttpError(401, "auth_not_configured", "Sign-in is not configured on this server. Set AUTH_JWT_SECRET, AUTH_JWT_PUBLIC_KEY or CLASS_ACCESS_CODES (or AUTH_DISABLED=true for local development).");
+  }
+  const token = bearerToken(req);
+  if (!token) {
+    throw new HttpError(401, "unauthenticated", "Sign in to use this feature", { methods, ssoLoginUrl: config.ssoLoginUrl });
+  }
+
+  // our own access-code sessions are told apart by their issuer
+  const claims = decodePart(token.split(".")[1] || "");
+  if (claims && claims.iss === SESSION_ISSUER && config.sessionSecret) {
+    return userFromClaims(verifyJwt(token, { secret: config.sessionSecret, now }), "access-code");
+  }
+  if (!methods.includes("sso")) throw invalid("Token was not issued by this server");
+  const sso = verifyJwt(token, { secret: config.jwtSecret, publicKey: config.jwtPublicKey, issuer: config.issuer, audience: config.audience, now });
+  return userFromClaims(sso, "sso");
+}
@@ -0,0 +1,53 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createSign, generateKeyPairSync } from "node:crypto";
+import { authenticate, createSession, parseAccessCodes, readAuthConfig, signJwt, verifyJwt } from "./auth.js";
+
+const NOW = Date.parse("2025-03-03T10:00:00Z");
+const seconds = NOW / 1000;
+
+function request(token) {
+  return { headers: token ? { authorization: `Bearer ${token}` } : {} };
+}
+
+test("parses class access codes", () => {
+  const codes = parseAccessCodes("10A English=7qk2px, 10B = Drama=M4T9WD,broken");
+  assert.deepEqual([...codes], [["7QK2PX", "10A English"], ["M4T9WD", "10B = Drama"]]);
+});
+
+test("verifies HS256 tokens and their claims", () => {
+  const token = signJwt({ sub: "u1", iss: "https://sso.school", aud: "oral", exp: seconds + 60 }, "s3cret");
+  assert.equal(verifyJwt(token, { secret: "s3cret", issuer: "https://sso.school", audience: "oral", now: NOW }).sub, "u1");
+  assert.throws(() => verifyJwt(token, { secret: "other", now: NOW }), { code: "invalid_token", message: /signature/ });
+  assert.throws(() => verifyJwt(token, { secret: "s3cret", audience: "else", now: NOW }), /another application/);
+  assert.throws(() => verifyJwt(token, { secret: "s3cret", now: NOW + 3600 * 1000 }), /expired/);
+  const unsigned = `${Buffer.from(JSON.stringify({ alg: "none" })).toString("base64url")}.${token.split(".")[1]}.`;
+  assert.throws(() => verifyJwt(unsigned, { secret: "s3cret", now: NOW }), /not accepted/);
+});
+
+test("verifies RS256 tokens with a public key", () => {
+  const { privateKey, publicKey } = generateKeyPairSync("rsa", { modulusLength: 2048 });
+  const head = Buffer.from(JSON.stringify({ alg: "RS256", typ: "JWT" })).toString("base64url");
+  const body = Buffer.from(JSON.stringify({ sub: "t1", roles: ["Teacher"], exp: seconds + 60 })).toString("base64url");
+  const signature = createSign("RSA-SHA256").update(`${head}.${body}`).sign(privateKey).toString("base64url");
+  const config = readAuthConfig({ AUTH_JWT_PUBLIC_KEY: publicKey.export({ type: "spki", format: "pem" }) });
+  const user = authenticate(request(`${head}.${body}.${signature}`), config, { now: NOW });
+  assert.deepEqual(user, { id: "sso:t1", name: "t1", role: "teacher", via: "sso" });
+});
+
+test("exchanges an access code for a session token", () => {
+  const config = readAuthConfig({ AUTH_SESSION_SECRET: "sess", CLASS_ACCESS_CODES: "10A English=7QK2PX" });
+  const { token, user } = createSession({ accessCode: " 7qk2px ", name: " Zoë  Smith " }, config, NOW);
+  assert.deepEqual(user, { id: "code:10a-english:zoe-smith", name: "Zoë Smith", role: "student", via: "access-code", className: "10A English" });
+  assert.deepEqual(authenticate(request(token), config, { now: NOW }), user);
+  assert.throws(() => createSession({ accessCode: "NOPE", name: "Zoë" }, config, NOW), { status: 401, code: "invalid_access_code" });
+  assert.throws(() => createSession({ accessCode: "7QK2PX", name: " " }, config, NOW), { code: "missing_name" });
+});
+
+test("refuses requests without a valid token", () => {
+  const config = readAuthConfig({ AUTH_JWT_SECRET: "s3cret", AUTH_SSO_LOGIN_URL: "https://sso.school/login" });
+  assert.throws(() => authenticate(request(), config), (err) => err.status === 401 && err.code === "unauthenticated" && err.details.ssoLoginUrl === "https://sso.school/login");
+  assert.throws(() => authenticate(request("a.b.c"), config), { code: "invalid_token" });
+  assert.throws(() => authenticate(request(), readAuthConfig({})), { code: "auth_not_configured" });
+  assert.equal(authenticate(request(), readAuthConfig({ AUTH_DISABLED: "true" }), { ip: "1.2.3.4" }).id, "ip:1.2.3.4");
+});
@@ -0,0 +1,177 @@
+// api/_lib/exam.js
+// Exam mode for assignments with `exam` settings (./assignments.js): each
+// attempt draws a random prompt card on the server and counts against the
+// student's attempt limit from that moment, so reloading the page cannot
+// draw another card for free. A submission must name an attempt that has
+// not been submitted yet, arrive within the preparation and recording time
+// of the card being drawn (plus time to upload) and hold a recording within
+// the time limits; its audit trail (card, times, device, events) is stored
+// with the submission.
+//
+// One "exams" record per assignment and student holds their attempts, so
+// starting and submitting attempts go through the store's atomic upsert.
+// The student is always the signed-in user (`{ id, name }` from ./auth.js):
+// attempts are keyed by their id, never by a name the client sends.
+import { randomInt, randomUUID } from "node:crypto";
+import { HttpError } from "./http.js";
+import { get, list, upsert } from "./store.js";
+
+// clock and encoding slack allowed on the recording length
+export const DURATION_TOLERANCE_SECONDS = 2;
+// time allowed after the longest recording to transcribe and submit it
+export const SUBMIT_SLACK_SECONDS = 5 * 60;
+const MAX_EVENTS = 100;
+const MAX_TEXT = 200;
+
+function examId(assignmentId, student) {
+  return `${assignmentId}:${student.id}`;
+}
+
+function text(value) {
+  return typeof value === "string" ? value.slice(0, MAX_TEXT) : null;
+}
+
+function isoTime(value) {
+  const t = typeof value === "string" ? Date.parse(value) : NaN;
+  return Number.isFinite(t) ? new Date(t).toISOString() : null;
+}
+
+/**
+ * The device details the browser reported, as short strings.
+ */
+export function readDevice(device) {
+  if (!device || typeof device !== "object") return {};
+  const out = {};
+  for (const key of ["userAgent", "platform", "language", "screen", "timeZone"]) {
+    if (text(device[key])) out[key] = text(device[key]);
+  }
+  return out;
+}
+
+/**
+ * Client events (`{ type, at, ...detail }`) reduced to known-safe fields.
+ */
+export function readEvents(events) {
+  if (!Array.isArray(events)) return [];
+  return events.slice(0, MAX_EVENTS)
+    .filter((e) => e && typeof e.type === "string" && isoTime(e.at))
+    .map((e) => ({ type: e.type.slice(0, 40), at: isoTime(e.at), ...(text(e.detail) ? { detail: text(e.detail) } : {}) }));
+}
+
+export function drawCard(cards, random = randomInt) {
+  return cards[random(cards.length)];
+}
+
+/**
+ * A student's attempts at `assignment`: `{ used, maxAttempts, attempts }`.
+ */
+export async function examStatus(assignment, student) {
+  const record = await get("exams", examId(assignment.id, student));
+  const attempts = record ? record.attempts : [];
+  return { used: attempts.length, maxAttempts: assignment.exam.maxAttempts, attempts };
+}
+
+/**
+ * Every student's attempts at an assignment, for the teacher:
+ * `[{ userId, studentName, attempts }]`.
+ */
+export async function listAttempts(assignmentId) {
+  return (await list("exams", (r) => r.assignmentId === assignmentId))
+    .map(({ userId, studentName, attempts }) => ({ userId, studentName, attempts }));
+}
+
+/**
+ * Start attempt n+1: draw a card and record who, when and on what.
+ * Refused with 409 once the attempts are used up.
+ */
+export async function startAttempt(assignment, student, { device, ip, userAgent, now = new Date(), random = randomInt } = {}) {
+  const attempt = {
+    id: randomUUID(),
+    card: drawCard(assignment.exam.promptCards, random),
+    drawnAt: now.toISOString(),
+    device: readDevice(device),
+    ip: ip || null,
+    userAgent: text(userAgent),
+    submissionId: null,
+    submittedAt: null
+  };
+  const record = await upsert("exams", examId(assignment.id, student), (current) => {
+    const attempts = current ? current.attempts : [];
+    if (attempts.length >= assignment.exam.maxAttempts) {
+      throw new HttpError(409, "attempts_exhausted", `All ${assignment.exam.maxAttempts} attempt(s) have been used`);
+    }
+    return { assignmentId: assignment.id, userId: student.id, studentName: student.name, attempts: [...attempts, { ...attempt, number: attempts.length + 1 }] };
+  });
+  return record.attempts[record.attempts.length - 1];
+}
+
+/**
+ * Check a submission's `exam` payload against its attempt and the
+ * assignment's limits, mark the attempt as submitted and return the audit
+ * trail to store with the submission. `durationSeconds` is the length the
+ * server measured from the uploaded recording; the length the browser
+ * reports is kept in the audit trail but never trusted.
+ */
+export async function claimAttempt(assignment, student, payload, { durationSeconds, now = new Date() } = {}) {
+  if (!payload || typeof payload.attemptId !== "string") {
+    throw new HttpError(400, "exam_attempt_required", "This is an exam: submit a recording from an exam attempt");
+  }
+  if (!Number.isFinite(durationSeconds)) {
+    throw new HttpError(415, "exam_audio_unmeasurable", "The length of this recording cannot be measured; exam recordings must be sent as WAV");
+  }
+  if (durationSeconds < assignment.minSeconds - DURATION_TOLERANCE_SECONDS) {
+    throw new HttpError(400, "too_short", `The recording must be at least ${assignment.minSeconds} seconds`);
+  }
+  if (durationSeconds > assignment.maxSeconds + DURATION_TOLERANCE_SECONDS) {
+    throw new HttpError(400, "too_long", `The recording must be at most ${assignment.maxSeconds} seconds`);
+  }
+
+  let claimed = null;
+  await upsert("exams", examId(assignment.id, student), (current) => {
+    const attempts = current ? current.attempts : [];
+    const attempt = attempts.find((a) => a.id === payload.attemptId);
+    if (!attempt) throw new HttpError(404, "exam_attempt_not_found", "No such exam attempt for this student");
+    if (attempt.submittedAt) throw new HttpError(409, "attempt_submitted", "This attempt has already been submitted");
+    // a recording cannot end sooner after the card was drawn than its minimum length
+    if (now.getTime() - Date.parse(attempt.drawnAt) < (assignment.minSeconds - DURATION_TOLERANCE_SECONDS) * 1000) {
+      throw new HttpError(400, "too_short", "The recording was submitted sooner than its minimum length allows");
+    }
+    // nor later than the preparation time and the longest recording allow,
+    // so the card cannot be taken away and prepared for at leisure
+    const latest = assignment.exam.prepSeconds + assignment.maxSeconds + DURATION_TOLERANCE_SECONDS + SUBMIT_SLACK_SECONDS;
+    if (now.getTime() - Date.parse(attempt.drawnAt) > latest * 1000) {
+      throw new HttpError(409, "attempt_expired", "This attempt's time ran out before the recording was submitted");
+    }
+    claimed = { ...attempt, submittedAt: now.toISOString() };
+    return { attempts: attempts.map((a) => (a.id === attempt.id ? claimed : a)) };
+  });
+
+  return {
+    attemptId: claimed.id,
+    attempt: claimed.number,
+    maxAttempts: assignment.exam.maxAttempts,
+    card: claimed.card,
+    drawnAt: claimed.drawnAt,
+    prepSeconds: assignment.exam.prepSeconds,
+    recordingStartedAt: isoTime(payload.recordingStartedAt),
+    recordingStoppedAt: isoTime(payload.recordingStoppedAt),
+    durationSeconds: Math.round(durationSeconds * 10) / 10,
+    reportedDurationSeconds: Number.isFinite(Number(payload.durationSeconds)) ? Math.round(Number(payload.durationSeconds) * 10) / 10 : null,
+    autoStarted: payload.autoStarted === true,
+    stopReason: text(payload.stopReason),
+    events: readEvents(payload.events),
+    device: { ...claimed.device, ...readDevice(payload.device) },
+    ip: claimed.ip,
+    userAgent: claimed.userAgent,
+    submittedAt: claimed.submittedAt
+  };
+}
+
+/**
+ * Link a claimed attempt to the submission that holds its recording.
+ */
+export function linkSubmission(assignment, student, attemptId, submissionId) {
+  return upsert("exams", examId(assignment.id, student), (current) => ({
+    attempts: (current ? current.attempts : []).map((a) => (a.id === attemptId ? { ...a, submissionId } : a))
+  }));
+}
@@ -0,0 +1,117 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+
+// the store reads DATA_DIR when it is first imported, so the exam module
+// is imported once DATA_DIR points at a scratch folder
+let dir;
+let exam;
+let savedDataDir;
+
+const ASSIGNMENT = {
+  id: "asg1",
+  minSeconds: 60,
+  maxSeconds: 120,
+  exam: { promptCards: ["Card A", "Card B", "Card C"], prepSeconds: 30, maxAttempts: 2 }
+};
+
+// signed-in students as ./auth.js describes them
+const ANA = { id: "sso:ana", name: "Ana" };
+const BEN = { id: "sso:ben", name: "Ben" };
+const CY = { id: "code:10a:cy", name: "Cy" };
+const DEE = { id: "sso:dee", name: "Dee" };
+const EVE = { id: "sso:eve", name: "Eve" };
+
+const DRAWN = new Date("2026-10-18T09:00:00.000Z");
+const LATER = new Date("2026-10-18T09:03:00.000Z");
+// what the server measured from the upload, and when
+const MEASURED = { durationSeconds: 90, now: LATER };
+
+before(async () => {
+  dir = await mkdtemp(path.join(tmpdir(), "oral-exam-"));
+  savedDataDir = process.env.DATA_DIR;
+  process.env.DATA_DIR = dir;
+  exam = await import("./exam.js");
+});
+
+after(async () => {
+  if (savedDataDir === undefined) delete process.env.DATA_DIR;
+  else process.env.DATA_DIR = savedDataDir;
+  await rm(dir, { recursive: true, force: true });
+});
+
+function payload(attemptId, overrides = {}) {
+  return {
+    attemptId,
+    durationSeconds: 90,
+    recordingStartedAt: "2026-10-18T09:00:30.000Z",
+    recordingStoppedAt: "2026-10-18T09:02:00.000Z",
+    autoStarted: true,
+    stopReason: "student",
+    events: [{ type: "page_hidden", at: "2026-10-18T09:01:00.000Z" }, { type: "bad" }, { type: "x", at: "not a date" }],
+    ...overrides
+  };
+}
+
+test("drawCard picks the card at the drawn index", () => {
+  assert.equal(exam.drawCard(["a", "b", "c"], () => 2), "c");
+});
+
+test("each attempt draws a card and the limit is enforced", async () => {
+  const first = await exam.startAttempt(ASSIGNMENT, ANA, { now: DRAWN, random: () => 1, device: { platform: "MacIntel", extra: "dropped" }, ip: "10.0.0.1" });
+  assert.equal(first.number, 1);
+  assert.equal(first.card, "Card B");
+  assert.deepEqual(first.device, { platform: "MacIntel" });
+  const second = await exam.startAttempt(ASSIGNMENT, ANA, { now: DRAWN });
+  assert.equal(second.number, 2);
+  await assert.rejects(exam.startAttempt(ASSIGNMENT, ANA), { status: 409, code: "attempts_exhausted" });
+  assert.equal((await exam.examStatus(ASSIGNMENT, ANA)).used, 2);
+  // other students have their own attempts
+  assert.equal((await exam.examStatus(ASSIGNMENT, BEN)).used, 0);
+  // someone else signed in under the same name has their own attempts too
+  assert.equal((await exam.examStatus(ASSIGNMENT, { id: "code:10b:ana", name: "Ana" })).used, 0);
+  assert.deepEqual((await exam.listAttempts("asg1")).map((s) => [s.userId, s.studentName]), [["sso:ana", "Ana"]]);
+});
+
+test("a submission claims its attempt once and returns the audit trail", async () => {
+  const attempt = await exam.startAttempt(ASSIGNMENT, CY, { now: DRAWN, random: () => 0, ip: "10.0.0.2", userAgent: "Test" });
+  const audit = await exam.claimAttempt(ASSIGNMENT, CY, payload(attempt.id), { durationSeconds: 95.04, now: LATER });
+  assert.equal(audit.attemptId, attempt.id);
+  assert.equal(audit.attempt, 1);
+  assert.equal(audit.card, "Card A");
+  assert.equal(audit.drawnAt, DRAWN.toISOString());
+  assert.equal(audit.submittedAt, LATER.toISOString());
+  // the measured length is recorded; the browser's own figure is only noted
+  assert.equal(audit.durationSeconds, 95);
+  assert.equal(audit.reportedDurationSeconds, 90);
+  assert.equal(audit.autoStarted, true);
+  assert.equal(audit.ip, "10.0.0.2");
+  assert.deepEqual(audit.events, [{ type: "page_hidden", at: "2026-10-18T09:01:00.000Z" }]);
+
+  await assert.rejects(exam.claimAttempt(ASSIGNMENT, CY, payload(attempt.id), { durationSeconds: 90, now: LATER }), { status: 409, code: "attempt_submitted" });
+  await exam.linkSubmission(ASSIGNMENT, CY, attempt.id, "sub1");
+  assert.equal((await exam.examStatus(ASSIGNMENT, CY)).attempts[0].submissionId, "sub1");
+});
+
+test("a submission outside the limits or without an attempt is refused", async () => {
+  const attempt = await exam.startAttempt(ASSIGNMENT, DEE, { now: DRAWN });
+  await assert.rejects(exam.claimAttempt(ASSIGNMENT, DEE, null), { status: 400, code: "exam_attempt_required" });
+  // the payload claims 90 seconds, but the measured length decides
+  await assert.rejects(exam.claimAttempt(ASSIGNMENT, DEE, payload(attempt.id), { durationSeconds: 30, now: LATER }), { code: "too_short" });
+  await assert.rejects(exam.claimAttempt(ASSIGNMENT, DEE, payload(attempt.id), { durationSeconds: 200, now: LATER }), { code: "too_long" });
+  // a recording the server could not measure
+  await assert.rejects(exam.claimAttempt(ASSIGNMENT, DEE, payload(attempt.id), { durationSeconds: NaN, now: LATER }), { status: 415, code: "exam_audio_unmeasurable" });
+  await assert.rejects(exam.claimAttempt(ASSIGNMENT, DEE, payload("nope"), MEASURED), { status: 404, code: "exam_attempt_not_found" });
+  // another student's attempt cannot be used
+  await assert.rejects(exam.claimAttempt(ASSIGNMENT, EVE, payload(attempt.id), MEASURED), { code: "exam_attempt_not_found" });
+  // sooner after the draw than the minimum length
+  await assert.rejects(exam.claimAttempt(ASSIGNMENT, DEE, payload(attempt.id), { durationSeconds: 90, now: new Date("2026-10-18T09:00:20.000Z") }), { code: "too_short" });
+  // after the preparation, the longest recording and the upload slack:
+  // the card may have been taken away to prepare
+  const late = new Date(DRAWN.getTime() + (30 + 120 + exam.DURATION_TOLERANCE_SECONDS + exam.SUBMIT_SLACK_SECONDS + 1) * 1000);
+  await assert.rejects(exam.claimAttempt(ASSIGNMENT, DEE, payload(attempt.id), { durationSeconds: 90, now: late }), { status: 409, code: "attempt_expired" });
+  // the refusals left the attempt open
+  assert.equal((await exam.claimAttempt(ASSIGNMENT, DEE, payload(attempt.id), MEASURED)).attempt, 1);
+});
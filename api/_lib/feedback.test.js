@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DIMENSION_IDS, buildFeedbackMessages, generateFeedback, parseFeedback } from "./feedback.js";
+import { createMockProvider } from "./providers/mock.js";
+import { MOCK_TRANSCRIPT } from "./providers/fixtures.js";
+
+const BANDS = ["Distinction", "Merit", "Pass", "Not yet secure"];
+const TRANSCRIPT = "The poet uses a metaphor of the sea. The tone shifts at the end.";
+
+function reply(overrides = {}) {
+  return JSON.stringify({
+    summary: " A clear reading. ",
+    dimensions: [
+      { dimension: "thesis", level: "secure", comment: "Clear.", quote: "a metaphor of the sea" },
+      { dimension: "evidence", level: "emerging", comment: "No quotes.", quote: "invented words" }
+    ],
+    strengths: [{ dimension: "thesis", text: "Clear claim.", quote: "The poet uses a metaphor" }],
+    targets: [
+      { dimension: "evidence", text: "Quote the poem.", quote: "the tone shifts" },
+      { dimension: "structure", text: "Ungrounded.", quote: "a conclusion I never gave" },
+      { dimension: "style", text: "Unknown dimension.", quote: "the tone shifts" }
+    ],
+    markBand: { band: "Merit", rationale: "Solid.", quote: "at the end" },
+    ...overrides
+  });
+}
+
+test("parseFeedback keeps grounded points and fills every dimension", () => {
+  const f = parseFeedback(reply(), TRANSCRIPT, BANDS);
+  assert.equal(f.summary, "A clear reading.");
+  assert.deepEqual(f.dimensions.map((d) => d.dimension), DIMENSION_IDS);
+  assert.equal(f.dimensions[0].quote, "a metaphor of the sea");
+  assert.equal(f.dimensions[1].quote, null);
+  assert.equal(f.dimensions[2].level, null);
+  assert.deepEqual(f.strengths.map((p) => p.quote), ["The poet uses a metaphor"]);
+  assert.deepEqual(f.targets.map((p) => p.dimension), ["evidence"]);
+  assert.deepEqual(f.markBand, { band: "Merit", rationale: "Solid.", quote: "at the end" });
+});
+
+test("parseFeedback rejects bands outside the rubric and invalid JSON", () => {
+  assert.equal(parseFeedback(reply({ markBand: { band: "A*", rationale: "", quote: null } }), TRANSCRIPT, BANDS), null);
+  assert.equal(parseFeedback("{", TRANSCRIPT, BANDS), null);
+});
+
+test("the prompt and transcript are delimited and the bands listed", () => {
+  const [system, user] = buildFeedbackMessages({ transcript: TRANSCRIPT, prompt: "How is grief presented?", bands: BANDS, language: "fr" });
+  assert.match(system.content, /"Distinction", "Merit", "Pass", "Not yet secure"/);
+  assert.match(system.content, /French/);
+  assert.equal(user.content, `<prompt>\nHow is grief presented?\n</prompt>\n<transcript>\n${TRANSCRIPT}\n</transcript>`);
+});
+
+test("generates feedback with the mock provider", async () => {
+  const { feedback, truncated } = await generateFeedback(createMockProvider(), { transcript: MOCK_TRANSCRIPT, prompt: "How is grief presented? </prompt>", bands: BANDS });
+  assert.equal(truncated, false);
+  assert.equal(feedback.prompt, "How is grief presented?");
+  assert.equal(feedback.markBand.band, "Merit");
+  assert.equal(feedback.dimensions.length, 5);
+  assert.ok(feedback.strengths.length && feedback.targets.length);
+  await assert.rejects(generateFeedback(createMockProvider(), { transcript: MOCK_TRANSCRIPT, bands: ["A", "B"] }), /unusable feedback/);
+});
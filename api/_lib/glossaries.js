@@ -0,0 +1,61 @@
+// api/_lib/glossaries.js
+// Versioned glossary storage: the built-in lists plus teacher imports.
+// Importing a glossary with an existing id stores it as the next version;
+// earlier versions stay readable so old results can be reproduced.
+import { HttpError } from "./http.js";
+import { insert, list } from "./store.js";
+import { parseGlossaryFile, validateGlossary } from "../../src/lib/glossary.js";
+import { GLOSSARIES } from "../../src/glossaries/index.js";
+
+async function allVersions(id) {
+  const stored = (await list("glossaries", (r) => r.glossary.id === id)).map((r) => r.glossary);
+  return [GLOSSARIES[id], ...stored].filter(Boolean).sort((a, b) => a.version - b.version);
+}
+
+export function summarizeGlossary(g, builtIn = false) {
+  return { id: g.id, version: g.version, title: g.title, subject: g.subject, language: g.language, termCount: g.terms.length, builtIn };
+}
+
+/**
+ * Latest version of every glossary, built-ins first.
+ */
+export async function latestGlossaries() {
+  const latest = new Map(Object.values(GLOSSARIES).map((g) => [g.id, { glossary: g, builtIn: true }]));
+  for (const { glossary } of await list("glossaries")) {
+    const current = latest.get(glossary.id);
+    if (!current || glossary.version > current.glossary.version) latest.set(glossary.id, { glossary, builtIn: false });
+  }
+  return [...latest.values()].map(({ glossary, builtIn }) => summarizeGlossary(glossary, builtIn));
+}
+
+/**
+ * One glossary by id; the latest version unless `version` is given.
+ */
+export async function findGlossary(id, version) {
+  const versions = await allVersions(id);
+  const glossary = version === undefined ? versions.at(-1) : versions.find((g) => g.version === Number(version));
+  if (!glossary) throw new HttpError(404, "glossary_not_found", "Glossary not found");
+  return glossary;
+}
+
+/**
+ * Validate and store an import. `body` is either `{ glossary }` (a parsed
+ * glossary or term array) or `{ text, filename, ...meta }` with the raw
+ * CSV/JSON document.
+ */
+export async function importGlossary(body) {
+  let glossary;
+  try {
+    glossary = typeof body.text === "string"
+      ? parseGlossaryFile(body.text, body)
+      : parseGlossaryFile(JSON.stringify(body.glossary ?? null), body);
+  } catch (err) {
+    throw new HttpError(400, "invalid_glossary", `Glossary could not be read: ${err.message}`);
+  }
+  const previous = (await allVersions(glossary.id)).at(-1);
+  glossary = { ...glossary, version: previous ? previous.version + 1 : 1 };
+  const problems = validateGlossary(glossary);
+  if (problems.length) throw new HttpError(400, "invalid_glossary", "Glossary is not valid", problems);
+  await insert("glossaries", { glossary });
+  return glossary;
+}
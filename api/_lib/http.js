@@ -0,0 +1,83 @@
+// api/_lib/http.js
+// Shared request/response helpers for the serverless functions.
+// Files under api/_lib are not exposed as routes by Vercel.
+
+/**
+ * Error carrying an HTTP status and a machine-readable code so the UI can
+ * show something more useful than "Transcription failed".
+ */
+export class HttpError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+    this.code = code;
+    if (details !== undefined) this.details = details;
+  }
+}
+
+/**
+ * Read the whole request body into a Buffer, aborting with 413 as soon as
+ * it grows past `limit` bytes.
+ */
+export async function readRawBody(req, { limit = Infinity } = {}) {
+  const declared = Number(req.headers["content-length"]);
+  if (Number.isFinite(declared) && declared > limit) {
+    throw new HttpError(413, "payload_too_large", `Upload exceeds the ${formatBytes(limit)} limit`);
+  }
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > limit) {
+      throw new HttpError(413, "payload_too_large", `Upload exceeds the ${formatBytes(limit)} limit`);
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Parse a JSON request body. Some Vercel runtimes parse JSON automatically
+ * into `req.body`; otherwise read the stream ourselves.
+ */
+export async function readJsonBody(req, { limit = 1024 * 1024 } = {}) {
+  if (req.body !== undefined && typeof req.body === "object" && !Buffer.isBuffer(req.body)) return req.body || {};
+  const raw = typeof req.body === "string" ? req.body : (await readRawBody(req, { limit })).toString("utf8");
+  if (!raw) return {};
+  try {
+    return JSON.parse(raw);
+  } catch {
+    throw new HttpError(400, "invalid_json", "Request body is not valid JSON");
+  }
+}
+
+/**
+ * Query-string parameters. Vercel provides `req.query`; plain Node does not.
+ */
+export function getQuery(req) {
+  if (req.query) return req.query;
+  return Object.fromEntries(new URL(req.url || "/", "http://localhost").searchParams);
+}
+
+/**
+ * Send an error as `{ error, code, details? }`. Unknown errors become a 500
+ * with the given fallback code. An error's `retryAfter` (seconds) becomes
+ * a Retry-After header.
+ */
+export function sendError(res, err, fallbackCode = "internal_error") {
+  if (err instanceof HttpError) {
+    if (err.retryAfter !== undefined) res.setHeader("Retry-After", String(err.retryAfter));
+    const body = { error: err.message, code: err.code };
+    if (err.details !== undefined) body.details = err.details;
+    return res.status(err.status).json(body);
+  }
+  return res.status(500).json({ error: (err && err.message) || "Internal error", code: fallbackCode });
+}
+
+export function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) return `${Math.round(bytes / (1024 * 1024))} MB`;
+  if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${bytes} bytes`;
+}
@@ -0,0 +1,27 @@
+// api/_lib/language.js
+// The assessment language sent by the client, and how prompts ask for it.
+import { HttpError } from "./http.js";
+import { LANGUAGES, isSupportedLanguage } from "../../src/lexicons/index.js";
+
+/**
+ * A supported language code from a request, or undefined when none was
+ * sent (the model then works it out from the transcript).
+ */
+export function readLanguage(value) {
+  if (value === undefined || value === null || value === "") return undefined;
+  const code = String(value).trim().toLowerCase();
+  if (!isSupportedLanguage(code)) {
+    throw new HttpError(400, "unsupported_language", `Language must be one of ${LANGUAGES.map((l) => l.code).join(", ")}`);
+  }
+  return code;
+}
+
+/**
+ * A sentence for system prompts telling the model which language to write
+ * `what` in. Empty when no language was given.
+ */
+export function languageInstruction(language, what) {
+  const l = LANGUAGES.find((x) => x.code === language);
+  if (!l) return "";
+  return `\n\nThe student is speaking ${l.englishName}. Write ${what} in ${l.englishName}. Quotes must still be copied word for word from the text they quote.`;
+}
@@ -0,0 +1,115 @@
+// api/_lib/limits.js
+// Rate limits and daily quotas for the routes that spend the AI provider's
+// money:
+//
+//   RATE_LIMIT_PER_USER   requests per user per minute (default 30)
+//   RATE_LIMIT_PER_IP     requests per IP address per minute (default 120,
+//                         as a whole class may share one address)
+//   QUOTA_AUDIO_MINUTES   minutes of audio a user may transcribe per day (default 60)
+//   QUOTA_TOKENS          model tokens a user may use per day (default 100000)
+//
+// 0 turns a limit off. Days run midnight to midnight UTC. Rate-limit
+// counters live in memory, so each server instance counts separately;
+// quotas are kept in the store (see ./usage.js) and are shared.
+import { HttpError } from "./http.js";
+
+const WINDOW_MS = 60 * 1000;
+
+function limit(value, fallback) {
+  if (value === undefined || value === "") return fallback;
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+export function readLimitsConfig(env = process.env) {
+  return {
+    perUser: limit(env.RATE_LIMIT_PER_USER, 30),
+    perIp: limit(env.RATE_LIMIT_PER_IP, 120),
+    audioMinutes: limit(env.QUOTA_AUDIO_MINUTES, 60),
+    tokens: limit(env.QUOTA_TOKENS, 100000),
+    // proxies in front of the API that append to X-Forwarded-For; Vercel's
+    // edge is one, and it overwrites whatever the client sent
+    trustedProxies: limit(env.TRUSTED_PROXY_HOPS, env.VERCEL ? 1 : 0)
+  };
+}
+
+/**
+ * A sliding-window limiter allowing `limit` hits per key in any
+ * `windowMs`. `hit(key)` counts a request and returns
+ * `{ allowed, retryAfter }`, retryAfter being seconds until the next
+ * request would be allowed.
+ */
+export function createRateLimiter({ limit: max, windowMs = WINDOW_MS }) {
+  const hits = new Map();
+
+  function sweep(now) {
+    for (const [key, times] of hits) {
+      if (!times.length || times[times.length - 1] <= now - windowMs) hits.delete(key);
+    }
+  }
+
+  return {
+    hit(key, now = Date.now()) {
+      if (!max) return { allowed: true, retryAfter: 0 };
+      if (hits.size > 10000) sweep(now);
+      const times = (hits.get(key) || []).filter((t) => t > now - windowMs);
+      if (times.length >= max) {
+        hits.set(key, times);
+        return { allowed: false, retryAfter: Math.max(1, Math.ceil((times[0] + windowMs - now) / 1000)) };
+      }
+      times.push(now);
+      hits.set(key, times);
+      return { allowed: true, retryAfter: 0 };
+    }
+  };
+}
+
+export function rateLimitError(scope, retryAfter) {
+  const who = scope === "ip" ? "from this network" : "from your account";
+  const err = new HttpError(429, "rate_limited", `Too many requests ${who}. Try again in ${retryAfter} second${retryAfter === 1 ? "" : "s"}.`, { scope, retryAfter });
+  err.retryAfter = retryAfter;
+  return err;
+}
+
+/** "YYYY-MM-DD" of `now` in UTC. */
+export function dayKey(now = Date.now()) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+/** The next UTC midnight after `now`, when daily quotas reset. */
+export function quotaResetsAt(now = Date.now()) {
+  const d = new Date(now);
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 1));
+}
+
+/**
+ * The 429 to send when today's `usage` (from ./usage.js) leaves no room on
+ * the `meter` a route spends: "audio" or "tokens". Pass `audioSeconds`
+ * when the length of an upload is known, to refuse one that would go over.
+ * Returns null while there is quota left.
+ */
+export function quotaError(usage, limits, { meter, audioSeconds = 0 }, now = Date.now()) {
+  let quota = null;
+  if (meter === "audio" && limits.audioMinutes) {
+    const used = (usage.audioSeconds || 0) / 60;
+    const wanted = audioSeconds / 60;
+    if (wanted ? used + wanted > limits.audioMinutes : used >= limits.audioMinutes) {
+      quota = { quota: "audio_minutes", used: Math.round(used * 10) / 10, limit: limits.audioMinutes, requested: wanted ? Math.round(wanted * 10) / 10 : undefined };
+    }
+  }
+  if (meter === "tokens" && limits.tokens) {
+    const used = (usage.promptTokens || 0) + (usage.completionTokens || 0);
+    if (used >= limits.tokens) quota = { quota: "tokens", used, limit: limits.tokens };
+  }
+  if (!quota) return null;
+
+  const resetsAt = quotaResetsAt(now);
+  const message = quota.quota === "audio_minutes"
+    ? quota.requested
+      ? `This recording (${quota.requested} min) would take you past today's transcription limit of ${quota.limit} minutes; ${Math.max(0, Math.round((quota.limit - quota.used) * 10) / 10)} min left.`
+      : `You have used today's transcription limit of ${quota.limit} minutes.`
+    : `You have used today's AI feedback limit of ${quota.limit} tokens.`;
+  const err = new HttpError(429, "quota_exceeded", `${message} It resets at ${resetsAt.toISOString().slice(11, 16)} UTC.`, { ...quota, resetsAt: resetsAt.toISOString() });
+  err.retryAfter = Math.ceil((resetsAt.getTime() - now) / 1000);
+  return err;
+}
@@ -0,0 +1,44 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createRateLimiter, dayKey, quotaError, quotaResetsAt, readLimitsConfig } from "./limits.js";
+
+const NOW = Date.parse("2025-03-03T22:00:00Z");
+
+test("reads limits, with 0 turning one off", () => {
+  assert.deepEqual(readLimitsConfig({}), { perUser: 30, perIp: 120, audioMinutes: 60, tokens: 100000, trustedProxies: 0 });
+  assert.equal(readLimitsConfig({ QUOTA_TOKENS: "0", RATE_LIMIT_PER_IP: "x" }).tokens, 0);
+  assert.equal(readLimitsConfig({ RATE_LIMIT_PER_IP: "x" }).perIp, 120);
+  assert.equal(readLimitsConfig({ VERCEL: "1" }).trustedProxies, 1);
+  assert.equal(readLimitsConfig({ VERCEL: "1", TRUSTED_PROXY_HOPS: "0" }).trustedProxies, 0);
+});
+
+test("rate limits per key over a sliding window", () => {
+  const limiter = createRateLimiter({ limit: 2, windowMs: 1000 });
+  assert.ok(limiter.hit("a", 0).allowed);
+  assert.ok(limiter.hit("a", 400).allowed);
+  assert.deepEqual(limiter.hit("a", 500), { allowed: false, retryAfter: 1 });
+  assert.ok(limiter.hit("b", 500).allowed);
+  assert.ok(limiter.hit("a", 1001).allowed);
+  assert.ok(createRateLimiter({ limit: 0 }).hit("a").allowed);
+});
+
+test("daily quotas reset at midnight UTC", () => {
+  assert.equal(dayKey(NOW), "2025-03-03");
+  assert.equal(quotaResetsAt(NOW).toISOString(), "2025-03-04T00:00:00.000Z");
+});
+
+test("refuses when a quota is spent or an upload would overrun it", () => {
+  const limits = readLimitsConfig({});
+  const usage = { audioSeconds: 58 * 60, promptTokens: 60000, completionTokens: 40000 };
+  assert.equal(quotaError(usage, limits, { meter: "audio" }, NOW), null);
+
+  const tooLong = quotaError(usage, limits, { meter: "audio", audioSeconds: 180 }, NOW);
+  assert.equal(tooLong.status, 429);
+  assert.equal(tooLong.code, "quota_exceeded");
+  assert.equal(tooLong.retryAfter, 2 * 3600);
+  assert.match(tooLong.message, /3 min.*2 min left/);
+  assert.deepEqual(tooLong.details, { quota: "audio_minutes", used: 58, limit: 60, requested: 3, resetsAt: "2025-03-04T00:00:00.000Z" });
+
+  assert.equal(quotaError(usage, limits, { meter: "tokens" }, NOW).details.quota, "tokens");
+  assert.equal(quotaError(usage, { ...limits, tokens: 0 }, { meter: "tokens" }, NOW), null);
+});
@@ -0,0 +1,66 @@
+// api/_lib/providers/fixtures.js
+// Fixture responses for the mock provider.
+
+export const MOCK_TRANSCRIPT = "In this poem the speaker uses an extended metaphor of the sea to explore grief. " +
+  "Um, the imagery in the first stanza is calm, but the tone shifts when the waves become violent. " +
+  "I think the poet uses enjambment to show how the feeling spills over from one line to the next. " +
+  "So overall the structure mirrors the way grief comes and goes.";
+
+// a three-way discussion for diarized transcription; `overlap` is how many
+// seconds a turn talks over the one before it
+export const MOCK_DISCUSSION = [
+  { speaker: "A", text: "I think the sea in this poem stands for grief because it keeps coming back." },
+  { speaker: "B", text: "Yeah, but is it only grief? The calm first stanza could be" },
+  { speaker: "C", text: "Um, like, could be memory, the good times before the loss.", overlap: 0.6 },
+  { speaker: "A", text: "That's a good point. The violent waves come after the memory, so the grief interrupts it." },
+  { speaker: "B", text: "So the structure shows grief taking over. The enjambment makes the lines spill like water." },
+  { speaker: "C", text: "I agree with that." }
+];
+
+export const MOCK_COMPLETIONS = {
+  questions: JSON.stringify({
+    questions: [
+      { text: "How does the sea metaphor develop across the whole poem?", type: "extend", difficulty: "medium", quote: "an extended metaphor of the sea to explore grief" },
+      { text: "Which specific words create the calm tone in the first stanza?", type: "evidence", difficulty: "easy", quote: "the imagery in the first stanza is calm" },
+      { text: "Where exactly does the enjambment occur, and why there?", type: "clarify", difficulty: "medium", quote: "the poet uses enjambment" },
+      { text: "Is grief really presented as cyclical, or does the ending suggest it resolves?", type: "challenge", difficulty: "hard", quote: "the structure mirrors the way grief comes and goes" },
+      { text: "What makes the waves' violence a turning point?", type: "extend", difficulty: "medium", quote: "the tone shifts when the waves become violent" }
+    ]
+  }),
+  // one or two per speaker; only those quoting the chosen student survive
+  speakerQuestions: JSON.stringify({
+    questions: [
+      { text: "Why does the sea returning suggest grief rather than something else?", type: "challenge", difficulty: "medium", quote: "it keeps coming back" },
+      { text: "How does the order of the stanzas support your reading?", type: "extend", difficulty: "hard", quote: "the violent waves come after the memory" },
+      { text: "What else could the calm first stanza represent?", type: "clarify", difficulty: "easy", quote: "The calm first stanza could be" },
+      { text: "Which line shows the enjambment most clearly?", type: "evidence", difficulty: "medium", quote: "The enjambment makes the lines spill like water" },
+      { text: "What in the first stanza suggests memory?", type: "evidence", difficulty: "medium", quote: "could be memory" },
+      { text: "What exactly do you agree with, and why?", type: "clarify", difficulty: "easy", quote: "I agree with that" }
+    ]
+  }),
+  viva: JSON.stringify({
+    verdict: "partially_addressed",
+    score: 0.6,
+    comment: "You link the structure to grief, but you do not yet point to a specific moment in the poem.",
+    followUp: { text: "Which stanza shows grief returning most clearly?", type: "evidence", difficulty: "medium", quote: "grief comes and goes" }
+  }),
+  feedback: JSON.stringify({
+    summary: "You make a clear case that the poem's structure mirrors grief, and you notice the shift in tone. Support each point with a quotation and explain its effect.",
+    dimensions: [
+      { dimension: "thesis", level: "secure", comment: "Your opening states a clear, arguable reading of the poem.", quote: "an extended metaphor of the sea to explore grief" },
+      { dimension: "evidence", level: "emerging", comment: "You describe the imagery but never quote the poem.", quote: "the imagery in the first stanza is calm" },
+      { dimension: "structure", level: "developing", comment: "Your conclusion returns to the thesis, but the middle jumps between points.", quote: "So overall the structure mirrors the way grief comes and goes" },
+      { dimension: "terminology", level: "secure", comment: "Metaphor, imagery and enjambment are all used accurately.", quote: "the poet uses enjambment" },
+      { dimension: "engagement", level: "developing", comment: "You stay on the poem, but say little about how grief is presented overall.", quote: null }
+    ],
+    strengths: [
+      { dimension: "thesis", text: "A clear central reading in your first sentence.", quote: "uses an extended metaphor of the sea to explore grief" },
+      { dimension: "terminology", text: "Enjambment is linked to its effect, not just named.", quote: "the feeling spills over from one line to the next" }
+    ],
+    targets: [
+      { dimension: "evidence", text: "Quote the words that make the first stanza calm and explain their effect.", quote: "the imagery in the first stanza is calm" },
+      { dimension: "structure", text: "Signpost the shift in tone as the turning point of your argument.", quote: "the tone shifts when the waves become violent" }
+    ],
+    markBand: { band: "Merit", rationale: "A clear, accurate reading that needs close textual evidence to reach the top band.", quote: "the structure mirrors the way grief comes and goes" }
+  })
+};
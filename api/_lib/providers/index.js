@@ -0,0 +1,44 @@
+// api/_lib/providers/index.js
+// Picks the transcription/LLM backend from environment variables:
+//
+//   AI_PROVIDER        openai (default) | openai-compatible | mock
+//   OPENAI_API_KEY     key for the openai provider
+//   AI_BASE_URL        base URL for openai-compatible, e.g. http://localhost:8080/v1
+//   AI_API_KEY         optional key for openai-compatible
+//   TRANSCRIBE_MODEL   transcription model (default whisper-1)
+//   DIARIZE_MODEL      speaker-labelled transcription for group discussions
+//                      (default gpt-4o-transcribe-diarize)
+//   CHAT_MODEL         chat model (default gpt-4o-mini)
+//
+// Every provider exposes:
+//   transcribe(file, { language })  -> OpenAI verbose_json shape { text, duration, segments, words }
+//   diarize(file, { language })     -> OpenAI diarized_json shape { text, duration, segments }
+//                                      with a `speaker` label ("A", "B", ...) on each segment
+//   complete({ task, messages, maxTokens, temperature, jsonSchema }) -> { text, usage }
+// `task` names the kind of completion so the mock can pick a fixture.
+// `jsonSchema` is `{ name, schema }` and asks for a structured JSON reply.
+import { createMockProvider } from "./mock.js";
+import { createOpenAIProvider } from "./openai.js";
+
+export const PROVIDERS = ["openai", "openai-compatible", "mock"];
+
+export function getProvider(env = process.env) {
+  const name = (env.AI_PROVIDER || "openai").toLowerCase();
+  // verbose_json with word timestamps is only available on whisper-1
+  const transcribeModel = env.TRANSCRIBE_MODEL || "whisper-1";
+  const chatModel = env.CHAT_MODEL || "gpt-4o-mini";
+  const diarizeModel = env.DIARIZE_MODEL || "gpt-4o-transcribe-diarize";
+
+  switch (name) {
+    case "openai":
+      return createOpenAIProvider({ name, apiKey: env.OPENAI_API_KEY, transcribeModel, diarizeModel, chatModel });
+    case "openai-compatible":
+      if (!env.AI_BASE_URL) throw new Error("AI_BASE_URL must be set for the openai-compatible provider");
+      // local servers usually ignore the key but the SDK insists on one
+      return createOpenAIProvider({ name, apiKey: env.AI_API_KEY || "not-needed", baseURL: env.AI_BASE_URL, transcribeModel, diarizeModel, chatModel });
+    case "mock":
+      return createMockProvider();
+    default:
+      throw new Error(`Unknown AI_PROVIDER "${name}" (expected one of ${PROVIDERS.join(", ")})`);
+  }
+}
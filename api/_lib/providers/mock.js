@@ -0,0 +1,57 @@
+// api/_lib/providers/mock.js
+// Deterministic offline provider for development and end-to-end tests.
+// Returns fixture transcripts and completions without touching the network.
+import { MOCK_COMPLETIONS, MOCK_DISCUSSION, MOCK_TRANSCRIPT } from "./fixtures.js";
+
+// seconds per word when spreading the fixture transcript over time
+const WORD_SECONDS = 0.4;
+
+export function buildMockTranscription(text = MOCK_TRANSCRIPT) {
+  const sentences = text.match(/[^.!?]+[.!?]*/g).map((s) => s.trim()).filter(Boolean);
+  const segments = [];
+  const words = [];
+  let t = 0;
+  for (const sentence of sentences) {
+    const start = t;
+    for (const w of sentence.split(/\s+/)) {
+      words.push({ word: w.replace(/[^\p{L}\p{N}'-]/gu, ""), start: t, end: t + WORD_SECONDS * 0.8 });
+      t += WORD_SECONDS;
+    }
+    segments.push({ start, end: t, text: sentence });
+  }
+  return { text, duration: t, segments, words };
+}
+
+// the discussion fixture as diarized_json, turns following each other
+// unless the fixture says they overlap
+export function buildMockDiscussion(turns = MOCK_DISCUSSION) {
+  const segments = [];
+  let t = 0;
+  turns.forEach(({ speaker, text, overlap = 0 }, i) => {
+    const start = Math.max(0, t - overlap);
+    const end = start + text.split(/\s+/).length * WORD_SECONDS;
+    segments.push({ id: `seg_${i}`, type: "transcript.text.segment", speaker, start, end, text });
+    t = end + WORD_SECONDS;
+  });
+  return { task: "transcribe", text: turns.map((x) => x.text).join(" "), duration: t, segments };
+}
+
+export function createMockProvider() {
+  return {
+    name: "mock",
+
+    async transcribe() {
+      return buildMockTranscription();
+    },
+
+    async diarize() {
+      return buildMockDiscussion();
+    },
+
+    async complete({ task }) {
+      const text = MOCK_COMPLETIONS[task];
+      if (text === undefined) throw new Error(`Mock provider has no fixture for task "${task}"`);
+      return { text, usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 } };
+    }
+  };
+}
@@ -0,0 +1,47 @@
+// api/_lib/providers/openai.js
+// OpenAI, or any server that speaks the OpenAI API (LocalAI, vLLM,
+// LM Studio, whisper.cpp server...) when given a baseURL.
+import { OpenAI } from "openai";
+
+export function createOpenAIProvider({ name = "openai", apiKey, baseURL, transcribeModel, diarizeModel, chatModel }) {
+  const client = new OpenAI({ apiKey, ...(baseURL ? { baseURL } : {}) });
+
+  return {
+    name,
+
+    async transcribe(file, { language } = {}) {
+      return client.audio.transcriptions.create({
+        file,
+        model: transcribeModel,
+        ...(language ? { language } : {}),
+        response_format: "verbose_json",
+        timestamp_granularities: ["segment", "word"]
+      });
+    },
+
+    async diarize(file, { language } = {}) {
+      return client.audio.transcriptions.create({
+        file,
+        model: diarizeModel,
+        ...(language ? { language } : {}),
+        response_format: "diarized_json",
+        // required for recordings over 30 seconds
+        chunking_strategy: "auto"
+      });
+    },
+
+    async complete({ messages, maxTokens, temperature, jsonSchema }) {
+      const json = await client.chat.completions.create({
+        model: chatModel,
+        messages,
+        max_tokens: maxTokens,
+        temperature,
+        ...(jsonSchema ? { response_format: { type: "json_schema", json_schema: { ...jsonSchema, strict: true } } } : {})
+      });
+      return {
+        text: json.choices?.[0]?.message?.content || "",
+        usage: json.usage || null
+      };
+    }
+  };
+}
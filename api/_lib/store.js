@@ -0,0 +1,112 @@
+// api/_lib/store.js
+// Minimal JSON-file store for assignments and submissions.
+//
+// Each collection lives in DATA_DIR/<collection>.json as an array of
+// records; audio lives in DATA_DIR/blobs. Writes go through a per-process
+// queue and an atomic rename, which is plenty for one school's traffic on a
+// single server. On Vercel set DATA_DIR to a mounted volume (or /tmp for
+// demos; it does not persist between cold starts).
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import { randomUUID } from "node:crypto";
+import path from "node:path";
+
+export const DATA_DIR = path.resolve(process.env.DATA_DIR || ".data");
+
+let queue = Promise.resolve();
+
+// run `fn` after every previously queued write has finished
+function serialize(fn) {
+  const run = queue.then(fn, fn);
+  queue = run.catch(() => {});
+  return run;
+}
+
+function collectionPath(collection) {
+  if (!/^[a-z][a-z0-9-]*$/.test(collection)) throw new Error(`Invalid collection name "${collection}"`);
+  return path.join(DATA_DIR, `${collection}.json`);
+}
+
+async function readCollection(collection) {
+  try {
+    return JSON.parse(await readFile(collectionPath(collection), "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+}
+
+async function writeCollection(collection, records) {
+  await mkdir(DATA_DIR, { recursive: true });
+  const file = collectionPath(collection);
+  const tmp = `${file}.${process.pid}.tmp`;
+  await writeFile(tmp, JSON.stringify(records, null, 2));
+  await rename(tmp, file);
+}
+
+export async function list(collection, predicate = () => true) {
+  return (await readCollection(collection)).filter(predicate);
+}
+
+export async function get(collection, id) {
+  return (await readCollection(collection)).find((r) => r.id === id) || null;
+}
+
+export function insert(collection, record) {
+  return serialize(async () => {
+    const records = await readCollection(collection);
+    const now = new Date().toISOString();
+    const created = { id: randomUUID(), createdAt: now, updatedAt: now, ...record };
+    records.push(created);
+    await writeCollection(collection, records);
+    return created;
+  });
+}
+
+/**
+ * Merge `patch` into a record. Returns the updated record, or null if the
+ * id does not exist. `patch` may be a function of the current record.
+ */
+export function update(collection, id, patch) {
+  return serialize(async () => {
+    const records = await readCollection(collection);
+    const idx = records.findIndex((r) => r.id === id);
+    if (idx === -1) return null;
+    const changes = typeof patch === "function" ? patch(records[idx]) : patch;
+    records[idx] = { ...records[idx], ...changes, id, updatedAt: new Date().toISOString() };
+    await writeCollection(collection, records);
+    return records[idx];
+  });
+}
+
+/**
+ * Create or change the record with `id` in one step: `fn` gets the current
+ * record (or null) and returns the fields to store. Returns the record.
+ */
+export function upsert(collection, id, fn) {
+  return serialize(async () => {
+    const records = await readCollection(collection);
+    const idx = records.findIndex((r) => r.id === id);
+    const now = new Date().toISOString();
+    const current = idx === -1 ? null : records[idx];
+    const next = { createdAt: now, ...current, ...fn(current), id, updatedAt: now };
+    if (idx === -1) records.push(next);
+    else records[idx] = next;
+    await writeCollection(collection, records);
+    return next;
+  });
+}
+
+function blobPath(name) {
+  if (!/^[\w.-]+$/.test(name)) throw new Error(`Invalid blob name "${name}"`);
+  return path.join(DATA_DIR, "blobs", name);
+}
+
+export async function saveBlob(name, buffer) {
+  await mkdir(path.join(DATA_DIR, "blobs"), { recursive: true });
+  await writeFile(blobPath(name), buffer);
+  return name;
+}
+
+export function readBlob(name) {
+  return readFile(blobPath(name));
+}
@@ -0,0 +1,130 @@
+// api/_lib/transcription.js
+// Transcribes an uploaded recording, splitting long WAV audio into
+// overlapping chunks and stitching the timed segments back together.
+// Group discussions are diarized instead, labelling each segment with its
+// speaker.
+import { parseWav, sliceWav } from "./wav.js";
+
+export const CHUNK_SECONDS = 120;
+export const OVERLAP_SECONDS = 4;
+const CHUNK_CONCURRENCY = 3;
+
+/**
+ * Plan chunk windows over `duration` seconds. Each chunk overlaps the next by
+ * `overlap` seconds and "owns" the half of each overlap nearest to it, so
+ * every moment of audio is owned by exactly one chunk.
+ */
+export function planChunks(duration, { chunkSeconds = CHUNK_SECONDS, overlap = OVERLAP_SECONDS } = {}) {
+  if (duration <= chunkSeconds) return [{ start: 0, end: duration, ownStart: 0, ownEnd: Infinity }];
+
+  const step = chunkSeconds - overlap;
+  const chunks = [];
+  for (let start = 0; start < duration; start += step) {
+    const end = Math.min(duration, start + chunkSeconds);
+    chunks.push({ start, end });
+    if (end >= duration) break;
+  }
+  return chunks.map((c, i) => ({
+    ...c,
+    ownStart: i === 0 ? 0 : c.start + overlap / 2,
+    ownEnd: i === chunks.length - 1 ? Infinity : chunks[i + 1].start + overlap / 2
+  }));
+}
+
+function owned(chunk, start, end) {
+  const mid = (start + end) / 2;
+  return mid >= chunk.ownStart && mid < chunk.ownEnd;
+}
+
+function round(t) {
+  return Math.round(t * 100) / 100;
+}
+
+/**
+ * Merge per-chunk verbose transcription results into a single
+ * `{ transcript, segments, words, duration }`, shifting timings by each
+ * chunk's start and dropping the copy of anything said in an overlap.
+ * Diarized segments keep their `speaker`.
+ *
+ * Words belong to the chunk that owns their midpoint. A segment that
+ * crosses the edge of its chunk's owned window (the neighbouring chunk
+ * heard part of it too) is clipped to the window and keeps only its owned
+ * words; without word timings it is kept whole by the chunk it started
+ * in.
+ */
+export function stitchChunks(chunks, results, duration) {
+  const segments = [];
+  const words = [];
+
+  chunks.forEach((chunk, i) => {
+    const r = results[i] || {};
+    const timed = (r.words || []).map((w) => ({ word: w.word, start: chunk.start + w.start, end: chunk.start + w.end }));
+    const mine = timed.filter((w) => owned(chunk, w.start, w.end));
+    for (const w of mine) words.push({ word: w.word, start: round(w.start), end: round(w.end) });
+
+    for (const s of r.segments || []) {
+      let start = chunk.start + s.start;
+      let end = chunk.start + s.end;
+      let text = (s.text || "").trim();
+      if (!text) continue;
+      if (start < chunk.ownStart || end > chunk.ownEnd) {
+        if (timed.length) {
+          const inside = mine.filter((w) => (w.start + w.end) / 2 >= start && (w.start + w.end) / 2 <= end);
+          if (!inside.length) continue;
+          text = inside.map((w) => w.word.trim()).join(" ");
+          start = Math.max(start, chunk.ownStart);
+          end = Math.min(end, chunk.ownEnd);
+        } else if (start < chunk.ownStart || start >= chunk.ownEnd) {
+          continue;
+        }
+      }
+      segments.push({ start: round(start), end: round(end), text, ...(s.speaker ? { speaker: s.speaker } : {}) });
+    }
+  });
+
+  const transcript = chunks.length === 1
+    ? ((results[0] && results[0].text) || "").trim()
+    : segments.map((s) => s.text).join(" ");
+
+  return { transcript, segments, words, duration: round(duration) };
+}
+
+async function mapLimit(items, limit, fn) {
+  const out = new Array(items.length);
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const i = next++;
+      out[i] = await fn(items[i], i);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return out;
+}
+
+/**
+ * Transcribe `{ buffer, format, filename }` as returned by readAudioUpload
+ * using a provider from ./providers. WAV input longer than one chunk is
+ * split; other containers are sent whole. `language` (ISO 639-1) is passed
+ * to every request so short chunks are not misdetected.
+ *
+ * With `diarize` the recording is always sent whole, since speaker labels
+ * only mean the same person within one request; the result has no word
+ * timings.
+ */
+export async function transcribeAudio(provider, { buffer, format, filename }, { language, diarize = false } = {}) {
+  if (diarize || format.ext !== "wav") {
+    const file = new File([buffer], filename, { type: format.mime });
+    const result = diarize ? await provider.diarize(file, { language }) : await provider.transcribe(file, { language });
+    const duration = result.duration || 0;
+    return stitchChunks(planChunks(0), [result], duration);
+  }
+
+  const info = parseWav(buffer);
+  const chunks = planChunks(info.duration);
+  const results = await mapLimit(chunks, CHUNK_CONCURRENCY, (chunk, i) => {
+    const data = chunks.length === 1 ? buffer : sliceWav(buffer, info, chunk.start, chunk.end);
+    return provider.transcribe(new File([data], `chunk-${i}.wav`, { type: "audio/wav" }), { language });
+  });
+  return stitchChunks(chunks, results, info.duration);
+}
@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { planChunks, stitchChunks } from "./transcription.js";
+
+const WINDOW = { chunkSeconds: 120, overlap: 4 };
+
+test("planChunks covers the recording with overlapping chunks that own disjoint windows", () => {
+  assert.deepEqual(planChunks(90, WINDOW), [{ start: 0, end: 90, ownStart: 0, ownEnd: Infinity }]);
+  const chunks = planChunks(250, WINDOW);
+  assert.deepEqual(chunks.map((c) => [c.start, c.end]), [[0, 120], [116, 236], [232, 250]]);
+  assert.deepEqual(chunks.map((c) => [c.ownStart, c.ownEnd]), [[0, 118], [118, 234], [234, Infinity]]);
+});
+
+test("stitchChunks shifts timings and keeps a single chunk's own transcript", () => {
+  const [chunk] = planChunks(10, WINDOW);
+  const r = stitchChunks([chunk], [{ text: " Hello there. ", segments: [{ start: 0, end: 2, text: " Hello there." }], words: [{ word: "Hello", start: 0, end: 1 }] }], 10);
+  assert.equal(r.transcript, "Hello there.");
+  assert.deepEqual(r.segments, [{ start: 0, end: 2, text: "Hello there." }]);
+  assert.equal(r.duration, 10);
+});
+
+test("a segment crossing a chunk boundary is not repeated", () => {
+  const chunks = planChunks(250, WINDOW);
+  const results = [
+    {
+      segments: [{ start: 0, end: 10, text: "The poem opens calmly." }, { start: 115, end: 120, text: "spanning boundary" }],
+      words: [
+        { word: "The", start: 0, end: 1 }, { word: "poem", start: 1, end: 2 }, { word: "opens", start: 2, end: 3 }, { word: "calmly", start: 3, end: 4 },
+        { word: "spanning", start: 115, end: 117 }, { word: "boundary", start: 118.5, end: 119.5 }
+      ]
+    },
+    {
+      // the second chunk starts at 116 and hears the same words
+      segments: [{ start: 0, end: 4, text: "spanning boundary" }, { start: 10, end: 12, text: "Then it turns." }],
+      words: [
+        { word: "spanning", start: 0, end: 1 }, { word: "boundary", start: 2.5, end: 3.5 },
+        { word: "Then", start: 10, end: 10.5 }, { word: "it", start: 10.5, end: 11 }, { word: "turns", start: 11, end: 12 }
+      ]
+    },
+    {}
+  ];
+  const r = stitchChunks(chunks, results, 250);
+  assert.equal(r.transcript, "The poem opens calmly. spanning boundary Then it turns.");
+  assert.deepEqual(r.words.map((w) => w.word), ["The", "poem", "opens", "calmly", "spanning", "boundary", "Then", "it", "turns"]);
+  // clipped to the windows their chunks own
+  assert.deepEqual(r.segments[1], { start: 115, end: 118, text: "spanning" });
+  assert.deepEqual(r.segments[2], { start: 118, end: 120, text: "boundary" });
+  assert.deepEqual(r.segments[3], { start: 126, end: 128, text: "Then it turns." });
+});
+
+test("without word timings a boundary segment goes to the chunk it started in", () => {
+  const chunks = planChunks(250, WINDOW);
+  const results = [
+    { segments: [{ start: 115, end: 120, text: "first copy" }] },
+    { segments: [{ start: 0, end: 4, text: "second copy" }] },
+    {}
+  ];
+  assert.equal(stitchChunks(chunks, results, 250).transcript, "first copy");
+});
@@ -0,0 +1,78 @@
+// api/_lib/usage.js
+// What each user has spent, for quotas and cost reporting: one record per
+// user per day in the "usage" collection, with requests per route, audio
+// seconds transcribed and model tokens.
+import { dayKey } from "./limits.js";
+import { get, list, upsert } from "./store.js";
+
+export function usageId(userId, day) {
+  return `${day}:${userId}`;
+}
+
+const EMPTY = { requests: {}, audioSeconds: 0, promptTokens: 0, completionTokens: 0 };
+
+export async function getUsage(userId, now = Date.now()) {
+  return (await get("usage", usageId(userId, dayKey(now)))) || { ...EMPTY };
+}
+
+/**
+ * `{ promptTokens, completionTokens }` from a provider's usage object
+ * (chat completions or responses naming).
+ */
+export function tokensFrom(usage) {
+  if (!usage) return { promptTokens: 0, completionTokens: 0 };
+  return {
+    promptTokens: usage.prompt_tokens ?? usage.input_tokens ?? 0,
+    completionTokens: usage.completion_tokens ?? usage.output_tokens ?? 0
+  };
+}
+
+/**
+ * Add one request to `route` and what it spent to the user's record for
+ * today.
+ */
+export function recordUsage(user, route, { audioSeconds = 0, promptTokens = 0, completionTokens = 0 } = {}, now = Date.now()) {
+  const day = dayKey(now);
+  return upsert("usage", usageId(user.id, day), (current) => {
+    const prev = current || EMPTY;
+    return {
+      day,
+      userId: user.id,
+      name: user.name,
+      via: user.via,
+      className: user.className || null,
+      requests: { ...prev.requests, [route]: (prev.requests[route] || 0) + 1 },
+      audioSeconds: Math.round((prev.audioSeconds + audioSeconds) * 100) / 100,
+      promptTokens: prev.promptTokens + promptTokens,
+      completionTokens: prev.completionTokens + completionTokens
+    };
+  });
+}
+
+/**
+ * Totals per user over `records`, most tokens first:
+ * `[{ userId, name, via, className, days, requests, audioMinutes, promptTokens, completionTokens, totalTokens }]`.
+ */
+export function summarizeUsage(records) {
+  const byUser = new Map();
+  for (const r of records) {
+    const row = byUser.get(r.userId) || { userId: r.userId, name: r.name, via: r.via, className: r.className || null, days: 0, requests: 0, audioSeconds: 0, promptTokens: 0, completionTokens: 0 };
+    row.days++;
+    row.requests += Object.values(r.requests || {}).reduce((a, b) => a + b, 0);
+    row.audioSeconds += r.audioSeconds || 0;
+    row.promptTokens += r.promptTokens || 0;
+    row.completionTokens += r.completionTokens || 0;
+    byUser.set(r.userId, row);
+  }
+  return [...byUser.values()]
+    .map(({ audioSeconds, ...row }) => ({ ...row, audioMinutes: Math.round((audioSeconds / 60) * 10) / 10, totalTokens: row.promptTokens + row.completionTokens }))
+    .sort((a, b) => b.totalTokens - a.totalTokens || b.audioMinutes - a.audioMinutes);
+}
+
+/**
+ * Usage records for days from `from` to `to` inclusive ("YYYY-MM-DD",
+ * either may be left out).
+ */
+export function listUsage({ from, to } = {}) {
+  return list("usage", (r) => (!from || r.day >= from) && (!to || r.day <= to));
+}
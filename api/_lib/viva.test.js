@@ -0,0 +1,32 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { judgeAnswer, parseVivaReply } from "./viva.js";
+import { createMockProvider } from "./providers/mock.js";
+import { MOCK_TRANSCRIPT } from "./providers/fixtures.js";
+
+const ANSWER = "The structure shows that grief comes and goes like the tide.";
+
+test("parses a judgement and clamps the score", () => {
+  const r = parseVivaReply(JSON.stringify({ verdict: "addressed", score: 1.4, comment: " Good. ", followUp: null }), ANSWER);
+  assert.deepEqual(r, { judgement: { verdict: "addressed", score: 1, comment: "Good." }, followUp: null });
+});
+
+test("rejects unknown verdicts and invalid JSON", () => {
+  assert.equal(parseVivaReply(JSON.stringify({ verdict: "great", score: 1, comment: "", followUp: null }), ANSWER), null);
+  assert.equal(parseVivaReply("{", ANSWER), null);
+});
+
+test("drops follow-ups that do not quote the answer", () => {
+  const reply = (quote) => JSON.stringify({ verdict: "addressed", score: 1, comment: "", followUp: { text: "Why?", type: "extend", difficulty: "easy", quote } });
+  assert.equal(parseVivaReply(reply("like the tide"), ANSWER).followUp.quote, "like the tide");
+  assert.equal(parseVivaReply(reply("the moon"), ANSWER).followUp, null);
+});
+
+test("judges an answer with the mock provider", async () => {
+  const question = { text: "Is grief presented as cyclical?" };
+  const r = await judgeAnswer(createMockProvider(), { question: question.text, answer: MOCK_TRANSCRIPT, transcript: MOCK_TRANSCRIPT });
+  assert.equal(r.judgement.verdict, "partially_addressed");
+  assert.ok(r.followUp);
+  const noFollowUp = await judgeAnswer(createMockProvider(), { question: question.text, answer: MOCK_TRANSCRIPT, transcript: MOCK_TRANSCRIPT, followUp: false });
+  assert.equal(noFollowUp.followUp, null);
+});
@@ -0,0 +1,109 @@
+// api/_lib/wav.js
+// Just enough RIFF/WAVE handling to cut PCM audio into time ranges
+// without decoding it, and to decode it to mono samples for prosody
+// analysis outside the browser.
+import { HttpError } from "./http.js";
+
+/**
+ * Locate the fmt and data chunks of a PCM WAV file.
+ * Returns `{ sampleRate, channels, bitsPerSample, blockAlign, dataOffset, dataLength, duration }`.
+ */
+export function parseWav(buffer) {
+  if (buffer.toString("latin1", 0, 4) !== "RIFF" || buffer.toString("latin1", 8, 12) !== "WAVE") {
+    throw new HttpError(415, "unsupported_media_type", "Not a WAV file");
+  }
+
+  let fmt = null;
+  let pos = 12;
+  while (pos + 8 <= buffer.length) {
+    const id = buffer.toString("latin1", pos, pos + 4);
+    const size = buffer.readUInt32LE(pos + 4);
+    const body = pos + 8;
+    if (id === "fmt ") {
+      if (size < 16 || body + 16 > buffer.length) throw new HttpError(400, "malformed_wav", "WAV fmt chunk is truncated");
+      fmt = {
+        audioFormat: buffer.readUInt16LE(body),
+        channels: buffer.readUInt16LE(body + 2),
+        sampleRate: buffer.readUInt32LE(body + 4),
+        blockAlign: buffer.readUInt16LE(body + 12),
+        bitsPerSample: buffer.readUInt16LE(body + 14)
+      };
+      // zeros here would make the length Infinity or NaN
+      if (!fmt.channels || !fmt.sampleRate || !fmt.blockAlign) {
+        throw new HttpError(400, "malformed_wav", "WAV fmt chunk has no channels, sample rate or block size");
+      }
+    } else if (id === "data") {
+      if (!fmt) break;
+      // recorders that stream WAV sometimes leave the size at 0 or 0xFFFFFFFF
+      const dataLength = Math.min(size || Infinity, buffer.length - body);
+      return {
+        ...fmt,
+        dataOffset: body,
+        dataLength,
+        duration: dataLength / (fmt.blockAlign * fmt.sampleRate)
+      };
+    }
+    pos = body + size + (size % 2);
+  }
+  throw new HttpError(400, "malformed_wav", "WAV file has no fmt/data chunk");
+}
+
+function wavHeader(info, dataLength) {
+  const header = Buffer.alloc(44);
+  header.write("RIFF", 0, "latin1");
+  header.writeUInt32LE(36 + dataLength, 4);
+  header.write("WAVE", 8, "latin1");
+  header.write("fmt ", 12, "latin1");
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(info.audioFormat, 20);
+  header.writeUInt16LE(info.channels, 22);
+  header.writeUInt32LE(info.sampleRate, 24);
+  header.writeUInt32LE(info.sampleRate * info.blockAlign, 28);
+  header.writeUInt16LE(info.blockAlign, 32);
+  header.writeUInt16LE(info.bitsPerSample, 34);
+  header.write("data", 36, "latin1");
+  header.writeUInt32LE(dataLength, 40);
+  return header;
+}
+
+/**
+ * Copy the audio between `startSec` and `endSec` into a standalone WAV file.
+ */
+export function sliceWav(buffer, info, startSec, endSec) {
+  const frames = Math.floor(info.dataLength / info.blockAlign);
+  const from = Math.max(0, Math.min(frames, Math.floor(startSec * info.sampleRate)));
+  const to = Math.max(from, Math.min(frames, Math.ceil(endSec * info.sampleRate)));
+  const data = buffer.subarray(info.dataOffset + from * info.blockAlign, info.dataOffset + to * info.blockAlign);
+  return Buffer.concat([wavHeader(info, data.length), data]);
+}
+
+function readSample(buffer, offset, info) {
+  if (info.audioFormat === 3 && info.bitsPerSample === 32) return buffer.readFloatLE(offset);
+  switch (info.bitsPerSample) {
+    case 8: return (buffer.readUInt8(offset) - 128) / 128;
+    case 16: return buffer.readInt16LE(offset) / 0x8000;
+    case 24: return buffer.readIntLE(offset, 3) / 0x800000;
+    case 32: return buffer.readInt32LE(offset) / 0x80000000;
+    default: throw new HttpError(415, "unsupported_media_type", `Unsupported WAV sample size: ${info.bitsPerSample} bits`);
+  }
+}
+
+/**
+ * Decode PCM (8/16/24/32-bit integer or 32-bit float) to mono samples in
+ * [-1, 1], averaging the channels. Returns a Float32Array.
+ */
+export function decodeWavMono(buffer, info = parseWav(buffer)) {
+  if (info.audioFormat !== 1 && info.audioFormat !== 3 && info.audioFormat !== 0xfffe) {
+    throw new HttpError(415, "unsupported_media_type", "Only PCM WAV audio can be decoded");
+  }
+  const bytes = info.bitsPerSample / 8;
+  const frames = Math.floor(info.dataLength / info.blockAlign);
+  const samples = new Float32Array(frames);
+  for (let f = 0; f < frames; f++) {
+    const base = info.dataOffset + f * info.blockAlign;
+    let sum = 0;
+    for (let c = 0; c < info.channels; c++) sum += readSample(buffer, base + c * bytes, info);
+    samples[f] = sum / info.channels;
+  }
+  return samples;
+}
@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { decodeWavMono, parseWav, sliceWav } from "./wav.js";
+
+// 16-bit PCM WAV whose sample i is `value(i, channel)`
+function wav({ sampleRate = 8000, channels = 1, seconds = 1, value = () => 0 } = {}) {
+  const frames = Math.round(sampleRate * seconds);
+  const data = Buffer.alloc(frames * channels * 2);
+  for (let i = 0; i < frames; i++) {
+    for (let c = 0; c < channels; c++) data.writeInt16LE(value(i, c), (i * channels + c) * 2);
+  }
+  const header = Buffer.alloc(44);
+  header.write("RIFF", 0, "latin1");
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write("WAVE", 8, "latin1");
+  header.write("fmt ", 12, "latin1");
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * channels * 2, 28);
+  header.writeUInt16LE(channels * 2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write("data", 36, "latin1");
+  header.writeUInt32LE(data.length, 40);
+  return Buffer.concat([header, data]);
+}
+
+test("parseWav reads the format and length", () => {
+  const info = parseWav(wav({ sampleRate: 16000, channels: 2, seconds: 2.5 }));
+  assert.equal(info.sampleRate, 16000);
+  assert.equal(info.channels, 2);
+  assert.equal(info.dataOffset, 44);
+  assert.equal(info.duration, 2.5);
+  assert.throws(() => parseWav(Buffer.from("not a wav file at all")), { status: 415 });
+});
+
+test("parseWav refuses a truncated fmt chunk or a zero rate or block size", () => {
+  const buffer = wav({ seconds: 0.1 });
+  assert.throws(() => parseWav(buffer.subarray(0, 30)), { status: 400, code: "malformed_wav" });
+  const short = Buffer.from(buffer);
+  short.writeUInt32LE(8, 16);
+  assert.throws(() => parseWav(short), { status: 400, code: "malformed_wav" });
+  for (const offset of [24, 32]) {
+    const zeroed = Buffer.from(buffer);
+    zeroed.writeUInt32LE(0, offset);
+    assert.throws(() => parseWav(zeroed), { status: 400, code: "malformed_wav" });
+  }
+});
+
+test("a streamed WAV with no data size uses what was received", () => {
+  const buffer = wav({ seconds: 1 });
+  buffer.writeUInt32LE(0, 40);
+  assert.equal(parseWav(buffer).duration, 1);
+});
+
+test("sliceWav cuts a standalone WAV for a time range", () => {
+  const buffer = wav({ seconds: 3, value: (i) => Math.floor(i / 8000) * 1000 });
+  const info = parseWav(buffer);
+  const slice = sliceWav(buffer, info, 1, 2.5);
+  const sliced = parseWav(slice);
+  assert.equal(sliced.duration, 1.5);
+  assert.equal(slice.readInt16LE(44), 1000);
+  // ranges past the end are clamped
+  assert.equal(parseWav(sliceWav(buffer, info, 2, 10)).duration, 1);
+});
+
+test("decodeWavMono averages the channels", () => {
+  const samples = decodeWavMono(wav({ channels: 2, seconds: 0.01, value: (i, c) => (c ? 0x4000 : 0) }));
+  assert.equal(samples.length, 80);
+  assert.equal(samples[0], 0.25);
+});
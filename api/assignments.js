@@ -0,0 +1,50 @@
+// api/assignments.js
+// GET                list assignments (teacher)
+// GET ?id=...        one assignment (teacher)
+// GET ?code=...      assignment by join code (anyone), without an exam's
+//                    prompt cards
+// POST               create an assignment (teacher)
+import { withAccess } from "./_lib/access.js";
+import { HttpError, getQuery, readJsonBody, sendError } from "./_lib/http.js";
+import { generateCode, normalizeAssignment, publicAssignment } from "./_lib/assignments.js";
+import { get, insert, list } from "./_lib/store.js";
+
+async function handler(req, res) {
+  try {
+    if (req.method === "GET") {
+      const { id, code } = getQuery(req);
+      if (code) {
+        const wanted = String(code).trim().toUpperCase();
+        const [assignment] = await list("assignments", (a) => a.code === wanted);
+        if (!assignment) throw new HttpError(404, "assignment_not_found", "No assignment with that code");
+        return res.status(200).json({ assignment: publicAssignment(assignment) });
+      }
+      if (id) {
+        const assignment = await get("assignments", id);
+        if (!assignment) throw new HttpError(404, "assignment_not_found", "Assignment not found");
+        return res.status(200).json({ assignment });
+      }
+      const assignments = await list("assignments");
+      assignments.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+      return res.status(200).json({ assignments });
+    }
+
+    if (req.method === "POST") {
+      const record = normalizeAssignment(await readJsonBody(req));
+      const assignment = await insert("assignments", { ...record, code: await generateCode() });
+      return res.status(201).json({ assignment });
+    }
+
+    return res.status(405).json({ error: "Method not allowed", code: "method_not_allowed" });
+  } catch (err) {
+    console.error("assignments handler error:", err);
+    return sendError(res, err, "assignments_failed");
+  }
+}
+
+// looking an assignment up by its join code is open, as students need it to
+// join; full records (with exam cards) and creating are for teachers
+export default withAccess("assignments", handler, {
+  teacherOnly: true,
+  requireUser: (req) => !(req.method === "GET" && getQuery(req).code)
+});
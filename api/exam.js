@@ -0,0 +1,60 @@
+// api/exam.js
+// GET ?assignmentId=...               the signed-in student's attempts used
+//                                     and allowed
+// GET ?assignmentId=...&students=1    every student's attempts (teacher)
+// POST { assignmentId, device }       start an attempt for the signed-in
+//                                     student: draws a prompt card
+import { withAccess } from "./_lib/access.js";
+import { examStatus, listAttempts, startAttempt } from "./_lib/exam.js";
+import { HttpError, getQuery, readJsonBody, sendError } from "./_lib/http.js";
+import { get } from "./_lib/store.js";
+
+async function examAssignment(assignmentId, user) {
+  const assignment = assignmentId ? await get("assignments", String(assignmentId)) : null;
+  if (!assignment) throw new HttpError(404, "assignment_not_found", "Assignment not found");
+  if (!assignment.exam) throw new HttpError(400, "not_an_exam", "This assignment is not an exam");
+  if (user && assignment.roster.length && !assignment.roster.includes(user.name)) {
+    throw new HttpError(400, "unknown_student", "Student is not on this class roster");
+  }
+  return assignment;
+}
+
+async function handler(req, res, { user, ip }) {
+  try {
+    if (req.method === "GET") {
+      const { assignmentId, students } = getQuery(req);
+      if (students) {
+        await examAssignment(assignmentId);
+        return res.status(200).json({ students: await listAttempts(String(assignmentId)) });
+      }
+      const { used, maxAttempts } = await examStatus(await examAssignment(assignmentId, user), user);
+      return res.status(200).json({ used, maxAttempts });
+    }
+
+    if (req.method === "POST") {
+      const body = await readJsonBody(req);
+      const assignment = await examAssignment(body.assignmentId, user);
+      const attempt = await startAttempt(assignment, user, { device: body.device, ip, userAgent: req.headers["user-agent"] });
+      return res.status(201).json({
+        attempt: {
+          id: attempt.id,
+          number: attempt.number,
+          maxAttempts: assignment.exam.maxAttempts,
+          card: attempt.card,
+          drawnAt: attempt.drawnAt,
+          prepSeconds: assignment.exam.prepSeconds,
+          minSeconds: assignment.minSeconds,
+          maxSeconds: assignment.maxSeconds
+        }
+      });
+    }
+
+    return res.status(405).json({ error: "Method not allowed", code: "method_not_allowed" });
+  } catch (err) {
+    console.error("exam handler error:", err);
+    return sendError(res, err, "exam_failed");
+  }
+}
+
+// attempts belong to whoever is signed in; the class overview is for teachers
+export default withAccess("exam", handler, { teacherOnly: (req) => req.method === "GET" && Boolean(getQuery(req).students) });
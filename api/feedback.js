@@ -0,0 +1,52 @@
+// api/feedback.js
+import { withAccess } from "./_lib/access.js";
+import { HttpError, readJsonBody, sendError } from "./_lib/http.js";
+import { generateFeedback } from "./_lib/feedback.js";
+import { readLanguage } from "./_lib/language.js";
+import { getProvider } from "./_lib/providers/index.js";
+import { get } from "./_lib/store.js";
+import { tokensFrom } from "./_lib/usage.js";
+import { getRubric } from "../src/rubrics/index.js";
+
+async function handler(req, res, access) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed", code: "method_not_allowed" });
+  }
+
+  try {
+    const body = await readJsonBody(req);
+
+    const transcript = (body && typeof body.transcript === "string") ? body.transcript : "";
+    if (!transcript.trim()) throw new HttpError(400, "missing_transcript", "No transcript provided");
+
+    // an assignment supplies the prompt, language and rubric; otherwise the
+    // caller's prompt is judged against the task type's rubric
+    let prompt = typeof body.prompt === "string" ? body.prompt : "";
+    let rubric = getRubric(body.taskType);
+    let language = readLanguage(body.language);
+    if (body.assignmentId) {
+      const assignment = await get("assignments", String(body.assignmentId));
+      if (!assignment) throw new HttpError(404, "assignment_not_found", "Assignment not found");
+      prompt = assignment.prompt || prompt;
+      rubric = assignment.rubric;
+      language = language || assignment.language;
+    }
+    const bands = [...rubric.grades].sort((a, b) => b.min - a.min).map((g) => g.label);
+
+    let result;
+    try {
+      result = await generateFeedback(getProvider(), { transcript, prompt, bands, language });
+    } catch (err) {
+      console.error("Feedback provider error:", err.status, err.message);
+      return res.status(500).json({ error: "Feedback generation API error", code: "provider_error", details: err.message });
+    }
+
+    await access.recordUsage(tokensFrom(result.usage));
+    return res.status(200).json({ feedback: { ...result.feedback, rubricId: rubric.id }, truncated: result.truncated });
+  } catch (err) {
+    console.error("feedback handler error:", err);
+    return sendError(res, err, "feedback_failed");
+  }
+}
+
+export default withAccess("feedback", handler, { meter: "tokens" });
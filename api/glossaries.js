@@ -0,0 +1,30 @@
+// api/glossaries.js
+// GET                        latest version of every glossary
+// GET ?id=...[&version=N]    one glossary with its terms
+// POST                       import a glossary from CSV or JSON (new version if the id exists; teacher)
+import { withAccess } from "./_lib/access.js";
+import { getQuery, readJsonBody, sendError } from "./_lib/http.js";
+import { findGlossary, importGlossary, latestGlossaries, summarizeGlossary } from "./_lib/glossaries.js";
+
+async function handler(req, res) {
+  try {
+    if (req.method === "GET") {
+      const { id, version } = getQuery(req);
+      if (id) return res.status(200).json({ glossary: await findGlossary(id, version) });
+      return res.status(200).json({ glossaries: await latestGlossaries() });
+    }
+
+    if (req.method === "POST") {
+      const glossary = await importGlossary(await readJsonBody(req, { limit: 2 * 1024 * 1024 }));
+      return res.status(201).json({ glossary: summarizeGlossary(glossary) });
+    }
+
+    return res.status(405).json({ error: "Method not allowed", code: "method_not_allowed" });
+  } catch (err) {
+    console.error("glossaries handler error:", err);
+    return sendError(res, err, "glossaries_failed");
+  }
+}
+
+// anyone signed in may read glossaries; only teachers import them
+export default withAccess("glossaries", handler, { teacherOnly: (req) => req.method === "POST" });
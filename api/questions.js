@@ -1,68 +1,43 @@
 // api/questions.js
-import fetch from "node-fetch";
-
-export default async function handler(req, res) {
+import { withAccess } from "./_lib/access.js";
+import { HttpError, readJsonBody, sendError } from "./_lib/http.js";
+import { readLanguage } from "./_lib/language.js";
+import { getProvider } from "./_lib/providers/index.js";
+import { cleanSpeaker, generateQuestions, speakerLines } from "./_lib/questions.js";
+import { tokensFrom } from "./_lib/usage.js";
+
+async function handler(req, res, access) {
   if (req.method !== "POST") {
-    res.status(405).json({ error: "Method not allowed" });
+    res.status(405).json({ error: "Method not allowed", code: "method_not_allowed" });
     return;
   }
 
   try {
-    const body = await (async () => {
-      if (req.headers["content-type"] && req.headers["content-type"].includes("application/json")) {
-        return req.body;
-      } else {
-        // some Vercel runtimes parse JSON automatically; fallback:
-        const text = await new Promise((resolve, reject) => {
-          let s = "";
-          req.on("data", (c) => s += c);
-          req.on("end", () => resolve(s));
-          req.on("error", reject);
-        });
-        return text ? JSON.parse(text) : {};
-      }
-    })();
-
-    const transcript = (body && body.transcript) ? body.transcript : "";
-
-    const prompt = `You are an academic oral assessment assistant. Given the transcript below, write 4 concise probing or clarifying questions that would help a listener evaluate or dig deeper into the speaker's points. Keep questions short.
-
-Transcript:
-"${transcript.replace(/\\"/g, '"')}"`;
-
-    const openaiRes = await fetch("https://api.openai.com/v1/chat/completions", {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
-        "Content-Type": "application/json"
-      },
-      body: JSON.stringify({
-        model: "gpt-4o-mini",
-        messages: [{ role: "user", content: prompt }],
-        max_tokens: 200,
-        temperature: 0.7
-      })
-    });
-
-    if (!openaiRes.ok) {
-      const txt = await openaiRes.text();
-      console.error("OpenAI questions error:", openaiRes.status, txt);
-      return res.status(500).json({ error: "Question generation API error", details: txt });
+    const body = await readJsonBody(req);
+
+    const transcript = (body && typeof body.transcript === "string") ? body.transcript : "";
+    if (!transcript.trim()) throw new HttpError(400, "missing_transcript", "No transcript provided");
+    const language = readLanguage(body.language);
+    // a group discussion ("Name: words" per turn) and the student to question
+    const speaker = cleanSpeaker(body.speaker);
+    if (speaker && !speakerLines(transcript, speaker).trim()) {
+      throw new HttpError(400, "unknown_speaker", `${speaker} does not speak in this transcript`);
     }
 
-    const json = await openaiRes.json();
-    const text = json.choices?.[0]?.message?.content || json.choices?.[0]?.text || "";
-
-    const questions = text
-      .split(/\n/)
-      .map((s) => s.trim())
-      .filter(Boolean)
-      .map(s => s.replace(/^\d+\.?\s*/, "").trim())
-      .slice(0, 4);
+    let result;
+    try {
+      result = await generateQuestions(getProvider(), { transcript, count: body.count, language, speaker });
+    } catch (err) {
+      console.error("Questions provider error:", err.status, err.message);
+      return res.status(500).json({ error: "Question generation API error", code: "provider_error", details: err.message });
+    }
 
-    return res.status(200).json({ questions });
+    await access.recordUsage(tokensFrom(result.usage));
+    return res.status(200).json({ questions: result.questions, truncated: result.truncated });
   } catch (err) {
     console.error("questions handler error:", err);
-    return res.status(500).json({ error: err.message || "Question generation failed" });
+    return sendError(res, err, "question_generation_failed");
   }
 }
+
+export default withAccess("questions", handler, { meter: "tokens" });
@@ -0,0 +1,31 @@
+// api/session.js
+// GET     who is signed in: { user, methods, ssoLoginUrl }, or 401 with the
+//         sign-in methods in `details`
+// POST    exchange a class access code: { accessCode, name } -> { token, user, expiresAt }
+import { withAccess } from "./_lib/access.js";
+import { authenticate, createSession, readAuthConfig, signInMethods } from "./_lib/auth.js";
+import { readJsonBody, sendError } from "./_lib/http.js";
+
+async function handler(req, res, access) {
+  try {
+    const config = readAuthConfig();
+    if (req.method === "GET") {
+      const user = authenticate(req, config, { ip: access.ip });
+      return res.status(200).json({ user, methods: signInMethods(config), ssoLoginUrl: config.ssoLoginUrl });
+    }
+
+    if (req.method === "POST") {
+      const body = await readJsonBody(req);
+      return res.status(200).json(createSession({ accessCode: body.accessCode, name: body.name }, config));
+    }
+
+    return res.status(405).json({ error: "Method not allowed", code: "method_not_allowed" });
+  } catch (err) {
+    if (!err.status) console.error("session handler error:", err);
+    return sendError(res, err, "session_failed");
+  }
+}
+
+// open to everyone (it is how people sign in), but rate limited by IP so
+// access codes cannot be guessed quickly
+export default withAccess("session", handler, { requireUser: false });
@@ -0,0 +1,160 @@
+// api/submissions.js
+// GET ?assignmentId=...    submissions for an assignment (teacher)
+// GET ?id=...              one submission (teacher, or the student who sent it)
+// GET ?id=...&audio=1      the submitted recording (teacher)
+// POST                     multipart: `file` (audio) + `payload` (JSON);
+//                          exams also send `payload.exam` (./_lib/exam.js),
+//                          send their recording as WAV and are filed under
+//                          the signed-in user's name
+// PATCH ?id=...            teacher review: { criteria, grade, comment,
+//                          speakerNames } (speakerNames for discussions)
+import { withAccess } from "./_lib/access.js";
+import { readAudioUpload } from "./_lib/audio.js";
+import { fluencyFor, publicSubmission, readSegments, readSpeakerNames, readTranscript } from "./_lib/assignments.js";
+import { claimAttempt, linkSubmission } from "./_lib/exam.js";
+import { HttpError, getQuery, readJsonBody, sendError } from "./_lib/http.js";
+import { get, insert, list, readBlob, saveBlob, update } from "./_lib/store.js";
+import { parseWav } from "./_lib/wav.js";
+import { analyzeDiscussion } from "../src/lib/discussion.js";
+import { scoreAgainstRubric } from "../src/lib/rubric.js";
+
+export const config = {
+  api: {
+    bodyParser: false
+  }
+};
+
+// per-student metrics for a discussion assignment, from its labelled segments
+function discussionFor(assignment, segments, speakerNames) {
+  if (assignment.mode !== "discussion") return null;
+  return analyzeDiscussion(segments, { speakerNames, language: assignment.language });
+}
+
+// the length of a WAV upload; other containers would have to be decoded,
+// so their length is unknown (NaN)
+function measuredSeconds(upload) {
+  return upload.format.ext === "wav" ? parseWav(upload.buffer).duration : NaN;
+}
+
+function parsePayload(raw) {
+  try {
+    return JSON.parse(raw || "{}");
+  } catch {
+    throw new HttpError(400, "invalid_json", "Submission payload is not valid JSON");
+  }
+}
+
+async function handleGet(req, res, { user }) {
+  const { id, assignmentId, audio } = getQuery(req);
+  if (id) {
+    const submission = await get("submissions", id);
+    if (!submission) throw new HttpError(404, "submission_not_found", "Submission not found");
+    if (user.role !== "teacher" && submission.userId !== user.id) throw new HttpError(403, "forbidden", "This is not your submission");
+    if (audio) {
+      if (!submission.audio) throw new HttpError(404, "audio_not_found", "Submission has no audio");
+      res.setHeader("Content-Type", submission.audioMime || "application/octet-stream");
+      return res.status(200).send(await readBlob(submission.audio));
+    }
+    return res.status(200).json({ submission: publicSubmission(submission) });
+  }
+  if (!assignmentId) throw new HttpError(400, "missing_assignment", "assignmentId is required");
+  const submissions = await list("submissions", (s) => s.assignmentId === assignmentId);
+  return res.status(200).json({ submissions: submissions.map(publicSubmission) });
+}
+
+async function handlePost(req, res, { user }) {
+  const upload = await readAudioUpload(req);
+  const payload = parsePayload(upload.fields.payload);
+
+  const assignment = payload.assignmentId ? await get("assignments", payload.assignmentId) : null;
+  if (!assignment) throw new HttpError(404, "assignment_not_found", "Assignment not found");
+  // an exam is sat by whoever is signed in, whatever name the client sends
+  const studentName = assignment.exam ? user.name : typeof payload.studentName === "string" ? payload.studentName.trim() : "";
+  if (!studentName) throw new HttpError(400, "missing_student", "studentName is required");
+  if (assignment.roster.length && !assignment.roster.includes(studentName)) {
+    throw new HttpError(400, "unknown_student", "Student is not on this class roster");
+  }
+
+  // an exam recording must come from one of the student's unsubmitted
+  // attempts, and its length is measured here rather than taken on trust
+  const exam = assignment.exam ? await claimAttempt(assignment, user, payload.exam, { durationSeconds: measuredSeconds(upload) }) : null;
+
+  const analysis = payload.analysis && typeof payload.analysis === "object" ? payload.analysis : null;
+  const { transcript, words } = readTranscript(payload);
+  const segments = readSegments(payload.segments);
+  const speakerNames = readSpeakerNames(payload.speakerNames);
+  const submission = await insert("submissions", {
+    assignmentId: assignment.id,
+    userId: user.id,
+    studentName,
+    transcript,
+    segments,
+    words,
+    speakerNames,
+    analysis,
+    prosody: payload.prosody && typeof payload.prosody === "object" ? payload.prosody : null,
+    questions: Array.isArray(payload.questions) ? payload.questions : [],
+    exchanges: Array.isArray(payload.exchanges) ? payload.exchanges : [],
+    contentFeedback: payload.contentFeedback && typeof payload.contentFeedback === "object" ? payload.contentFeedback : null,
+    // scored on the server against the assignment's rubric
+    scored: analysis ? scoreAgainstRubric(analysis, assignment.rubric) : null,
+    // like the score, read-aloud fluency is worked out here from the passage
+    fluency: fluencyFor(assignment, transcript, { words, durationSeconds: analysis ? analysis.durationSeconds : 0 }),
+    discussion: discussionFor(assignment, segments, speakerNames),
+    speakerQuestions: payload.speakerQuestions && typeof payload.speakerQuestions === "object" ? payload.speakerQuestions : {},
+    exam,
+    review: null,
+    audio: null,
+    audioMime: upload.format.mime
+  });
+
+  const blobName = `${submission.id}.${upload.format.ext}`;
+  await saveBlob(blobName, upload.buffer);
+  const saved = await update("submissions", submission.id, { audio: blobName });
+  if (exam) await linkSubmission(assignment, user, exam.attemptId, submission.id);
+  return res.status(201).json({ submission: publicSubmission(saved) });
+}
+
+async function handlePatch(req, res) {
+  const { id } = getQuery(req);
+  const submission = id ? await get("submissions", id) : null;
+  if (!submission) throw new HttpError(404, "submission_not_found", "Submission not found");
+  const assignment = await get("assignments", submission.assignmentId);
+  if (!assignment) throw new HttpError(404, "assignment_not_found", "Assignment not found");
+
+  const body = await readJsonBody(req);
+  const review = {
+    criteria: body.criteria && typeof body.criteria === "object" ? body.criteria : {},
+    grade: typeof body.grade === "string" && body.grade ? body.grade : null,
+    comment: typeof body.comment === "string" ? body.comment.trim() : "",
+    reviewedAt: new Date().toISOString()
+  };
+  const scored = submission.analysis ? scoreAgainstRubric(submission.analysis, assignment.rubric, review) : null;
+  // the teacher may (re)name a discussion's speakers while reviewing
+  const speakerNames = body.speakerNames !== undefined ? readSpeakerNames(body.speakerNames) : submission.speakerNames || {};
+  const discussion = discussionFor(assignment, submission.segments || [], speakerNames);
+  const saved = await update("submissions", submission.id, { review, scored, speakerNames, discussion });
+  return res.status(200).json({ submission: publicSubmission(saved) });
+}
+
+// review, class lists and recordings are for teachers
+function teacherOnly(req) {
+  if (req.method === "PATCH") return true;
+  if (req.method !== "GET") return false;
+  const { id, audio } = getQuery(req);
+  return !id || Boolean(audio);
+}
+
+async function handler(req, res, access) {
+  try {
+    if (req.method === "GET") return await handleGet(req, res, access);
+    if (req.method === "POST") return await handlePost(req, res, access);
+    if (req.method === "PATCH") return await handlePatch(req, res);
+    return res.status(405).json({ error: "Method not allowed", code: "method_not_allowed" });
+  } catch (err) {
+    console.error("submissions handler error:", err);
+    return sendError(res, err, "submissions_failed");
+  }
+}
+
+export default withAccess("submissions", handler, { teacherOnly });
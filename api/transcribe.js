@@ -1,5 +1,10 @@
 // /api/transcribe.js
-import { OpenAI } from "openai";
+import { withAccess } from "./_lib/access.js";
+import { estimateAudioSeconds, readAudioUpload } from "./_lib/audio.js";
+import { getQuery, sendError } from "./_lib/http.js";
+import { readLanguage } from "./_lib/language.js";
+import { getProvider } from "./_lib/providers/index.js";
+import { transcribeAudio } from "./_lib/transcription.js";
 
 export const config = {
   api: {
@@ -7,43 +12,32 @@ export const config = {
   }
 };
 
-export default async function handler(req, res) {
-  console.log("REQ METHOD:", req.method);
-  console.log("HEADERS:", req.headers);
-  console.log("API KEY EXISTS:", !!process.env.OPENAI_API_KEY);
-
+async function handler(req, res, access) {
   if (req.method !== "POST") {
-    return res.status(405).json({ error: "Method not allowed" });
+    return res.status(405).json({ error: "Method not allowed", code: "method_not_allowed" });
   }
 
   try {
-    // Read raw audio buffer
-    const chunks = [];
-    for await (const chunk of req) chunks.push(chunk);
-    const buffer = Buffer.concat(chunks);
-
-    console.log("AUDIO BYTES:", buffer.length);
-
-    if (buffer.length === 0) {
-      return res.status(400).json({ error: "No audio received" });
-    }
-
-    // Use correct Node.js header access
-    const contentType = req.headers["content-type"] || "audio/webm";
-
-    // Construct File object for OpenAI
-    const audioFile = new File([buffer], "audio.webm", { type: contentType });
-
-    const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-
-    const result = await openai.audio.transcriptions.create({
-      file: audioFile,
-      model: "gpt-4o-transcribe"
-    });
-
-    return res.status(200).json({ transcript: result.text });
+    // Multipart (from the app's FormData) or a raw audio body; the language
+    // and diarize flag come as form fields or, for raw bodies, the query
+    const upload = await readAudioUpload(req);
+    const query = getQuery(req);
+    const language = readLanguage(upload.fields.language ?? query.language);
+    // group discussions: label each segment with its speaker
+    const diarize = ["1", "true"].includes(String(upload.fields.diarize ?? query.diarize ?? "").toLowerCase());
+    // refuse a recording that would overrun today's quota before it is
+    // sent; the real length is recorded once it has been transcribed
+    await access.checkQuota({ audioSeconds: estimateAudioSeconds(upload) });
+
+    // Long WAV recordings are split into overlapping chunks and stitched
+    const result = await transcribeAudio(getProvider(), upload, { language, diarize });
+    await access.recordUsage({ audioSeconds: result.duration });
+
+    return res.status(200).json(result);
   } catch (err) {
     console.error("TRANSCRIBE ERROR:", err);
-    return res.status(500).json({ error: err.message || "Transcription failed" });
+    return sendError(res, err, "transcription_failed");
   }
 }
+
+export default withAccess("transcribe", handler, { meter: "audio" });
@@ -0,0 +1,34 @@
+// api/usage.js
+// GET [?from=YYYY-MM-DD][&to=YYYY-MM-DD]   AI usage per user for cost
+//                                          reporting (teachers only)
+import { withAccess } from "./_lib/access.js";
+import { HttpError, getQuery, sendError } from "./_lib/http.js";
+import { readLimitsConfig } from "./_lib/limits.js";
+import { listUsage, summarizeUsage } from "./_lib/usage.js";
+
+function readDay(value, name) {
+  if (value === undefined || value === "") return undefined;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value))) throw new HttpError(400, "invalid_date", `${name} must be a date like 2025-01-31`);
+  return String(value);
+}
+
+async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed", code: "method_not_allowed" });
+  }
+
+  try {
+    const query = getQuery(req);
+    const from = readDay(query.from, "from");
+    const to = readDay(query.to, "to");
+    const days = await listUsage({ from, to });
+    days.sort((a, b) => a.day.localeCompare(b.day) || a.userId.localeCompare(b.userId));
+    const { audioMinutes, tokens } = readLimitsConfig();
+    return res.status(200).json({ from: from || null, to: to || null, quotas: { audioMinutes, tokens }, users: summarizeUsage(days), days });
+  } catch (err) {
+    console.error("usage handler error:", err);
+    return sendError(res, err, "usage_failed");
+  }
+}
+
+export default withAccess("usage", handler, { teacherOnly: true });
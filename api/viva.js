@@ -0,0 +1,43 @@
+// api/viva.js
+import { withAccess } from "./_lib/access.js";
+import { HttpError, readJsonBody, sendError } from "./_lib/http.js";
+import { readLanguage } from "./_lib/language.js";
+import { getProvider } from "./_lib/providers/index.js";
+import { tokensFrom } from "./_lib/usage.js";
+import { judgeAnswer } from "./_lib/viva.js";
+
+async function handler(req, res, access) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed", code: "method_not_allowed" });
+  }
+
+  try {
+    const body = await readJsonBody(req);
+    const question = body.question && typeof body.question === "object" ? body.question.text : body.question;
+    if (typeof question !== "string" || !question.trim()) throw new HttpError(400, "missing_question", "No question provided");
+    if (typeof body.answer !== "string" || !body.answer.trim()) throw new HttpError(400, "missing_answer", "No answer provided");
+    const language = readLanguage(body.language);
+
+    let result;
+    try {
+      result = await judgeAnswer(getProvider(), {
+        question,
+        answer: body.answer,
+        transcript: typeof body.transcript === "string" ? body.transcript : "",
+        followUp: body.followUp !== false,
+        language
+      });
+    } catch (err) {
+      console.error("Viva provider error:", err.status, err.message);
+      return res.status(500).json({ error: "Answer judgement API error", code: "provider_error", details: err.message });
+    }
+
+    await access.recordUsage(tokensFrom(result.usage));
+    return res.status(200).json({ judgement: result.judgement, followUp: result.followUp });
+  } catch (err) {
+    console.error("viva handler error:", err);
+    return sendError(res, err, "viva_failed");
+  }
+}
+
+export default withAccess("viva", handler, { meter: "tokens" });
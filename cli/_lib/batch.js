@@ -0,0 +1,209 @@
+// cli/_lib/batch.js
+// Batch-processes a folder of recordings with the same pipeline as the
+// app: transcription (/api/transcribe), analyzeTranscript, rubric scoring
+// and probing questions (/api/questions). Each recording gets a results
+// file named after the student; a class summary CSV covers them all.
+// Results are written atomically, so an interrupted or partly failed run
+// can be resumed and only redoes what is missing.
+import { mkdir, readFile, readdir, rename, rm, stat, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { MAX_UPLOAD_BYTES, detectAudioFormat } from "../../api/_lib/audio.js";
+import { generateFeedback } from "../../api/_lib/feedback.js";
+import { generateQuestions } from "../../api/_lib/questions.js";
+import { transcribeAudio } from "../../api/_lib/transcription.js";
+import { decodeWavMono, parseWav } from "../../api/_lib/wav.js";
+import { recordsToCsv } from "../../src/lib/exports.js";
+import { analyzeProsody } from "../../src/lib/prosody.js";
+import { scoreAgainstRubric } from "../../src/lib/rubric.js";
+import { analyzeTranscript } from "../../src/lib/speechMetrics.js";
+
+export const AUDIO_EXTENSIONS = [".wav", ".webm", ".ogg", ".flac", ".m4a", ".mp3", ".mp4", ".mpeg", ".mpga"];
+export const DEFAULT_CONCURRENCY = 2;
+export const DEFAULT_RETRIES = 2;
+const RETRY_BASE_MS = 1000;
+
+export const SUMMARY_FILE = "summary.csv";
+export const ERRORS_FILE = "errors.json";
+
+/**
+ * The student's name from a recording's file name: "ada_lovelace.m4a" ->
+ * "Ada Lovelace".
+ */
+export function studentNameFromFile(file) {
+  const base = path.basename(file, path.extname(file)).replace(/_+/g, " ").replace(/\s+/g, " ").trim();
+  return base.replace(/(^|\s)\p{Ll}/gu, (m) => m.toUpperCase());
+}
+
+/**
+ * A file name for a student's results that is safe on every platform.
+ */
+export function resultFileName(file) {
+  const slug = path.basename(file, path.extname(file))
+    .normalize("NFKD").replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+  return `${slug || "recording"}.json`;
+}
+
+export async function listRecordings(dir) {
+  const entries = await readdir(dir, { withFileTypes: true });
+  return entries
+    .filter((e) => e.isFile() && AUDIO_EXTENSIONS.includes(path.extname(e.name).toLowerCase()))
+    .map((e) => path.join(dir, e.name))
+    .sort();
+}
+
+async function writeJsonAtomic(file, value) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  await writeFile(tmp, JSON.stringify(value, null, 2));
+  await rename(tmp, file);
+}
+
+async function readJson(file) {
+  try {
+    return JSON.parse(await readFile(file, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+// the results of an earlier run, if they were made from this same file
+async function previousResult(resultPath, source) {
+  const prev = await readJson(resultPath);
+  return prev && prev.source && prev.source.size === source.size && prev.source.mtimeMs === source.mtimeMs ? prev : null;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// retry provider calls on failure, with exponential backoff; input errors
+// (HttpError 4xx such as an unreadable file) are not worth retrying
+async function withRetries(fn, retries, baseMs) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      const permanent = err && err.status >= 400 && err.status < 500 && err.status !== 429;
+      if (permanent || attempt >= retries) throw err;
+      await sleep(baseMs * 2 ** attempt);
+    }
+  }
+}
+
+/**
+ * Run one recording through the pipeline and return its results record.
+ */
+export async function processRecording(provider, file, options) {
+  const { language, taskType, rubric, glossary, questionCount, feedbackPrompt, bands } = options;
+  const buffer = await readFile(file);
+  const format = detectAudioFormat(buffer);
+  if (!format) throw Object.assign(new Error("Not a supported audio file"), { status: 415 });
+  // long WAV is chunked; anything else goes to the model whole
+  if (format.ext !== "wav" && buffer.length > MAX_UPLOAD_BYTES) {
+    throw Object.assign(new Error(`File exceeds the ${Math.round(MAX_UPLOAD_BYTES / 1024 / 1024)} MB limit; convert it to WAV to split it`), { status: 413 });
+  }
+
+  // prosody needs decoded samples, which only WAV gives us without a decoder
+  let prosody = null;
+  if (format.ext === "wav") {
+    const info = parseWav(buffer);
+    prosody = analyzeProsody(decodeWavMono(buffer, info), info.sampleRate);
+  }
+
+  const transcription = await transcribeAudio(provider, { buffer, format, filename: path.basename(file) }, { language });
+  const analysis = analyzeTranscript(transcription.transcript, { durationSeconds: transcription.duration, prosody, glossary, language });
+
+  let questions = [];
+  if (analysis && questionCount > 0) {
+    questions = (await generateQuestions(provider, { transcript: transcription.transcript, count: questionCount, language })).questions;
+  }
+  let contentFeedback = null;
+  if (analysis && feedbackPrompt !== undefined) {
+    contentFeedback = (await generateFeedback(provider, { transcript: transcription.transcript, prompt: feedbackPrompt, bands, language })).feedback;
+  }
+
+  return {
+    studentName: studentNameFromFile(file),
+    taskType,
+    language,
+    glossary: { id: glossary.id, version: glossary.version },
+    transcript: transcription.transcript,
+    segments: transcription.segments,
+    words: transcription.words,
+    analysis,
+    prosody,
+    scored: analysis ? scoreAgainstRubric(analysis, rubric) : null,
+    questions,
+    contentFeedback
+  };
+}
+
+/**
+ * Process every recording in `dir` into `outDir`.
+ *
+ * @param {object} provider from api/_lib/providers
+ * @param {object} options
+ * @param {string} options.dir folder of recordings
+ * @param {string} options.outDir where results, the summary and errors go
+ * @param {object} options.rubric rubric to score against
+ * @param {object} options.glossary subject glossary
+ * @param {number} [options.concurrency] recordings processed at once
+ * @param {number} [options.retries] extra attempts per recording
+ * @param {boolean} [options.force] reprocess recordings that already have results
+ * @param {function} [options.onProgress] called with `{ file, status, error? }`
+ *   where status is "skipped", "done" or "failed"
+ * @returns {Promise<{ done: string[], skipped: string[], failed: { file, error }[] }>}
+ */
+export async function runBatch(provider, options) {
+  const { dir, outDir, concurrency = DEFAULT_CONCURRENCY, retries = DEFAULT_RETRIES, retryBaseMs = RETRY_BASE_MS, force = false, onProgress = () => {} } = options;
+  await mkdir(outDir, { recursive: true });
+  const files = await listRecordings(dir);
+  const report = { done: [], skipped: [], failed: [] };
+  const records = new Array(files.length).fill(null);
+
+  const taken = new Map();
+  const targets = files.map((file) => {
+    // two recordings that slug the same keep separate results
+    const name = resultFileName(file);
+    const n = (taken.get(name) || 0) + 1;
+    taken.set(name, n);
+    return path.join(outDir, n > 1 ? name.replace(/\.json$/, `-${n}.json`) : name);
+  });
+
+  let next = 0;
+  async function worker() {
+    while (next < files.length) {
+      const i = next++;
+      const file = files[i];
+      const info = await stat(file);
+      const source = { file: path.basename(file), size: info.size, mtimeMs: info.mtimeMs };
+
+      const prev = force ? null : await previousResult(targets[i], source);
+      if (prev) {
+        records[i] = prev;
+        report.skipped.push(file);
+        onProgress({ file, status: "skipped" });
+        continue;
+      }
+
+      try {
+        const record = await withRetries(() => processRecording(provider, file, options), retries, retryBaseMs);
+        records[i] = { id: path.basename(targets[i], ".json"), createdAt: new Date().toISOString(), source, ...record };
+        await writeJsonAtomic(targets[i], records[i]);
+        report.done.push(file);
+        onProgress({ file, status: "done" });
+      } catch (err) {
+        report.failed.push({ file, error: err && err.message ? err.message : String(err) });
+        onProgress({ file, status: "failed", error: err });
+      }
+    }
+  }
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, files.length)) }, worker));
+
+  // the summary covers everything processed so far, this run or earlier
+  const finished = records.filter(Boolean);
+  await writeFile(path.join(outDir, SUMMARY_FILE), recordsToCsv(finished, { rubricFor: () => options.rubric }));
+  if (report.failed.length) await writeJsonAtomic(path.join(outDir, ERRORS_FILE), report.failed.map((f) => ({ file: path.basename(f.file), error: f.error })));
+  else await rm(path.join(outDir, ERRORS_FILE), { force: true });
+  return report;
+}
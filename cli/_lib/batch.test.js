@@ -0,0 +1,101 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readFile, readdir, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { ERRORS_FILE, SUMMARY_FILE, resultFileName, runBatch, studentNameFromFile } from "./batch.js";
+import { createMockProvider } from "../../api/_lib/providers/mock.js";
+import { getGlossary } from "../../src/glossaries/index.js";
+import { getRubric } from "../../src/rubrics/index.js";
+
+// a short 16-bit mono recording: tone, a pause, tone again
+function toneWav(seconds = 3, sampleRate = 16000) {
+  const n = Math.round(seconds * sampleRate);
+  const buf = Buffer.alloc(44 + n * 2);
+  buf.write("RIFF", 0, "latin1");
+  buf.writeUInt32LE(36 + n * 2, 4);
+  buf.write("WAVEfmt ", 8, "latin1");
+  buf.writeUInt32LE(16, 16);
+  buf.writeUInt16LE(1, 20);
+  buf.writeUInt16LE(1, 22);
+  buf.writeUInt32LE(sampleRate, 24);
+  buf.writeUInt32LE(sampleRate * 2, 28);
+  buf.writeUInt16LE(2, 32);
+  buf.writeUInt16LE(16, 34);
+  buf.write("data", 36, "latin1");
+  buf.writeUInt32LE(n * 2, 40);
+  for (let i = 0; i < n; i++) {
+    const pause = i > n / 3 && i < (2 * n) / 3;
+    buf.writeInt16LE(pause ? 0 : Math.round(Math.sin((2 * Math.PI * 150 * i) / sampleRate) * 8000), 44 + i * 2);
+  }
+  return buf;
+}
+
+function options(dir, extra = {}) {
+  return {
+    dir,
+    outDir: path.join(dir, "results"),
+    concurrency: 2,
+    retries: 1,
+    retryBaseMs: 1,
+    language: "en",
+    taskType: "gcse-spoken-language",
+    rubric: getRubric("gcse-spoken-language"),
+    glossary: getGlossary("english-language-literature"),
+    questionCount: 2,
+    ...extra
+  };
+}
+
+test("names students and result files from file names", () => {
+  assert.equal(studentNameFromFile("/x/ada_lovelace.m4a"), "Ada Lovelace");
+  assert.equal(studentNameFromFile("zoë  o'neil.wav"), "Zoë O'neil");
+  assert.equal(resultFileName("/x/Zoë O'Neil.wav"), "zoe-o-neil.json");
+  assert.equal(resultFileName("???.wav"), "recording.json");
+});
+
+test("processes a folder, records failures and resumes", async () => {
+  const dir = await mkdtemp(path.join(tmpdir(), "oral-batch-"));
+  try {
+    await writeFile(path.join(dir, "ada_lovelace.wav"), toneWav());
+    await writeFile(path.join(dir, "grace_hopper.wav"), toneWav());
+    await writeFile(path.join(dir, "broken.wav"), "not audio at all");
+    await writeFile(path.join(dir, "notes.txt"), "ignored");
+
+    // the provider fails once, which a retry absorbs
+    const mock = createMockProvider();
+    let failures = 1;
+    const flaky = { ...mock, async transcribe(...args) { if (failures-- > 0) throw new Error("503 from provider"); return mock.transcribe(...args); } };
+
+    const first = await runBatch(flaky, options(dir));
+    assert.equal(first.done.length, 2);
+    assert.deepEqual(first.failed.map((f) => path.basename(f.file)), ["broken.wav"]);
+
+    const out = path.join(dir, "results");
+    assert.deepEqual((await readdir(out)).sort(), ["ada-lovelace.json", ERRORS_FILE, "grace-hopper.json", SUMMARY_FILE]);
+    const ada = JSON.parse(await readFile(path.join(out, "ada-lovelace.json"), "utf8"));
+    assert.equal(ada.studentName, "Ada Lovelace");
+    assert.ok(ada.analysis.wordCount > 0);
+    assert.ok(ada.prosody);
+    assert.equal(ada.questions.length, 2);
+    assert.ok(ada.scored.grade);
+
+    const [header, ...rows] = (await readFile(path.join(out, SUMMARY_FILE), "utf8")).trim().split("\r\n");
+    assert.ok(header.startsWith("id,createdAt,studentName,"));
+    assert.deepEqual(rows.map((r) => r.split(",")[2]), ["Ada Lovelace", "Grace Hopper"]);
+
+    // fix the broken recording: only it is processed on the next run
+    await writeFile(path.join(dir, "broken.wav"), toneWav());
+    const second = await runBatch(createMockProvider(), options(dir));
+    assert.deepEqual(second.done.map((f) => path.basename(f)), ["broken.wav"]);
+    assert.equal(second.skipped.length, 2);
+    assert.equal(second.failed.length, 0);
+    assert.ok(!(await readdir(out)).includes(ERRORS_FILE));
+    assert.equal((await readFile(path.join(out, SUMMARY_FILE), "utf8")).trim().split("\r\n").length, 4);
+
+    const forced = await runBatch(createMockProvider(), options(dir, { force: true }));
+    assert.equal(forced.done.length, 3);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+// cli/batch.js
+// Process a folder of recordings from the command line. See --help.
+import { readFile } from "node:fs/promises";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { DEFAULT_CONCURRENCY, DEFAULT_RETRIES, ERRORS_FILE, SUMMARY_FILE, runBatch } from "./_lib/batch.js";
+import { readLanguage } from "../api/_lib/language.js";
+import { getProvider } from "../api/_lib/providers/index.js";
+import { parseGlossaryFile, validateGlossary } from "../src/lib/glossary.js";
+import { validateRubric } from "../src/lib/rubric.js";
+import { GLOSSARIES, DEFAULT_GLOSSARY_ID } from "../src/glossaries/index.js";
+import { DEFAULT_LANGUAGE, LANGUAGES } from "../src/lexicons/index.js";
+import { DEFAULT_TASK_TYPE, RUBRICS } from "../src/rubrics/index.js";
+
+const USAGE = `Usage: npm run batch -- <folder> [options]
+
+Transcribes, analyses and scores every recording in <folder>, writing one
+results file per student and ${SUMMARY_FILE} for the class. Re-running resumes:
+recordings that already have results are skipped unless --force is given.
+
+Options:
+  --out <dir>            results folder (default <folder>/results)
+  --concurrency <n>      recordings processed at once (default ${DEFAULT_CONCURRENCY})
+  --retries <n>          extra attempts for a failed recording (default ${DEFAULT_RETRIES})
+  --language <code>      ${LANGUAGES.map((l) => l.code).join(", ")} (default ${DEFAULT_LANGUAGE})
+  --task-type <id>       built-in rubric: ${Object.keys(RUBRICS).join(", ")} (default ${DEFAULT_TASK_TYPE})
+  --rubric <file.json>   custom rubric instead of --task-type
+  --glossary <id>        built-in glossary: ${Object.keys(GLOSSARIES).join(", ")}
+  --glossary-file <file> glossary CSV or JSON instead of --glossary
+  --questions <n>        probing questions per recording, 0 for none (default 4)
+  --feedback             also generate content feedback (/api/feedback)
+  --prompt <text>        task prompt the content feedback is judged against
+  --force                reprocess recordings that already have results
+  -h, --help             show this message
+
+The AI provider is configured with the same environment variables as the
+API (AI_PROVIDER, OPENAI_API_KEY, ...).`;
+
+function fail(message) {
+  console.error(`${message}\n\n${USAGE}`);
+  process.exit(2);
+}
+
+function count(value, name, min) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min) fail(`--${name} must be a whole number of at least ${min}`);
+  return n;
+}
+
+async function loadOptions(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        out: { type: "string" },
+        concurrency: { type: "string", default: String(DEFAULT_CONCURRENCY) },
+        retries: { type: "string", default: String(DEFAULT_RETRIES) },
+        language: { type: "string" },
+        "task-type": { type: "string", default: DEFAULT_TASK_TYPE },
+        rubric: { type: "string" },
+        glossary: { type: "string", default: DEFAULT_GLOSSARY_ID },
+        "glossary-file": { type: "string" },
+        questions: { type: "string", default: "4" },
+        feedback: { type: "boolean", default: false },
+        prompt: { type: "string", default: "" },
+        force: { type: "boolean", default: false },
+        help: { type: "boolean", short: "h", default: false }
+      }
+    });
+  } catch (err) {
+    fail(err.message);
+  }
+  const { values, positionals } = parsed;
+  if (values.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+  if (positionals.length !== 1) fail("Give exactly one folder of recordings");
+
+  let language;
+  try {
+    language = readLanguage(values.language) || DEFAULT_LANGUAGE;
+  } catch (err) {
+    fail(err.message);
+  }
+
+  let rubric = RUBRICS[values["task-type"]];
+  if (values.rubric) {
+    rubric = JSON.parse(await readFile(values.rubric, "utf8"));
+    const problems = validateRubric(rubric);
+    if (problems.length) fail(`Rubric is not valid: ${problems.join("; ")}`);
+  } else if (!rubric) {
+    fail(`Unknown task type "${values["task-type"]}"`);
+  }
+
+  let glossary = GLOSSARIES[values.glossary];
+  if (values["glossary-file"]) {
+    glossary = parseGlossaryFile(await readFile(values["glossary-file"], "utf8"), { filename: values["glossary-file"] });
+    const problems = validateGlossary(glossary);
+    if (problems.length) fail(`Glossary is not valid: ${problems.join("; ")}`);
+  } else if (!glossary) {
+    fail(`Unknown glossary "${values.glossary}"`);
+  }
+
+  const dir = path.resolve(positionals[0]);
+  return {
+    dir,
+    outDir: path.resolve(values.out || path.join(dir, "results")),
+    concurrency: count(values.concurrency, "concurrency", 1),
+    retries: count(values.retries, "retries", 0),
+    language,
+    taskType: values.rubric ? rubric.taskType || null : values["task-type"],
+    rubric,
+    glossary,
+    questionCount: Math.min(10, count(values.questions, "questions", 0)),
+    feedbackPrompt: values.feedback ? values.prompt : undefined,
+    bands: [...rubric.grades].sort((a, b) => b.min - a.min).map((g) => g.label),
+    force: values.force
+  };
+}
+
+async function main() {
+  const options = await loadOptions(process.argv.slice(2));
+  const provider = getProvider();
+  let finished = 0;
+
+  const report = await runBatch(provider, {
+    ...options,
+    onProgress: ({ file, status, error }) => {
+      finished++;
+      const detail = status === "failed" ? `: ${error.message}` : "";
+      console.log(`[${finished}] ${status.padEnd(7)} ${path.basename(file)}${detail}`);
+    }
+  });
+
+  const total = report.done.length + report.skipped.length + report.failed.length;
+  if (!total) {
+    console.log(`No recordings found in ${options.dir}`);
+    return;
+  }
+  console.log(`\n${report.done.length} processed, ${report.skipped.length} already done, ${report.failed.length} failed.`);
+  console.log(`Class summary: ${path.join(options.outDir, SUMMARY_FILE)}`);
+  if (report.failed.length) {
+    console.log(`Failures are listed in ${path.join(options.outDir, ERRORS_FILE)}; run the same command again to retry them.`);
+    process.exitCode = 1;
+  }
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
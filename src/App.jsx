@@ -1,4 +1,33 @@
 import React, { useEffect, useRef, useState } from "react";
+import AnnotatedTranscript from "./components/AnnotatedTranscript.jsx";
+import AssignmentJoin from "./components/AssignmentJoin.jsx";
+import ContentFeedback from "./components/ContentFeedback.jsx";
+import DiscussionPanel from "./components/DiscussionPanel.jsx";
+import ExamPanel from "./components/ExamPanel.jsx";
+import HistoryView from "./components/HistoryView.jsx";
+import LiveMonitor from "./components/LiveMonitor.jsx";
+import ReadingAlignment from "./components/ReadingAlignment.jsx";
+import SignIn from "./components/SignIn.jsx";
+import TeacherDashboard from "./components/TeacherDashboard.jsx";
+import VivaPanel from "./components/VivaPanel.jsx";
+import useRecorder from "./hooks/useRecorder.js";
+import { AUTH_EXPIRED_EVENT, ApiError, describeError, fetchContentFeedback, fetchGlossary, fetchQuestions, fetchSession, listGlossaries, setAuthToken, submitRecording, takeTokenFromUrl } from "./lib/api.js";
+import { PHASE_LABELS, assessRecording } from "./lib/assess.js";
+import { toWav } from "./lib/audioFile.js";
+import { analyzeDiscussion } from "./lib/discussion.js";
+import { downloadText, fileStamp, printReport } from "./lib/download.js";
+import { buildReportHtml, recordsToCsv, recordsToJson } from "./lib/exports.js";
+import { analyzeReading } from "./lib/fluency.js";
+import { findGlossaryTerms, summarizeTerms } from "./lib/glossary.js";
+import { saveSession } from "./lib/historyStore.js";
+import { PAUSE_BUCKETS } from "./lib/prosody.js";
+import { READABILITY_FORMULAS } from "./lib/readability.js";
+import { analyzeTranscript } from "./lib/speechMetrics.js";
+import { scoreAgainstRubric, validateRubric } from "./lib/rubric.js";
+import { discardQueued, drainQueue, listQueue, queueRecording } from "./lib/uploadQueue.js";
+import { DEFAULT_TASK_TYPE, RUBRICS, getRubric } from "./rubrics/index.js";
+import { DEFAULT_GLOSSARY_ID, GLOSSARIES, getGlossary } from "./glossaries/index.js";
+import { DEFAULT_LANGUAGE, LANGUAGES } from "./lexicons/index.js";
 
 /**
  * App.jsx
@@ -6,405 +35,876 @@ import React, { useEffect, useRef, useState } from "react";
  *
  * This front-end:
  *  - records audio (MediaRecorder)
- *  - displays timer + simple audio analysis (volume/pitch estimate)
- *  - uploads audio to POST /api/transcribe (serverless) for Whisper transcription
+ *  - live dashboard while recording (level, pitch trace, warnings, target time)
+ *  - analyses prosody (pitch, volume, pauses) over the full decoded audio
+ *  - uploads audio to POST /api/transcribe (serverless) for Whisper transcription,
+ *    with progress, cancel, retry on 429/5xx, and an offline queue that
+ *    uploads recordings once the connection returns
+ *  - assesses in English, French, Spanish or German: the language setting
+ *    drives transcription, fillers, readability and question language
  *  - shows transcript, automated feedback, narrative feedback
- *  - requests 4 probing questions from POST /api/questions
+ *  - read-aloud mode: the reading is aligned to a reference passage for
+ *    words correct per minute, accuracy and a colour-coded error view
+ *  - group discussions: speaker-labelled transcription, speakers mapped to
+ *    students, and talk share, turns, interruptions and questions per student
+ *  - content feedback on request from POST /api/feedback: thesis, evidence,
+ *    structure, terminology and engagement against the task prompt
+ *  - annotated transcript: fillers, repeated words, long sentences and subject
+ *    glossary terms (built-in or imported via /api/glossaries), seeking the audio
+ *  - requests structured probing questions from POST /api/questions
+ *  - viva mode: spoken answers to those questions, judged by POST /api/viva
+ *  - saves every attempt to IndexedDB with a history/progress view
+ *  - teacher view: assignments with join codes and rosters; students join
+ *    with a code and submit to POST /api/submissions for review
+ *  - exam mode: a prompt card drawn by POST /api/exam, a timed preparation,
+ *    no file upload, limited attempts and an audit trail submitted with
+ *    the recording
  *
  * Notes:
  *  - Deploy on Vercel for serverless functions to work.
  *  - Make sure OPENAI_API_KEY is set in Vercel env vars.
  */
 
-function formatTime(seconds) {
+function formatTime(totalSeconds) {
+  const seconds = Math.floor(totalSeconds);
   const mins = Math.floor(seconds / 60).toString().padStart(2, "0");
   const secs = (seconds % 60).toString().padStart(2, "0");
   return `${mins}:${secs}`;
 }
 
-function mean(arr) {
-  if (!arr || arr.length === 0) return 0;
-  return arr.reduce((a, b) => a + b, 0) / arr.length;
+function processedNotice(count) {
+  return `${count} recording${count === 1 ? "" : "s"} made offline ${count === 1 ? "was" : "were"} transcribed and added to History.`;
 }
 
-// Small academic seed-list (language & literature). Backend may expand this further.
-const SEED_ACADEMIC_WORDS = [
-  "metaphor","simile","imagery","symbolism","tone","syntax","diction","motif","theme",
-  "persona","narrative","voice","irony","oxymoron","juxtaposition","alliteration","assonance",
-  "sibilance","enjambment","caesura","stanza","structure","form","context","connotation",
-  "foregrounding","lexis","discourse","semantic","mood","rhythm","meter","prosody","register","attitude"
-];
+// Who is signed in (`{ user, methods, ssoLoginUrl }`), or why no one is. Never rejects: if the server
+// cannot be reached the app still works and recordings queue up.
+async function readAuth(message = null) {
+  try {
+    return await fetchSession();
+  } catch (err) {
+    if (err instanceof ApiError && err.status === 401) {
+      return { user: null, ...err.details, message: err.code === "auth_not_configured" ? err.message : message };
+    }
+    console.warn("Could not check sign-in", err);
+    return { user: null, unavailable: true };
+  }
+}
+
+function progressText(p) {
+  if (!p) return "Uploading & transcribing...";
+  if (p.phase === "uploading" && p.total) return `${PHASE_LABELS.uploading} ${Math.round((p.loaded / p.total) * 100)}%...`;
+  if (p.phase === "retrying") return `${p.error.message} Retrying in ${Math.ceil(p.delayMs / 1000)}s (attempt ${p.attempt})...`;
+  return `${PHASE_LABELS[p.phase]}...`;
+}
 
 export default function App() {
-  const [recording, setRecording] = useState(false);
-  const [seconds, setSeconds] = useState(0);
+  const [view, setView] = useState("practice");
+  // null while checking; see readAuth
+  const [auth, setAuth] = useState(null);
   const [audioUrl, setAudioUrl] = useState(null);
   const [transcript, setTranscript] = useState("");
+  const [segments, setSegments] = useState([]);
+  const [words, setWords] = useState([]);
   const [analysis, setAnalysis] = useState(null);
+  const [prosody, setProsody] = useState(null);
+  const [fluency, setFluency] = useState(null);
+  // group discussion: the transcript has speaker labels, named by the teacher
+  const [diarized, setDiarized] = useState(false);
+  const [speakerNames, setSpeakerNames] = useState({});
+  const [speakerQuestions, setSpeakerQuestions] = useState({});
+  // practice read-aloud passage; an assignment brings its own
+  const [practiceMode, setPracticeMode] = useState("speech");
+  const [practicePassage, setPracticePassage] = useState("");
   const [questions, setQuestions] = useState([]);
+  const [questionCount, setQuestionCount] = useState(4);
+  // qualitative feedback on the argument, fetched on request
+  const [contentFeedback, setContentFeedback] = useState(null);
+  const [contentPrompt, setContentPrompt] = useState("");
+  const [contentState, setContentState] = useState(null);
   const [uploading, setUploading] = useState(false);
-  const [permissionDenied, setPermissionDenied] = useState(false);
+  const [uploadError, setUploadError] = useState(null);
+  const [uploadProgress, setUploadProgress] = useState(null);
+  const [questionsError, setQuestionsError] = useState(null);
+  // recordings waiting in the offline queue, and news about them
+  const [queued, setQueued] = useState([]);
+  const [queueNotice, setQueueNotice] = useState(null);
+  const [taskType, setTaskType] = useState(DEFAULT_TASK_TYPE);
+  const [language, setLanguage] = useState(DEFAULT_LANGUAGE);
+  const [customRubric, setCustomRubric] = useState(null);
+  const [rubricError, setRubricError] = useState(null);
+  // subject glossary used for academic vocabulary and transcript highlights
+  const [glossary, setGlossary] = useState(() => getGlossary(DEFAULT_GLOSSARY_ID));
+  const [glossaryOptions, setGlossaryOptions] = useState(() => Object.values(GLOSSARIES).map((g) => ({ id: g.id, version: g.version, title: g.title })));
+  // one record per transcript: the speech, its feedback and the viva exchanges
+  const [sessionMeta, setSessionMeta] = useState(null);
+  const [exchanges, setExchanges] = useState([]);
+  // target speaking time; recording stops automatically at the maximum
+  const [targetMinSeconds, setTargetMinSeconds] = useState(120);
+  const [targetMaxSeconds, setTargetMaxSeconds] = useState(600);
+  // teacher assignment joined by code, and the state of its submission
+  const [assignment, setAssignment] = useState(null);
+  const [studentName, setStudentName] = useState("");
+  const [submitState, setSubmitState] = useState(null);
+  // an exam attempt is between drawing its card and finishing its recording
+  const [examActive, setExamActive] = useState(false);
+
+  const { recording, seconds, permissionDenied, live, start: startRecording, stop: stopRecording, volHistoryRef, pitchHistoryRef } = useRecorder({
+    maxSeconds: targetMaxSeconds,
+    onStop: (blob) => {
+      setAudioUrl(URL.createObjectURL(blob));
+      void uploadAndTranscribe(blob);
+    }
+  });
 
-  const mediaRecorderRef = useRef(null);
-  const audioChunksRef = useRef([]);
-  const timerRef = useRef(null);
+  useEffect(() => {
+    // an SSO sign-in comes back with the token in the URL fragment
+    takeTokenFromUrl();
+    readAuth().then(setAuth);
+    const expired = () => readAuth("Your session has ended. Please sign in again.").then(setAuth);
+    window.addEventListener(AUTH_EXPIRED_EVENT, expired);
+    return () => window.removeEventListener(AUTH_EXPIRED_EVENT, expired);
+  }, []);
 
-  // audio analysis
-  const audioCtxRef = useRef(null);
-  const analyserRef = useRef(null);
-  const rafRef = useRef(null);
-  const volHistoryRef = useRef([]);
-  const pitchHistoryRef = useRef([]);
+  const signedInId = auth && auth.user ? auth.user.id : null;
+  useEffect(() => {
+    // imported glossaries need sign-in, so they are listed once someone is
+    // signed in (again after a change of user); the built-ins work offline
+    if (!signedInId) return;
+    let cancelled = false;
+    listGlossaries()
+      .then((j) => { if (!cancelled) setGlossaryOptions(j.glossaries); })
+      .catch((err) => console.warn("Could not list glossaries", err));
+    return () => { cancelled = true; };
+  }, [signedInId]);
 
   useEffect(() => {
-    // initial seed list (frontend copy only)
-    // We keep a runtime Set so dynamic expansion is possible in session
-    window.__ACADEMIC_SET__ = new Set(SEED_ACADEMIC_WORDS);
+    // upload anything recorded offline, now and whenever we reconnect
+    let cancelled = false;
+    async function drain() {
+      try {
+        const { processed, remaining } = await drainQueue();
+        if (cancelled) return;
+        setQueued(remaining);
+        if (processed) setQueueNotice(processedNotice(processed));
+      } catch (err) {
+        console.warn("Could not process the offline queue", err);
+      }
+    }
+    void drain();
+    window.addEventListener("online", drain);
     return () => {
-      if (rafRef.current) cancelAnimationFrame(rafRef.current);
-      if (audioCtxRef.current) try { audioCtxRef.current.close(); } catch (e) {}
+      cancelled = true;
+      window.removeEventListener("online", drain);
     };
   }, []);
 
-  async function startRecording() {
-    try {
-      setPermissionDenied(false);
+  const audioRef = useRef(null);
+  // the upload in flight, so it can be cancelled, and its audio for a retry
+  const uploadAbortRef = useRef(null);
+  const lastUploadRef = useRef(null);
+  // the attempt as last written to IndexedDB
+  const savedSessionRef = useRef(null);
+  // the last exam recording's audit trail and live stats, kept for a retry
+  const examRecordingRef = useRef(null);
+
+  function persistSession(record) {
+    savedSessionRef.current = record;
+    saveSession(record).catch((err) => console.error("Could not save attempt", err));
+  }
 
-      if (!window.isSecureContext) {
-        setPermissionDenied(true);
-        alert("Microphone access requires HTTPS or localhost. Preview sandboxes often block microphone.");
-        return;
-      }
-      if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
-        setPermissionDenied(true);
-        alert("getUserMedia is not available in this environment.");
-        return;
+  function addExchange(x) {
+    const next = [...exchanges, x];
+    setExchanges(next);
+    if (savedSessionRef.current && savedSessionRef.current.id === sessionMeta.id) {
+      persistSession({ ...savedSessionRef.current, exchanges: next });
+    }
+  }
+
+  async function requestContentFeedback() {
+    setContentState({ status: "loading" });
+    try {
+      const j = await fetchContentFeedback({
+        transcript,
+        prompt: contentPrompt,
+        assignmentId: assignment ? assignment.id : undefined,
+        taskType,
+        language
+      });
+      setContentFeedback(j.feedback);
+      setContentState(null);
+      if (savedSessionRef.current && sessionMeta && savedSessionRef.current.id === sessionMeta.id) {
+        persistSession({ ...savedSessionRef.current, contentFeedback: j.feedback });
       }
+    } catch (err) {
+      setContentState({ status: "error", message: err.message });
+    }
+  }
 
-      const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
-      const mr = new MediaRecorder(stream);
-      mediaRecorderRef.current = mr;
-      audioChunksRef.current = [];
+  function openSession(record) {
+    setAudioUrl(record.audio ? URL.createObjectURL(record.audio) : null);
+    setTranscript(record.transcript || "");
+    setSegments(record.segments || []);
+    setWords(record.words || []);
+    setAnalysis(record.analysis || null);
+    setProsody(record.prosody || null);
+    setFluency(record.fluency || null);
+    setDiarized(!!record.diarized);
+    setSpeakerNames(record.speakerNames || {});
+    setSpeakerQuestions(record.speakerQuestions || {});
+    setQuestions(record.questions || []);
+    setQuestionsError(null);
+    setExchanges(record.exchanges || []);
+    setContentFeedback(record.contentFeedback || null);
+    setContentPrompt(record.contentFeedback ? record.contentFeedback.prompt : "");
+    setContentState(null);
+    if (record.taskType) {
+      setCustomRubric(null);
+      setTaskType(record.taskType);
+    }
+    setLanguage(record.language || DEFAULT_LANGUAGE);
+    setUploadError(null);
+    setSessionMeta({ id: record.id, createdAt: record.createdAt });
+    setSubmitState(null);
+    if (record.glossary) void chooseGlossary(record.glossary.id, record.glossary.version, false);
+    savedSessionRef.current = record;
+    setView("practice");
+  }
 
-      mr.ondataavailable = (e) => {
-        if (e.data && e.data.size > 0) audioChunksRef.current.push(e.data);
-      };
+  async function uploadAndTranscribe(blobOrFile) {
+    const exam = examMode ? examRecordingRef.current : null;
+    setTranscript("");
+    setSegments([]);
+    setWords([]);
+    setAnalysis(null);
+    setProsody(null);
+    setFluency(null);
+    setDiarized(false);
+    setSpeakerNames({});
+    setSpeakerQuestions({});
+    setQuestions([]);
+    setQuestionsError(null);
+    setContentFeedback(null);
+    setContentState(null);
+    setUploadError(null);
+    setQueueNotice(null);
+    setSessionMeta(null);
+    setExchanges([]);
+    setSubmitState(null);
+    savedSessionRef.current = null;
+    lastUploadRef.current = blobOrFile;
+
+    const settings = {
+      taskType,
+      language,
+      glossary,
+      questionCount,
+      referenceText: readingPassage,
+      diarize: groupDiscussion,
+      live: exam ? exam.live : { pitchHistory: [...pitchHistoryRef.current], volumeHistory: [...volHistoryRef.current], durationSeconds: seconds }
+    };
+    if (!navigator.onLine) {
+      if (exam) examOffline();
+      else await saveForLater(blobOrFile, settings);
+      return;
+    }
 
-      mr.onstop = () => {
-        const blob = new Blob(audioChunksRef.current, { type: "audio/webm" });
-        const url = URL.createObjectURL(blob);
-        setAudioUrl(url);
-        void uploadAndTranscribe(blob);
+    const controller = new AbortController();
+    uploadAbortRef.current = controller;
+    setUploading(true);
+    try {
+      const result = await assessRecording(blobOrFile, { ...settings, signal: controller.signal, onProgress: setUploadProgress });
+      const meta = { id: crypto.randomUUID(), createdAt: new Date().toISOString() };
+      setSessionMeta(meta);
+      setTranscript(result.transcript);
+      setSegments(result.segments);
+      setWords(result.words);
+      setProsody(result.prosody);
+      setAnalysis(result.analysis);
+      setFluency(result.fluency);
+      setDiarized(groupDiscussion);
+      setQuestions(result.questions);
+      setQuestionsError(result.questionsError ? describeError(result.questionsError) : null);
+
+      const record = {
+        ...meta,
+        taskType,
+        language,
+        glossary: { id: glossary.id, version: glossary.version },
+        audio: blobOrFile,
+        transcript: result.transcript,
+        segments: result.segments,
+        words: result.words,
+        analysis: result.analysis,
+        prosody: result.prosody,
+        fluency: result.fluency,
+        diarized: groupDiscussion,
+        speakerNames: {},
+        speakerQuestions: {},
+        questions: result.questions,
+        exchanges: [],
+        contentFeedback: null,
+        exam: exam ? exam.audit : null
       };
-
-      // Web Audio setup
-      const AudioContext = window.AudioContext || window.webkitAudioContext;
-      const audioCtx = new AudioContext();
-      audioCtxRef.current = audioCtx;
-      const source = audioCtx.createMediaStreamSource(stream);
-      const analyser = audioCtx.createAnalyser();
-      analyser.fftSize = 2048;
-      analyserRef.current = analyser;
-      source.connect(analyser);
-
-      mr.start();
-      setRecording(true);
-      setSeconds(0);
-
-      timerRef.current = setInterval(() => {
-        setSeconds((s) => {
-          if (s + 1 >= 600) { // 10 minutes cap
-            stopRecording();
-            return 600;
-          }
-          return s + 1;
-        });
-      }, 1000);
-
-      volHistoryRef.current = [];
-      pitchHistoryRef.current = [];
-      analyzeLoop();
+      persistSession(record);
+      // an exam recording goes to the teacher as soon as it is transcribed
+      if (exam) void submitToTeacher(record);
     } catch (err) {
-      console.error("startRecording error", err);
-      if (err && (err.name === "NotAllowedError" || err.name === "SecurityError")) {
-        setPermissionDenied(true);
-        alert("Microphone access blocked. Enable permissions in your browser or use file upload.");
+      if (err instanceof ApiError && err.status === 0) {
+        // the connection dropped mid-upload and retries did not bring it back
+        if (exam) examOffline();
+        else await saveForLater(blobOrFile, settings);
       } else {
-        alert("Could not access microphone. Check browser permissions.");
+        if (err.name !== "AbortError") console.error(err);
+        setUploadError({ ...describeError(err), status: err.status || null, cancelled: err.name === "AbortError" });
       }
+    } finally {
+      uploadAbortRef.current = null;
+      setUploading(false);
+      setUploadProgress(null);
     }
   }
 
-  function stopRecording() {
-    const mr = mediaRecorderRef.current;
-    if (mr && mr.state === "recording") mr.stop();
-    setRecording(false);
-    if (timerRef.current) clearInterval(timerRef.current);
-    if (rafRef.current) cancelAnimationFrame(rafRef.current);
-    if (audioCtxRef.current) {
-      try { audioCtxRef.current.close(); } catch (e) {}
+  async function saveForLater(blobOrFile, settings) {
+    try {
+      await queueRecording(blobOrFile, settings);
+      setQueued(await listQueue());
+      setQueueNotice("You are offline. This recording is saved on this device and will be transcribed when you reconnect; it will then appear in History.");
+    } catch (err) {
+      console.error("Could not queue recording", err);
+      setUploadError({ ...describeError(err), status: null, cancelled: false });
     }
   }
 
-  function analyzeLoop() {
-    const analyser = analyserRef.current;
-    if (!analyser) return;
-    const size = analyser.fftSize;
-    const buffer = new Float32Array(size);
-    analyser.getFloatTimeDomainData(buffer);
-
-    // RMS volume
-    let sum = 0;
-    for (let i = 0; i < buffer.length; i++) sum += buffer[i] * buffer[i];
-    const rms = Math.sqrt(sum / buffer.length);
-    volHistoryRef.current.push(rms);
-    if (volHistoryRef.current.length > 300) volHistoryRef.current.shift();
-
-    // very light pitch estimate (autocorrelation-like simple)
-    const pitch = lightPitchEstimate(buffer, audioCtxRef.current ? audioCtxRef.current.sampleRate : 44100);
-    if (pitch) {
-      pitchHistoryRef.current.push(pitch);
-      if (pitchHistoryRef.current.length > 300) pitchHistoryRef.current.shift();
-    }
+  // exam recordings are not queued: they must reach the teacher with their
+  // audit trail, so the student retries once the connection is back
+  function examOffline() {
+    setUploadError({
+      title: "You are offline.",
+      message: "Your exam recording is kept on this page. Reconnect, then choose Try again to submit it. Do not close or reload the page.",
+      status: null,
+      cancelled: false
+    });
+  }
 
-    rafRef.current = requestAnimationFrame(analyzeLoop);
+  // an exam recording has finished: transcribe and submit it with its audit trail
+  function examRecorded(blob, audit, live) {
+    examRecordingRef.current = { audit, live };
+    setAudioUrl(URL.createObjectURL(blob));
+    void uploadAndTranscribe(blob);
   }
 
-  function lightPitchEstimate(buf, sr) {
-    const SIZE = buf.length;
-    let rms = 0;
-    for (let i = 0; i < SIZE; i++) rms += buf[i] * buf[i];
-    rms = Math.sqrt(rms / SIZE);
-    if (rms < 0.01) return null;
-    let best = -1; let bestCorr = 0;
-    for (let off = 10; off < Math.min(500, SIZE - 2); off++) {
-      let corr = 0;
-      for (let i = 0; i < SIZE - off; i++) corr += Math.abs(buf[i] - buf[i + off]);
-      corr = 1 - corr / (SIZE - off);
-      if (corr > bestCorr) { bestCorr = corr; best = off; }
-    }
-    if (bestCorr > 0.5 && best > 0) return Math.round(sr / best);
-    return null;
+  async function retryQueue(includeFailed = true) {
+    const { processed, remaining } = await drainQueue({ includeFailed });
+    setQueued(remaining);
+    if (processed) setQueueNotice(processedNotice(processed));
   }
 
-  async function uploadAndTranscribe(blobOrFile) {
-    setUploading(true);
-    setTranscript("");
-    setAnalysis(null);
-    setQuestions([]);
+  async function discardQueuedRecording(id) {
+    if (!confirm("Discard this saved recording?")) return;
+    await discardQueued(id);
+    setQueued(await listQueue());
+  }
 
+  async function retryQuestions() {
+    setQuestionsError(null);
     try {
-      const form = new FormData();
-      // blobOrFile may be a File (from upload) or Blob (from recorder)
-      form.append("file", blobOrFile, "speech.webm");
-
-      const res = await fetch("/api/transcribe", { method: "POST", body: form });
-      if (!res.ok) throw new Error("Transcription failed");
-      const j = await res.json();
-      const text = j.transcript || j.text || "";
-      setTranscript(text);
-
-      const fb = analyzeTranscript(text);
-      setAnalysis(fb);
-
-      const qRes = await fetch("/api/questions", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ transcript: text })
-      });
-      if (qRes.ok) {
-        const qj = await qRes.json();
-        setQuestions(Array.isArray(qj.questions) ? qj.questions : (Array.isArray(qj) ? qj : []));
+      const qj = await fetchQuestions(transcript, questionCount, language);
+      const qs = Array.isArray(qj.questions) ? qj.questions : [];
+      setQuestions(qs);
+      if (savedSessionRef.current && sessionMeta && savedSessionRef.current.id === sessionMeta.id) {
+        persistSession({ ...savedSessionRef.current, questions: qs });
       }
     } catch (err) {
-      console.error(err);
-      alert("Upload/transcribe error: " + (err && err.message ? err.message : String(err)));
-    } finally {
-      setUploading(false);
+      setQuestionsError(describeError(err));
     }
   }
 
-  // simple transcript analyzer (front-end)
-  function analyzeTranscript(text) {
-    if (!text || !text.trim()) return null;
-    const normalized = text.replace(/\n/g, " ").trim();
-    const tokens = normalized.split(/\s+/).filter(Boolean);
-    const wordCount = tokens.length;
-
-    // filler words - quick list
-    const FILLER_WORDS = ["um","uh","like","you know","so","actually","basically","right","i mean","well"];
-    const lowered = normalized.toLowerCase();
-    let fillerCount = 0;
-    for (const fw of FILLER_WORDS) {
-      if (fw.includes(" ")) {
-        const re = new RegExp(fw.replace(/[.*+?^${}()|[\]\\]/g,"\\$&"), "gi");
-        fillerCount += (lowered.match(re) || []).length;
-      } else {
-        for (const t of tokens) if (t.toLowerCase() === fw) fillerCount++;
+  // switch glossary and, unless restoring a saved attempt, re-score the current transcript
+  async function chooseGlossary(id, version, reanalyze = true) {
+    let next = GLOSSARIES[id] && (version === undefined || GLOSSARIES[id].version === version) ? GLOSSARIES[id] : null;
+    if (!next) {
+      try {
+        next = (await fetchGlossary(id, version)).glossary;
+      } catch (err) {
+        console.warn("Could not load glossary", err);
+        return;
       }
     }
+    setGlossary(next);
+    if (reanalyze && transcript) setAnalysis(analyze(transcript, prosody, { glossary: next }));
+  }
+
+  // name a diarized speaker, or store a student's questions, on the saved attempt too
+  function updateDiscussion(changes) {
+    if (changes.speakerNames) setSpeakerNames(changes.speakerNames);
+    if (changes.speakerQuestions) setSpeakerQuestions(changes.speakerQuestions);
+    if (savedSessionRef.current && sessionMeta && savedSessionRef.current.id === sessionMeta.id) {
+      persistSession({ ...savedSessionRef.current, ...changes });
+    }
+  }
 
-    // dynamic expansion heuristic (session-only)
-    const set = window.__ACADEMIC_SET__ || new Set(SEED_ACADEMIC_WORDS);
-    for (const tRaw of tokens) {
-      const t = tRaw.toLowerCase().replace(/[^a-z\-]/g, "");
-      if (!set.has(t) && /^[a-z\-]{6,30}$/.test(t)) {
-        set.add(t);
-      }
+  function joinAssignment(a, name) {
+    setAssignment(a);
+    setStudentName(name);
+    setTargetMinSeconds(a.minSeconds);
+    setTargetMaxSeconds(a.maxSeconds);
+    setLanguage(a.language || DEFAULT_LANGUAGE);
+    setCustomRubric(a.rubric);
+    setRubricError(null);
+    setSubmitState(null);
+  }
+
+  function leaveAssignment() {
+    setAssignment(null);
+    setStudentName("");
+    setCustomRubric(null);
+    setSubmitState(null);
+  }
+
+  async function submitToTeacher(record = savedSessionRef.current) {
+    if (!assignment || !record || !record.audio) return;
+    setSubmitState({ status: "sending" });
+    try {
+      // the server measures an exam recording's length, which needs WAV
+      const audio = record.exam ? await toWav(record.audio) : record.audio;
+      await submitRecording(audio, {
+        assignmentId: assignment.id,
+        studentName,
+        transcript: record.transcript,
+        segments: record.segments,
+        words: record.words,
+        speakerNames: record.diarized ? speakerNames : undefined,
+        speakerQuestions: record.diarized ? speakerQuestions : undefined,
+        analysis: record.analysis,
+        prosody: record.prosody,
+        questions: record.questions,
+        contentFeedback: record.contentFeedback || null,
+        // blob URLs mean nothing off this device
+        exchanges: exchanges.map((x) => ({ ...x, answer: { ...x.answer, audioUrl: undefined } })),
+        exam: record.exam || undefined
+      });
+      setSubmitState({ status: "sent" });
+    } catch (err) {
+      setSubmitState({ status: "error", message: err.message });
     }
-    window.__ACADEMIC_SET__ = set;
-    let academicMatches = 0;
-    for (const t of tokens) if (set.has(t.toLowerCase())) academicMatches++;
-
-    const uniq = new Set(tokens.map(t => t.toLowerCase()));
-    const ttr = uniq.size / Math.max(1, wordCount);
-
-    const sentences = normalized.split(/[.!?]+/).map(s => s.trim()).filter(Boolean);
-    const avgSentenceLen = sentences.length ? (sentences.reduce((acc, s) => acc + s.split(/\s+/).filter(Boolean).length, 0) / sentences.length) : 0;
-
-    const syllables = tokens.reduce((acc, w) => {
-      const cleaned = w.toLowerCase().replace(/[^a-z]/g, "");
-      const m = cleaned.match(/[aeiouy]{1,2}/g);
-      let syll = m ? m.length : 0;
-      if (cleaned.endsWith("e")) syll = Math.max(1, syll - 1);
-      return acc + Math.max(1, syll);
-    }, 0);
-
-    const wordsPerSentence = wordCount / Math.max(1, sentences.length);
-    const flesch = Math.max(0, 206.835 - 1.015 * wordsPerSentence - 84.6 * (syllables / Math.max(1, wordCount)));
-
-    return {
-      wordCount,
-      fillerCount,
-      fillerRate: fillerCount / Math.max(1, wordCount),
-      academicMatches,
-      ttr,
-      avgSentenceLen,
-      flesch: Math.round(flesch),
-      pitchMean: Math.round(mean(pitchHistoryRef.current) || 0),
-      volumeMean: Math.round(mean(volHistoryRef.current) * 1000) / 1000,
-      wordsPerMinute: Math.round(wordCount / Math.max(1, seconds / 60 || 1))
+  }
+
+  function analyze(text, prosodyResult = null, { glossary: glossaryToUse = glossary, language: languageToUse = language } = {}) {
+    return analyzeTranscript(text, {
+      pitchHistory: pitchHistoryRef.current,
+      volumeHistory: volHistoryRef.current,
+      durationSeconds: seconds,
+      prosody: prosodyResult,
+      glossary: glossaryToUse,
+      language: languageToUse
+    });
+  }
+
+  const mode = assignment ? assignment.mode : practiceMode;
+  const readAloud = mode === "read-aloud";
+  const groupDiscussion = mode === "discussion";
+  const examMode = !!(assignment && assignment.exam);
+  const readingPassage = readAloud ? (assignment ? assignment.referenceText : practicePassage.trim()) : "";
+
+  const rubric = customRubric || getRubric(taskType);
+  const scored = analysis ? scoreAgainstRubric(analysis, rubric) : null;
+  const termsUsed = transcript ? summarizeTerms(findGlossaryTerms(transcript, glossary)) : [];
+  const discussion = diarized ? analyzeDiscussion(segments, { speakerNames, glossary, language }) : null;
+  const session = sessionMeta ? { ...sessionMeta, language, transcript, segments, analysis, fluency, questions, exchanges, contentFeedback } : null;
+
+  function exportAttempt(format) {
+    const record = {
+      ...(session || { createdAt: new Date().toISOString(), language, transcript, segments, analysis, fluency, questions, exchanges, contentFeedback }),
+      taskType,
+      glossary: { id: glossary.id, version: glossary.version },
+      discussion,
+      speakerQuestions,
+      ...(assignment ? { studentName } : {})
     };
+    const name = `feedback-${fileStamp(record.createdAt)}`;
+    if (format === "report") printReport(buildReportHtml(record, { rubric, glossary }), `${name}.html`);
+    if (format === "json") downloadText(`${name}.json`, recordsToJson(record, { rubricFor: () => rubric }), "application/json");
+    if (format === "csv") downloadText(`${name}.csv`, recordsToCsv(record, { rubricFor: () => rubric }), "text/csv");
   }
 
-  // small internal tests you can run from UI
-  function runInternalTests() {
-    const s1 = "Um, I think the data indicates a significant trend. Like, it suggests a method to analyze variables.";
-    const s2 = "Well, actually, the theory suggests an approach. Um, it's significant.";
-    const r1 = analyzeTranscript(s1);
-    const r2 = analyzeTranscript(s2);
-    console.log("Internal tests", r1, r2);
-    alert("Internal tests run. Check console.");
-    return [r1, r2];
+  function seekTo(time) {
+    const audio = audioRef.current;
+    if (!audio) return;
+    audio.currentTime = time;
+    void audio.play();
   }
 
+  const signInNeeded = !!auth && !auth.user && !auth.unavailable;
+
   return (
     <div style={{ padding: 32, fontFamily: "system-ui, Arial", background: "#f7faff", minHeight: "100vh" }}>
       <div style={{ maxWidth: 920, margin: "0 auto", background: "white", padding: 24, borderRadius: 12, boxShadow: "0 8px 24px rgba(13,40,92,0.06)" }}>
         <h1 style={{ fontSize: 32, fontWeight: 700, color: "#0b3d91", marginBottom: 8 }}>Oral Assessment Prototype</h1>
-        <p style={{ color: "#444", marginTop: 0 }}>Record a 10-minute practice speech and get immediate automated feedback.</p>
+        <p style={{ color: "#444", marginTop: 0 }}>Record a practice speech and get immediate automated feedback.</p>
 
-        <div style={{ marginTop: 12 }}>
-          <button onClick={startRecording} disabled={recording} style={{ marginRight: 8, padding: "12px 20px", borderRadius: 12, border: "none", background: recording ? "#7faef8" : "#0b63e0", color: "white", cursor: recording ? "not-allowed" : "pointer", fontSize: 15 }}>Start Recording</button>
-        <button onClick={stopRecording} disabled={!recording} style={{ padding: "12px 20px", borderRadius: 12, border: "none", background: !recording ? "#999" : "#e00b0b", color: "white", cursor: !recording ? "not-allowed" : "pointer", fontSize: 15 }}>Stop Recording</button>
-        <span style={{ marginLeft: 20, fontSize: 18 }}>Timer: {formatTime(seconds)}</span>
+        <div style={{ display: "flex", gap: 8, marginBottom: 8 }}>
+          {[["practice", "Practice"], ["history", "History"], ["teacher", "Teacher"]].map(([id, label]) => (
+            <button key={id} onClick={() => setView(id)} style={{ padding: "8px 16px", borderRadius: 10, border: "1px solid #0b63e0", background: view === id ? "#0b63e0" : "white", color: view === id ? "white" : "#0b63e0", cursor: "pointer" }}>{label}</button>
+          ))}
         </div>
 
-        {permissionDenied ? (
-          <div style={{ marginTop: 12, padding: 12, border: "1px solid #f00", background: "#fff6f6" }}>
-            <strong>Microphone blocked.</strong>
-            <p>Please allow microphone access in your browser or use the upload fallback below.</p>
+        {auth && auth.user && auth.user.via !== "anonymous" ? (
+          <div style={{ fontSize: 13, color: "#666", marginBottom: 8 }}>
+            Signed in as {auth.user.name}{auth.user.className ? ` (${auth.user.className})` : ""}{" "}
+            <button onClick={() => {
+              setAuthToken(null);
+              void readAuth().then(setAuth);
+            }} style={{ border: "none", background: "none", padding: 0, color: "#0b63e0", cursor: "pointer", fontSize: 13 }}>Sign out</button>
           </div>
         ) : null}
 
-        <div style={{ marginTop: 12 }}>
-          <label style={{ display: "block", marginBottom: 8, fontWeight: 600, color: "#0b3d91" }}>Upload audio file (optional alternative to recording):</label>
-          <input type="file" accept="audio/*" style={{ padding: "10px 14px", borderRadius: 10, border: "1px solid #0b63e0", background: "white", cursor: "pointer" }} onChange={async (e) => {
-            const f = e.target.files && e.target.files[0];
-            if (!f) return;
-            setAudioUrl(URL.createObjectURL(f));
-            await uploadAndTranscribe(f);
+        {signInNeeded ? (
+          <SignIn methods={auth.methods} ssoLoginUrl={auth.ssoLoginUrl} message={auth.message} onSignedIn={(user) => {
+            setAuth({ ...auth, user, message: null });
+            // recordings queued while signed out can go now
+            void retryQueue(false);
           }} />
-        </div>
-
-        <div style={{ marginTop: 12 }}>
-          <button style={{ padding: "12px 20px", borderRadius: 12, background: "#0b63e0", border: "none", color: "white", cursor: "pointer", fontSize: 15 }} onClick={() => {
-            setTranscript("Um, I think the data indicates a significant trend. Like, it suggests a method to analyze variables.");
-            setAnalysis(analyzeTranscript("Um, I think the data indicates a significant trend. Like, it suggests a method to analyze variables."));
-          }}>Use sample transcript</button>
+        ) : null}
 
-        <button style={{ marginLeft: 12, padding: "10px 18px", borderRadius: 12, background: "#0b63e0", border: "none", color: "white", cursor: "pointer", fontSize: 14 }} onClick={() => { runInternalTests(); }}>Run internal tests</button>
-        </div>
+        {view === "history" && !signInNeeded ? <HistoryView rubric={rubric} onOpen={openSession} /> : null}
+        {view === "teacher" && !signInNeeded ? <TeacherDashboard /> : null}
+
+        {/* kept mounted so a recording survives switching views */}
+        <div style={{ display: view === "practice" && !signInNeeded ? "block" : "none" }}>
+          <AssignmentJoin assignment={assignment} studentName={studentName} signedInName={auth && auth.user ? auth.user.name : null} onJoin={joinAssignment} onLeave={leaveAssignment} disabled={recording || uploading || examActive} />
+
+          <div style={{ marginTop: 12, fontSize: 14, color: "#444" }}>
+            Language:{" "}
+            <select value={language} disabled={recording || uploading || !!assignment} onChange={(e) => {
+              setLanguage(e.target.value);
+              // re-score what is on screen with the new language's rules
+              if (transcript) setAnalysis(analyze(transcript, prosody, { language: e.target.value }));
+            }}>
+              {LANGUAGES.map((l) => <option key={l.code} value={l.code}>{l.name}</option>)}
+            </select>
+            <span style={{ marginLeft: 16 }}>Target speaking time:</span>{" "}
+            <input type="number" min={0} max={60} step={0.5} value={targetMinSeconds / 60} disabled={recording || !!assignment} style={{ width: 60 }}
+              onChange={(e) => setTargetMinSeconds(Math.max(0, Math.round(Number(e.target.value) * 60)))} /> to{" "}
+            <input type="number" min={0.5} max={60} step={0.5} value={targetMaxSeconds / 60} disabled={recording || !!assignment} style={{ width: 60 }}
+              onChange={(e) => setTargetMaxSeconds(Math.max(30, Math.round(Number(e.target.value) * 60)))} /> minutes
+            <span style={{ marginLeft: 16 }}>Task:</span>{" "}
+            <select value={mode} disabled={recording || uploading || !!assignment} onChange={(e) => setPracticeMode(e.target.value)}>
+              <option value="speech">Free speech</option>
+              <option value="read-aloud">Read aloud</option>
+              <option value="discussion">Group discussion</option>
+            </select>
+          </div>
 
-        <div style={{ marginTop: 16 }}>
-          {audioUrl ? <audio src={audioUrl} controls style={{ display: "block", marginTop: 8 }} /> : null}
-        </div>
+          {readAloud ? (
+            <div style={{ marginTop: 12, padding: 12, border: "1px solid #cfe0fb", borderRadius: 8, background: "#f7faff" }}>
+              <strong style={{ color: "#0b3d91" }}>Read this passage aloud</strong>
+              {assignment ? (
+                <p style={{ fontSize: 18, lineHeight: 1.6, whiteSpace: "pre-wrap", margin: "8px 0 0" }}>{assignment.referenceText}</p>
+              ) : (
+                <textarea value={practicePassage} onChange={(e) => setPracticePassage(e.target.value)} disabled={recording || uploading} rows={5}
+                  placeholder="Paste the passage to read" style={{ display: "block", width: "100%", marginTop: 8, fontSize: 16, lineHeight: 1.5, boxSizing: "border-box" }} />
+              )}
+            </div>
+          ) : null}
+
+          {examMode ? (
+            <ExamPanel key={assignment.id} assignment={assignment} disabled={uploading} onActive={setExamActive} onRecorded={examRecorded} />
+          ) : null}
+
+          {examMode ? null : (
+            <>
+              <div style={{ marginTop: 12 }}>
+                <button onClick={startRecording} disabled={recording} style={{ marginRight: 8, padding: "12px 20px", borderRadius: 12, border: "none", background: recording ? "#7faef8" : "#0b63e0", color: "white", cursor: recording ? "not-allowed" : "pointer", fontSize: 15 }}>Start Recording</button>
+                <button onClick={stopRecording} disabled={!recording} style={{ padding: "12px 20px", borderRadius: 12, border: "none", background: !recording ? "#999" : "#e00b0b", color: "white", cursor: !recording ? "not-allowed" : "pointer", fontSize: 15 }}>Stop Recording</button>
+                <span style={{ marginLeft: 20, fontSize: 18 }}>Timer: {formatTime(seconds)}</span>
+              </div>
 
-        <div style={{ marginTop: 20 }}>
-          <h3>Transcript</h3>
-          {uploading ? <div>Uploading & transcribing...</div> : <pre style={{ whiteSpace: "pre-wrap" }}>{transcript || "(No transcript yet)"}</pre>}
-        </div>
+              {recording ? (
+                <LiveMonitor live={live} seconds={seconds} minSeconds={Math.min(targetMinSeconds, targetMaxSeconds)} maxSeconds={targetMaxSeconds} />
+              ) : null}
 
-        <div style={{ marginTop: 20 }}>
-          <h3>Automated Feedback</h3>
-          {analysis ? (
-            <div>
-              <div>
-                <div style={{ color: analysis.wordCount > 0 ? '#222' : '#999' }}>Words: {analysis.wordCount}</div>
-                <div style={{ color: analysis.fillerRate <= 0.08 ? 'green' : analysis.fillerRate <= 0.12 ? 'orange' : 'red' }}>
-                  Filler words: {analysis.fillerCount} (rate: {(analysis.fillerRate * 100).toFixed(2)}%)
-                </div>
-                <div style={{ color: analysis.academicMatches >= 3 && analysis.academicMatches <= 10 ? 'green' : analysis.academicMatches <= 15 ? 'orange' : 'red' }}>
-                  Academic word matches: {analysis.academicMatches}
+              {permissionDenied ? (
+                <div style={{ marginTop: 12, padding: 12, border: "1px solid #f00", background: "#fff6f6" }}>
+                  <strong>Microphone blocked.</strong>
+                  <p>Please allow microphone access in your browser or use the upload fallback below.</p>
                 </div>
-                <div style={{ color: analysis.ttr >= 0.45 && analysis.ttr <= 0.7 ? 'green' : analysis.ttr <= 0.8 ? 'orange' : 'red' }}>
-                  Type-token ratio: {analysis.ttr.toFixed(3)}
+              ) : null}
+
+              <div style={{ marginTop: 12 }}>
+                <label style={{ display: "block", marginBottom: 8, fontWeight: 600, color: "#0b3d91" }}>Upload audio file (optional alternative to recording):</label>
+                <input type="file" accept="audio/*" style={{ padding: "10px 14px", borderRadius: 10, border: "1px solid #0b63e0", background: "white", cursor: "pointer" }} onChange={async (e) => {
+                  const f = e.target.files && e.target.files[0];
+                  if (!f) return;
+                  setAudioUrl(URL.createObjectURL(f));
+                  await uploadAndTranscribe(f);
+                }} />
+              </div>
+
+              <div style={{ marginTop: 12 }}>
+                <button style={{ padding: "12px 20px", borderRadius: 12, background: "#0b63e0", border: "none", color: "white", cursor: "pointer", fontSize: 15 }} onClick={() => {
+                  setSegments([]);
+                  setWords([]);
+                  setProsody(null);
+                  setQuestionsError(null);
+                  setExchanges([]);
+                  setDiarized(false);
+                  setSessionMeta({ id: crypto.randomUUID(), createdAt: new Date().toISOString() });
+                  setTranscript("Um, I think the data indicates a significant trend. Like, it suggests a method to analyze variables.");
+                  setAnalysis(analyze("Um, I think the data indicates a significant trend. Like, it suggests a method to analyze variables."));
+                  setFluency(readingPassage ? analyzeReading(readingPassage, "Um, I think the data indicates a significant trend. Like, it suggests a method to analyze variables.", { language }) : null);
+                }}>Use sample transcript</button>
+              </div>
+            </>
+          )}
+
+          {uploading ? (
+            <div style={{ marginTop: 12, display: "flex", alignItems: "center", gap: 12 }}>
+              <div style={{ flex: 1, height: 8, background: "#eef3fc", borderRadius: 4, overflow: "hidden" }}>
+                <div style={{
+                  height: "100%",
+                  background: "#0b63e0",
+                  width: uploadProgress && uploadProgress.phase === "uploading" && uploadProgress.total ? `${(uploadProgress.loaded / uploadProgress.total) * 100}%` : uploadProgress && uploadProgress.phase !== "decoding" ? "100%" : "0%",
+                  opacity: uploadProgress && uploadProgress.phase !== "uploading" ? 0.5 : 1
+                }} />
+              </div>
+              <span style={{ fontSize: 14, color: "#444" }}>{progressText(uploadProgress)}</span>
+              <button onClick={() => uploadAbortRef.current && uploadAbortRef.current.abort()}>Cancel</button>
+            </div>
+          ) : null}
+
+          {uploadError ? (
+            <div style={{ marginTop: 12, padding: 12, border: `1px solid ${uploadError.cancelled ? "#ccc" : "#f00"}`, background: uploadError.cancelled ? "#fafafa" : "#fff6f6" }}>
+              <strong>{uploadError.title}</strong>
+              <p style={{ margin: "4px 0 0" }}>{uploadError.message}</p>
+              {lastUploadRef.current && uploadError.status !== 413 && uploadError.status !== 415 ? (
+                <button onClick={() => void uploadAndTranscribe(lastUploadRef.current)} style={{ marginTop: 8 }}>Try again</button>
+              ) : null}
+            </div>
+          ) : null}
+
+          {queueNotice || queued.length ? (
+            <div style={{ marginTop: 12, padding: 12, border: "1px solid #cfe0fb", borderRadius: 8, background: "#f7faff", fontSize: 14 }}>
+              {queueNotice ? <div>{queueNotice}</div> : null}
+              {queued.length ? (
+                <div style={{ marginTop: queueNotice ? 8 : 0 }}>
+                  {queued.length} recording{queued.length === 1 ? "" : "s"} waiting to upload.{" "}
+                  <button onClick={() => void retryQueue()}>Upload now</button>
+                  {queued.filter((q) => q.error).map((q) => (
+                    <div key={q.id} style={{ marginTop: 6, color: "#a00" }}>
+                      {new Date(q.createdAt).toLocaleString()}: {q.error}{" "}
+                      <button onClick={() => void discardQueuedRecording(q.id)}>Discard</button>
+                    </div>
+                  ))}
                 </div>
-                <div style={{ color: analysis.avgSentenceLen >= 12 && analysis.avgSentenceLen <= 18 ? 'green' : analysis.avgSentenceLen <= 24 ? 'orange' : 'red' }}>
-                  Avg sentence length: {analysis.avgSentenceLen.toFixed(1)} words
+              ) : null}
+            </div>
+          ) : null}
+
+          <div style={{ marginTop: 16 }}>
+            {audioUrl ? <audio ref={audioRef} src={audioUrl} controls style={{ display: "block", marginTop: 8 }} /> : null}
+          </div>
+
+          <div style={{ marginTop: 20 }}>
+            <h3>Transcript</h3>
+            {uploading ? <div>{progressText(uploadProgress)}</div> : transcript ? (
+              <AnnotatedTranscript text={transcript} segments={segments} words={words} glossary={glossary} language={language} onSeek={seekTo} />
+            ) : <div>(No transcript yet)</div>}
+          </div>
+
+          {discussion ? (
+            <div style={{ marginTop: 20 }}>
+              <DiscussionPanel
+                discussion={discussion}
+                segments={segments}
+                speakerNames={speakerNames}
+                roster={assignment ? assignment.roster : []}
+                rubric={rubric}
+                language={language}
+                questionCount={questionCount}
+                questions={speakerQuestions}
+                onRename={(label, name) => updateDiscussion({ speakerNames: { ...speakerNames, [label]: name } })}
+                onQuestions={(name, qs) => updateDiscussion({ speakerQuestions: { ...speakerQuestions, [name]: qs } })}
+              />
+            </div>
+          ) : null}
+
+          <div style={{ marginTop: 20 }}>
+            <h3>Automated Feedback</h3>
+            <div style={{ marginBottom: 12, display: "flex", flexWrap: "wrap", gap: 12, alignItems: "center" }}>
+              <label>
+                Task type:{" "}
+                <select value={customRubric ? "" : taskType} disabled={!!assignment} onChange={(e) => { setCustomRubric(null); setTaskType(e.target.value); }}>
+                  {customRubric ? <option value="">{customRubric.title || customRubric.id} (custom)</option> : null}
+                  {Object.values(RUBRICS).map((r) => <option key={r.taskType} value={r.taskType}>{r.title}</option>)}
+                </select>
+              </label>
+              <label>
+                Glossary:{" "}
+                <select value={glossary.id} onChange={(e) => void chooseGlossary(e.target.value, (glossaryOptions.find((g) => g.id === e.target.value) || {}).version)}>
+                  {glossaryOptions.some((g) => g.id === glossary.id) ? null : <option value={glossary.id}>{glossary.title}</option>}
+                  {glossaryOptions.map((g) => <option key={g.id} value={g.id}>{g.title}</option>)}
+                </select>
+              </label>
+              <label style={{ fontSize: 14, color: "#444" }}>
+                Load rubric JSON:{" "}
+                <input type="file" accept="application/json,.json" disabled={!!assignment} onChange={async (e) => {
+                  const f = e.target.files && e.target.files[0];
+                  if (!f) return;
+                  try {
+                    const parsed = JSON.parse(await f.text());
+                    const problems = validateRubric(parsed);
+                    if (problems.length) throw new Error(problems.join("; "));
+                    setCustomRubric(parsed);
+                    setRubricError(null);
+                  } catch (err) {
+                    setRubricError(err.message);
+                  }
+                }} />
+              </label>
+            </div>
+            {rubricError ? <div style={{ marginBottom: 12, color: "red" }}>Rubric not loaded: {rubricError}</div> : null}
+            {analysis && scored ? (
+              <div>
+                <div style={{ display: "flex", flexWrap: "wrap", gap: 16, alignItems: "flex-start" }}>
+                  <div style={{ flex: "1 1 320px" }}>
+                    <div style={{ color: analysis.wordCount > 0 ? '#222' : '#999' }}>Words: {analysis.wordCount}</div>
+                    <div style={{ color: '#444' }}>
+                      Filler count: {analysis.fillerCount}
+                      {analysis.hesitationCount !== undefined ? ` (hesitations ${analysis.hesitationCount}, discourse markers ${analysis.discourseMarkerCount}, hedges ${analysis.hedgeCount})` : ""}
+                    </div>
+                    {analysis.disfluencyCount !== undefined ? (
+                      <div style={{ color: '#444' }}>Disfluencies: {analysis.disfluencyCount} (restarts {analysis.restartCount}, repetitions {analysis.repetitionCount})</div>
+                    ) : null}
+                    {scored.criteria.map((c) => (
+                      <div key={c.id} style={{ color: c.band ? c.band.colour : '#999' }} title={c.band && c.band.descriptor ? c.band.descriptor : undefined}>
+                        {c.label}: {c.display}{c.band ? ` (${c.band.label})` : ""}
+                      </div>
+                    ))}
+                    <div style={{ color: '#444' }}>Estimated pitch mean (Hz): {analysis.pitchMean}</div>
+                    <div style={{ color: '#444' }}>Estimated volume mean (RMS): {analysis.volumeMean}</div>
+                    {prosody ? (
+                      <div style={{ color: '#444' }}>
+                        <div>Speaking time: {formatTime(prosody.speakingTime)} of {formatTime(prosody.duration)} (speaking rate {analysis.wordsPerMinute} wpm, articulation rate {analysis.articulationRate} wpm)</div>
+                        <div>Pitch variation: {prosody.pitchVariation} semitones (monotony {prosody.monotony ?? "n/a"})</div>
+                        <div>Volume dynamics: {prosody.volumeRangeDb} dB range</div>
+                        <div>
+                          Pauses: {prosody.pauseCount} (mean {prosody.meanPauseSeconds}s, longest {prosody.longestPauseSeconds}s) &mdash;{" "}
+                          {PAUSE_BUCKETS.map((b) => `${b.label}: ${prosody.pauseDistribution[b.id]}`).join(", ")}
+                        </div>
+                      </div>
+                    ) : null}
+                    {language !== DEFAULT_LANGUAGE ? (
+                      <div style={{ color: '#666', fontSize: 13 }}>Reading ease uses the {READABILITY_FORMULAS[language].name} formula for this language.</div>
+                    ) : null}
+                    {termsUsed.length ? (
+                      <div style={{ color: '#444' }}>
+                        Terms used ({glossary.title} v{glossary.version}):{" "}
+                        {termsUsed.map((t, i) => (
+                          <span key={t.term} title={t.definition}>{i ? ", " : ""}{t.term}{t.count > 1 ? ` ×${t.count}` : ""}</span>
+                        ))}
+                      </div>
+                    ) : null}
+                    {scored.grade ? (
+                      <div style={{ marginTop: 8, fontWeight: 600 }}>
+                        Overall ({rubric.title || rubric.id}): {scored.grade} ({Math.round(scored.score * 100)}%)
+                      </div>
+                    ) : null}
+                  </div>
+                  {fluency ? (
+                    <div style={{ flex: "1 1 360px" }}>
+                      <ReadingAlignment fluency={fluency} />
+                    </div>
+                  ) : null}
                 </div>
-                <div style={{ color: analysis.flesch >= 50 && analysis.flesch <= 70 ? 'green' : analysis.flesch <= 80 ? 'orange' : 'red' }}>
-                  Flesch reading ease (approx): {analysis.flesch}
+                <div style={{ marginTop: 16, padding: 12, background: '#fafafa', border: '1px solid #ddd' }}>
+                  <h4>Narrative Feedback</h4>
+                  {scored.narrative.length ? scored.narrative.map((n) => (
+                    <p key={n.criterion}><strong>{n.label}.</strong> {n.text}</p>
+                  )) : <p>(No narrative yet)</p>}
                 </div>
-                <div style={{ color: '#444' }}>Estimated pitch mean (Hz): {analysis.pitchMean}</div>
-                <div style={{ color: '#444' }}>Estimated volume mean (RMS): {analysis.volumeMean}</div>
-                <div style={{ color: analysis.wordsPerMinute >= 130 && analysis.wordsPerMinute <= 165 ? 'green' : analysis.wordsPerMinute <= 180 ? 'orange' : 'red' }}>
-                  Words per minute (approx): {analysis.wordsPerMinute}
+                <div style={{ marginTop: 12, display: "flex", flexWrap: "wrap", gap: 8 }}>
+                  <button onClick={() => exportAttempt("report")} title="Opens a printable report; choose Save as PDF in the print dialog">Print / save PDF report</button>
+                  <button onClick={() => exportAttempt("json")}>Export metrics (JSON)</button>
+                  <button onClick={() => exportAttempt("csv")}>Export metrics (CSV)</button>
                 </div>
               </div>
-              <div style={{ marginTop: 16, padding: 12, background: '#fafafa', border: '1px solid #ddd' }}>
-                <h4>Narrative Feedback</h4>
-                <pre style={{ whiteSpace: 'pre-wrap' }}>{/* narrative inserted below */ analysis ? (function(){ /* reuse same generator in frontend for narrative feedback */ 
-                    // small inline generator to avoid separate import
-                    const fb = [];
-                    if (analysis.fillerRate <= 0.08) fb.push("Your speech demonstrates excellent control over filler words.");
-                    else if (analysis.fillerRate <= 0.12) fb.push("You use filler words occasionally; reducing them slightly would help polish.");
-                    else fb.push("Filler use is high; practice pauses instead of fillers.");
-                    if (analysis.academicMatches >= 4 && analysis.academicMatches <= 10) fb.push("Your academic vocabulary reads natural and appropriate.");
-                    else if (analysis.academicMatches <= 15) fb.push("Your vocabulary is adequate though could be broadened.");
-                    else fb.push("You rely heavily on academic terminology; consider balancing with accessible phrasing.");
-                    return fb.join("\\n\\n");
-                })() : "(No narrative yet)"} </pre>
+            ) : (
+              <div>(No feedback yet)</div>
+            )}
+          </div>
+
+          <div style={{ marginTop: 20 }}>
+            <h3>Content &amp; Argument</h3>
+            {assignment && assignment.prompt ? (
+              <div style={{ marginBottom: 8, fontSize: 14, color: "#444" }}>Judged against the task: <em>{assignment.prompt}</em></div>
+            ) : (
+              <label style={{ display: "block", marginBottom: 8, fontSize: 14, color: "#444" }}>
+                Task prompt (optional):{" "}
+                <input value={contentPrompt} onChange={(e) => setContentPrompt(e.target.value)} placeholder="e.g. How does the poet present grief?" style={{ width: "60%" }} />
+              </label>
+            )}
+            <button onClick={() => void requestContentFeedback()} disabled={!transcript || uploading || (contentState && contentState.status === "loading")}>
+              {contentFeedback ? "Regenerate content feedback" : "Get content feedback"}
+            </button>
+            {contentState && contentState.status === "loading" ? <span style={{ marginLeft: 8 }}>Reading your argument...</span> : null}
+            {contentState && contentState.status === "error" ? <span style={{ marginLeft: 8, color: "red" }}>Content feedback failed: {contentState.message}</span> : null}
+            {contentFeedback ? (
+              <div style={{ marginTop: 12, padding: 12, background: "#fafafa", border: "1px solid #ddd" }}>
+                <ContentFeedback feedback={contentFeedback} />
               </div>
-            </div>
-          ) : (
-            <div>(No feedback yet)</div>
-          )}
-        </div>
+            ) : null}
+          </div>
 
-        <div style={{ marginTop: 20 }}>
-          <h3>AI Probing Questions</h3>
-          {questions.length ? (
-            <ol>
-              {questions.map((q, i) => <li key={i}>{q}</li>)}
-            </ol>
-          ) : (
-            <div>(No questions yet)</div>
-          )}
+          <div style={{ marginTop: 20 }}>
+            <h3>AI Probing Questions</h3>
+            <label style={{ display: "block", marginBottom: 8, fontSize: 14, color: "#444" }}>
+              Questions to generate:{" "}
+              <select value={questionCount} onChange={(e) => setQuestionCount(Number(e.target.value))}>
+                {[2, 3, 4, 5, 6, 8, 10].map((n) => <option key={n} value={n}>{n}</option>)}
+              </select>
+            </label>
+            {questions.length ? (
+              <ol>
+                {questions.map((q, i) => (
+                  <li key={i} style={{ marginBottom: 8 }}>
+                    <div>{q.text}</div>
+                    <div style={{ fontSize: 13, color: "#666" }}>
+                      <span style={{ marginRight: 8, padding: "1px 6px", borderRadius: 6, background: "#eef3fc", color: "#0b3d91" }}>{q.type}</span>
+                      <span style={{ marginRight: 8, padding: "1px 6px", borderRadius: 6, background: "#f3f3f3" }}>{q.difficulty}</span>
+                      <em>&ldquo;{q.quote}&rdquo;</em>
+                    </div>
+                  </li>
+                ))}
+              </ol>
+            ) : questionsError ? (
+              <div style={{ color: "#a00" }}>
+                Questions could not be generated. {questionsError.title} {questionsError.message}{" "}
+                <button onClick={() => void retryQuestions()}>Try again</button>
+              </div>
+            ) : (
+              <div>{fluency ? "(Read-aloud attempts have no probing questions)" : diarized ? "(Group discussions get questions for each student, above)" : "(No questions yet)"}</div>
+            )}
+            {session && questions.length ? (
+              <VivaPanel session={session} onExchange={addExchange} />
+            ) : null}
+          </div>
+
+          {assignment && analysis && savedSessionRef.current && savedSessionRef.current.audio ? (
+            <div style={{ marginTop: 20, padding: 12, border: "1px solid #cfe0fb", borderRadius: 8, background: "#f7faff" }}>
+              <button onClick={() => void submitToTeacher()} disabled={!submitState ? false : submitState.status !== "error"} style={{ padding: "10px 18px", borderRadius: 10, border: "none", background: "#0b63e0", color: "white", cursor: "pointer" }}>
+                Submit to teacher
+              </button>
+              <span style={{ marginLeft: 12 }}>
+                {submitState && submitState.status === "sending" ? "Submitting..." : null}
+                {submitState && submitState.status === "sent" ? `Submitted to "${assignment.title}" as ${studentName}.` : null}
+                {submitState && submitState.status === "error" ? <span style={{ color: "red" }}>Submission failed: {submitState.message}</span> : null}
+              </span>
+            </div>
+          ) : null}
         </div>
 
         <div style={{ marginTop: 24, color: "#666" }}>
-          <small>Notes: /api/transcribe and /api/questions are serverless functions. Set OPENAI_API_KEY in Vercel env vars. If you want to include your glossary PDF in the backend, note its path: /mnt/data/english-lang-and-lit-glossary-of-terms.pdf</small>
+          <small>Notes: /api/transcribe, /api/questions, /api/feedback and /api/submissions are serverless functions. Set OPENAI_API_KEY in Vercel env vars; assignments, submissions and imported glossaries are stored under DATA_DIR. Teachers can import subject glossaries as CSV or JSON from the Teacher view.</small>
         </div>
       </div>
     </div>
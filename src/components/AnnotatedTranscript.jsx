@@ -0,0 +1,114 @@
+import React, { useState } from "react";
+import { ANNOTATION_CATEGORIES, annotateTranscript, buildTimeline } from "../lib/annotations.js";
+
+/**
+ * AnnotatedTranscript
+ * The transcript with fillers, repeated words, academic terms and long
+ * sentences highlighted inline. A legend toggles each category; clicking a
+ * highlight explains it and, when timings are known, plays from there.
+ */
+
+const CATEGORY = Object.fromEntries(ANNOTATION_CATEGORIES.map((c) => [c.id, c]));
+
+function formatTime(totalSeconds) {
+  const seconds = Math.floor(totalSeconds);
+  return `${Math.floor(seconds / 60).toString().padStart(2, "0")}:${(seconds % 60).toString().padStart(2, "0")}`;
+}
+
+// split [from, to) wherever an annotation starts or ends
+function pieces(from, to, annotations) {
+  const cuts = new Set([from, to]);
+  for (const a of annotations) {
+    if (a.start > from && a.start < to) cuts.add(a.start);
+    if (a.end > from && a.end < to) cuts.add(a.end);
+  }
+  const sorted = [...cuts].sort((a, b) => a - b);
+  return sorted.slice(0, -1).map((start, i) => ({ start, end: sorted[i + 1] }));
+}
+
+export default function AnnotatedTranscript({ text, segments = [], words = [], glossary, language, onSeek }) {
+  const [enabled, setEnabled] = useState(() => Object.fromEntries(ANNOTATION_CATEGORIES.map((c) => [c.id, true])));
+  const [selected, setSelected] = useState(null);
+
+  const annotations = annotateTranscript(text, { glossary, language });
+  const timeAt = buildTimeline(text, { segments, words });
+  const visible = annotations.filter((a) => enabled[a.category]);
+  const counts = Object.fromEntries(ANNOTATION_CATEGORIES.map((c) => [c.id, annotations.filter((a) => a.category === c.id).length]));
+
+  function select(a) {
+    setSelected(a);
+    const time = timeAt(a.start);
+    if (time !== null && onSeek) onSeek(time);
+  }
+
+  // one line per timed segment when we can place them, otherwise one block
+  const lines = [];
+  let cursor = 0;
+  for (const s of segments) {
+    const at = text.indexOf(s.text, cursor);
+    if (at === -1) continue;
+    lines.push({ start: at, end: at + s.text.length, time: s.start });
+    cursor = at + s.text.length;
+  }
+  if (!lines.length) lines.push({ start: 0, end: text.length, time: null });
+
+  function renderRange(from, to) {
+    return pieces(from, to, visible).map(({ start, end }) => {
+      const inline = visible.find((a) => a.category !== "longSentence" && a.start <= start && a.end >= end);
+      const sentence = visible.find((a) => a.category === "longSentence" && a.start <= start && a.end >= end);
+      const chunk = text.slice(start, end);
+      if (!inline && !sentence) return <React.Fragment key={start}>{chunk}</React.Fragment>;
+      const target = inline || sentence;
+      return (
+        <span
+          key={start}
+          onClick={() => select(target)}
+          title={target.reason}
+          style={{
+            cursor: "pointer",
+            background: inline ? CATEGORY[inline.category].colour : undefined,
+            borderRadius: inline ? 3 : undefined,
+            textDecoration: sentence ? `underline wavy ${CATEGORY.longSentence.colour}` : undefined,
+            outline: selected && selected.start === target.start && selected.category === target.category ? "2px solid #0b63e0" : undefined
+          }}
+        >
+          {chunk}
+        </span>
+      );
+    });
+  }
+
+  return (
+    <div>
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 8, marginBottom: 10, fontSize: 14 }}>
+        {ANNOTATION_CATEGORIES.map((c) => (
+          <label key={c.id} style={{ display: "flex", alignItems: "center", gap: 4, padding: "2px 8px", border: "1px solid #ddd", borderRadius: 12, cursor: "pointer" }}>
+            <input type="checkbox" checked={enabled[c.id]} onChange={(e) => setEnabled((prev) => ({ ...prev, [c.id]: e.target.checked }))} />
+            <span style={c.id === "longSentence" ? { textDecoration: `underline wavy ${c.colour}` } : { background: c.colour, padding: "0 4px", borderRadius: 3 }}>{c.label}</span>
+            <span style={{ color: "#666" }}>({counts[c.id]})</span>
+          </label>
+        ))}
+      </div>
+
+      <div style={{ lineHeight: 1.7 }}>
+        {lines.map((line) => (
+          <div key={line.start} style={{ display: "flex", gap: 10, padding: "2px 0" }}>
+            {line.time !== null ? (
+              <button onClick={() => onSeek && onSeek(line.time)} title="Play from here" style={{ flex: "none", alignSelf: "flex-start", padding: "0 6px", border: "1px solid #cfe0fb", borderRadius: 6, background: "#f0f6ff", color: "#0b63e0", cursor: "pointer", fontFamily: "monospace" }}>{formatTime(line.time)}</button>
+            ) : null}
+            <span style={{ whiteSpace: "pre-wrap" }}>{renderRange(line.start, line.end)}</span>
+          </div>
+        ))}
+      </div>
+
+      {selected ? (
+        <div style={{ marginTop: 8, padding: 10, border: "1px solid #cfe0fb", borderRadius: 8, background: "#f7faff" }}>
+          <strong>{CATEGORY[selected.category].label}</strong>
+          {timeAt(selected.start) !== null ? <span style={{ color: "#666" }}> at {formatTime(timeAt(selected.start))}</span> : null}
+          <div style={{ marginTop: 4 }}>{selected.reason}</div>
+          <button onClick={() => setSelected(null)} style={{ marginTop: 6 }}>Close</button>
+        </div>
+      ) : null}
+    </div>
+  );
+}
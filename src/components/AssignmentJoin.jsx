@@ -0,0 +1,67 @@
+import React, { useState } from "react";
+import { getAssignmentByCode } from "../lib/api.js";
+
+/**
+ * AssignmentJoin
+ * Lets a student enter a teacher's join code and pick their name, so the
+ * next recording is timed, scored and submitted against that assignment.
+ * Exams are sat under the name the student signed in with (`signedInName`).
+ */
+export default function AssignmentJoin({ assignment, studentName, signedInName, onJoin, onLeave, disabled }) {
+  const [code, setCode] = useState("");
+  const [pending, setPending] = useState(null);
+  const [name, setName] = useState("");
+  const [error, setError] = useState(null);
+
+  async function lookUp(e) {
+    e.preventDefault();
+    setError(null);
+    try {
+      const { assignment: found } = await getAssignmentByCode(code.trim());
+      setPending(found);
+      setName(found.exam && signedInName ? signedInName : found.roster[0] || "");
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  if (assignment) {
+    return (
+      <div style={{ marginTop: 12, padding: 12, border: "1px solid #cfe0fb", borderRadius: 8, background: "#f7faff" }}>
+        <div><strong>{assignment.title}</strong> &mdash; submitting as {studentName}</div>
+        {assignment.prompt ? <p style={{ margin: "6px 0" }}>{assignment.prompt}</p> : null}
+        <button onClick={onLeave} disabled={disabled}>Leave assignment</button>
+      </div>
+    );
+  }
+
+  if (pending) {
+    return (
+      <div style={{ marginTop: 12, padding: 12, border: "1px solid #cfe0fb", borderRadius: 8, background: "#f7faff" }}>
+        <div><strong>{pending.title}</strong>{pending.className ? ` (${pending.className})` : ""}</div>
+        {pending.exam && signedInName ? (
+          <span>This is an exam: it is recorded under the name you signed in with, {signedInName}.</span>
+        ) : pending.roster.length ? (
+          <label>Your name:{" "}
+            <select value={name} onChange={(e) => setName(e.target.value)}>
+              {pending.roster.map((n) => <option key={n} value={n}>{n}</option>)}
+            </select>
+          </label>
+        ) : (
+          <label>Your name: <input value={name} onChange={(e) => setName(e.target.value)} /></label>
+        )}{" "}
+        <button disabled={!name.trim()} onClick={() => { onJoin(pending, name.trim()); setPending(null); }}>Join</button>{" "}
+        <button onClick={() => setPending(null)}>Cancel</button>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={lookUp} style={{ marginTop: 12, fontSize: 14, color: "#444" }}>
+      Assignment code:{" "}
+      <input value={code} onChange={(e) => setCode(e.target.value)} placeholder="e.g. K7P2QM" style={{ width: 100, textTransform: "uppercase" }} disabled={disabled} />{" "}
+      <button type="submit" disabled={!code.trim() || disabled}>Join</button>
+      {error ? <span style={{ marginLeft: 8, color: "red" }}>{error}</span> : null}
+    </form>
+  );
+}
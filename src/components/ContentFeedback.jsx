@@ -0,0 +1,65 @@
+import React from "react";
+
+/**
+ * ContentFeedback
+ * Qualitative feedback from /api/feedback on what the student argued: a
+ * level per dimension, strengths, targets and a suggested mark band, each
+ * with the transcript quote it rests on.
+ */
+
+const LEVEL_STYLES = {
+  secure: { label: "Secure", colour: "green" },
+  developing: { label: "Developing", colour: "#b8860b" },
+  emerging: { label: "Emerging", colour: "red" }
+};
+
+function Quote({ text }) {
+  return text ? <div style={{ fontSize: 13, color: "#666" }}><em>&ldquo;{text}&rdquo;</em></div> : null;
+}
+
+export default function ContentFeedback({ feedback }) {
+  const labels = Object.fromEntries(feedback.dimensions.map((d) => [d.dimension, d.label]));
+
+  return (
+    <div>
+      <div style={{ fontWeight: 600 }}>Suggested band: {feedback.markBand.band}</div>
+      <div style={{ color: "#444" }}>{feedback.markBand.rationale}</div>
+      <Quote text={feedback.markBand.quote} />
+      {feedback.summary ? <p>{feedback.summary}</p> : null}
+
+      <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 14, marginTop: 8 }}>
+        <tbody>
+          {feedback.dimensions.map((d) => {
+            const level = LEVEL_STYLES[d.level];
+            return (
+              <tr key={d.dimension} style={{ borderBottom: "1px solid #f0f0f0", verticalAlign: "top" }}>
+                <td style={{ padding: "4px 6px", whiteSpace: "nowrap" }}>{d.label}</td>
+                <td style={{ padding: "4px 6px", color: level ? level.colour : "#999" }}>{level ? level.label : "n/a"}</td>
+                <td style={{ padding: "4px 6px" }}>{d.comment}<Quote text={d.quote} /></td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 16, marginTop: 12 }}>
+        {[["Strengths", feedback.strengths], ["Targets", feedback.targets]].map(([title, points]) => (
+          <div key={title} style={{ flex: 1, minWidth: 260 }}>
+            <h4 style={{ margin: "4px 0" }}>{title}</h4>
+            {points.length ? (
+              <ul style={{ paddingLeft: 20, margin: 0 }}>
+                {points.map((p, i) => (
+                  <li key={i} style={{ marginBottom: 6 }}>
+                    <span style={{ marginRight: 6, padding: "1px 6px", borderRadius: 6, background: "#eef3fc", color: "#0b3d91", fontSize: 12 }}>{labels[p.dimension]}</span>
+                    {p.text}
+                    <Quote text={p.quote} />
+                  </li>
+                ))}
+              </ul>
+            ) : <div style={{ color: "#666" }}>(None)</div>}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
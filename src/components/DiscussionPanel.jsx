@@ -0,0 +1,139 @@
+import React, { useState } from "react";
+import { fetchSpeakerQuestions } from "../lib/api.js";
+import { discussionTranscript, speakerLabels, speakerName } from "../lib/discussion.js";
+import { downloadText, fileStamp } from "../lib/download.js";
+import { discussionRows, discussionToCsv } from "../lib/exports.js";
+
+/**
+ * DiscussionPanel
+ * A diarized group discussion: the teacher names each speaker label (from a
+ * roster if there is one), then sees every student's share of the talk,
+ * turns, interruptions and fillers, scored against the rubric on their own
+ * words, and can generate probing questions for each student.
+ *
+ * `discussion` comes from analyzeDiscussion with the current `speakerNames`;
+ * without `onRename` the names are fixed (a submission under review), and
+ * without `onQuestions` no new questions can be asked.
+ */
+
+function percent(x) {
+  return `${Math.round(x * 100)}%`;
+}
+
+// what a label said first, so the teacher can tell the voices apart
+function firstWords(segments, label) {
+  const s = segments.find((x) => x.speaker === label);
+  if (!s) return "";
+  const words = s.text.trim().split(/\s+/);
+  return words.length > 12 ? `${words.slice(0, 12).join(" ")}...` : s.text.trim();
+}
+
+export default function DiscussionPanel({ discussion, segments, speakerNames = {}, roster = [], rubric, language, questionCount = 3, questions = {}, onRename, onQuestions }) {
+  const [asking, setAsking] = useState(null);
+  const [error, setError] = useState(null);
+  const rows = discussionRows(discussion, { rubric });
+  const labels = speakerLabels(segments);
+
+  async function ask(name) {
+    setAsking(name);
+    setError(null);
+    try {
+      const j = await fetchSpeakerQuestions(discussionTranscript(discussion.turns), name, questionCount, language);
+      onQuestions(name, Array.isArray(j.questions) ? j.questions : []);
+    } catch (err) {
+      setError(`${name}: ${err.message}`);
+    } finally {
+      setAsking(null);
+    }
+  }
+
+  return (
+    <div style={{ padding: 12, border: "1px solid #ddd", borderRadius: 8, background: "white" }}>
+      <h4 style={{ marginTop: 0 }}>Group Discussion</h4>
+
+      {onRename ? (
+        <div style={{ fontSize: 14, color: "#444", marginBottom: 12 }}>
+          <div style={{ marginBottom: 4 }}>Who is speaking? Give each voice a student's name; two voices given the same name count as one student.</div>
+          {roster.length ? (
+            <datalist id="discussion-roster">
+              {roster.map((n) => <option key={n} value={n} />)}
+            </datalist>
+          ) : null}
+          {labels.map((label) => (
+            <div key={label} style={{ marginBottom: 4 }}>
+              <label>
+                Speaker {label}:{" "}
+                <input value={speakerNames[label] || ""} placeholder={speakerName(label)} list={roster.length ? "discussion-roster" : undefined} onChange={(e) => onRename(label, e.target.value)} />
+              </label>
+              <span style={{ marginLeft: 8, color: "#666", fontStyle: "italic" }}>&ldquo;{firstWords(segments, label)}&rdquo;</span>
+            </div>
+          ))}
+        </div>
+      ) : null}
+
+      <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 14 }}>
+        <thead>
+          <tr style={{ textAlign: "left", borderBottom: "1px solid #ddd" }}>
+            <th>Student</th><th>Grade</th><th>Words</th><th>Talk share</th><th>Turns</th><th>Longest turn</th><th title="Times they cut in / were cut off">Interruptions</th><th>Fillers</th><th>WPM</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((r) => (
+            <tr key={r.name} style={{ borderBottom: "1px solid #f0f0f0" }}>
+              <td title={`Speaker ${r.speakerLabels}`}>{r.name}</td>
+              <td>{r.grade || "-"}</td>
+              <td>{r.wordCount} ({percent(r.wordShare)})</td>
+              <td>
+                <div style={{ display: "flex", alignItems: "center", gap: 6 }}>
+                  <div style={{ width: 60, height: 8, background: "#eef3fc", borderRadius: 4, overflow: "hidden" }}>
+                    <div style={{ width: percent(r.talkShare), height: "100%", background: "#0b63e0" }} />
+                  </div>
+                  {percent(r.talkShare)}
+                </div>
+              </td>
+              <td>{r.turns} (mean {r.meanTurnSeconds}s)</td>
+              <td>{r.longestTurnSeconds}s</td>
+              <td>{r.interruptions} / {r.interrupted}</td>
+              <td>{(r.fillerRate * 100).toFixed(1)}%</td>
+              <td>{r.wordsPerMinute}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div style={{ fontSize: 13, color: "#666", marginTop: 4 }}>
+        {discussion.turnCount} turns. Interruptions are shown as made / received. WPM is over each student's own talk time.{" "}
+        <button onClick={() => downloadText(`discussion-${fileStamp()}.csv`, discussionToCsv(discussion, { rubric }), "text/csv")}>Download CSV</button>
+      </div>
+
+      <div style={{ marginTop: 12 }}>
+        {rows.map((r) => (
+          <div key={r.name} style={{ marginBottom: 8 }}>
+            <strong>Questions for {r.name}</strong>{" "}
+            {onQuestions ? (
+              <button onClick={() => void ask(r.name)} disabled={asking !== null}>
+                {asking === r.name ? "Generating..." : questions[r.name] ? "Regenerate" : "Generate"}
+              </button>
+            ) : null}
+            {questions[r.name] && questions[r.name].length ? (
+              <ol style={{ margin: "4px 0" }}>
+                {questions[r.name].map((q, i) => (
+                  <li key={i}>
+                    {q.text} <span style={{ fontSize: 13, color: "#666" }}><em>&ldquo;{q.quote}&rdquo;</em></span>
+                  </li>
+                ))}
+              </ol>
+            ) : questions[r.name] ? <div style={{ color: "#666" }}>(No questions could be grounded in what {r.name} said)</div> : null}
+          </div>
+        ))}
+        {error ? <div style={{ color: "red" }}>Questions failed for {error}</div> : null}
+      </div>
+
+      <details style={{ marginTop: 8 }}>
+        <summary style={{ cursor: "pointer" }}>Turn by turn</summary>
+        {discussion.turns.map((t, i) => (
+          <p key={i} style={{ margin: "4px 0" }}><strong>{t.name}:</strong> {t.text}</p>
+        ))}
+      </details>
+    </div>
+  );
+}
@@ -0,0 +1,200 @@
+import React, { useEffect, useRef, useState } from "react";
+import LiveMonitor from "./LiveMonitor.jsx";
+import useRecorder from "../hooks/useRecorder.js";
+import { fetchExamStatus, startExamAttempt } from "../lib/api.js";
+
+/**
+ * ExamPanel
+ * Exam mode for an assignment with `exam` settings: the student checks the
+ * microphone, the server draws a prompt card (using up an attempt), a
+ * preparation countdown runs and recording starts by itself when it ends.
+ * Stop is only allowed once the minimum time is reached and recording
+ * stops at the maximum. The recording and its audit trail (times, stop
+ * reason, tab switches, device) go to `onRecorded(blob, audit, live)`.
+ * Attempts belong to the signed-in student.
+ */
+
+function clock(totalSeconds) {
+  const s = Math.max(0, Math.ceil(totalSeconds));
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+}
+
+function deviceInfo() {
+  return {
+    userAgent: navigator.userAgent,
+    platform: navigator.platform,
+    language: navigator.language,
+    screen: window.screen ? `${window.screen.width}x${window.screen.height}` : undefined,
+    timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone
+  };
+}
+
+// calls onTick with the seconds left every quarter second, then onDone;
+// returns the interval to clear
+function countdown(seconds, onTick, onDone) {
+  const deadline = Date.now() + seconds * 1000;
+  const id = setInterval(() => {
+    const left = (deadline - Date.now()) / 1000;
+    onTick(left);
+    if (left <= 0) {
+      clearInterval(id);
+      onDone();
+    }
+  }, 250);
+  return id;
+}
+
+// ask for the microphone before a card is drawn, so a blocked microphone
+// does not cost an attempt
+async function checkMicrophone() {
+  if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) throw new Error("This browser cannot record audio.");
+  try {
+    const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    stream.getTracks().forEach((t) => t.stop());
+  } catch {
+    throw new Error("Microphone access is blocked. Allow it in your browser, then begin the attempt.");
+  }
+}
+
+export default function ExamPanel({ assignment, disabled = false, onActive = () => {}, onRecorded }) {
+  const { prepSeconds, maxAttempts } = assignment.exam;
+  const { minSeconds, maxSeconds } = assignment;
+  const [used, setUsed] = useState(null);
+  // ready -> starting -> prep -> recording -> done
+  const [phase, setPhase] = useState("ready");
+  const [attempt, setAttempt] = useState(null);
+  const [prepLeft, setPrepLeft] = useState(prepSeconds);
+  const [error, setError] = useState(null);
+
+  // the audit trail of the attempt in progress
+  const auditRef = useRef(null);
+  const countdownRef = useRef(null);
+
+  const recorder = useRecorder({ maxSeconds, onStop: finish });
+
+  useEffect(() => {
+    fetchExamStatus(assignment.id)
+      .then((j) => setUsed(j.used))
+      .catch((err) => setError(err.message));
+  }, [assignment.id]);
+
+  useEffect(() => {
+    function note() {
+      if (auditRef.current) auditRef.current.events.push({ type: document.hidden ? "page_hidden" : "page_visible", at: new Date().toISOString() });
+    }
+    document.addEventListener("visibilitychange", note);
+    return () => {
+      document.removeEventListener("visibilitychange", note);
+      if (countdownRef.current) clearInterval(countdownRef.current);
+    };
+  }, []);
+
+  async function begin() {
+    setError(null);
+    setPhase("starting");
+    onActive(true);
+    try {
+      await checkMicrophone();
+      const { attempt: a } = await startExamAttempt(assignment.id, deviceInfo());
+      auditRef.current = { attemptId: a.id, device: deviceInfo(), events: [{ type: "card_drawn", at: a.drawnAt }], stopReason: null };
+      setAttempt(a);
+      setUsed(a.number);
+      setPhase("prep");
+      setPrepLeft(a.prepSeconds);
+      countdownRef.current = countdown(a.prepSeconds, setPrepLeft, () => void speak(true));
+    } catch (err) {
+      setError(err.message);
+      setPhase("ready");
+      onActive(false);
+    }
+  }
+
+  async function speak(autoStarted) {
+    if (countdownRef.current) clearInterval(countdownRef.current);
+    countdownRef.current = null;
+    const audit = auditRef.current;
+    if (!audit || audit.recordingStartedAt) return;
+    audit.autoStarted = autoStarted;
+    audit.recordingStartedAt = new Date().toISOString();
+    audit.events.push({ type: autoStarted ? "recording_auto_started" : "recording_started", at: audit.recordingStartedAt });
+    setPhase("recording");
+    await recorder.start();
+  }
+
+  function stop() {
+    if (auditRef.current) auditRef.current.stopReason = "student";
+    recorder.stop();
+  }
+
+  function finish(blob) {
+    const audit = auditRef.current;
+    auditRef.current = null;
+    setPhase("done");
+    onActive(false);
+    if (!audit) return;
+    const stoppedAt = new Date();
+    const stopReason = audit.stopReason || "time_limit";
+    audit.events.push({ type: "recording_stopped", at: stoppedAt.toISOString(), detail: stopReason });
+    const durationSeconds = (stoppedAt.getTime() - Date.parse(audit.recordingStartedAt)) / 1000;
+    onRecorded(blob, { ...audit, stopReason, recordingStoppedAt: stoppedAt.toISOString(), durationSeconds }, {
+      pitchHistory: [...recorder.pitchHistoryRef.current],
+      volumeHistory: [...recorder.volHistoryRef.current],
+      durationSeconds: recorder.seconds
+    });
+  }
+
+  const attemptsLeft = used === null ? null : maxAttempts - used;
+  const canStop = recorder.seconds >= minSeconds;
+
+  return (
+    <div style={{ marginTop: 12, padding: 12, border: "1px solid #cfe0fb", borderRadius: 8, background: "#f7faff" }}>
+      <strong style={{ color: "#0b3d91" }}>Exam</strong>
+      <div style={{ fontSize: 14, color: "#444", marginTop: 4 }}>
+        You will get a prompt card and {clock(prepSeconds)} to prepare; recording then starts by itself.
+        Speak for at least {clock(minSeconds)} and at most {clock(maxSeconds)}.
+        {attemptsLeft !== null ? ` Attempts used: ${used} of ${maxAttempts}.` : ""}
+      </div>
+
+      {attempt && phase !== "ready" && phase !== "starting" ? (
+        <div style={{ marginTop: 12, padding: 12, background: "white", border: "1px solid #ddd", borderRadius: 8 }}>
+          <div style={{ fontSize: 13, color: "#666" }}>Prompt card (attempt {attempt.number} of {attempt.maxAttempts})</div>
+          <p style={{ fontSize: 18, lineHeight: 1.5, whiteSpace: "pre-wrap", margin: "4px 0 0" }}>{attempt.card}</p>
+        </div>
+      ) : null}
+
+      <div style={{ marginTop: 12 }}>
+        {phase === "ready" || phase === "done" ? (
+          <button onClick={() => void begin()} disabled={disabled || attemptsLeft === null || attemptsLeft <= 0}
+            style={{ padding: "12px 20px", borderRadius: 12, border: "none", background: "#0b63e0", color: "white", cursor: "pointer", fontSize: 15 }}>
+            {phase === "done" ? "Begin another attempt" : "Begin exam attempt"}
+          </button>
+        ) : null}
+        {phase === "starting" ? <span>Checking the microphone and drawing a card...</span> : null}
+        {phase === "prep" ? (
+          <span>
+            <span style={{ fontSize: 18, marginRight: 12 }}>Preparation: {clock(prepLeft)}</span>
+            <button onClick={() => void speak(false)}>Start speaking now</button>
+          </span>
+        ) : null}
+        {phase === "recording" ? (
+          <span>
+            <button onClick={stop} disabled={!recorder.recording || !canStop} title={canStop ? undefined : `You can stop after ${clock(minSeconds)}`}
+              style={{ padding: "12px 20px", borderRadius: 12, border: "none", background: recorder.recording && canStop ? "#e00b0b" : "#999", color: "white", cursor: recorder.recording && canStop ? "pointer" : "not-allowed", fontSize: 15 }}>
+              Stop Recording
+            </button>
+            <span style={{ marginLeft: 20, fontSize: 18 }}>Time: {clock(recorder.seconds)} of {clock(maxSeconds)}</span>
+          </span>
+        ) : null}
+        {attemptsLeft !== null && attemptsLeft <= 0 && phase !== "recording" && phase !== "prep" ? (
+          <div style={{ marginTop: 8, color: "#666" }}>You have used all your attempts.</div>
+        ) : null}
+      </div>
+
+      {phase === "recording" && recorder.recording ? (
+        <LiveMonitor live={recorder.live} seconds={recorder.seconds} minSeconds={minSeconds} maxSeconds={maxSeconds} />
+      ) : null}
+      {recorder.permissionDenied ? <div style={{ marginTop: 8, color: "red" }}>The microphone could not be started. Tell your teacher; this attempt has been counted.</div> : null}
+      {error ? <div style={{ marginTop: 8, color: "red" }}>{error}</div> : null}
+    </div>
+  );
+}
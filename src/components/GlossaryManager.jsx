@@ -0,0 +1,55 @@
+import React, { useEffect, useState } from "react";
+import { importGlossary, listGlossaries } from "../lib/api.js";
+
+/**
+ * GlossaryManager
+ * Lists the available subject glossaries and imports new ones (or new
+ * versions of existing ones) from CSV or JSON.
+ */
+export default function GlossaryManager() {
+  const [glossaries, setGlossaries] = useState(null);
+  const [subject, setSubject] = useState("");
+  const [status, setStatus] = useState(null);
+
+  useEffect(() => {
+    listGlossaries()
+      .then((j) => setGlossaries(j.glossaries))
+      .catch((err) => setStatus({ error: `Could not load glossaries: ${err.message}` }));
+  }, []);
+
+  async function onFile(e) {
+    const f = e.target.files && e.target.files[0];
+    e.target.value = "";
+    if (!f) return;
+    setStatus(null);
+    try {
+      const { glossary } = await importGlossary(f, subject.trim() ? { subject: subject.trim() } : {});
+      setGlossaries((prev) => [...(prev || []).filter((g) => g.id !== glossary.id), glossary]);
+      setStatus({ message: `Imported "${glossary.title}" (version ${glossary.version}, ${glossary.termCount} terms).` });
+    } catch (err) {
+      setStatus({ error: err.details ? `${err.message}: ${[].concat(err.details).join("; ")}` : err.message });
+    }
+  }
+
+  return (
+    <div style={{ marginTop: 24 }}>
+      <h4>Glossaries</h4>
+      {glossaries ? (
+        <ul style={{ paddingLeft: 18 }}>
+          {glossaries.map((g) => (
+            <li key={g.id}>
+              {g.title} <span style={{ color: "#666" }}>({g.subject || "no subject"}, v{g.version}, {g.termCount} terms{g.builtIn ? ", built-in" : ""})</span>
+            </li>
+          ))}
+        </ul>
+      ) : null}
+      <div style={{ fontSize: 14, color: "#444" }}>
+        Import CSV (<code>term,definition,aliases</code>) or JSON:{" "}
+        <input placeholder="Subject" value={subject} onChange={(e) => setSubject(e.target.value)} style={{ width: 120 }} />{" "}
+        <input type="file" accept=".csv,text/csv,application/json,.json" onChange={onFile} />
+      </div>
+      {status && status.message ? <div style={{ marginTop: 6, color: "green" }}>{status.message}</div> : null}
+      {status && status.error ? <div style={{ marginTop: 6, color: "red" }}>{status.error}</div> : null}
+    </div>
+  );
+}
@@ -0,0 +1,189 @@
+import React, { useEffect, useState } from "react";
+import TrendChart from "./TrendChart.jsx";
+import { downloadText, fileStamp, printReport } from "../lib/download.js";
+import { buildReportHtml, recordsToCsv, recordsToJson } from "../lib/exports.js";
+import { deleteSession, listSessions } from "../lib/historyStore.js";
+import { GLOSSARIES } from "../glossaries/index.js";
+
+/**
+ * HistoryView
+ * Past practice attempts from IndexedDB: a list, trend charts for the key
+ * metrics, a side-by-side comparison of any two attempts, and exports:
+ * a printable report per attempt and the metrics of any selection as CSV
+ * or JSON.
+ */
+
+const TREND_METRICS = [
+  { metric: "fillerRate", title: "Filler rate", format: (v) => `${(v * 100).toFixed(1)}%` },
+  { metric: "wordsPerMinute", title: "Words per minute", format: (v) => String(Math.round(v)) },
+  { metric: "ttr", title: "Type-token ratio", format: (v) => v.toFixed(2) },
+  { metric: "flesch", title: "Flesch reading ease", format: (v) => String(Math.round(v)) }
+];
+
+const COMPARE_METRICS = [
+  { metric: "wordCount", label: "Words", format: (v) => String(v) },
+  { metric: "durationSeconds", label: "Duration (s)", format: (v) => String(Math.round(v)) },
+  ...TREND_METRICS.map((m) => ({ metric: m.metric, label: m.title, format: m.format })),
+  { metric: "disfluencyCount", label: "Disfluencies", format: (v) => String(v) },
+  { metric: "academicMatches", label: "Academic word matches", format: (v) => String(v) },
+  { metric: "avgSentenceLen", label: "Avg sentence length", format: (v) => v.toFixed(1) },
+  { metric: "pitchRangeSemitones", label: "Pitch range (semitones)", format: (v) => v.toFixed(1) },
+  { metric: "pausesPerMinute", label: "Pauses per minute", format: (v) => v.toFixed(1) },
+  { metric: "articulationRate", label: "Articulation rate (wpm)", format: (v) => String(Math.round(v)) }
+];
+
+function formatDate(iso) {
+  return new Date(iso).toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" });
+}
+
+// the rubric's best ("green") band for a metric, drawn as the target zone
+function targetBand(rubric, metric) {
+  const criterion = rubric.criteria.find((c) => c.metric === metric);
+  const band = criterion && criterion.bands.find((b) => b.colour === "green");
+  if (!band || band.min === undefined || band.max === undefined) return null;
+  return { min: band.min, max: band.max };
+}
+
+function metricValue(session, metric) {
+  const v = session.analysis ? session.analysis[metric] : undefined;
+  return typeof v === "number" ? v : null;
+}
+
+export default function HistoryView({ rubric, onOpen }) {
+  const [sessions, setSessions] = useState(null);
+  const [error, setError] = useState(null);
+  const [compare, setCompare] = useState([]);
+  const [selected, setSelected] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    listSessions()
+      .then((list) => { if (!cancelled) setSessions(list); })
+      .catch((err) => { if (!cancelled) setError(err.message || String(err)); });
+    return () => { cancelled = true; };
+  }, []);
+
+  async function remove(id) {
+    if (!confirm("Delete this attempt?")) return;
+    await deleteSession(id);
+    setSessions((prev) => prev.filter((s) => s.id !== id));
+    setCompare((prev) => prev.filter((x) => x !== id));
+    setSelected((prev) => prev.filter((x) => x !== id));
+  }
+
+  function toggleCompare(id) {
+    setCompare((prev) => (prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id].slice(-2)));
+  }
+
+  function toggleSelected(id) {
+    setSelected((prev) => (prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id]));
+  }
+
+  function exportSelected(format) {
+    const chosen = sessions.filter((s) => selected.includes(s.id));
+    const name = `attempts-${fileStamp()}`;
+    if (format === "json") downloadText(`${name}.json`, recordsToJson(chosen), "application/json");
+    else downloadText(`${name}.csv`, recordsToCsv(chosen), "text/csv");
+  }
+
+  function report(s) {
+    const glossary = (s.glossary && GLOSSARIES[s.glossary.id]) || null;
+    printReport(buildReportHtml(s, { glossary }), `feedback-${fileStamp(s.createdAt)}.html`);
+  }
+
+  if (error) return <div style={{ color: "red" }}>Could not load history: {error}</div>;
+  if (!sessions) return <div>Loading history...</div>;
+  if (sessions.length === 0) return <div>(No saved attempts yet. Record or upload a speech to start your history.)</div>;
+
+  const compared = compare.map((id) => sessions.find((s) => s.id === id)).filter(Boolean);
+
+  return (
+    <div>
+      <h3>Progress</h3>
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 16 }}>
+        {TREND_METRICS.map((m) => (
+          <TrendChart
+            key={m.metric}
+            title={m.title}
+            format={m.format}
+            target={targetBand(rubric, m.metric)}
+            points={sessions.map((s) => ({ label: formatDate(s.createdAt), value: metricValue(s, m.metric) }))}
+          />
+        ))}
+      </div>
+
+      <h3>Attempts</h3>
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 8, alignItems: "center", marginBottom: 8, fontSize: 14 }}>
+        <span>{selected.length} selected for export</span>
+        <button onClick={() => setSelected(selected.length === sessions.length ? [] : sessions.map((s) => s.id))}>
+          {selected.length === sessions.length ? "Select none" : "Select all"}
+        </button>
+        <button disabled={!selected.length} onClick={() => exportSelected("csv")}>Export CSV</button>
+        <button disabled={!selected.length} onClick={() => exportSelected("json")}>Export JSON</button>
+      </div>
+      <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 14 }}>
+        <thead>
+          <tr style={{ textAlign: "left", borderBottom: "1px solid #ddd" }}>
+            <th>Export</th><th>Compare</th><th>Date</th><th>Words</th><th>Fillers</th><th>WPM</th><th>TTR</th><th>Flesch</th><th />
+          </tr>
+        </thead>
+        <tbody>
+          {[...sessions].reverse().map((s) => (
+            <tr key={s.id} style={{ borderBottom: "1px solid #f0f0f0" }}>
+              <td><input type="checkbox" checked={selected.includes(s.id)} onChange={() => toggleSelected(s.id)} /></td>
+              <td><input type="checkbox" checked={compare.includes(s.id)} onChange={() => toggleCompare(s.id)} /></td>
+              <td>{formatDate(s.createdAt)}</td>
+              <td>{metricValue(s, "wordCount") ?? "-"}</td>
+              <td>{metricValue(s, "fillerRate") !== null ? `${(s.analysis.fillerRate * 100).toFixed(1)}%` : "-"}</td>
+              <td>{metricValue(s, "wordsPerMinute") ?? "-"}</td>
+              <td>{metricValue(s, "ttr") !== null ? s.analysis.ttr.toFixed(2) : "-"}</td>
+              <td>{metricValue(s, "flesch") ?? "-"}</td>
+              <td style={{ whiteSpace: "nowrap" }}>
+                <button onClick={() => onOpen(s)} style={{ marginRight: 6 }}>Open</button>
+                <button onClick={() => report(s)} style={{ marginRight: 6 }}>Report</button>
+                <button onClick={() => void remove(s.id)}>Delete</button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {compared.length === 2 ? (
+        <div style={{ marginTop: 20 }}>
+          <h3>Comparison</h3>
+          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 14 }}>
+            <thead>
+              <tr style={{ textAlign: "left", borderBottom: "1px solid #ddd" }}>
+                <th>Metric</th><th>{formatDate(compared[0].createdAt)}</th><th>{formatDate(compared[1].createdAt)}</th><th>Change</th>
+              </tr>
+            </thead>
+            <tbody>
+              {COMPARE_METRICS.map((m) => {
+                const a = metricValue(compared[0], m.metric);
+                const b = metricValue(compared[1], m.metric);
+                return (
+                  <tr key={m.metric} style={{ borderBottom: "1px solid #f0f0f0" }}>
+                    <td>{m.label}</td>
+                    <td>{a !== null ? m.format(a) : "-"}</td>
+                    <td>{b !== null ? m.format(b) : "-"}</td>
+                    <td>{a !== null && b !== null ? `${b - a >= 0 ? "+" : "-"}${m.format(Math.abs(b - a))}` : ""}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          <div style={{ display: "flex", gap: 16, marginTop: 12 }}>
+            {compared.map((s) => (
+              <div key={s.id} style={{ flex: 1, minWidth: 0 }}>
+                <div style={{ fontWeight: 600 }}>{formatDate(s.createdAt)}</div>
+                <pre style={{ whiteSpace: "pre-wrap", fontSize: 13, background: "#fafafa", padding: 8, border: "1px solid #eee" }}>{s.transcript}</pre>
+              </div>
+            ))}
+          </div>
+        </div>
+      ) : compared.length === 1 ? (
+        <div style={{ marginTop: 12, color: "#666" }}>Tick one more attempt to compare.</div>
+      ) : null}
+    </div>
+  );
+}
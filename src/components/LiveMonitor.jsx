@@ -0,0 +1,85 @@
+import React from "react";
+
+/**
+ * LiveMonitor
+ * In-the-moment feedback while recording: input level, a scrolling pitch
+ * trace, warnings for long silences and clipping, and progress towards the
+ * target speaking time.
+ */
+
+const SILENCE_WARNING_SECONDS = 3;
+const TRACE_WIDTH = 300;
+const TRACE_HEIGHT = 60;
+const TRACE_MIN_HZ = 75;
+const TRACE_MAX_HZ = 400;
+
+function levelPercent(rms) {
+  // -60 dBFS .. 0 dBFS mapped onto 0..100%
+  const db = 20 * Math.log10(Math.max(rms, 1e-6));
+  return Math.max(0, Math.min(100, ((db + 60) / 60) * 100));
+}
+
+function tracePoints(trace) {
+  const step = TRACE_WIDTH / Math.max(1, trace.length - 1);
+  const range = Math.log(TRACE_MAX_HZ / TRACE_MIN_HZ);
+  const runs = [];
+  let current = [];
+  trace.forEach((hz, i) => {
+    if (!hz) {
+      if (current.length) runs.push(current);
+      current = [];
+      return;
+    }
+    // log scale so equal musical intervals look equal
+    const clamped = Math.min(TRACE_MAX_HZ, Math.max(TRACE_MIN_HZ, hz));
+    const y = TRACE_HEIGHT - (Math.log(clamped / TRACE_MIN_HZ) / range) * TRACE_HEIGHT;
+    current.push(`${(i * step).toFixed(1)},${y.toFixed(1)}`);
+  });
+  if (current.length) runs.push(current);
+  return runs.map((r) => r.join(" "));
+}
+
+export default function LiveMonitor({ live, seconds, minSeconds, maxSeconds }) {
+  const level = live ? levelPercent(live.level) : 0;
+  const progress = Math.min(100, (seconds / maxSeconds) * 100);
+  const minMark = Math.min(100, (minSeconds / maxSeconds) * 100);
+  const progressColour = seconds < minSeconds ? "#f0a020" : seconds > maxSeconds * 0.9 ? "#e00b0b" : "#1a9e3a";
+
+  const warnings = [];
+  if (live && live.clipping) warnings.push("Input is clipping: move back from the microphone or speak a little more softly.");
+  if (live && live.silenceSeconds >= SILENCE_WARNING_SECONDS) warnings.push(`Silence for ${Math.floor(live.silenceSeconds)}s: keep going, or stop when you are finished.`);
+
+  return (
+    <div style={{ marginTop: 12, padding: 12, border: "1px solid #cfe0fb", borderRadius: 10, background: "#f7faff" }}>
+      <div style={{ display: "flex", gap: 16, alignItems: "center", flexWrap: "wrap" }}>
+        <div style={{ flex: "1 1 200px" }}>
+          <div style={{ fontSize: 13, color: "#444" }}>Level</div>
+          <div style={{ height: 12, background: "#e5ecf7", borderRadius: 6, overflow: "hidden" }}>
+            <div style={{ width: `${level}%`, height: "100%", background: live && live.clipping ? "#e00b0b" : level > 85 ? "#f0a020" : "#1a9e3a", transition: "width 80ms linear" }} />
+          </div>
+        </div>
+        <div style={{ flex: "none" }}>
+          <div style={{ fontSize: 13, color: "#444" }}>Pitch</div>
+          <svg width={TRACE_WIDTH} height={TRACE_HEIGHT} style={{ display: "block", background: "white", border: "1px solid #e5ecf7", borderRadius: 6 }}>
+            {live ? tracePoints(live.trace).map((pts, i) => <polyline key={i} points={pts} fill="none" stroke="#0b63e0" strokeWidth="2" />) : null}
+          </svg>
+        </div>
+      </div>
+
+      <div style={{ marginTop: 10 }}>
+        <div style={{ fontSize: 13, color: "#444" }}>
+          Target: {Math.round(minSeconds / 60 * 10) / 10}–{Math.round(maxSeconds / 60 * 10) / 10} min
+          {seconds < minSeconds ? ` (${minSeconds - seconds}s to go)` : " (minimum reached)"}
+        </div>
+        <div style={{ position: "relative", height: 12, background: "#e5ecf7", borderRadius: 6, overflow: "hidden" }}>
+          <div style={{ width: `${progress}%`, height: "100%", background: progressColour }} />
+          <div title="Minimum speaking time" style={{ position: "absolute", top: 0, left: `${minMark}%`, width: 2, height: "100%", background: "#0b3d91" }} />
+        </div>
+      </div>
+
+      {warnings.map((w) => (
+        <div key={w} style={{ marginTop: 8, padding: "6px 10px", borderRadius: 6, background: "#fff6e5", color: "#8a5a00" }}>{w}</div>
+      ))}
+    </div>
+  );
+}
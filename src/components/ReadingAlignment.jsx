@@ -0,0 +1,82 @@
+import React from "react";
+import { FLUENCY_CATEGORIES } from "../lib/fluency.js";
+
+/**
+ * ReadingAlignment
+ * A read-aloud attempt (from analyzeReading) as the reference passage with
+ * every word coloured by how it was read: substitutions show what was said
+ * instead, insertions, repetitions and self-corrections appear in brackets
+ * where they were said, and omitted words are struck through.
+ */
+
+const CATEGORY = Object.fromEntries(FLUENCY_CATEGORIES.map((c) => [c.id, c]));
+
+function tokenStyle(type) {
+  const c = CATEGORY[type];
+  return {
+    background: c.colour,
+    borderRadius: 3,
+    padding: "0 2px",
+    color: type === "notReached" ? "#999" : undefined,
+    textDecoration: type === "omission" ? "line-through" : undefined
+  };
+}
+
+function tokenTitle(t) {
+  const label = CATEGORY[t.type].label;
+  if (t.type === "substitution") return `${label}: read "${t.spoken}" for "${t.ref}"`;
+  if (t.spoken) return `${label}: "${t.spoken}"`;
+  return label;
+}
+
+// each token with the passage text before it, so the passage keeps its own
+// spacing and punctuation between words; insertions get a single space
+function withGaps(reference, tokens) {
+  let cursor = 0;
+  const pieces = tokens.map((t) => {
+    if (t.start === undefined) return { token: t, gap: " " };
+    const gap = reference.slice(cursor, t.start);
+    cursor = t.end;
+    return { token: t, gap };
+  });
+  return { pieces, tail: reference.slice(cursor) };
+}
+
+export default function ReadingAlignment({ fluency }) {
+  const { reference, tokens, counts } = fluency;
+  const { pieces, tail } = withGaps(reference, tokens);
+
+  return (
+    <div style={{ padding: 12, border: "1px solid #ddd", borderRadius: 8, background: "white" }}>
+      <h4 style={{ marginTop: 0 }}>Reading Fluency</h4>
+      <div style={{ fontSize: 14, color: "#444", marginBottom: 8 }}>
+        <div style={{ fontSize: 18, fontWeight: 600, color: "#0b3d91" }}>{fluency.wcpm ?? "-"} WCPM</div>
+        <div>Accuracy: {Math.round(fluency.accuracy * 1000) / 10}% ({fluency.correct} of {fluency.attempted} words read correctly{counts.notReached ? `; ${counts.notReached} not reached` : ""})</div>
+        <div>Errors: {fluency.errors} (substitutions {counts.substitution}, omissions {counts.omission}, insertions {counts.insertion})</div>
+        <div>Self-corrections: {counts.selfCorrection}, repetitions: {counts.repetition}</div>
+        {fluency.seconds ? <div>Reading time: {fluency.seconds}s</div> : null}
+      </div>
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 6, marginBottom: 8, fontSize: 13 }}>
+        {FLUENCY_CATEGORIES.map((c) => (
+          <span key={c.id} style={{ ...tokenStyle(c.id), border: "1px solid #ddd", padding: "1px 6px" }}>{c.label} ({counts[c.id]})</span>
+        ))}
+      </div>
+      <div style={{ lineHeight: 1.9, whiteSpace: "pre-wrap" }}>
+        {pieces.map(({ token: t, gap }, i) => (
+          <React.Fragment key={i}>
+            {gap}
+            {t.start !== undefined ? (
+              <span title={tokenTitle(t)} style={tokenStyle(t.type)}>
+                {t.ref}
+                {t.type === "substitution" ? <sup style={{ color: "#a00", marginLeft: 2 }}>{t.spoken}</sup> : null}
+              </span>
+            ) : (
+              <span title={tokenTitle(t)} style={{ ...tokenStyle(t.type), fontStyle: "italic", fontSize: "0.9em" }}>[{t.spoken}]</span>
+            )}
+          </React.Fragment>
+        ))}
+        {tail}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,52 @@
+import React, { useState } from "react";
+import { signInWithCode } from "../lib/api.js";
+
+/**
+ * SignIn
+ * Shown when the server wants to know who is calling: a link to the
+ * school's SSO and/or a form for a class access code and the student's
+ * name. `methods` and `ssoLoginUrl` come from /api/session.
+ */
+export default function SignIn({ methods = [], ssoLoginUrl, message, onSignedIn }) {
+  const [code, setCode] = useState("");
+  const [name, setName] = useState("");
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  async function submit(e) {
+    e.preventDefault();
+    setError(null);
+    setBusy(true);
+    try {
+      onSignedIn(await signInWithCode(code.trim(), name.trim()));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div style={{ marginTop: 16, padding: 16, border: "1px solid #cfe0fb", borderRadius: 8, background: "#f7faff" }}>
+      <h3 style={{ marginTop: 0 }}>Sign in</h3>
+      {message ? <p style={{ color: "#444" }}>{message}</p> : null}
+      {!methods.length ? <p style={{ color: "#a00" }}>This server has no sign-in method configured. Ask your administrator.</p> : null}
+
+      {methods.includes("sso") && ssoLoginUrl ? (
+        <p>
+          <a href={ssoLoginUrl} style={{ display: "inline-block", padding: "10px 16px", borderRadius: 10, background: "#0b63e0", color: "white", textDecoration: "none" }}>Sign in with your school account</a>
+        </p>
+      ) : null}
+
+      {methods.includes("access-code") ? (
+        <form onSubmit={submit} style={{ fontSize: 14, color: "#444" }}>
+          {methods.includes("sso") ? <p style={{ margin: "8px 0" }}>Or use the access code your teacher gave the class:</p> : null}
+          <label>Class access code: <input value={code} onChange={(e) => setCode(e.target.value)} style={{ width: 100, textTransform: "uppercase" }} /></label>{" "}
+          <label style={{ marginLeft: 8 }}>Your name: <input value={name} onChange={(e) => setName(e.target.value)} /></label>{" "}
+          <button type="submit" disabled={busy || !code.trim() || !name.trim()}>{busy ? "Signing in..." : "Sign in"}</button>
+          {error ? <div style={{ color: "red", marginTop: 6 }}>{error}</div> : null}
+        </form>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,426 @@
+import React, { useEffect, useState } from "react";
+import ContentFeedback from "./ContentFeedback.jsx";
+import DiscussionPanel from "./DiscussionPanel.jsx";
+import GlossaryManager from "./GlossaryManager.jsx";
+import ReadingAlignment from "./ReadingAlignment.jsx";
+import UsageReport from "./UsageReport.jsx";
+import { downloadText, fileStamp, printReport } from "../lib/download.js";
+import { buildReportHtml, recordsToCsv, recordsToJson } from "../lib/exports.js";
+import { createAssignment, listAssignments, listExamAttempts, listSubmissions, reviewSubmission, fetchSubmissionAudio } from "../lib/api.js";
+import { analyzeDiscussion } from "../lib/discussion.js";
+import { RUBRICS, DEFAULT_TASK_TYPE } from "../rubrics/index.js";
+import { DEFAULT_LANGUAGE, LANGUAGES } from "../lexicons/index.js";
+
+/**
+ * TeacherDashboard
+ * Create assignments (prompt, read-aloud passage or group discussion, time
+ * limits, rubric, roster), then review the class's submissions: transcripts,
+ * metrics, reading fluency, per-student discussion metrics with speakers
+ * named by the teacher, questions, and score overrides with comments. Also where subject glossaries are imported.
+ * Exams add prompt cards, a preparation time and an attempt limit; each
+ * submission then carries its audit trail.
+ */
+
+const EMPTY_FORM = { title: "", prompt: "", className: "", roster: "", minMinutes: 2, maxMinutes: 5, taskType: DEFAULT_TASK_TYPE, language: DEFAULT_LANGUAGE, mode: "speech", referenceText: "", exam: false, promptCards: "", prepSeconds: 60, maxAttempts: 1 };
+
+function formatDate(iso) {
+  return new Date(iso).toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" });
+}
+
+function formatTime(iso) {
+  return iso ? new Date(iso).toLocaleTimeString(undefined, { timeStyle: "medium" }) : "-";
+}
+
+function AssignmentForm({ onCreated }) {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const set = (key) => (e) => setForm((f) => ({ ...f, [key]: e.target.value }));
+
+  async function submit(e) {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+    try {
+      const { assignment } = await createAssignment({
+        title: form.title,
+        prompt: form.prompt,
+        className: form.className,
+        roster: form.roster,
+        minSeconds: Math.round(Number(form.minMinutes) * 60),
+        maxSeconds: Math.round(Number(form.maxMinutes) * 60),
+        taskType: form.taskType,
+        language: form.language,
+        mode: form.mode,
+        referenceText: form.mode === "read-aloud" ? form.referenceText : "",
+        exam: form.exam ? { promptCards: form.promptCards, prepSeconds: Number(form.prepSeconds), maxAttempts: Number(form.maxAttempts) } : null
+      });
+      setForm(EMPTY_FORM);
+      onCreated(assignment);
+    } catch (err) {
+      setError(err.details ? `${err.message}: ${[].concat(err.details).join("; ")}` : err.message);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  const field = { display: "block", width: "100%", boxSizing: "border-box", marginTop: 4, padding: 6 };
+  return (
+    <form onSubmit={submit} style={{ padding: 12, background: "#fafafa", border: "1px solid #ddd", borderRadius: 8 }}>
+      <h4 style={{ marginTop: 0 }}>New assignment</h4>
+      <label>Title<input required value={form.title} onChange={set("title")} style={field} /></label>
+      <label>Task
+        <select value={form.mode} onChange={set("mode")} style={field}>
+          <option value="speech">Free speech</option>
+          <option value="read-aloud">Read aloud</option>
+          <option value="discussion">Group discussion</option>
+        </select>
+      </label>
+      {form.mode === "read-aloud" ? (
+        <label>Passage to read<textarea required rows={6} value={form.referenceText} onChange={set("referenceText")} style={field} /></label>
+      ) : null}
+      <label>Prompt<textarea rows={3} value={form.prompt} onChange={set("prompt")} style={field} /></label>
+      <label style={{ display: "block", marginTop: 4 }}>
+        <input type="checkbox" checked={form.exam} onChange={(e) => setForm((f) => ({ ...f, exam: e.target.checked }))} /> Exam: drawn prompt cards, timed preparation, no uploads
+      </label>
+      {form.exam ? (
+        <>
+          <label>Prompt cards (one per line; each student draws one at random)<textarea required rows={5} value={form.promptCards} onChange={set("promptCards")} style={field} /></label>
+          <div style={{ display: "flex", gap: 12, marginTop: 4 }}>
+            <label>Preparation seconds<input type="number" min={0} step={15} value={form.prepSeconds} onChange={set("prepSeconds")} style={field} /></label>
+            <label>Attempts allowed<input type="number" min={1} max={10} step={1} value={form.maxAttempts} onChange={set("maxAttempts")} style={field} /></label>
+          </div>
+        </>
+      ) : null}
+      <label>Class<input value={form.className} onChange={set("className")} style={field} /></label>
+      <label>Roster (one student per line)<textarea rows={4} value={form.roster} onChange={set("roster")} style={field} /></label>
+      <div style={{ display: "flex", gap: 12, marginTop: 4 }}>
+        <label>Min minutes<input type="number" min={0} step={0.5} value={form.minMinutes} onChange={set("minMinutes")} style={field} /></label>
+        <label>Max minutes<input type="number" min={0.5} step={0.5} value={form.maxMinutes} onChange={set("maxMinutes")} style={field} /></label>
+      </div>
+      <label>Language
+        <select value={form.language} onChange={set("language")} style={field}>
+          {LANGUAGES.map((l) => <option key={l.code} value={l.code}>{l.name}</option>)}
+        </select>
+      </label>
+      <label>Rubric
+        <select value={form.taskType} onChange={set("taskType")} style={field}>
+          {Object.values(RUBRICS).map((r) => <option key={r.taskType} value={r.taskType}>{r.title}</option>)}
+        </select>
+      </label>
+      {error ? <div style={{ color: "red", marginTop: 8 }}>{error}</div> : null}
+      <button type="submit" disabled={saving} style={{ marginTop: 10, padding: "8px 14px", borderRadius: 10, border: "none", background: "#0b63e0", color: "white", cursor: "pointer" }}>
+        {saving ? "Creating..." : "Create assignment"}
+      </button>
+    </form>
+  );
+}
+
+function SubmissionAudio({ id }) {
+  const [url, setUrl] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let objectUrl = null;
+    let cancelled = false;
+    fetchSubmissionAudio(id)
+      .then((blob) => {
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(blob);
+        setUrl(objectUrl);
+      })
+      .catch((err) => { if (!cancelled) setError(err.message); });
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [id]);
+
+  if (error) return <div style={{ color: "red", marginBottom: 8 }}>The recording could not be loaded: {error}</div>;
+  if (!url) return <div style={{ color: "#666", marginBottom: 8 }}>Loading recording...</div>;
+  return <audio src={url} controls style={{ display: "block", marginBottom: 8 }} />;
+}
+
+function SubmissionReview({ submission, rubric, language, roster, onSaved }) {
+  const [criteria, setCriteria] = useState((submission.review && submission.review.criteria) || {});
+  const [speakerNames, setSpeakerNames] = useState(submission.speakerNames || {});
+  const [grade, setGrade] = useState((submission.review && submission.review.grade) || "");
+  const [comment, setComment] = useState((submission.review && submission.review.comment) || "");
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  async function save() {
+    setSaving(true);
+    setError(null);
+    try {
+      const { submission: saved } = await reviewSubmission(submission.id, { criteria, grade, comment, ...(submission.discussion ? { speakerNames } : {}) });
+      onSaved(saved);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  const scored = submission.scored;
+  return (
+    <div style={{ marginTop: 16, padding: 12, border: "1px solid #cfe0fb", borderRadius: 8 }}>
+      <h4 style={{ marginTop: 0 }}>{submission.studentName} &mdash; {formatDate(submission.createdAt)}</h4>
+      {submission.hasAudio ? <SubmissionAudio id={submission.id} /> : null}
+      <pre style={{ whiteSpace: "pre-wrap", background: "#fafafa", padding: 8, border: "1px solid #eee" }}>{submission.transcript || "(No transcript)"}</pre>
+      {submission.fluency ? <div style={{ marginBottom: 8 }}><ReadingAlignment fluency={submission.fluency} /></div> : null}
+      {submission.discussion ? (
+        <div style={{ marginBottom: 8 }}>
+          <DiscussionPanel
+            discussion={analyzeDiscussion(submission.segments, { speakerNames, language })}
+            segments={submission.segments}
+            speakerNames={speakerNames}
+            roster={roster}
+            rubric={rubric}
+            language={language}
+            questions={submission.speakerQuestions}
+            onRename={(label, name) => setSpeakerNames((prev) => ({ ...prev, [label]: name }))}
+          />
+        </div>
+      ) : null}
+
+      {scored ? (
+        <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 14 }}>
+          <thead>
+            <tr style={{ textAlign: "left", borderBottom: "1px solid #ddd" }}><th>Criterion</th><th>Value</th><th>Band</th></tr>
+          </thead>
+          <tbody>
+            {scored.criteria.map((c) => {
+              const rc = rubric.criteria.find((x) => x.id === c.id);
+              return (
+                <tr key={c.id} style={{ borderBottom: "1px solid #f0f0f0" }}>
+                  <td>{c.label}</td>
+                  <td>{c.display}</td>
+                  <td>
+                    <select value={criteria[c.id] || ""} onChange={(e) => setCriteria((prev) => ({ ...prev, [c.id]: e.target.value || undefined }))}>
+                      <option value="">{c.band && !c.overridden ? `Auto: ${c.band.label}` : "Auto"}</option>
+                      {rc ? rc.bands.map((b) => <option key={b.label} value={b.label}>{b.label}</option>) : null}
+                    </select>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      ) : null}
+
+      {submission.exam ? <ExamAudit exam={submission.exam} /> : null}
+
+      {submission.contentFeedback ? (
+        <details style={{ marginTop: 8 }}>
+          <summary style={{ cursor: "pointer" }}>Content feedback (suggested band: {submission.contentFeedback.markBand.band})</summary>
+          <div style={{ marginTop: 8 }}><ContentFeedback feedback={submission.contentFeedback} /></div>
+        </details>
+      ) : null}
+
+      <div style={{ marginTop: 8 }}>
+        Grade:{" "}
+        <select value={grade} onChange={(e) => setGrade(e.target.value)}>
+          <option value="">{scored && scored.grade && !(submission.review && submission.review.grade) ? `Auto: ${scored.grade}` : "Auto"}</option>
+          {rubric.grades.map((g) => <option key={g.label} value={g.label}>{g.label}</option>)}
+        </select>
+      </div>
+      <label style={{ display: "block", marginTop: 8 }}>
+        Comment
+        <textarea rows={3} value={comment} onChange={(e) => setComment(e.target.value)} style={{ display: "block", width: "100%", boxSizing: "border-box", marginTop: 4 }} />
+      </label>
+      {error ? <div style={{ color: "red" }}>{error}</div> : null}
+      <button onClick={save} disabled={saving} style={{ marginTop: 8, padding: "8px 14px", borderRadius: 10, border: "none", background: "#0b63e0", color: "white", cursor: "pointer" }}>
+        {saving ? "Saving..." : "Save review"}
+      </button>
+
+      {submission.questions && submission.questions.length ? (
+        <div style={{ marginTop: 12 }}>
+          <strong>Generated questions</strong>
+          <ol>{submission.questions.map((q, i) => <li key={i}>{q.text}</li>)}</ol>
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+function ExamAudit({ exam }) {
+  const device = exam.device || {};
+  return (
+    <details style={{ marginTop: 8 }}>
+      <summary style={{ cursor: "pointer" }}>Exam audit trail (attempt {exam.attempt} of {exam.maxAttempts})</summary>
+      <div style={{ marginTop: 8, fontSize: 14, color: "#444" }}>
+        <div><strong>Card:</strong> {exam.card}</div>
+        <div>Card drawn {formatDate(exam.drawnAt)} ({exam.prepSeconds}s to prepare)</div>
+        <div>Recording {formatTime(exam.recordingStartedAt)} to {formatTime(exam.recordingStoppedAt)}: {exam.durationSeconds}s{exam.reportedDurationSeconds != null && Math.abs(exam.reportedDurationSeconds - exam.durationSeconds) > 2 ? ` (the browser reported ${exam.reportedDurationSeconds}s)` : ""}, {exam.autoStarted ? "started when preparation ended" : "started early by the student"}, {exam.stopReason === "time_limit" ? "stopped at the time limit" : "stopped by the student"}</div>
+        <div>Submitted {formatDate(exam.submittedAt)}</div>
+        <div>Device: {[device.platform, device.screen, device.language, device.timeZone].filter(Boolean).join(", ") || "-"}{exam.ip ? `; IP ${exam.ip}` : ""}</div>
+        {device.userAgent || exam.userAgent ? <div style={{ color: "#666", fontSize: 13 }}>{device.userAgent || exam.userAgent}</div> : null}
+        {exam.events && exam.events.length ? (
+          <ol style={{ margin: "4px 0" }}>
+            {exam.events.map((e, i) => <li key={i}>{formatTime(e.at)} {e.type.replace(/_/g, " ")}{e.detail ? ` (${e.detail.replace(/_/g, " ")})` : ""}</li>)}
+          </ol>
+        ) : null}
+      </div>
+    </details>
+  );
+}
+
+function ClassView({ assignment }) {
+  const [submissions, setSubmissions] = useState(null);
+  // exam attempts per student, drawn cards included
+  const [attempts, setAttempts] = useState(new Map());
+  const [error, setError] = useState(null);
+  const [openId, setOpenId] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    listSubmissions(assignment.id)
+      .then((j) => { if (!cancelled) setSubmissions(j.submissions); })
+      .catch((err) => { if (!cancelled) setError(err.message); });
+    if (assignment.exam) {
+      listExamAttempts(assignment.id)
+        .then((j) => { if (!cancelled) setAttempts(new Map(j.students.map((s) => [s.studentName, s.attempts]))); })
+        .catch((err) => console.warn("Could not load exam attempts", err));
+    }
+    return () => { cancelled = true; };
+  }, [assignment.id, assignment.exam]);
+
+  if (error) return <div style={{ color: "red" }}>Could not load submissions: {error}</div>;
+  if (!submissions) return <div>Loading submissions...</div>;
+
+  // latest submission per student, plus anyone on the roster yet to submit
+  const latest = new Map();
+  for (const s of [...submissions].sort((a, b) => a.createdAt.localeCompare(b.createdAt))) latest.set(s.studentName, s);
+  const names = [...new Set([...assignment.roster, ...latest.keys(), ...attempts.keys()])];
+  const open = submissions.find((s) => s.id === openId);
+  const withLanguage = (s) => ({ ...s, language: s.language || assignment.language });
+  const readAloud = assignment.mode === "read-aloud";
+
+  function exportClass(format, latestOnly) {
+    const chosen = (latestOnly ? [...latest.values()] : submissions).map(withLanguage);
+    const rubricFor = () => assignment.rubric;
+    const name = `${assignment.code}-${latestOnly ? "latest" : "all"}-${fileStamp()}`;
+    if (format === "json") downloadText(`${name}.json`, recordsToJson(chosen, { rubricFor }), "application/json");
+    else downloadText(`${name}.csv`, recordsToCsv(chosen, { rubricFor }), "text/csv");
+  }
+
+  return (
+    <div>
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 8, marginBottom: 8, fontSize: 14 }}>
+        <button disabled={!submissions.length} onClick={() => exportClass("csv", true)}>Markbook CSV (latest per student)</button>
+        <button disabled={!submissions.length} onClick={() => exportClass("csv", false)}>All submissions CSV</button>
+        <button disabled={!submissions.length} onClick={() => exportClass("json", false)}>All submissions JSON</button>
+      </div>
+      <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 14 }}>
+        <thead>
+          <tr style={{ textAlign: "left", borderBottom: "1px solid #ddd" }}>
+            <th>Student</th><th>Submitted</th><th>Grade</th>
+            {assignment.exam ? <th title="Attempts started / allowed">Attempts</th> : null}
+            {readAloud ? <><th>WCPM</th><th>Accuracy</th></> : null}
+            <th>Words</th><th>WPM</th><th>Fillers</th><th />
+          </tr>
+        </thead>
+        <tbody>
+          {names.map((name) => {
+            const s = latest.get(name);
+            const a = s && s.analysis;
+            const f = s && s.fluency;
+            return (
+              <tr key={name} style={{ borderBottom: "1px solid #f0f0f0" }}>
+                <td>{name}</td>
+                <td>{s ? formatDate(s.createdAt) : <span style={{ color: "#999" }}>Not yet</span>}</td>
+                <td>{s && s.scored ? `${s.scored.grade}${s.review ? " (reviewed)" : ""}` : "-"}</td>
+                {assignment.exam ? <td>{(attempts.get(name) || []).length} / {assignment.exam.maxAttempts}</td> : null}
+                {readAloud ? <><td>{f ? f.wcpm ?? "-" : "-"}</td><td>{f ? `${Math.round(f.accuracy * 100)}%` : "-"}</td></> : null}
+                <td>{a ? a.wordCount : "-"}</td>
+                <td>{a ? a.wordsPerMinute : "-"}</td>
+                <td>{a ? `${(a.fillerRate * 100).toFixed(1)}%` : "-"}</td>
+                <td style={{ whiteSpace: "nowrap" }}>
+                  {s ? <button onClick={() => setOpenId(s.id)} style={{ marginRight: 6 }}>Open</button> : null}
+                  {s ? <button onClick={() => printReport(buildReportHtml(withLanguage(s), { rubric: assignment.rubric, title: assignment.title }), `${name}-report.html`)}>Report</button> : null}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      {open ? (
+        <SubmissionReview
+          key={open.id}
+          submission={open}
+          rubric={assignment.rubric}
+          language={assignment.language}
+          roster={assignment.roster}
+          onSaved={(saved) => setSubmissions((prev) => prev.map((s) => (s.id === saved.id ? saved : s)))}
+        />
+      ) : null}
+    </div>
+  );
+}
+
+export default function TeacherDashboard() {
+  const [assignments, setAssignments] = useState(null);
+  const [error, setError] = useState(null);
+  const [selectedId, setSelectedId] = useState(null);
+
+  useEffect(() => {
+    listAssignments()
+      .then((j) => setAssignments(j.assignments))
+      .catch((err) => setError(err.message));
+  }, []);
+
+  const selected = assignments && assignments.find((a) => a.id === selectedId);
+
+  return (
+    <div>
+      <div style={{ display: "flex", gap: 16, alignItems: "flex-start", flexWrap: "wrap" }}>
+        <div style={{ flex: "1 1 280px" }}>
+          <AssignmentForm onCreated={(a) => { setAssignments((prev) => [a, ...(prev || [])]); setSelectedId(a.id); }} />
+        </div>
+        <div style={{ flex: "1 1 320px" }}>
+          <h4 style={{ marginTop: 0 }}>Assignments</h4>
+          {error ? <div style={{ color: "red" }}>Could not load assignments: {error}</div> : null}
+          {assignments && assignments.length === 0 ? <div>(No assignments yet)</div> : null}
+          {assignments ? (
+            <ul style={{ paddingLeft: 18 }}>
+              {assignments.map((a) => (
+                <li key={a.id} style={{ marginBottom: 6 }}>
+                  <button onClick={() => setSelectedId(a.id)} style={{ border: "none", background: "none", padding: 0, color: "#0b63e0", cursor: "pointer", fontWeight: a.id === selectedId ? 700 : 400 }}>{a.title}</button>
+                  {a.className ? ` (${a.className})` : ""} &mdash; code <code>{a.code}</code>
+                </li>
+              ))}
+            </ul>
+          ) : null}
+        </div>
+      </div>
+
+      {selected ? (
+        <div style={{ marginTop: 20 }}>
+          <h3>{selected.title} <small style={{ color: "#666" }}>code {selected.code}</small></h3>
+          {selected.prompt ? <p style={{ color: "#444" }}>{selected.prompt}</p> : null}
+          {selected.exam ? (
+            <details style={{ color: "#444", marginBottom: 8 }}>
+              <summary style={{ cursor: "pointer" }}>Exam: {selected.exam.promptCards.length} prompt cards, {selected.exam.prepSeconds}s preparation, {selected.exam.maxAttempts} attempt{selected.exam.maxAttempts === 1 ? "" : "s"}</summary>
+              <ol>{selected.exam.promptCards.map((c, i) => <li key={i}>{c}</li>)}</ol>
+            </details>
+          ) : null}
+          {selected.mode === "read-aloud" ? (
+            <details style={{ color: "#444", marginBottom: 8 }}>
+              <summary style={{ cursor: "pointer" }}>Read-aloud passage ({selected.referenceText.split(/\s+/).filter(Boolean).length} words)</summary>
+              <p style={{ whiteSpace: "pre-wrap" }}>{selected.referenceText}</p>
+            </details>
+          ) : null}
+          <p style={{ color: "#666", fontSize: 14 }}>
+            {Math.round(selected.minSeconds / 6) / 10}–{Math.round(selected.maxSeconds / 6) / 10} minutes, {(LANGUAGES.find((l) => l.code === selected.language) || LANGUAGES[0]).name}, rubric: {selected.rubric.title || selected.rubric.id}
+          </p>
+          <ClassView key={selected.id} assignment={selected} />
+        </div>
+      ) : null}
+
+      <GlossaryManager />
+      <UsageReport />
+    </div>
+  );
+}
@@ -0,0 +1,53 @@
+import React from "react";
+
+/**
+ * TrendChart
+ * Small SVG line chart of one metric across sessions, with an optional
+ * shaded target band.
+ */
+
+const WIDTH = 400;
+const HEIGHT = 120;
+const PAD = 28;
+
+export default function TrendChart({ title, points, format = (v) => String(v), target }) {
+  const values = points.map((p) => p.value).filter((v) => typeof v === "number");
+  if (values.length === 0) {
+    return (
+      <div style={{ marginBottom: 12 }}>
+        <div style={{ fontWeight: 600 }}>{title}</div>
+        <div style={{ color: "#999" }}>(No data yet)</div>
+      </div>
+    );
+  }
+
+  let min = Math.min(...values, target ? target.min : Infinity);
+  let max = Math.max(...values, target ? target.max : -Infinity);
+  if (min === max) { min -= 1; max += 1; }
+  const x = (i) => PAD + (points.length === 1 ? (WIDTH - 2 * PAD) / 2 : (i / (points.length - 1)) * (WIDTH - 2 * PAD));
+  const y = (v) => HEIGHT - PAD / 2 - ((v - min) / (max - min)) * (HEIGHT - PAD);
+
+  const line = points
+    .map((p, i) => (typeof p.value === "number" ? `${x(i).toFixed(1)},${y(p.value).toFixed(1)}` : null))
+    .filter(Boolean)
+    .join(" ");
+
+  return (
+    <div style={{ marginBottom: 12 }}>
+      <div style={{ fontWeight: 600 }}>{title}</div>
+      <svg width={WIDTH} height={HEIGHT} style={{ display: "block", background: "white", border: "1px solid #e5ecf7", borderRadius: 6 }}>
+        {target ? (
+          <rect x={PAD} width={WIDTH - 2 * PAD} y={y(target.max)} height={Math.max(0, y(target.min) - y(target.max))} fill="#e6f5ea" />
+        ) : null}
+        <text x={4} y={y(max) + 4} fontSize="10" fill="#666">{format(max)}</text>
+        <text x={4} y={y(min) + 4} fontSize="10" fill="#666">{format(min)}</text>
+        <polyline points={line} fill="none" stroke="#0b63e0" strokeWidth="2" />
+        {points.map((p, i) => (typeof p.value === "number" ? (
+          <circle key={i} cx={x(i)} cy={y(p.value)} r="3" fill="#0b63e0">
+            <title>{`${p.label}: ${format(p.value)}`}</title>
+          </circle>
+        ) : null))}
+      </svg>
+    </div>
+  );
+}
@@ -0,0 +1,69 @@
+import React, { useEffect, useState } from "react";
+import { fetchUsage } from "../lib/api.js";
+import { downloadText, fileStamp } from "../lib/download.js";
+import { toCsv } from "../lib/exports.js";
+
+const USAGE_COLUMNS = ["name", "className", "via", "days", "requests", "audioMinutes", "promptTokens", "completionTokens", "totalTokens", "userId"];
+
+function daysAgo(n) {
+  return new Date(Date.now() - n * 24 * 3600 * 1000).toISOString().slice(0, 10);
+}
+
+/**
+ * UsageReport
+ * AI usage per user over a date range (transcription minutes and model
+ * tokens), for cost reporting, with a CSV download.
+ */
+export default function UsageReport() {
+  const [from, setFrom] = useState(daysAgo(30));
+  const [to, setTo] = useState(daysAgo(0));
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchUsage({ from, to })
+      .then((j) => { if (!cancelled) { setReport(j); setError(null); } })
+      .catch((err) => { if (!cancelled) setError(err.message); });
+    return () => { cancelled = true; };
+  }, [from, to]);
+
+  return (
+    <div style={{ marginTop: 24 }}>
+      <h4>AI usage</h4>
+      <div style={{ fontSize: 14, color: "#444", marginBottom: 8 }}>
+        From <input type="date" value={from} onChange={(e) => setFrom(e.target.value)} />{" "}
+        to <input type="date" value={to} onChange={(e) => setTo(e.target.value)} />{" "}
+        <button disabled={!report || !report.users.length} onClick={() => downloadText(`usage-${from}-to-${to}-${fileStamp()}.csv`, toCsv(report.users, USAGE_COLUMNS), "text/csv")}>Download CSV</button>
+        {report ? (
+          <span style={{ marginLeft: 12, color: "#666" }}>
+            Daily limits per user: {report.quotas.audioMinutes || "unlimited"} min audio, {report.quotas.tokens || "unlimited"} tokens
+          </span>
+        ) : null}
+      </div>
+      {error ? <div style={{ color: "red" }}>Could not load usage: {error}</div> : null}
+      {report && !report.users.length ? <div>(No usage in this period)</div> : null}
+      {report && report.users.length ? (
+        <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 14 }}>
+          <thead>
+            <tr style={{ textAlign: "left", borderBottom: "1px solid #ddd" }}>
+              <th>User</th><th>Class</th><th>Days</th><th>Requests</th><th>Audio (min)</th><th>Tokens</th>
+            </tr>
+          </thead>
+          <tbody>
+            {report.users.map((u) => (
+              <tr key={u.userId} style={{ borderBottom: "1px solid #f0f0f0" }}>
+                <td title={u.userId}>{u.name}</td>
+                <td>{u.className || "-"}</td>
+                <td>{u.days}</td>
+                <td>{u.requests}</td>
+                <td>{u.audioMinutes}</td>
+                <td>{u.totalTokens.toLocaleString()}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : null}
+    </div>
+  );
+}
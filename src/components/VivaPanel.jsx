@@ -0,0 +1,109 @@
+import React, { useState } from "react";
+import useRecorder from "../hooks/useRecorder.js";
+import { judgeVivaAnswer, transcribe } from "../lib/api.js";
+
+/**
+ * VivaPanel
+ * Follow-up mode for the probing questions: the student picks a question,
+ * records a short spoken answer, and /api/viva judges it and may ask a
+ * follow-up, which joins the list of questions that can be answered.
+ */
+
+const ANSWER_MAX_SECONDS = 180;
+
+const VERDICT_STYLES = {
+  addressed: { label: "Addressed", colour: "green" },
+  partially_addressed: { label: "Partly addressed", colour: "orange" },
+  not_addressed: { label: "Not addressed", colour: "red" }
+};
+
+export default function VivaPanel({ session, onExchange }) {
+  const { questions, transcript, exchanges } = session;
+  const [selected, setSelected] = useState(null);
+  const [status, setStatus] = useState("idle");
+  const [error, setError] = useState(null);
+
+  const recorder = useRecorder({ maxSeconds: ANSWER_MAX_SECONDS, onStop: (blob) => void submitAnswer(blob) });
+
+  // follow-ups generated during the viva can be answered in turn
+  const askable = [...questions, ...exchanges.map((x) => x.followUp).filter(Boolean)];
+  const current = selected !== null ? askable[selected] : null;
+
+  async function submitAnswer(blob) {
+    const question = current;
+    setError(null);
+    try {
+      setStatus("transcribing");
+      const t = await transcribe(blob, { language: session.language });
+      const answer = t.transcript || "";
+      if (!answer.trim()) throw new Error("No speech was detected in your answer");
+
+      setStatus("judging");
+      const { judgement, followUp } = await judgeVivaAnswer({ question, answer, transcript, language: session.language });
+      onExchange({
+        id: crypto.randomUUID(),
+        at: new Date().toISOString(),
+        question,
+        answer: { transcript: answer, audioUrl: URL.createObjectURL(blob) },
+        judgement,
+        followUp
+      });
+      setSelected(null);
+    } catch (err) {
+      console.error(err);
+      setError(err && err.message ? err.message : String(err));
+    } finally {
+      setStatus("idle");
+    }
+  }
+
+  const busy = status !== "idle";
+
+  return (
+    <div style={{ marginTop: 16, padding: 12, background: "#fafafa", border: "1px solid #ddd" }}>
+      <h4 style={{ marginTop: 0 }}>Viva: answer the questions aloud</h4>
+      <ol style={{ paddingLeft: 20 }}>
+        {askable.map((q, i) => {
+          // by text: questions reloaded from History are new objects
+          const answered = exchanges.some((x) => x.question && x.question.text === q.text);
+          return (
+            <li key={i} style={{ marginBottom: 4 }}>
+              <label style={{ cursor: busy || recorder.recording ? "default" : "pointer" }}>
+                <input type="radio" name="viva-question" checked={selected === i} disabled={busy || recorder.recording} onChange={() => setSelected(i)} />{" "}
+                {q.text}{answered ? <span style={{ color: "#666" }}> (answered)</span> : null}
+                {i >= questions.length ? <span style={{ color: "#0b63e0" }}> (follow-up)</span> : null}
+              </label>
+            </li>
+          );
+        })}
+      </ol>
+
+      <div>
+        <button onClick={recorder.start} disabled={!current || recorder.recording || busy} style={{ marginRight: 8, padding: "8px 14px", borderRadius: 10, border: "none", background: !current || recorder.recording || busy ? "#7faef8" : "#0b63e0", color: "white", cursor: !current || recorder.recording || busy ? "not-allowed" : "pointer" }}>Record answer</button>
+        <button onClick={recorder.stop} disabled={!recorder.recording} style={{ padding: "8px 14px", borderRadius: 10, border: "none", background: !recorder.recording ? "#999" : "#e00b0b", color: "white", cursor: !recorder.recording ? "not-allowed" : "pointer" }}>Stop</button>
+        {recorder.recording ? <span style={{ marginLeft: 12 }}>Recording answer: {recorder.seconds}s / {ANSWER_MAX_SECONDS}s</span> : null}
+        {status === "transcribing" ? <span style={{ marginLeft: 12 }}>Transcribing answer...</span> : null}
+        {status === "judging" ? <span style={{ marginLeft: 12 }}>Judging answer...</span> : null}
+      </div>
+      {error ? <div style={{ marginTop: 8, color: "red" }}>{error}</div> : null}
+
+      {exchanges.length ? (
+        <div style={{ marginTop: 12 }}>
+          {exchanges.map((x) => {
+            const v = VERDICT_STYLES[x.judgement.verdict] || { label: x.judgement.verdict, colour: "#444" };
+            return (
+              <div key={x.id} style={{ marginTop: 8, paddingTop: 8, borderTop: "1px solid #e5e5e5" }}>
+                <div><strong>Q:</strong> {x.question.text}</div>
+                <div><strong>A:</strong> {x.answer.transcript}</div>
+                <audio src={x.answer.audioUrl} controls style={{ display: "block", marginTop: 4 }} />
+                <div style={{ color: v.colour }}>{v.label} ({Math.round(x.judgement.score * 100)}%)</div>
+                <div style={{ color: "#444" }}>{x.judgement.comment}</div>
+                {x.followUp ? <div style={{ color: "#0b63e0" }}>Follow-up: {x.followUp.text}</div> : null}
+              </div>
+            );
+          })}
+        </div>
+      ) : null}
+    </div>
+  );
+}
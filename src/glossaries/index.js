@@ -0,0 +1,17 @@
+// src/glossaries/index.js
+// Built-in subject glossaries, keyed by id.
+import englishLanguageLiterature from "./english-language-literature.json" with { type: "json" };
+import sciences from "./sciences.json" with { type: "json" };
+import academicGeneral from "./academic-general.json" with { type: "json" };
+
+export const GLOSSARIES = {
+  [englishLanguageLiterature.id]: englishLanguageLiterature,
+  [sciences.id]: sciences,
+  [academicGeneral.id]: academicGeneral
+};
+
+export const DEFAULT_GLOSSARY_ID = englishLanguageLiterature.id;
+
+export function getGlossary(id) {
+  return GLOSSARIES[id] || GLOSSARIES[DEFAULT_GLOSSARY_ID];
+}
@@ -0,0 +1,204 @@
+import { useEffect, useRef, useState } from "react";
+
+/**
+ * useRecorder
+ * MediaRecorder + Web Audio pipeline shared by the main speech recorder and
+ * viva answers: records the microphone, runs the timer, keeps rolling
+ * volume/pitch histories, publishes `live` stats for the dashboard and
+ * hands the finished Blob to `onStop`.
+ */
+
+// live stats are published at most this often (ms)
+const LIVE_INTERVAL = 100;
+// points kept in the live pitch trace (~15 s at LIVE_INTERVAL)
+const TRACE_POINTS = 150;
+const SILENCE_RMS = 0.01;
+const CLIP_LEVEL = 0.99;
+
+function lightPitchEstimate(buf, sr) {
+  const SIZE = buf.length;
+  let rms = 0;
+  for (let i = 0; i < SIZE; i++) rms += buf[i] * buf[i];
+  rms = Math.sqrt(rms / SIZE);
+  if (rms < 0.01) return null;
+  let best = -1; let bestCorr = 0;
+  for (let off = 10; off < Math.min(500, SIZE - 2); off++) {
+    let corr = 0;
+    for (let i = 0; i < SIZE - off; i++) corr += Math.abs(buf[i] - buf[i + off]);
+    corr = 1 - corr / (SIZE - off);
+    if (corr > bestCorr) { bestCorr = corr; best = off; }
+  }
+  if (bestCorr > 0.5 && best > 0) return Math.round(sr / best);
+  return null;
+}
+
+export default function useRecorder({ maxSeconds = 600, onStop } = {}) {
+  const [recording, setRecording] = useState(false);
+  const [seconds, setSeconds] = useState(0);
+  const [permissionDenied, setPermissionDenied] = useState(false);
+  const [live, setLive] = useState(null);
+
+  const mediaRecorderRef = useRef(null);
+  const streamRef = useRef(null);
+  const audioChunksRef = useRef([]);
+  const timerRef = useRef(null);
+  const onStopRef = useRef(onStop);
+
+  // audio analysis
+  const audioCtxRef = useRef(null);
+  const analyserRef = useRef(null);
+  const rafRef = useRef(null);
+  const volHistoryRef = useRef([]);
+  const pitchHistoryRef = useRef([]);
+  const liveRef = useRef(null);
+
+  useEffect(() => {
+    onStopRef.current = onStop;
+  }, [onStop]);
+
+  useEffect(() => {
+    return () => {
+      if (timerRef.current) clearInterval(timerRef.current);
+      if (rafRef.current) cancelAnimationFrame(rafRef.current);
+      if (audioCtxRef.current) try { audioCtxRef.current.close(); } catch { /* already closed */ }
+      if (streamRef.current) streamRef.current.getTracks().forEach((t) => t.stop());
+    };
+  }, []);
+
+  async function start() {
+    try {
+      setPermissionDenied(false);
+
+      if (!window.isSecureContext) {
+        setPermissionDenied(true);
+        alert("Microphone access requires HTTPS or localhost. Preview sandboxes often block microphone.");
+        return;
+      }
+      if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+        setPermissionDenied(true);
+        alert("getUserMedia is not available in this environment.");
+        return;
+      }
+
+      const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+      streamRef.current = stream;
+      const mr = new MediaRecorder(stream);
+      mediaRecorderRef.current = mr;
+      audioChunksRef.current = [];
+
+      mr.ondataavailable = (e) => {
+        if (e.data && e.data.size > 0) audioChunksRef.current.push(e.data);
+      };
+
+      mr.onstop = () => {
+        stream.getTracks().forEach((t) => t.stop());
+        const blob = new Blob(audioChunksRef.current, { type: mr.mimeType || "audio/webm" });
+        if (onStopRef.current) onStopRef.current(blob);
+      };
+
+      // Web Audio setup
+      const AudioContext = window.AudioContext || window.webkitAudioContext;
+      const audioCtx = new AudioContext();
+      audioCtxRef.current = audioCtx;
+      const source = audioCtx.createMediaStreamSource(stream);
+      const analyser = audioCtx.createAnalyser();
+      analyser.fftSize = 2048;
+      analyserRef.current = analyser;
+      source.connect(analyser);
+
+      mr.start();
+      setRecording(true);
+      setSeconds(0);
+
+      timerRef.current = setInterval(() => {
+        setSeconds((s) => {
+          if (s + 1 >= maxSeconds) {
+            stop();
+            return maxSeconds;
+          }
+          return s + 1;
+        });
+      }, 1000);
+
+      volHistoryRef.current = [];
+      pitchHistoryRef.current = [];
+      liveRef.current = { lastPublish: 0, lastSound: null, lastClip: -Infinity, peak: 0, pitch: null, trace: [] };
+      setLive(null);
+      analyzeLoop();
+    } catch (err) {
+      console.error("startRecording error", err);
+      if (err && (err.name === "NotAllowedError" || err.name === "SecurityError")) {
+        setPermissionDenied(true);
+        alert("Microphone access blocked. Enable permissions in your browser or use file upload.");
+      } else {
+        alert("Could not access microphone. Check browser permissions.");
+      }
+    }
+  }
+
+  function stop() {
+    const mr = mediaRecorderRef.current;
+    if (mr && mr.state === "recording") mr.stop();
+    setRecording(false);
+    if (timerRef.current) clearInterval(timerRef.current);
+    if (rafRef.current) cancelAnimationFrame(rafRef.current);
+    if (audioCtxRef.current) {
+      try { audioCtxRef.current.close(); } catch { /* already closed */ }
+    }
+  }
+
+  function analyzeLoop() {
+    const analyser = analyserRef.current;
+    if (!analyser) return;
+    const size = analyser.fftSize;
+    const buffer = new Float32Array(size);
+    analyser.getFloatTimeDomainData(buffer);
+
+    // RMS volume
+    let sum = 0;
+    let peak = 0;
+    for (let i = 0; i < buffer.length; i++) {
+      sum += buffer[i] * buffer[i];
+      const abs = Math.abs(buffer[i]);
+      if (abs > peak) peak = abs;
+    }
+    const rms = Math.sqrt(sum / buffer.length);
+    volHistoryRef.current.push(rms);
+    if (volHistoryRef.current.length > 300) volHistoryRef.current.shift();
+
+    // very light pitch estimate (autocorrelation-like simple)
+    const pitch = lightPitchEstimate(buffer, audioCtxRef.current ? audioCtxRef.current.sampleRate : 44100);
+    if (pitch) {
+      pitchHistoryRef.current.push(pitch);
+      if (pitchHistoryRef.current.length > 300) pitchHistoryRef.current.shift();
+    }
+
+    publishLive(rms, peak, pitch);
+    rafRef.current = requestAnimationFrame(analyzeLoop);
+  }
+
+  function publishLive(rms, peak, pitch) {
+    const l = liveRef.current;
+    if (!l) return;
+    const now = performance.now();
+    if (rms >= SILENCE_RMS || l.lastSound === null) l.lastSound = now;
+    if (peak >= CLIP_LEVEL) l.lastClip = now;
+    l.peak = Math.max(l.peak, peak);
+    if (pitch) l.pitch = pitch;
+    if (now - l.lastPublish < LIVE_INTERVAL) return;
+
+    l.trace = [...l.trace, l.pitch].slice(-TRACE_POINTS);
+    setLive({
+      level: rms,
+      peak: l.peak,
+      trace: l.trace,
+      silenceSeconds: (now - l.lastSound) / 1000,
+      clipping: now - l.lastClip < 1000
+    });
+    l.lastPublish = now;
+    l.peak = 0;
+    l.pitch = null;
+  }
+
+  return { recording, seconds, permissionDenied, live, start, stop, volHistoryRef, pitchHistoryRef };
+}
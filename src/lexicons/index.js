@@ -0,0 +1,26 @@
+// src/lexicons/index.js
+// Per-language filler lexicons, keyed by language code. The keys are also
+// the languages the app can assess in.
+import en from "./en.json" with { type: "json" };
+import fr from "./fr.json" with { type: "json" };
+import es from "./es.json" with { type: "json" };
+import de from "./de.json" with { type: "json" };
+
+export const LEXICONS = {
+  [en.language]: en,
+  [fr.language]: fr,
+  [es.language]: es,
+  [de.language]: de
+};
+
+export const DEFAULT_LANGUAGE = en.language;
+
+export const LANGUAGES = Object.values(LEXICONS).map((l) => ({ code: l.language, name: l.name, englishName: l.englishName }));
+
+export function isSupportedLanguage(language) {
+  return Object.hasOwn(LEXICONS, language);
+}
+
+export function getLexicon(language) {
+  return LEXICONS[language] || LEXICONS[DEFAULT_LANGUAGE];
+}
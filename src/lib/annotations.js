@@ -0,0 +1,162 @@
+// src/lib/annotations.js
+// Inline annotations for the transcript view: fillers, disfluencies,
+// over-long sentences, overused words and glossary terms, each with the
+// reason it was flagged, plus a timeline that maps character offsets back
+// to audio time.
+import { FILLER_TYPES, detectDisfluencies, detectFillers } from "./fillers.js";
+import { findGlossaryTerms, tokenizeWithOffsets } from "./glossary.js";
+
+export const LONG_SENTENCE_WORDS = 30;
+
+export const ANNOTATION_CATEGORIES = [
+  { id: "filler", label: "Fillers", colour: "#ffe08a" },
+  { id: "disfluency", label: "Restarts & repeats", colour: "#ffd1a8" },
+  { id: "repetition", label: "Overused words", colour: "#ffc9c9" },
+  { id: "term", label: "Academic terms", colour: "#d3e6ff" },
+  { id: "longSentence", label: "Long sentences", colour: "#b8860b" }
+];
+
+// words too common to count as repetition
+const STOPWORDS = new Set([
+  "the", "a", "an", "and", "or", "but", "if", "of", "to", "in", "on", "at", "for", "with", "by", "from", "as",
+  "is", "are", "was", "were", "be", "been", "it", "its", "this", "that", "these", "those", "there", "their",
+  "they", "them", "he", "she", "his", "her", "i", "we", "you", "me", "my", "our", "your", "not", "no", "so",
+  "do", "does", "did", "have", "has", "had", "can", "could", "will", "would", "should", "what", "which", "who",
+  "about", "also", "very", "just", "then", "than", "when", "where", "how", "more", "some", "into", "because"
+]);
+
+function lower(word) {
+  return word.toLowerCase().replace(/’/g, "'");
+}
+
+const FILLER_REASONS = {
+  hesitation: "is a hesitation: a pause filled with sound. A silent pause sounds more confident.",
+  discourse: "is used here as a discourse marker that adds no meaning and can make you sound unsure.",
+  hedge: "is a hedge: it softens your point. Commit to the claim or give the evidence for it."
+};
+
+function findFillers(text, language) {
+  return detectFillers(text, { language }).occurrences.map((o) => ({
+    category: "filler",
+    start: o.start,
+    end: o.end,
+    fillerType: o.type,
+    reason: `${FILLER_TYPES.find((t) => t.id === o.type).label}: "${o.text}" ${FILLER_REASONS[o.type]}`
+  }));
+}
+
+function findDisfluencies(text, language) {
+  return detectDisfluencies(text, { language }).map((d) => ({
+    category: "disfluency",
+    start: d.start,
+    end: d.end,
+    reason: d.type === "restart"
+      ? `Restart: "${d.text}" was cut off and begun again. Pausing to plan the sentence avoids this.`
+      : `Repetition: "${d.text}" is said twice in a row, often a sign of searching for the next word.`
+  }));
+}
+
+function findRepetitions(tokens) {
+  const out = [];
+  const counts = new Map();
+  for (const t of tokens) {
+    const w = lower(t.word);
+    if (w.length >= 4 && !STOPWORDS.has(w)) counts.set(w, (counts.get(w) || 0) + 1);
+  }
+  // overused: at least 3 uses, and more than 2% of a long transcript
+  const threshold = Math.max(3, Math.ceil(tokens.length * 0.02));
+
+  for (const t of tokens) {
+    const w = lower(t.word);
+    if ((counts.get(w) || 0) >= threshold) {
+      out.push({ category: "repetition", start: t.start, end: t.end, reason: `"${w}" is used ${counts.get(w)} times; try a synonym or a pronoun for variety.` });
+    }
+  }
+  return out;
+}
+
+function findLongSentences(text, maxWords) {
+  const out = [];
+  for (const m of text.matchAll(/[^.!?]+[.!?]*/g)) {
+    const words = tokenizeWithOffsets(m[0]);
+    if (words.length <= maxWords) continue;
+    // trim surrounding whitespace so the highlight hugs the words
+    const start = m.index + words[0].start;
+    const end = m.index + m[0].trimEnd().length;
+    out.push({ category: "longSentence", start, end, reason: `This sentence runs to ${words.length} words (over ${maxWords}). Listeners find shorter sentences easier to follow.` });
+  }
+  return out;
+}
+
+/**
+ * Annotate a transcript.
+ *
+ * Returns `[{ category, start, end, text, reason }]` sorted by `start`.
+ * Sentences can contain other annotations; the inline categories never
+ * overlap each other, and where they would the earlier one in
+ * ANNOTATION_CATEGORIES wins.
+ */
+export function annotateTranscript(text, { glossary = null, language, maxSentenceWords = LONG_SENTENCE_WORDS } = {}) {
+  if (!text) return [];
+  const tokens = tokenizeWithOffsets(text);
+  const terms = findGlossaryTerms(text, glossary).map((m) => ({
+    category: "term",
+    start: m.start,
+    end: m.end,
+    term: m.term,
+    reason: `${m.term}: ${m.definition}`
+  }));
+
+  const inline = [];
+  for (const a of [...findFillers(text, language), ...findDisfluencies(text, language), ...findRepetitions(tokens), ...terms]) {
+    if (!inline.some((b) => a.start < b.end && b.start < a.end)) inline.push(a);
+  }
+  return [...inline, ...findLongSentences(text, maxSentenceWords)]
+    .map((a) => ({ ...a, text: text.slice(a.start, a.end) }))
+    .sort((a, b) => a.start - b.start || b.end - a.end);
+}
+
+/**
+ * Map character offsets in `text` to seconds, using word timestamps where
+ * the transcription provided them and otherwise interpolating within
+ * segments. Returns `(offset) => seconds | null`.
+ */
+export function buildTimeline(text, { segments = [], words = [] } = {}) {
+  const tokens = tokenizeWithOffsets(text);
+  const points = [];
+
+  if (words.length) {
+    // walk both sequences, allowing a few skipped words on either side
+    let j = 0;
+    for (const t of tokens) {
+      const target = lower(t.word);
+      for (let k = j; k < Math.min(words.length, j + 4); k++) {
+        if (lower(String(words[k].word).trim()).replace(/[^\p{L}\p{N}'’-]/gu, "") === target) {
+          points.push({ offset: t.start, time: words[k].start });
+          j = k + 1;
+          break;
+        }
+      }
+    }
+  }
+
+  if (!points.length) {
+    let cursor = 0;
+    for (const s of segments) {
+      const at = text.indexOf(s.text, cursor);
+      if (at === -1) continue;
+      points.push({ offset: at, time: s.start }, { offset: at + s.text.length, time: s.end });
+      cursor = at + s.text.length;
+    }
+  }
+
+  if (!points.length) return () => null;
+  return (offset) => {
+    let lo = 0;
+    while (lo + 1 < points.length && points[lo + 1].offset <= offset) lo++;
+    const a = points[lo];
+    const b = points[lo + 1];
+    if (!b || offset <= a.offset) return a.time;
+    return a.time + ((offset - a.offset) / (b.offset - a.offset)) * (b.time - a.time);
+  };
+}
@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { annotateTranscript, buildTimeline } from "./annotations.js";
+import { getGlossary } from "../glossaries/index.js";
+
+const english = getGlossary("english-language-literature");
+
+test("flags single and multi-word fillers with a reason", () => {
+  const text = "Um, the poem, you know, works.";
+  const fillers = annotateTranscript(text).filter((a) => a.category === "filler");
+  assert.deepEqual(fillers.map((a) => a.text), ["Um", "you know"]);
+  assert.match(fillers[0].reason, /^Hesitation/);
+  assert.match(fillers[1].reason, /^Discourse marker/);
+});
+
+test("flags stumbles and overused words but not overused stopwords", () => {
+  const text = "The the poem shows grief. Grief is raw, grief is endless, and grief is all.";
+  const a = annotateTranscript(text);
+  const stumbles = a.filter((x) => x.category === "disfluency");
+  assert.deepEqual(stumbles.map((x) => x.text), ["The"]);
+  assert.match(stumbles[0].reason, /^Repetition/);
+  const reps = a.filter((x) => x.category === "repetition");
+  assert.deepEqual(reps.map((x) => x.text), ["grief", "Grief", "grief", "grief"]);
+  assert.match(reps[0].reason, /used 4 times/);
+});
+
+test("long sentences contain inline annotations; inline ones do not overlap", () => {
+  const long = `${Array.from({ length: 31 }, (_, i) => `w${i}`).join(" ")} with a metaphor.`;
+  const text = `Short one. ${long}`;
+  const a = annotateTranscript(text, { glossary: english, maxSentenceWords: 30 });
+  const sentence = a.find((x) => x.category === "longSentence");
+  assert.ok(sentence);
+  assert.equal(sentence.start, text.indexOf("w0"));
+  assert.ok(sentence.text.endsWith("metaphor."));
+  const term = a.find((x) => x.category === "term");
+  assert.equal(term.text, "metaphor");
+  assert.ok(term.start > sentence.start && term.end <= sentence.end);
+});
+
+test("fillers win over disfluencies and overused words", () => {
+  const a = annotateTranscript("Um um um um, the metaphor.", { glossary: english });
+  assert.deepEqual(a.map((x) => x.category), ["filler", "filler", "filler", "filler", "term"]);
+});
+
+test("timeline uses word timestamps, then segments", () => {
+  const text = "Hello there. General Kenobi.";
+  const byWords = buildTimeline(text, { words: [
+    { word: " Hello", start: 0.5, end: 0.9 },
+    { word: " there.", start: 1.0, end: 1.3 },
+    { word: " General", start: 2.0, end: 2.4 },
+    { word: " Kenobi", start: 2.5, end: 3.0 }
+  ] });
+  assert.equal(byWords(text.indexOf("General")), 2.0);
+  assert.equal(byWords(0), 0.5);
+
+  const bySegments = buildTimeline(text, { segments: [{ start: 0, end: 1, text: "Hello there." }, { start: 4, end: 6, text: "General Kenobi." }] });
+  assert.equal(bySegments(text.indexOf("General")), 4);
+  assert.equal(buildTimeline(text)(3), null);
+});
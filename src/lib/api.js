@@ -0,0 +1,381 @@
+// src/lib/api.js
+// Thin client for the /api functions. Non-2xx responses become ApiError
+// carrying the server's `{ error, code, details }`; transient failures
+// (network errors, 429 and 5xx) are retried with exponential backoff.
+// Requests carry the signed-in user's token (see api/_lib/auth.js).
+import { toUploadFile } from "./audioFile.js";
+
+export const DEFAULT_RETRIES = 3;
+const RETRY_BASE_MS = 1000;
+const RETRY_MAX_MS = 30000;
+
+const TOKEN_KEY = "oralFeedback.authToken";
+// dispatched on window when the server stops accepting our token
+export const AUTH_EXPIRED_EVENT = "oral-feedback:auth-expired";
+
+export function getAuthToken() {
+  try {
+    return globalThis.localStorage ? localStorage.getItem(TOKEN_KEY) : null;
+  } catch {
+    return null;
+  }
+}
+
+export function setAuthToken(token) {
+  if (!globalThis.localStorage) return;
+  if (token) localStorage.setItem(TOKEN_KEY, token);
+  else localStorage.removeItem(TOKEN_KEY);
+}
+
+function authHeaders() {
+  const token = getAuthToken();
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+// a 401 for a request that carried a token means it has expired or been
+// revoked: forget it and let the app ask the user to sign in again
+function noteUnauthorized(status, sentToken) {
+  if (status !== 401 || !sentToken) return;
+  setAuthToken(null);
+  if (typeof window !== "undefined") window.dispatchEvent(new Event(AUTH_EXPIRED_EVENT));
+}
+
+export class ApiError extends Error {
+  constructor(status, code, message, details, retryAfter) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.code = code;
+    this.details = details;
+    // seconds the server asked us to wait (Retry-After), if it said
+    if (retryAfter !== undefined) this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * True for failures worth retrying: the network dropped (status 0), the
+ * server is rate limiting (429) or had a temporary problem (5xx). A spent
+ * daily quota is also a 429 but will not clear for hours.
+ */
+export function isTransient(err) {
+  if (!(err instanceof ApiError) || err.code === "quota_exceeded") return false;
+  return err.status === 0 || err.status === 429 || err.status >= 500;
+}
+
+function networkError() {
+  return new ApiError(0, "network_error", "Could not reach the server. Check your connection.");
+}
+
+function retryAfterSeconds(value) {
+  if (!value) return undefined;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, (date - Date.now()) / 1000);
+}
+
+function toApiError(status, j, retryAfterHeader) {
+  return new ApiError(status, j.code || null, j.error || `Request failed (${status})`, j.details, retryAfterSeconds(retryAfterHeader));
+}
+
+async function parseResponse(res, sentToken) {
+  const j = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    noteUnauthorized(res.status, sentToken);
+    throw toApiError(res.status, j, res.headers.get("Retry-After"));
+  }
+  return j;
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(signal.reason);
+    const timer = setTimeout(resolve, ms);
+    if (signal) signal.addEventListener("abort", () => { clearTimeout(timer); reject(signal.reason); }, { once: true });
+  });
+}
+
+/**
+ * Call `send()` until it succeeds, retrying transient ApiErrors up to
+ * `retries` times. Waits follow Retry-After when given, otherwise double
+ * from one second with some jitter. `onRetry({ attempt, delayMs, error })`
+ * is called before each wait.
+ */
+export async function withRetry(send, { retries = DEFAULT_RETRIES, signal, onRetry, baseMs = RETRY_BASE_MS } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await send();
+    } catch (err) {
+      if (!isTransient(err) || attempt >= retries || (signal && signal.aborted)) throw err;
+      const backoff = baseMs * 2 ** attempt * (0.75 + Math.random() * 0.5);
+      const delayMs = Math.min(RETRY_MAX_MS, err.retryAfter !== undefined ? err.retryAfter * 1000 : backoff);
+      if (onRetry) onRetry({ attempt: attempt + 1, delayMs, error: err });
+      await sleep(delayMs, signal);
+    }
+  }
+}
+
+async function fetchJson(url, init, signal) {
+  const auth = authHeaders();
+  let res;
+  try {
+    res = await fetch(url, { ...init, headers: { ...init.headers, ...auth }, signal });
+  } catch (err) {
+    if (signal && signal.aborted) throw err;
+    throw networkError();
+  }
+  return parseResponse(res, !!auth.Authorization);
+}
+
+export function postJson(url, body, { signal, retries, onRetry } = {}) {
+  const init = { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) };
+  return withRetry(() => fetchJson(url, init, signal), { retries, signal, onRetry });
+}
+
+/**
+ * POST `body` with XMLHttpRequest, which unlike fetch reports upload
+ * progress: `onProgress({ loaded, total, done })`. Aborts with `signal`.
+ */
+function xhrPost(url, body, { onProgress, signal } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(signal.reason);
+    const xhr = new XMLHttpRequest();
+    xhr.open("POST", url);
+    const auth = authHeaders();
+    if (auth.Authorization) xhr.setRequestHeader("Authorization", auth.Authorization);
+    if (onProgress) {
+      xhr.upload.onprogress = (e) => onProgress({ loaded: e.loaded, total: e.lengthComputable ? e.total : null, done: false });
+      // sent: from here the wait is the server working
+      xhr.upload.onload = (e) => onProgress({ loaded: e.loaded, total: e.loaded, done: true });
+    }
+    xhr.onload = () => {
+      let j = {};
+      try { j = JSON.parse(xhr.responseText); } catch { /* not JSON */ }
+      if (xhr.status >= 200 && xhr.status < 300) return resolve(j);
+      noteUnauthorized(xhr.status, !!auth.Authorization);
+      reject(toApiError(xhr.status, j, xhr.getResponseHeader("Retry-After")));
+    };
+    xhr.onerror = () => reject(networkError());
+    xhr.onabort = () => reject(signal && signal.reason ? signal.reason : new DOMException("Upload cancelled", "AbortError"));
+    if (signal) signal.addEventListener("abort", () => xhr.abort(), { once: true });
+    xhr.send(body);
+  });
+}
+
+// Filename extension for the upload; the server sniffs the real format anyway.
+function uploadFilename(blobOrFile) {
+  if (blobOrFile.name) return blobOrFile.name;
+  const type = blobOrFile.type || "";
+  if (type.includes("ogg")) return "speech.ogg";
+  if (type.includes("mp4")) return "speech.m4a";
+  if (type.includes("wav")) return "speech.wav";
+  return "speech.webm";
+}
+
+/**
+ * Upload a recording or file to /api/transcribe. Pass `decoded` (from
+ * decodeToMono) when the caller has already decoded the audio, and
+ * `language` (e.g. "fr") to skip language detection. `onProgress` gets
+ * the upload's `{ loaded, total, done }`, `onRetry` each retry, and `signal`
+ * cancels it. `diarize` asks for speaker-labelled segments (and no word
+ * timings) for a group discussion.
+ * Resolves to `{ transcript, segments, words, duration }`.
+ */
+export async function transcribe(blobOrFile, { decoded, language, diarize = false, onProgress, onRetry, signal, retries } = {}) {
+  const form = new FormData();
+  // WAV the server can split into chunks, or the original if only it fits
+  const file = await toUploadFile(blobOrFile, { decoded });
+  form.append("file", file, uploadFilename(file));
+  if (language) form.append("language", language);
+  if (diarize) form.append("diarize", "true");
+  return withRetry(() => xhrPost("/api/transcribe", form, { onProgress, signal }), { retries, signal, onRetry });
+}
+
+/**
+ * A heading and explanation for showing `err` to the student.
+ */
+export function describeError(err) {
+  if (err && err.name === "AbortError") return { title: "Cancelled.", message: "The upload was cancelled." };
+  if (!(err instanceof ApiError)) return { title: "Something went wrong.", message: err && err.message ? err.message : String(err) };
+  const titles = {
+    0: "You appear to be offline.",
+    401: "Please sign in.",
+    403: "Not allowed.",
+    413: "File too large.",
+    415: "Unsupported audio format.",
+    429: err.code === "quota_exceeded" ? "Daily limit reached." : "Too many requests."
+  };
+  const title = titles[err.status] || (err.status >= 500 ? "The server had a problem." : "Request failed.");
+  const details = Array.isArray(err.details) ? err.details.join("; ") : typeof err.details === "string" ? err.details : "";
+  return { title, message: details && details !== err.message ? `${err.message} (${details})` : err.message, code: err.code };
+}
+
+export function fetchQuestions(transcript, count, language, options) {
+  return postJson("/api/questions", { transcript, count, language }, options);
+}
+
+/**
+ * Probing questions for one student in a discussion, `transcript` being
+ * one "Name: words" line per turn (see discussion.js).
+ */
+export function fetchSpeakerQuestions(transcript, speaker, count, language, options) {
+  return postJson("/api/questions", { transcript, speaker, count, language }, options);
+}
+
+/**
+ * Ask /api/viva whether `answer` addresses `question`.
+ * Resolves to `{ judgement, followUp }`.
+ */
+export function judgeVivaAnswer({ question, answer, transcript, followUp = true, language }) {
+  return postJson("/api/viva", { question, answer, transcript, followUp, language });
+}
+
+/**
+ * Ask /api/feedback for qualitative feedback on the content and argument of
+ * `transcript`, judged against an assignment's prompt and rubric or a
+ * free-text `prompt` and task type. Resolves to `{ feedback, truncated }`.
+ */
+export function fetchContentFeedback({ transcript, prompt, assignmentId, taskType, language }) {
+  return postJson("/api/feedback", { transcript, prompt, assignmentId, taskType, language });
+}
+
+function getJson(url) {
+  return withRetry(() => fetchJson(url, { method: "GET" }));
+}
+
+export function listAssignments() {
+  return getJson("/api/assignments");
+}
+
+export function getAssignmentByCode(code) {
+  return getJson(`/api/assignments?code=${encodeURIComponent(code)}`);
+}
+
+export function createAssignment(assignment) {
+  // not retried: a 5xx after the insert would create a duplicate
+  return postJson("/api/assignments", assignment, { retries: 0 });
+}
+
+export function listSubmissions(assignmentId) {
+  return getJson(`/api/submissions?assignmentId=${encodeURIComponent(assignmentId)}`);
+}
+
+/**
+ * A submission's recording as a Blob. Fetched rather than linked because
+ * an <audio> element cannot send the sign-in token.
+ */
+export function fetchSubmissionAudio(id) {
+  return withRetry(async () => {
+    const auth = authHeaders();
+    let res;
+    try {
+      res = await fetch(`/api/submissions?id=${encodeURIComponent(id)}&audio=1`, { headers: auth });
+    } catch {
+      throw networkError();
+    }
+    if (!res.ok) await parseResponse(res, !!auth.Authorization);
+    return res.blob();
+  });
+}
+
+/**
+ * Submit a recording and its feedback against an assignment, with the
+ * same progress and cancel options as transcribe().
+ */
+export async function submitRecording(blob, payload, { onProgress, signal } = {}) {
+  const form = new FormData();
+  form.append("file", blob, uploadFilename(blob));
+  form.append("payload", JSON.stringify(payload));
+  // not retried: a 5xx or lost response after the insert would submit twice
+  return withRetry(() => xhrPost("/api/submissions", form, { onProgress, signal }), { retries: 0, signal });
+}
+
+/**
+ * Exam attempts the signed-in student has used: `{ used, maxAttempts }`.
+ */
+export function fetchExamStatus(assignmentId) {
+  return getJson(`/api/exam?assignmentId=${encodeURIComponent(assignmentId)}`);
+}
+
+/**
+ * Every student's exam attempts at an assignment (teacher).
+ */
+export function listExamAttempts(assignmentId) {
+  return getJson(`/api/exam?assignmentId=${encodeURIComponent(assignmentId)}&students=1`);
+}
+
+/**
+ * Start an exam attempt for the signed-in student: the server draws the
+ * prompt card and counts the attempt. Resolves to `{ attempt: { id, number, maxAttempts, card,
+ * drawnAt, prepSeconds, minSeconds, maxSeconds } }`.
+ */
+export function startExamAttempt(assignmentId, device) {
+  // not retried: a retry after a lost response would use up another attempt
+  return postJson("/api/exam", { assignmentId, device }, { retries: 0 });
+}
+
+export function reviewSubmission(id, review) {
+  return fetchJson(`/api/submissions?id=${encodeURIComponent(id)}`, {
+    method: "PATCH",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(review)
+  });
+}
+
+export function listGlossaries() {
+  return getJson("/api/glossaries");
+}
+
+export function fetchGlossary(id, version) {
+  const v = version === undefined ? "" : `&version=${encodeURIComponent(version)}`;
+  return getJson(`/api/glossaries?id=${encodeURIComponent(id)}${v}`);
+}
+
+/**
+ * Import a CSV or JSON glossary file. Re-importing an id adds a new version.
+ */
+export async function importGlossary(file, meta = {}) {
+  return postJson("/api/glossaries", { ...meta, text: await file.text(), filename: file.name });
+}
+
+/**
+ * Who is signed in: `{ user, methods, ssoLoginUrl }`. Rejects with a 401
+ * ApiError whose `details` list the sign-in methods when no one is.
+ */
+export function fetchSession() {
+  return getJson("/api/session");
+}
+
+/**
+ * Sign in with a class access code and remember the session token.
+ * Resolves to the user.
+ */
+export async function signInWithCode(accessCode, name) {
+  const { token, user } = await postJson("/api/session", { accessCode, name }, { retries: 0 });
+  setAuthToken(token);
+  return user;
+}
+
+/**
+ * Keep a token handed back by the school's SSO in the URL fragment
+ * (`#token=...`) and remove it from the address bar. Returns true if
+ * there was one.
+ */
+export function takeTokenFromUrl() {
+  const match = /(?:^#|&)(?:access_)?token=([^&]+)/.exec(window.location.hash);
+  if (!match) return false;
+  setAuthToken(decodeURIComponent(match[1]));
+  window.history.replaceState(null, "", window.location.pathname + window.location.search);
+  return true;
+}
+
+/**
+ * AI usage per user between two "YYYY-MM-DD" days (teachers only).
+ * Resolves to `{ from, to, quotas, users, days }`.
+ */
+export function fetchUsage({ from, to } = {}) {
+  const params = new URLSearchParams();
+  if (from) params.set("from", from);
+  if (to) params.set("to", to);
+  return getJson(`/api/usage?${params}`);
+}
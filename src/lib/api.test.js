@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ApiError, describeError, isTransient, withRetry } from "./api.js";
+
+test("only network errors, 429 and 5xx are transient", () => {
+  assert.ok(isTransient(new ApiError(0, "network_error", "offline")));
+  assert.ok(isTransient(new ApiError(429, "rate_limited", "slow down")));
+  assert.ok(isTransient(new ApiError(503, "provider_error", "down")));
+  assert.ok(!isTransient(new ApiError(413, "file_too_large", "too big")));
+  assert.ok(!isTransient(new Error("bug")));
+});
+
+test("retries transient failures with growing waits, honouring Retry-After", async () => {
+  const failures = [new ApiError(503, null, "down"), new ApiError(429, null, "slow down", undefined, 0.02)];
+  const waits = [];
+  const result = await withRetry(async () => {
+    if (failures.length) throw failures.shift();
+    return "ok";
+  }, { baseMs: 1, onRetry: ({ attempt, delayMs }) => waits.push([attempt, delayMs]) });
+  assert.equal(result, "ok");
+  assert.equal(waits.length, 2);
+  assert.ok(waits[0][1] >= 0.75 && waits[0][1] <= 1.25);
+  assert.deepEqual(waits[1], [2, 20]);
+});
+
+test("gives up on permanent errors and after the last retry", async () => {
+  let calls = 0;
+  await assert.rejects(withRetry(async () => { calls++; throw new ApiError(415, "unsupported_media_type", "not audio"); }, { baseMs: 1 }), { status: 415 });
+  assert.equal(calls, 1);
+
+  calls = 0;
+  await assert.rejects(withRetry(async () => { calls++; throw new ApiError(500, null, "down"); }, { retries: 2, baseMs: 1 }), { status: 500 });
+  assert.equal(calls, 3);
+});
+
+test("stops waiting when cancelled", async () => {
+  const controller = new AbortController();
+  const pending = withRetry(async () => { throw new ApiError(0, "network_error", "offline"); }, {
+    signal: controller.signal,
+    baseMs: 10000,
+    onRetry: () => controller.abort()
+  });
+  await assert.rejects(pending, { name: "AbortError" });
+});
+
+test("describes errors for people", () => {
+  assert.equal(describeError(new ApiError(0, "network_error", "x")).title, "You appear to be offline.");
+  assert.equal(describeError(new ApiError(502, "provider_error", "x")).title, "The server had a problem.");
+  assert.deepEqual(describeError(new ApiError(413, "file_too_large", "Too big", ["limit is 25 MB"])), {
+    title: "File too large.",
+    message: "Too big (limit is 25 MB)",
+    code: "file_too_large"
+  });
+  assert.equal(describeError(new DOMException("stop", "AbortError")).title, "Cancelled.");
+});
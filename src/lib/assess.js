@@ -0,0 +1,122 @@
+// src/lib/assess.js
+// The practice pipeline for one recording, shared by live uploads and the
+// offline queue: decode for prosody, upload for transcription, compute the
+// metrics and ask for probing questions, or for a read-aloud attempt score
+// the reading against its passage. Group discussions are diarized and get
+// their questions per student once the speakers are named.
+import { fetchQuestions, transcribe } from "./api.js";
+import { decodeToMono } from "./audioFile.js";
+import { analyzeReading } from "./fluency.js";
+import { analyzeProsody } from "./prosody.js";
+import { analyzeTranscript } from "./speechMetrics.js";
+
+// analyzeProsody in a Web Worker so the page stays responsive; in place
+// where workers are unavailable (or fail to start). Resolves to null if the
+// analysis fails.
+function runProsody({ samples, sampleRate }) {
+  const inPlace = () => {
+    try {
+      return analyzeProsody(samples, sampleRate);
+    } catch (err) {
+      console.warn("Prosody analysis failed", err);
+      return null;
+    }
+  };
+  if (typeof Worker === "undefined") return Promise.resolve(inPlace());
+  return new Promise((resolve) => {
+    let worker;
+    try {
+      worker = new Worker(new URL("./prosodyWorker.js", import.meta.url), { type: "module" });
+    } catch (err) {
+      console.warn("Could not start the prosody worker", err);
+      return resolve(inPlace());
+    }
+    worker.onmessage = (e) => {
+      worker.terminate();
+      if (e.data.error) console.warn("Prosody analysis failed", e.data.error);
+      resolve(e.data.error ? null : e.data.prosody);
+    };
+    worker.onerror = (e) => {
+      e.preventDefault();
+      worker.terminate();
+      console.warn("Prosody worker failed", e.message);
+      resolve(inPlace());
+    };
+    // copied, not transferred: the samples are also encoded for upload
+    worker.postMessage({ samples, sampleRate });
+  });
+}
+
+export const PHASE_LABELS = {
+  decoding: "Preparing audio",
+  uploading: "Uploading",
+  transcribing: "Transcribing",
+  retrying: "Retrying",
+  questions: "Generating questions"
+};
+
+/**
+ * Assess `blob`. A failed question request does not fail the whole
+ * assessment: it comes back as `questionsError` so the caller can offer a
+ * retry.
+ *
+ * @param {Blob} blob recording or uploaded file
+ * @param {object} options
+ * @param {string} options.language
+ * @param {object} options.glossary
+ * @param {number} options.questionCount 0 for none
+ * @param {string} [options.referenceText] the passage of a read-aloud
+ *   attempt, scored with analyzeReading instead of asking questions
+ * @param {boolean} [options.diarize] a group discussion: label speakers
+ *   and leave the questions until they are named
+ * @param {object} [options.live] pitchHistory, volumeHistory and
+ *   durationSeconds gathered while recording
+ * @param {AbortSignal} [options.signal] cancels the upload and requests
+ * @param {function} [options.onProgress] called with `{ phase, loaded?,
+ *   total?, attempt?, delayMs?, error? }`, phase being a PHASE_LABELS key
+ * @returns {Promise<{ transcript, segments, words, analysis, prosody, fluency, questions, questionsError }>}
+ */
+export async function assessRecording(blob, { language, glossary, questionCount, referenceText = "", diarize = false, live = {}, signal, onProgress = () => {} }) {
+  onProgress({ phase: "decoding" });
+  // decode once for both the prosody pass and the WAV upload
+  const decoded = await decodeToMono(blob).catch((err) => {
+    console.warn("Could not decode audio for analysis", err);
+    return null;
+  });
+  // analysed while the upload and transcription run
+  const prosodyDone = decoded ? runProsody(decoded) : Promise.resolve(null);
+
+  onProgress({ phase: "uploading", loaded: 0, total: null });
+  const j = await transcribe(blob, {
+    decoded,
+    language,
+    diarize,
+    signal,
+    onProgress: ({ loaded, total, done }) => onProgress(done ? { phase: "transcribing" } : { phase: "uploading", loaded, total }),
+    onRetry: ({ attempt, delayMs, error }) => onProgress({ phase: "retrying", attempt, delayMs, error })
+  });
+  const transcript = j.transcript || j.text || "";
+  const segments = Array.isArray(j.segments) ? j.segments : [];
+  const words = Array.isArray(j.words) ? j.words : [];
+  const prosody = await prosodyDone;
+  const analysis = analyzeTranscript(transcript, { ...live, prosody, glossary, language });
+  const fluency = referenceText
+    ? analyzeReading(referenceText, transcript, { words, durationSeconds: prosody ? prosody.duration : live.durationSeconds, language })
+    : null;
+
+  let questions = [];
+  let questionsError = null;
+  if (transcript.trim() && questionCount > 0 && !fluency && !diarize) {
+    onProgress({ phase: "questions" });
+    try {
+      const qj = await fetchQuestions(transcript, questionCount, language, { signal });
+      questions = Array.isArray(qj.questions) ? qj.questions : [];
+    } catch (err) {
+      if (signal && signal.aborted) throw err;
+      console.error("questions error", err);
+      questionsError = err;
+    }
+  }
+
+  return { transcript, segments, words, analysis, prosody, fluency, questions, questionsError };
+}
@@ -0,0 +1,99 @@
+// src/lib/audioFile.js
+// Browser-side audio helpers: decode any recording/upload the browser can
+// play and re-encode it as 16 kHz mono WAV, which the server can cut into
+// chunks for long-recording transcription, unless only the original fits
+// the upload limit.
+
+export const UPLOAD_SAMPLE_RATE = 16000;
+// the server's default upload limit (MAX_UPLOAD_MB in api/_lib/audio.js)
+export const MAX_UPLOAD_BYTES = 25 * 1024 * 1024;
+
+/**
+ * Decode a Blob/File into mono samples at `sampleRate`.
+ * Returns `{ samples: Float32Array, sampleRate, duration }`.
+ */
+export async function decodeToMono(blob, sampleRate = UPLOAD_SAMPLE_RATE) {
+  const AudioContext = window.AudioContext || window.webkitAudioContext;
+  const ctx = new AudioContext();
+  let decoded;
+  try {
+    decoded = await ctx.decodeAudioData(await blob.arrayBuffer());
+  } finally {
+    try { ctx.close(); } catch { /* already closed */ }
+  }
+
+  const length = Math.max(1, Math.ceil(decoded.duration * sampleRate));
+  const offline = new OfflineAudioContext(1, length, sampleRate);
+  const source = offline.createBufferSource();
+  source.buffer = decoded;
+  source.connect(offline.destination);
+  source.start();
+  const rendered = await offline.startRendering();
+
+  return { samples: rendered.getChannelData(0), sampleRate, duration: decoded.duration };
+}
+
+/**
+ * Encode mono float samples as a 16-bit PCM WAV Blob.
+ */
+export function encodeWav(samples, sampleRate) {
+  const buffer = new ArrayBuffer(44 + samples.length * 2);
+  const view = new DataView(buffer);
+  const writeAscii = (offset, str) => {
+    for (let i = 0; i < str.length; i++) view.setUint8(offset + i, str.charCodeAt(i));
+  };
+
+  writeAscii(0, "RIFF");
+  view.setUint32(4, 36 + samples.length * 2, true);
+  writeAscii(8, "WAVE");
+  writeAscii(12, "fmt ");
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, 1, true); // mono
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * 2, true);
+  view.setUint16(32, 2, true);
+  view.setUint16(34, 16, true);
+  writeAscii(36, "data");
+  view.setUint32(40, samples.length * 2, true);
+
+  let offset = 44;
+  for (let i = 0; i < samples.length; i++, offset += 2) {
+    const s = Math.max(-1, Math.min(1, samples[i]));
+    view.setInt16(offset, s < 0 ? s * 0x8000 : s * 0x7fff, true);
+  }
+  return new Blob([buffer], { type: "audio/wav" });
+}
+
+/**
+ * The file to upload for transcription. 16 kHz mono WAV (about 1.9 MB a
+ * minute) lets the server cut long recordings into chunks, but past about
+ * 13 minutes it no longer fits the upload limit; the original, compressed
+ * recording is then sent whole if it fits. `decoded` (from decodeToMono)
+ * saves decoding twice. Falls back to the original blob if the browser
+ * cannot decode it.
+ */
+export async function toUploadFile(blob, { decoded = null, limit = MAX_UPLOAD_BYTES } = {}) {
+  let audio = decoded;
+  if (!audio) {
+    try {
+      audio = await decodeToMono(blob);
+    } catch (err) {
+      console.warn("Could not convert audio to WAV, uploading original", err);
+      return blob;
+    }
+  }
+  if (44 + audio.samples.length * 2 > limit && blob.size <= limit) return blob;
+  return encodeWav(audio.samples, audio.sampleRate);
+}
+
+/**
+ * The recording as 16 kHz mono WAV whatever its size. Exam recordings are
+ * submitted this way because the server measures their length from the
+ * WAV header.
+ */
+export async function toWav(blob) {
+  if (blob.type === "audio/wav") return blob;
+  const audio = await decodeToMono(blob);
+  return encodeWav(audio.samples, audio.sampleRate);
+}
@@ -0,0 +1,23 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { encodeWav, toUploadFile } from "./audioFile.js";
+
+const decoded = { samples: new Float32Array(16000), sampleRate: 16000, duration: 1 };
+
+test("encodeWav writes 16-bit mono PCM", async () => {
+  const wav = encodeWav(new Float32Array([0, 1, -1]), 8000);
+  const view = new DataView(await wav.arrayBuffer());
+  assert.equal(wav.size, 50);
+  assert.equal(view.getUint32(24, true), 8000);
+  assert.equal(view.getInt16(46, true), 0x7fff);
+  assert.equal(view.getInt16(48, true), -0x8000);
+});
+
+test("uploads WAV while it fits the limit, else the smaller original", async () => {
+  const original = new Blob([new Uint8Array(1000)], { type: "audio/webm" });
+  assert.equal((await toUploadFile(original, { decoded })).type, "audio/wav");
+  // one second of WAV is 32 KB
+  assert.equal(await toUploadFile(original, { decoded, limit: 20000 }), original);
+  // neither fits: WAV, which the server can at least explain
+  assert.equal((await toUploadFile(new Blob([new Uint8Array(30000)]), { decoded, limit: 20000 })).type, "audio/wav");
+});
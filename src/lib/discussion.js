@@ -0,0 +1,137 @@
+// src/lib/discussion.js
+// Paired and small-group discussions: speaker-labelled segments from
+// /api/transcribe (with diarize) are mapped to student names, joined into
+// turns and measured per student: words, talk time and share, turn-taking,
+// interruptions and the usual speech metrics on each student's own words.
+//
+// A turn starting before the previous speaker finished, or within
+// INTERRUPTION_GAP_SECONDS of an unfinished sentence, is an interruption.
+import { analyzeTranscript } from "./speechMetrics.js";
+import { DEFAULT_GLOSSARY_ID, getGlossary } from "../glossaries/index.js";
+import { DEFAULT_LANGUAGE } from "../lexicons/index.js";
+
+export const INTERRUPTION_GAP_SECONDS = 0.3;
+// timing jitter that does not count as talking over someone
+const OVERLAP_TOLERANCE_SECONDS = 0.1;
+
+function round(value, places = 1) {
+  const f = 10 ** places;
+  return Math.round(value * f) / f;
+}
+
+/**
+ * Speaker labels in the order they first speak.
+ */
+export function speakerLabels(segments) {
+  return [...new Set(segments.filter((s) => s.speaker).map((s) => s.speaker))];
+}
+
+/**
+ * The student behind `label`, or "Speaker A" until the teacher says.
+ */
+export function speakerName(label, speakerNames = {}) {
+  const name = speakerNames[label];
+  return typeof name === "string" && name.trim() ? name.trim() : `Speaker ${label}`;
+}
+
+/**
+ * Consecutive segments by the same student joined into turns:
+ * `[{ name, start, end, text }]`. Labels mapped to the same name (the
+ * diarizer sometimes splits one voice) count as one speaker.
+ */
+export function buildTurns(segments, speakerNames = {}) {
+  const turns = [];
+  for (const s of segments) {
+    if (!s.speaker || !String(s.text || "").trim()) continue;
+    const name = speakerName(s.speaker, speakerNames);
+    const last = turns[turns.length - 1];
+    if (last && last.name === name) {
+      last.end = Math.max(last.end, s.end);
+      last.text = `${last.text} ${s.text.trim()}`;
+    } else {
+      turns.push({ name, start: s.start, end: s.end, text: s.text.trim() });
+    }
+  }
+  return turns;
+}
+
+function interrupts(turn, previous) {
+  if (turn.start < previous.end - OVERLAP_TOLERANCE_SECONDS) return true;
+  return turn.start - previous.end < INTERRUPTION_GAP_SECONDS && !/[.!?…]["')\]]*$/.test(previous.text);
+}
+
+/**
+ * The discussion as plain text, one "Name: words" line per turn, which is
+ * how /api/questions is given it.
+ */
+export function discussionTranscript(turns) {
+  return turns.map((t) => `${t.name}: ${t.text}`).join("\n");
+}
+
+/**
+ * Per-student metrics for a diarized recording.
+ *
+ * @param {{ start: number, end: number, text: string, speaker: string }[]} segments
+ * @param {object} [options]
+ * @param {Record<string, string>} [options.speakerNames] label -> student
+ * @param {object} [options.glossary]
+ * @param {string} [options.language]
+ * @returns {{ turns, turnCount, talkSeconds, speakers: object[] }} where each
+ *   speaker is `{ name, labels, wordCount, wordShare, talkSeconds,
+ *   talkShare, turns, meanTurnSeconds, longestTurnSeconds, interruptions,
+ *   interrupted, fillerRate, transcript, analysis }`, in order of first turn;
+ *   `interruptions` are the times they cut in and `interrupted` the times
+ *   they were cut off, and `analysis` is analyzeTranscript on their words
+ */
+export function analyzeDiscussion(segments, { speakerNames = {}, glossary = getGlossary(DEFAULT_GLOSSARY_ID), language = DEFAULT_LANGUAGE } = {}) {
+  const turns = buildTurns(segments, speakerNames);
+  const byName = new Map();
+  const entry = (name) => {
+    if (!byName.has(name)) byName.set(name, { name, labels: [], turns: [], interruptions: 0, interrupted: 0 });
+    return byName.get(name);
+  };
+
+  for (const label of speakerLabels(segments)) entry(speakerName(label, speakerNames)).labels.push(label);
+  turns.forEach((turn, i) => {
+    entry(turn.name).turns.push(turn);
+    if (i > 0 && interrupts(turn, turns[i - 1])) {
+      entry(turn.name).interruptions++;
+      entry(turns[i - 1].name).interrupted++;
+    }
+  });
+
+  const speakers = [...byName.values()].filter((s) => s.turns.length).map((s) => {
+    const transcript = s.turns.map((t) => t.text).join(" ");
+    const durations = s.turns.map((t) => Math.max(0, t.end - t.start));
+    const talkSeconds = durations.reduce((a, b) => a + b, 0);
+    const analysis = analyzeTranscript(transcript, { durationSeconds: talkSeconds, glossary, language });
+    return {
+      name: s.name,
+      labels: s.labels,
+      wordCount: analysis.wordCount,
+      talkSeconds,
+      turns: s.turns.length,
+      meanTurnSeconds: round(talkSeconds / s.turns.length),
+      longestTurnSeconds: round(Math.max(...durations)),
+      interruptions: s.interruptions,
+      interrupted: s.interrupted,
+      fillerRate: analysis.fillerRate,
+      transcript,
+      analysis
+    };
+  });
+
+  const totalWords = speakers.reduce((sum, s) => sum + s.wordCount, 0);
+  const totalSeconds = speakers.reduce((sum, s) => sum + s.talkSeconds, 0);
+  return {
+    turns,
+    turnCount: turns.length,
+    talkSeconds: round(totalSeconds),
+    speakers: speakers.map((s) => ({
+      ...s,
+      talkSeconds: round(s.talkSeconds),
+      wordShare: totalWords ? round(s.wordCount / totalWords, 3) : 0,
+      talkShare: totalSeconds ? round(s.talkSeconds / totalSeconds, 3) : 0
+    }))
+  };
+}
@@ -0,0 +1,53 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { analyzeDiscussion, buildTurns, discussionTranscript, speakerLabels, speakerName } from "./discussion.js";
+
+const SEGMENTS = [
+  { speaker: "A", start: 0, end: 4, text: "I think the sea stands for grief." },
+  { speaker: "A", start: 4.2, end: 6, text: "It keeps coming back." },
+  { speaker: "B", start: 6.5, end: 9, text: "But the calm first stanza could be" },
+  { speaker: "C", start: 8.5, end: 11, text: "Um, like, memory." },
+  { speaker: "B", start: 12, end: 14, text: "Good point." },
+  { speaker: "D", start: 14.5, end: 16, text: "Yes, memory." }
+];
+
+test("speakers are labelled until named", () => {
+  assert.deepEqual(speakerLabels(SEGMENTS), ["A", "B", "C", "D"]);
+  assert.equal(speakerName("A", {}), "Speaker A");
+  assert.equal(speakerName("A", { A: " Ada " }), "Ada");
+  assert.equal(speakerName("B", { B: "  " }), "Speaker B");
+});
+
+test("consecutive segments by one student form a turn", () => {
+  const turns = buildTurns(SEGMENTS, { A: "Ada" });
+  assert.equal(turns.length, 5);
+  assert.deepEqual(turns[0], { name: "Ada", start: 0, end: 6, text: "I think the sea stands for grief. It keeps coming back." });
+  assert.equal(discussionTranscript(turns).split("\n")[1], "Speaker B: But the calm first stanza could be");
+});
+
+test("labels mapped to one student are merged", () => {
+  const { speakers } = analyzeDiscussion(SEGMENTS, { speakerNames: { A: "Ada", B: "Ben", C: "Cy", D: "Cy" } });
+  assert.deepEqual(speakers.map((s) => s.name), ["Ada", "Ben", "Cy"]);
+  assert.deepEqual(speakers[2].labels, ["C", "D"]);
+  assert.equal(speakers[2].turns, 2);
+});
+
+test("per-student talk share, turns, interruptions and fillers", () => {
+  const d = analyzeDiscussion(SEGMENTS, { speakerNames: { A: "Ada", B: "Ben", C: "Cy", D: "Dee" } });
+  const [ada, ben, cy, dee] = d.speakers;
+  assert.equal(d.turnCount, 5);
+  assert.equal(d.talkSeconds, 14.5);
+  assert.equal(ada.talkSeconds, 6);
+  assert.equal(ada.talkShare, Math.round((6 / 14.5) * 1000) / 1000);
+  assert.equal(ada.wordCount, 11);
+  assert.equal(ben.turns, 2);
+  assert.equal(ben.longestTurnSeconds, 2.5);
+  // Cy talks over Ben's unfinished sentence
+  assert.equal(cy.interruptions, 1);
+  assert.equal(ben.interrupted, 1);
+  assert.ok(cy.fillerRate > 0);
+  assert.equal(cy.analysis.wordsPerMinute, Math.round(cy.wordCount / (2.5 / 60)));
+  // a reply after a finished sentence is not an interruption
+  assert.equal(dee.interruptions, 0);
+  assert.equal(d.speakers.reduce((n, s) => n + s.interruptions, 0), 1);
+});
@@ -0,0 +1,39 @@
+// src/lib/download.js
+// Browser helpers for saving exports (see exports.js).
+
+/**
+ * Save `content` as a file named `filename`.
+ */
+export function downloadText(filename, content, type = "text/plain") {
+  const url = URL.createObjectURL(new Blob([content], { type: `${type};charset=utf-8` }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Open a report in a new tab and bring up the print dialog, where the
+ * student can print it or choose "Save as PDF". Falls back to downloading
+ * the HTML when pop-ups are blocked.
+ */
+export function printReport(html, filename = "feedback-report.html") {
+  const win = window.open("", "_blank");
+  if (!win) {
+    downloadText(filename, html, "text/html");
+    return;
+  }
+  win.document.open();
+  win.document.write(html);
+  win.document.close();
+  win.focus();
+  win.print();
+}
+
+// "2026-10-18T09:30:00.000Z" -> "2026-10-18-0930", safe in filenames
+export function fileStamp(iso = new Date().toISOString()) {
+  return iso.slice(0, 16).replace("T", "-").replace(":", "");
+}
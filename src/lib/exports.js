@@ -0,0 +1,458 @@
+// src/lib/exports.js
+// Exports of a practice attempt or submission: a printable HTML report for
+// the student, and the metrics as JSON or CSV for a teacher's markbook.
+// Pure (strings in, strings out) so it runs the same in the browser and in
+// Node; the download itself lives in download.js.
+import { ANNOTATION_CATEGORIES, annotateTranscript } from "./annotations.js";
+import { FLUENCY_CATEGORIES } from "./fluency.js";
+import { findGlossaryTerms, summarizeTerms } from "./glossary.js";
+import { scoreAgainstRubric } from "./rubric.js";
+import { getRubric } from "../rubrics/index.js";
+import { DEFAULT_LANGUAGE, LANGUAGES } from "../lexicons/index.js";
+
+// markbook column order; metrics not listed here follow alphabetically
+export const METRIC_COLUMNS = [
+  "wordCount", "durationSeconds", "speakingTime", "wordsPerMinute", "articulationRate",
+  "fillerCount", "fillerRate", "hesitationCount", "discourseMarkerCount", "hedgeCount",
+  "disfluencyCount", "disfluencyRate", "restartCount", "repetitionCount",
+  "academicMatches", "academicTermsUsed", "ttr", "avgSentenceLen", "flesch",
+  "pitchMean", "pitchRangeSemitones", "pitchVariation", "monotony",
+  "volumeMean", "volumeRangeDb", "volumeVariationDb",
+  "pauseCount", "pausesPerMinute", "meanPauseSeconds", "longestPauseSeconds"
+];
+
+const LEVEL_LABELS = { secure: "Secure", developing: "Developing", emerging: "Emerging" };
+const VERDICT_LABELS = { addressed: "Addressed", partially_addressed: "Partly addressed", not_addressed: "Not addressed" };
+
+function defaultRubricFor(record) {
+  return getRubric(record.taskType);
+}
+
+// read-aloud results for the markbook, in column order
+function fluencySummary(f) {
+  return {
+    wcpm: f.wcpm,
+    accuracy: f.accuracy,
+    wordsCorrect: f.correct,
+    wordsAttempted: f.attempted,
+    readingErrors: f.errors,
+    substitutions: f.counts.substitution,
+    omissions: f.counts.omission,
+    insertions: f.counts.insertion,
+    selfCorrections: f.counts.selfCorrection,
+    repetitions: f.counts.repetition
+  };
+}
+
+// an exam submission's attempt and audit times for the markbook
+function examSummary(e) {
+  return {
+    examAttempt: e.attempt,
+    examCard: e.card,
+    examCardDrawnAt: e.drawnAt,
+    examRecordingStartedAt: e.recordingStartedAt,
+    examDurationSeconds: e.durationSeconds,
+    examStopReason: e.stopReason,
+    examPageHidden: (e.events || []).filter((x) => x.type === "page_hidden").length
+  };
+}
+
+// one row per student in a group discussion
+export const DISCUSSION_COLUMNS = [
+  "name", "speakerLabels", "grade", "score", "wordCount", "wordShare", "talkSeconds", "talkShare", "turns",
+  "meanTurnSeconds", "longestTurnSeconds", "interruptions", "interrupted", "fillerRate", "wordsPerMinute"
+];
+
+/**
+ * The students of an analyzeDiscussion result as rows, each scored against
+ * `rubric` on their own words.
+ */
+export function discussionRows(discussion, { rubric = null } = {}) {
+  return discussion.speakers.map((s) => {
+    const scored = rubric ? scoreAgainstRubric(s.analysis, rubric) : null;
+    return {
+      name: s.name,
+      speakerLabels: s.labels.join(" "),
+      grade: scored ? scored.grade : null,
+      score: scored && scored.score !== null ? round(scored.score) : null,
+      wordCount: s.wordCount,
+      wordShare: s.wordShare,
+      talkSeconds: s.talkSeconds,
+      talkShare: s.talkShare,
+      turns: s.turns,
+      meanTurnSeconds: s.meanTurnSeconds,
+      longestTurnSeconds: s.longestTurnSeconds,
+      interruptions: s.interruptions,
+      interrupted: s.interrupted,
+      fillerRate: round(s.fillerRate),
+      wordsPerMinute: s.analysis.wordsPerMinute
+    };
+  });
+}
+
+export function discussionToCsv(discussion, options) {
+  return toCsv(discussionRows(discussion, options), DISCUSSION_COLUMNS);
+}
+
+function round(value) {
+  return typeof value === "number" && !Number.isInteger(value) ? Math.round(value * 10000) / 10000 : value;
+}
+
+/**
+ * The rubric result for a record: the stored one for a teacher-reviewed
+ * submission, otherwise scored afresh from its metrics.
+ */
+export function scoreRecord(record, rubricFor = defaultRubricFor) {
+  if (record.scored) return record.scored;
+  return record.analysis ? scoreAgainstRubric(record.analysis, rubricFor(record)) : null;
+}
+
+/**
+ * One attempt or submission as a plain object: who, when, the grade, each
+ * criterion's band, read-aloud fluency and exam audit if any and the raw
+ * metrics.
+ */
+export function summarizeRecord(record, { rubricFor = defaultRubricFor } = {}) {
+  const scored = scoreRecord(record, rubricFor);
+  return {
+    id: record.id,
+    createdAt: record.createdAt,
+    ...(record.studentName ? { studentName: record.studentName } : {}),
+    ...(record.assignmentId ? { assignmentId: record.assignmentId } : {}),
+    taskType: record.taskType || null,
+    language: record.language || DEFAULT_LANGUAGE,
+    glossary: record.glossary || null,
+    rubricId: scored ? scored.rubricId : null,
+    grade: scored ? scored.grade : null,
+    score: scored && scored.score !== null ? round(scored.score) : null,
+    reviewed: !!record.review,
+    suggestedBand: record.contentFeedback ? record.contentFeedback.markBand.band : null,
+    fluency: record.fluency ? fluencySummary(record.fluency) : null,
+    exam: record.exam ? examSummary(record.exam) : null,
+    criteria: scored
+      ? scored.criteria.map((c) => ({ id: c.id, label: c.label, value: round(c.value), band: c.band ? c.band.label : null, ...(c.overridden ? { overridden: true } : {}) }))
+      : [],
+    metrics: Object.fromEntries(Object.entries(record.analysis || {}).map(([k, v]) => [k, round(v)]))
+  };
+}
+
+/**
+ * Metrics for one or more records as pretty-printed JSON.
+ */
+export function recordsToJson(records, { rubricFor, exportedAt = new Date().toISOString() } = {}) {
+  const list = Array.isArray(records) ? records : [records];
+  return JSON.stringify({ exportedAt, count: list.length, records: list.map((r) => summarizeRecord(r, { rubricFor })) }, null, 2);
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  const s = String(value);
+  return /[",\r\n]/.test(s) || /^\s|\s$/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * Serialize `rows` (objects) as CSV with a header row of `columns`.
+ */
+export function toCsv(rows, columns) {
+  return [columns, ...rows.map((row) => columns.map((c) => row[c]))]
+    .map((cells) => cells.map(csvCell).join(","))
+    .join("\r\n") + "\r\n";
+}
+
+/**
+ * Metrics for one or more records as CSV, one row per record. Criterion
+ * bands get a `band:<id>` column each; metrics use their own key names.
+ */
+export function recordsToCsv(records, { rubricFor } = {}) {
+  const summaries = (Array.isArray(records) ? records : [records]).map((r) => summarizeRecord(r, { rubricFor }));
+
+  const criterionIds = [...new Set(summaries.flatMap((s) => s.criteria.map((c) => c.id)))];
+  const seen = new Set(summaries.flatMap((s) => Object.keys(s.metrics)));
+  const metricKeys = [...METRIC_COLUMNS.filter((k) => seen.has(k)), ...[...seen].filter((k) => !METRIC_COLUMNS.includes(k)).sort()];
+
+  const fluent = summaries.find((s) => s.fluency);
+  const examined = summaries.find((s) => s.exam);
+
+  const columns = [
+    "id", "createdAt",
+    ...(summaries.some((s) => s.studentName) ? ["studentName"] : []),
+    "taskType", "language", "glossary", "rubricId", "grade", "score", "reviewed",
+    ...(summaries.some((s) => s.suggestedBand) ? ["suggestedBand"] : []),
+    ...(fluent ? Object.keys(fluent.fluency) : []),
+    ...(examined ? Object.keys(examined.exam) : []),
+    ...criterionIds.map((id) => `band:${id}`),
+    ...metricKeys
+  ];
+  const rows = summaries.map((s) => ({
+    ...s.metrics,
+    id: s.id,
+    createdAt: s.createdAt,
+    studentName: s.studentName,
+    taskType: s.taskType,
+    language: s.language,
+    glossary: s.glossary ? `${s.glossary.id}@${s.glossary.version}` : "",
+    rubricId: s.rubricId,
+    grade: s.grade,
+    score: s.score,
+    reviewed: s.reviewed,
+    suggestedBand: s.suggestedBand,
+    ...s.fluency,
+    ...s.exam,
+    ...Object.fromEntries(s.criteria.map((c) => [`band:${c.id}`, c.band]))
+  }));
+  return toCsv(rows, columns);
+}
+
+export function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function formatTime(totalSeconds) {
+  const seconds = Math.floor(totalSeconds);
+  return `${Math.floor(seconds / 60).toString().padStart(2, "0")}:${(seconds % 60).toString().padStart(2, "0")}`;
+}
+
+// the transcript with inline highlights, one paragraph per timed segment
+function transcriptHtml(text, { segments = [], glossary, language }) {
+  const inline = annotateTranscript(text, { glossary, language }).filter((a) => a.category !== "longSentence");
+  const colours = Object.fromEntries(ANNOTATION_CATEGORIES.map((c) => [c.id, c.colour]));
+
+  function range(from, to) {
+    let out = "";
+    let cursor = from;
+    for (const a of inline) {
+      if (a.start < from || a.end > to) continue;
+      out += escapeHtml(text.slice(cursor, a.start));
+      out += `<mark style="background:${colours[a.category]}" title="${escapeHtml(a.reason)}">${escapeHtml(a.text)}</mark>`;
+      cursor = a.end;
+    }
+    return out + escapeHtml(text.slice(cursor, to));
+  }
+
+  const lines = [];
+  let cursor = 0;
+  for (const s of segments) {
+    const at = text.indexOf(s.text, cursor);
+    if (at === -1) continue;
+    lines.push({ start: at, end: at + s.text.length, time: s.start });
+    cursor = at + s.text.length;
+  }
+  if (!lines.length) lines.push({ start: 0, end: text.length, time: null });
+
+  const legend = ANNOTATION_CATEGORIES.filter((c) => c.id !== "longSentence" && inline.some((a) => a.category === c.id))
+    .map((c) => `<span class="key" style="background:${c.colour}">${escapeHtml(c.label)}</span>`)
+    .join(" ");
+  return (legend ? `<p class="legend">${legend}</p>` : "") + lines
+    .map((l) => `<p class="line">${l.time !== null ? `<span class="time">${formatTime(l.time)}</span>` : ""}${range(l.start, l.end)}</p>`)
+    .join("\n");
+}
+
+// the passage with each word marked by how it was read
+function readingHtml(f) {
+  const colours = Object.fromEntries(FLUENCY_CATEGORIES.map((c) => [c.id, c.colour]));
+  const labels = Object.fromEntries(FLUENCY_CATEGORIES.map((c) => [c.id, c.label]));
+  let out = "";
+  let cursor = 0;
+  for (const t of f.tokens) {
+    const title = t.type === "substitution" ? `${labels[t.type]}: read "${t.spoken}"` : labels[t.type];
+    if (t.start === undefined) {
+      out += ` <mark class="${t.type}" style="background:${colours[t.type]}" title="${escapeHtml(title)}">[${escapeHtml(t.spoken)}]</mark>`;
+      continue;
+    }
+    out += escapeHtml(f.reference.slice(cursor, t.start));
+    out += `<mark class="${t.type}" style="background:${colours[t.type]}" title="${escapeHtml(title)}">${escapeHtml(t.ref)}${t.type === "substitution" ? `<sup>${escapeHtml(t.spoken)}</sup>` : ""}</mark>`;
+    cursor = t.end;
+  }
+  out += escapeHtml(f.reference.slice(cursor));
+  const legend = FLUENCY_CATEGORIES.filter((c) => f.counts[c.id])
+    .map((c) => `<span class="key" style="background:${c.colour}">${escapeHtml(c.label)} (${f.counts[c.id]})</span>`)
+    .join(" ");
+  return `<p class="legend">${legend}</p><p class="line">${out}</p>`;
+}
+
+function metricLines(a) {
+  const lines = [["Words", a.wordCount]];
+  if (a.durationSeconds !== undefined) lines.push(["Duration", formatTime(a.durationSeconds)]);
+  lines.push(["Speaking rate", `${a.wordsPerMinute} wpm`]);
+  if (a.articulationRate !== undefined) lines.push(["Articulation rate", `${a.articulationRate} wpm`]);
+  lines.push(["Fillers", a.hesitationCount !== undefined
+    ? `${a.fillerCount} (hesitations ${a.hesitationCount}, discourse markers ${a.discourseMarkerCount}, hedges ${a.hedgeCount})`
+    : a.fillerCount]);
+  if (a.disfluencyCount !== undefined) lines.push(["Disfluencies", `${a.disfluencyCount} (restarts ${a.restartCount}, repetitions ${a.repetitionCount})`]);
+  if (a.pauseCount !== undefined) lines.push(["Pauses", `${a.pauseCount} (mean ${a.meanPauseSeconds}s, longest ${a.longestPauseSeconds}s)`]);
+  if (a.pitchVariation !== undefined) lines.push(["Pitch variation", `${a.pitchVariation} semitones`]);
+  return lines;
+}
+
+/**
+ * A self-contained, printable HTML page for one attempt: any read-aloud
+ * fluency, the Automated Feedback, Narrative Feedback, any content
+ * feedback, the annotated transcript, probing questions and any viva
+ * answers. Printing it from the browser gives the PDF.
+ *
+ * @param {object} record a saved attempt or submission
+ * @param {object} [options]
+ * @param {object} [options.rubric] rubric to score against; defaults to the
+ *   record's task type (a stored submission score always wins)
+ * @param {object} [options.glossary] glossary for the term highlights
+ * @param {string} [options.title] heading for the report
+ */
+export function buildReportHtml(record, { rubric, glossary = null, title = "Oral Assessment Feedback" } = {}) {
+  const scored = scoreRecord(record, rubric ? () => rubric : defaultRubricFor);
+  const a = record.analysis;
+  const language = record.language || DEFAULT_LANGUAGE;
+  const languageName = (LANGUAGES.find((l) => l.code === language) || {}).englishName || language;
+  const date = record.createdAt ? new Date(record.createdAt).toLocaleString(undefined, { dateStyle: "long", timeStyle: "short" }) : "";
+  const terms = record.transcript && glossary ? summarizeTerms(findGlossaryTerms(record.transcript, glossary)) : [];
+  const questions = record.questions || [];
+  const exchanges = record.exchanges || [];
+
+  const meta = [
+    record.studentName ? `<strong>${escapeHtml(record.studentName)}</strong>` : "",
+    escapeHtml(date),
+    scored ? `Rubric: ${escapeHtml(rubric ? rubric.title || rubric.id : scored.rubricId)}` : "",
+    `Language: ${escapeHtml(languageName)}`
+  ].filter(Boolean).join(" &middot; ");
+
+  const f = record.fluency;
+  const reading = f ? `
+  <section>
+    <h2>Reading Fluency</h2>
+    <p class="grade">${f.wcpm ?? "-"} words correct per minute &middot; accuracy ${Math.round(f.accuracy * 1000) / 10}%</p>
+    <p>${f.correct} of ${f.attempted} words read correctly${f.counts.notReached ? ` (${f.counts.notReached} not reached)` : ""}. Errors: ${f.errors} (substitutions ${f.counts.substitution}, omissions ${f.counts.omission}, insertions ${f.counts.insertion}). Self-corrections: ${f.counts.selfCorrection}. Repetitions: ${f.counts.repetition}.</p>
+    ${readingHtml(f)}
+  </section>` : "";
+
+  const d = record.discussion;
+  const speakerQuestions = record.speakerQuestions || {};
+  const percent = (x) => `${Math.round(x * 100)}%`;
+  const discussion = d ? `
+  <section>
+    <h2>Group Discussion</h2>
+    <p>${d.speakers.length} speakers, ${d.turnCount} turns, ${formatTime(d.talkSeconds)} of talk.</p>
+    <table>
+      <thead><tr><th>Student</th><th>Grade</th><th>Words</th><th>Talk share</th><th>Turns</th><th>Longest turn</th><th>Interruptions (made / received)</th><th>Filler rate</th></tr></thead>
+      <tbody>
+        ${discussionRows(d, { rubric }).map((r) => `<tr><td>${escapeHtml(r.name)}</td><td>${escapeHtml(r.grade || "-")}</td><td>${r.wordCount}</td><td>${percent(r.talkShare)}</td><td>${r.turns}</td><td>${r.longestTurnSeconds}s</td><td>${r.interruptions} / ${r.interrupted}</td><td>${(r.fillerRate * 100).toFixed(1)}%</td></tr>`).join("\n        ")}
+      </tbody>
+    </table>
+    ${d.speakers.filter((s) => (speakerQuestions[s.name] || []).length).map((s) => `<h3>Questions for ${escapeHtml(s.name)}</h3>
+    <ol>${speakerQuestions[s.name].map((q) => `<li>${escapeHtml(q.text)}${q.quote ? `<div class="quote">&ldquo;${escapeHtml(q.quote)}&rdquo;</div>` : ""}</li>`).join("")}</ol>`).join("\n    ")}
+  </section>` : "";
+
+  const feedback = a && scored ? `
+  <section>
+    <h2>Automated Feedback</h2>
+    ${scored.grade ? `<p class="grade">Overall: ${escapeHtml(scored.grade)}${scored.score !== null ? ` (${Math.round(scored.score * 100)}%)` : ""}${record.review ? " &middot; reviewed by your teacher" : ""}</p>` : ""}
+    <table>
+      <thead><tr><th>Criterion</th><th>Result</th><th>Band</th></tr></thead>
+      <tbody>
+        ${scored.criteria.map((c) => `<tr><td>${escapeHtml(c.label)}</td><td>${escapeHtml(c.display)}</td><td>${c.band ? `<span class="band" style="border-color:${escapeHtml(c.band.colour)};color:${escapeHtml(c.band.colour)}">${escapeHtml(c.band.label)}</span>` : "n/a"}</td></tr>`).join("\n        ")}
+      </tbody>
+    </table>
+    <ul class="metrics">
+      ${metricLines(a).map(([k, v]) => `<li><span>${escapeHtml(k)}</span> ${escapeHtml(v)}</li>`).join("\n      ")}
+    </ul>
+    ${terms.length ? `<p>Terms used (${escapeHtml(glossary.title)}): ${terms.map((t) => escapeHtml(t.count > 1 ? `${t.term} ×${t.count}` : t.term)).join(", ")}</p>` : ""}
+    ${record.review && record.review.comment ? `<p class="comment"><strong>Teacher comment.</strong> ${escapeHtml(record.review.comment)}</p>` : ""}
+  </section>
+  <section>
+    <h2>Narrative Feedback</h2>
+    ${scored.narrative.length ? scored.narrative.map((n) => `<p><strong>${escapeHtml(n.label)}.</strong> ${escapeHtml(n.text)}</p>`).join("\n    ") : "<p>(No narrative feedback)</p>"}
+  </section>` : "";
+
+  const c = record.contentFeedback;
+  const quote = (q) => (q ? `<div class="quote">&ldquo;${escapeHtml(q)}&rdquo;</div>` : "");
+  const points = (list) => (list.length ? `<ul>${list.map((p) => `<li>${escapeHtml(p.text)}${quote(p.quote)}</li>`).join("")}</ul>` : "<p>(None)</p>");
+  const content = c ? `
+  <section>
+    <h2>Content Feedback</h2>
+    <p class="grade">Suggested band: ${escapeHtml(c.markBand.band)}</p>
+    <p>${escapeHtml(c.markBand.rationale)}</p>${quote(c.markBand.quote)}
+    ${c.summary ? `<p>${escapeHtml(c.summary)}</p>` : ""}
+    <table>
+      <tbody>
+        ${c.dimensions.map((d) => `<tr><td>${escapeHtml(d.label)}</td><td>${escapeHtml(LEVEL_LABELS[d.level] || "n/a")}</td><td>${escapeHtml(d.comment)}${quote(d.quote)}</td></tr>`).join("\n        ")}
+      </tbody>
+    </table>
+    <h3>Strengths</h3>
+    ${points(c.strengths)}
+    <h3>Targets</h3>
+    ${points(c.targets)}
+  </section>` : "";
+
+  const transcript = d ? `
+  <section class="transcript">
+    <h2>Transcript</h2>
+    ${d.turns.map((t) => `<p class="line"><span class="time">${formatTime(t.start)}</span><strong>${escapeHtml(t.name)}:</strong> ${escapeHtml(t.text)}</p>`).join("\n    ")}
+  </section>` : record.transcript ? `
+  <section class="transcript">
+    <h2>Transcript</h2>
+    ${transcriptHtml(record.transcript, { segments: record.segments, glossary, language })}
+  </section>` : "";
+
+  const questionList = questions.length ? `
+  <section>
+    <h2>Probing Questions</h2>
+    <ol>
+      ${questions.map((q) => `<li>${escapeHtml(q.text)}${q.quote ? `<div class="quote">${escapeHtml(q.type)} &middot; ${escapeHtml(q.difficulty)} &middot; &ldquo;${escapeHtml(q.quote)}&rdquo;</div>` : ""}</li>`).join("\n      ")}
+    </ol>
+  </section>` : "";
+
+  const viva = exchanges.length ? `
+  <section>
+    <h2>Viva Answers</h2>
+    ${exchanges.map((x) => `<div class="exchange">
+      <p><strong>Q.</strong> ${escapeHtml(x.question && x.question.text)}</p>
+      <p><strong>A.</strong> ${escapeHtml(x.answer && x.answer.transcript)}</p>
+      ${x.judgement ? `<p class="quote">${escapeHtml(VERDICT_LABELS[x.judgement.verdict] || x.judgement.verdict)} (${Math.round(x.judgement.score * 100)}%): ${escapeHtml(x.judgement.comment)}</p>` : ""}
+    </div>`).join("\n    ")}
+  </section>` : "";
+
+  return `<!doctype html>
+<html lang="${escapeHtml(language)}">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}${record.studentName ? ` – ${escapeHtml(record.studentName)}` : ""}</title>
+<style>
+  body { font-family: system-ui, Arial, sans-serif; color: #222; max-width: 820px; margin: 24px auto; padding: 0 24px; line-height: 1.5; }
+  h1 { color: #0b3d91; font-size: 26px; margin-bottom: 4px; }
+  h3 { font-size: 15px; margin-bottom: 4px; }
+  h2 { color: #0b3d91; font-size: 18px; border-bottom: 1px solid #cfe0fb; padding-bottom: 4px; margin-top: 28px; }
+  .meta { color: #555; margin-top: 0; }
+  .grade { font-weight: 600; font-size: 17px; }
+  table { width: 100%; border-collapse: collapse; font-size: 14px; }
+  th, td { text-align: left; padding: 4px 6px; border-bottom: 1px solid #eee; }
+  .band { border: 1px solid; border-radius: 6px; padding: 0 6px; }
+  .metrics { list-style: none; padding: 0; font-size: 14px; columns: 2; }
+  .metrics span { color: #666; }
+  .comment { background: #f7faff; border: 1px solid #cfe0fb; border-radius: 8px; padding: 8px; }
+  .legend .key { padding: 0 6px; border-radius: 3px; font-size: 13px; }
+  .line { margin: 4px 0; white-space: pre-wrap; }
+  .time { font-family: monospace; color: #0b63e0; margin-right: 8px; }
+  mark { border-radius: 3px; padding: 0 1px; }
+  mark.omission { text-decoration: line-through; }
+  mark.notReached { color: #999; }
+  sup { color: #a00; margin-left: 2px; }
+  .quote { font-size: 13px; color: #666; }
+  .exchange { margin-bottom: 12px; }
+  @media print {
+    body { margin: 0; max-width: none; }
+    section { break-inside: avoid-page; }
+    .transcript { break-inside: auto; }
+    mark, .key { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+  }
+</style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  <p class="meta">${meta}</p>${reading}${discussion}${feedback}${content}${transcript}${questionList}${viva}
+</body>
+</html>
+`;
+}
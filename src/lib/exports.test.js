@@ -0,0 +1,159 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { analyzeDiscussion } from "./discussion.js";
+import { buildReportHtml, discussionToCsv, escapeHtml, recordsToCsv, recordsToJson, summarizeRecord, toCsv } from "./exports.js";
+import { analyzeReading } from "./fluency.js";
+import { analyzeTranscript } from "./speechMetrics.js";
+import { getGlossary } from "../glossaries/index.js";
+
+const RUBRIC = {
+  id: "test",
+  title: "Test rubric",
+  grades: [{ label: "Pass", min: 0.5 }, { label: "Fail", min: 0 }],
+  criteria: [
+    {
+      id: "fillers",
+      metric: "fillerRate",
+      bands: [
+        { label: "Good", colour: "green", score: 1, max: 0.08, feedback: "Few fillers." },
+        { label: "Poor", colour: "red", score: 0, feedback: "Many fillers." }
+      ]
+    }
+  ]
+};
+
+const TRANSCRIPT = "Um, the poet uses a metaphor here. The imagery is vivid.";
+
+function record(overrides = {}) {
+  return {
+    id: "a1",
+    createdAt: "2026-10-18T09:30:00.000Z",
+    taskType: "gcse-spoken-language",
+    language: "en",
+    glossary: { id: "english-language-literature", version: 1 },
+    transcript: TRANSCRIPT,
+    segments: [],
+    analysis: analyzeTranscript(TRANSCRIPT),
+    questions: [{ text: "Why a metaphor?", type: "clarification", difficulty: "easy", quote: "uses a metaphor" }],
+    exchanges: [],
+    ...overrides
+  };
+}
+
+test("toCsv quotes cells with commas, quotes and newlines", () => {
+  const csv = toCsv([{ a: "plain", b: 'say "hi", then\nleave', c: null }], ["a", "b", "c"]);
+  assert.equal(csv, 'a,b,c\r\nplain,"say ""hi"", then\nleave",\r\n');
+});
+
+test("summarizeRecord scores against the given rubric and rounds metrics", () => {
+  const s = summarizeRecord(record(), { rubricFor: () => RUBRIC });
+  assert.equal(s.rubricId, "test");
+  assert.equal(s.grade, "Fail");
+  assert.deepEqual(s.criteria.map((c) => [c.id, c.band]), [["fillers", "Poor"]]);
+  assert.equal(s.metrics.wordCount, 11);
+  assert.ok(String(s.metrics.ttr).split(".")[1].length <= 4);
+});
+
+test("summarizeRecord keeps a stored, teacher-reviewed score", () => {
+  const scored = { rubricId: "test", score: 1, grade: "Pass", narrative: [], criteria: [{ id: "fillers", label: "fillers", value: 0.2, band: { label: "Good" }, overridden: true }] };
+  const s = summarizeRecord(record({ studentName: "Ada", scored, review: { grade: "Pass" } }), { rubricFor: () => RUBRIC });
+  assert.equal(s.grade, "Pass");
+  assert.equal(s.studentName, "Ada");
+  assert.equal(s.reviewed, true);
+  assert.deepEqual(s.criteria[0], { id: "fillers", label: "fillers", value: 0.2, band: "Good", overridden: true });
+});
+
+test("recordsToCsv writes one row per record with band and metric columns", () => {
+  const csv = recordsToCsv([record(), record({ id: "a2", studentName: "Grace" })], { rubricFor: () => RUBRIC });
+  const [header, first, second] = csv.trim().split("\r\n");
+  const columns = header.split(",");
+  assert.deepEqual(columns.slice(0, 12), ["id", "createdAt", "studentName", "taskType", "language", "glossary", "rubricId", "grade", "score", "reviewed", "band:fillers", "wordCount"]);
+  assert.ok(columns.includes("flesch"));
+  assert.equal(first.split(",")[columns.indexOf("glossary")], "english-language-literature@1");
+  assert.equal(second.split(",")[columns.indexOf("studentName")], "Grace");
+});
+
+test("recordsToJson accepts a single record", () => {
+  const json = JSON.parse(recordsToJson(record(), { rubricFor: () => RUBRIC, exportedAt: "now" }));
+  assert.equal(json.exportedAt, "now");
+  assert.equal(json.count, 1);
+  assert.equal(json.records[0].id, "a1");
+});
+
+test("buildReportHtml includes every section and escapes the transcript", () => {
+  const html = buildReportHtml(record({ transcript: `${TRANSCRIPT} <script>alert(1)</script>`, studentName: "Ada" }), { rubric: RUBRIC, glossary: getGlossary("english-language-literature") });
+  for (const heading of ["Automated Feedback", "Narrative Feedback", "Transcript", "Probing Questions"]) {
+    assert.ok(html.includes(`<h2>${heading}</h2>`), heading);
+  }
+  assert.ok(!html.includes("<script>"));
+  assert.ok(html.includes("&lt;script&gt;"));
+  assert.ok(html.includes("Many fillers."));
+  assert.ok(html.includes("@media print"));
+  assert.match(html, /<mark style="background:[^"]+" title="[^"]*">metaphor<\/mark>/);
+});
+
+test("escapeHtml escapes attribute characters", () => {
+  assert.equal(escapeHtml(`<a href="x">'&'</a>`), "&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;");
+});
+
+test("content feedback adds a report section and a suggested band column", () => {
+  const contentFeedback = {
+    summary: "Clear.",
+    dimensions: [{ dimension: "thesis", label: "Thesis clarity", level: "secure", comment: "Stated early.", quote: "uses a metaphor" }],
+    strengths: [{ dimension: "thesis", text: "A clear claim.", quote: "uses a metaphor" }],
+    targets: [],
+    markBand: { band: "Merit", rationale: "Solid.", quote: null }
+  };
+  const html = buildReportHtml(record({ contentFeedback }), { rubric: RUBRIC });
+  assert.ok(html.includes("<h2>Content Feedback</h2>"));
+  assert.ok(html.includes("Suggested band: Merit"));
+  const [header, row] = recordsToCsv(record({ contentFeedback }), { rubricFor: () => RUBRIC }).trim().split("\r\n");
+  assert.equal(row.split(",")[header.split(",").indexOf("suggestedBand")], "Merit");
+});
+
+test("read-aloud fluency adds a report section and its own columns", () => {
+  const fluency = analyzeReading("The old dog ran home.", "the old cat ran home", { durationSeconds: 3 });
+  const html = buildReportHtml(record({ fluency }), { rubric: RUBRIC });
+  assert.ok(html.includes("<h2>Reading Fluency</h2>"));
+  assert.match(html, /<mark class="substitution" style="background:[^"]+" title="[^"]*">dog<sup>cat<\/sup><\/mark>/);
+  const [header, , row] = recordsToCsv([record(), record({ id: "a2", fluency })], { rubricFor: () => RUBRIC }).trim().split("\r\n");
+  const columns = header.split(",");
+  assert.equal(row.split(",")[columns.indexOf("wcpm")], "80");
+  assert.equal(row.split(",")[columns.indexOf("substitutions")], "1");
+  assert.ok(!recordsToCsv(record(), { rubricFor: () => RUBRIC }).includes("wcpm"));
+});
+
+test("exam submissions add their attempt and audit columns", () => {
+  const exam = {
+    attempt: 2,
+    card: "Is poetry still relevant?",
+    drawnAt: "2026-10-18T09:00:00.000Z",
+    recordingStartedAt: "2026-10-18T09:01:00.000Z",
+    durationSeconds: 95.5,
+    stopReason: "time_limit",
+    events: [{ type: "page_hidden", at: "2026-10-18T09:00:30.000Z" }, { type: "page_visible", at: "2026-10-18T09:00:40.000Z" }]
+  };
+  const [header, , row] = recordsToCsv([record(), record({ id: "a2", exam })], { rubricFor: () => RUBRIC }).trim().split("\r\n");
+  const columns = header.split(",");
+  assert.equal(row.split(",")[columns.indexOf("examAttempt")], "2");
+  assert.equal(row.split(",")[columns.indexOf("examCard")], "Is poetry still relevant?");
+  assert.equal(row.split(",")[columns.indexOf("examStopReason")], "time_limit");
+  assert.equal(summarizeRecord(record({ exam })).exam.examPageHidden, 1);
+  assert.ok(!recordsToCsv(record(), { rubricFor: () => RUBRIC }).includes("examAttempt"));
+});
+
+test("a group discussion gets a per-student report table and CSV", () => {
+  const segments = [
+    { speaker: "A", start: 0, end: 3, text: "The poet uses a metaphor of the sea." },
+    { speaker: "B", start: 3.2, end: 5, text: "Um, and the tone shifts." }
+  ];
+  const discussion = analyzeDiscussion(segments, { speakerNames: { A: "Ada", B: "<Ben>" } });
+  const html = buildReportHtml(record({ discussion, speakerQuestions: { Ada: [{ text: "Why the sea?", quote: "metaphor of the sea" }] } }), { rubric: RUBRIC });
+  assert.ok(html.includes("<h2>Group Discussion</h2>"));
+  assert.ok(html.includes("<h3>Questions for Ada</h3>"));
+  assert.ok(html.includes("<strong>&lt;Ben&gt;:</strong> Um, and the tone shifts."));
+  const [header, ada, ben] = discussionToCsv(discussion, { rubric: RUBRIC }).trim().split("\r\n");
+  const columns = header.split(",");
+  assert.equal(ada.split(",")[columns.indexOf("talkShare")], "0.625");
+  assert.equal(ben.split(",")[columns.indexOf("name")], "<Ben>");
+});
@@ -0,0 +1,132 @@
+// src/lib/fillers.js
+// Context-aware filler and disfluency detection.
+//
+// Fillers come from a per-language lexicon (src/lexicons). Each entry names
+// a phrase and its type, hesitation ("um"), discourse marker ("you know")
+// or hedge ("sort of"), and may restrict when it counts:
+//  - `when`: at least one of these must hold
+//      commaAfter       followed by a comma, dash or similar break
+//      commaBefore      preceded by a comma or dash
+//      questionAfter    followed by "?" ("..., right?")
+//      sentenceStart    first word of a sentence
+//      beforeHesitation followed by a hesitation ("so um")
+//  - `unlessAfter` / `unlessBefore`: words that, directly before or after,
+//    show the phrase is being used for its meaning ("would like", "know that")
+// Disfluencies are counted separately: immediate repetitions ("the the",
+// "in the in the") and restarts (a cut-off word, or a phrase abandoned at a
+// dash and said again).
+import { tokenizeWithOffsets } from "./glossary.js";
+import { DEFAULT_LANGUAGE, getLexicon } from "../lexicons/index.js";
+
+export const FILLER_TYPES = [
+  { id: "hesitation", label: "Hesitation" },
+  { id: "discourse", label: "Discourse marker" },
+  { id: "hedge", label: "Hedge" }
+];
+
+const MAX_REPEAT_WORDS = 3;
+
+function lower(word) {
+  return word.toLowerCase().replace(/’/g, "'");
+}
+
+function prepare(text) {
+  const tokens = tokenizeWithOffsets(text).map((t) => ({ ...t, key: lower(t.word) }));
+  return tokens.map((t, i) => ({
+    ...t,
+    gapBefore: text.slice(i ? tokens[i - 1].end : 0, t.start),
+    gapAfter: text.slice(t.end, i + 1 < tokens.length ? tokens[i + 1].start : text.length)
+  }));
+}
+
+const CONDITIONS = {
+  commaAfter: (ctx) => /^\s*[,;:—–]|^\s*--?\s/.test(ctx.last.gapAfter),
+  commaBefore: (ctx) => /[,;:—–]\s*$|\s--?\s*$/.test(ctx.first.gapBefore),
+  questionAfter: (ctx) => /^\s*\?/.test(ctx.last.gapAfter),
+  sentenceStart: (ctx) => !ctx.prev || /[.!?]/.test(ctx.first.gapBefore),
+  beforeHesitation: (ctx) => Boolean(ctx.next && ctx.hesitations.has(ctx.next.key))
+};
+
+function matches(entry, ctx) {
+  if (ctx.prev && entry.unlessAfter && entry.unlessAfter.includes(ctx.prev.key) && !/[,;:.!?—–]/.test(ctx.first.gapBefore)) return false;
+  if (ctx.next && entry.unlessBefore && entry.unlessBefore.includes(ctx.next.key) && !/[,;:.!?—–]/.test(ctx.last.gapAfter)) return false;
+  if (!entry.when || !entry.when.length) return true;
+  return entry.when.some((c) => CONDITIONS[c] && CONDITIONS[c](ctx));
+}
+
+function compileLexicon(lexicon) {
+  const entries = lexicon.fillers
+    .map((e) => ({ ...e, words: e.phrase.toLowerCase().split(/\s+/) }))
+    .sort((a, b) => b.words.length - a.words.length);
+  const hesitations = new Set(entries.filter((e) => e.type === "hesitation" && e.words.length === 1).map((e) => e.words[0]));
+  return { entries, hesitations };
+}
+
+/**
+ * Find fillers in `text`.
+ * Returns `{ occurrences: [{ phrase, type, start, end, text }], counts, total }`
+ * where `counts` has one number per FILLER_TYPES id.
+ */
+export function detectFillers(text, { language = DEFAULT_LANGUAGE, lexicon = getLexicon(language) } = {}) {
+  const counts = Object.fromEntries(FILLER_TYPES.map((t) => [t.id, 0]));
+  const occurrences = [];
+  if (!text) return { occurrences, counts, total: 0 };
+
+  const tokens = prepare(text);
+  const { entries, hesitations } = compileLexicon(lexicon);
+  for (let i = 0; i < tokens.length; i++) {
+    for (const entry of entries) {
+      const n = entry.words.length;
+      if (!entry.words.every((w, k) => tokens[i + k] && tokens[i + k].key === w)) continue;
+      // a multi-word filler has to be said in one breath
+      if (tokens.slice(i + 1, i + n).some((t) => /[^\s]/.test(t.gapBefore))) continue;
+      const ctx = { first: tokens[i], last: tokens[i + n - 1], prev: tokens[i - 1], next: tokens[i + n], hesitations };
+      if (!matches(entry, ctx)) continue;
+      const start = tokens[i].start;
+      const end = tokens[i + n - 1].end;
+      occurrences.push({ phrase: entry.phrase, type: entry.type, start, end, text: text.slice(start, end) });
+      counts[entry.type] = (counts[entry.type] || 0) + 1;
+      i += n - 1;
+      break;
+    }
+  }
+  return { occurrences, counts, total: occurrences.length };
+}
+
+function sameWords(tokens, a, b, n) {
+  for (let k = 0; k < n; k++) if (!tokens[a + k] || !tokens[b + k] || tokens[a + k].key !== tokens[b + k].key) return false;
+  return true;
+}
+
+/**
+ * Find restarts and repetitions in `text`.
+ * Returns `[{ type: "restart" | "repetition", start, end, text }]`, each
+ * spanning the part the speaker abandoned or said twice.
+ */
+export function detectDisfluencies(text, { language = DEFAULT_LANGUAGE, lexicon = getLexicon(language) } = {}) {
+  if (!text) return [];
+  const tokens = prepare(text);
+  const exceptions = new Set(lexicon.repetitionExceptions || []);
+  const out = [];
+  const push = (type, from, to) => out.push({ type, start: tokens[from].start, end: tokens[to].end, text: text.slice(tokens[from].start, tokens[to].end) });
+
+  for (let i = 0; i < tokens.length; i++) {
+    // "wh- what": a word cut off with a hyphen
+    if (/^-(\s|$)/.test(tokens[i].gapAfter)) {
+      push("restart", i, i);
+      continue;
+    }
+    for (let n = MAX_REPEAT_WORDS; n >= 1; n--) {
+      if (!sameWords(tokens, i, i + n, n)) continue;
+      if (n === 1 && exceptions.has(tokens[i].key)) continue;
+      const gap = tokens[i + n - 1].gapAfter;
+      const abandoned = /[—–…]|--|\.\.\./.test(gap);
+      // "...ends. Ends are..." is a new sentence, not a stumble
+      if (!abandoned && /[.!?]/.test(gap)) continue;
+      push(abandoned ? "restart" : "repetition", i, i + n - 1);
+      i += n - 1;
+      break;
+    }
+  }
+  return out;
+}
@@ -0,0 +1,64 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { detectDisfluencies, detectFillers } from "./fillers.js";
+import { LEXICONS } from "../lexicons/index.js";
+
+function phrases(text) {
+  return detectFillers(text).occurrences.map((o) => `${o.text}:${o.type}`);
+}
+
+test("does not flag words used for their meaning", () => {
+  assert.deepEqual(phrases("I would like to argue that the poem is like a storm."), []);
+  assert.deepEqual(phrases("So the poet uses the sea as a symbol."), []);
+  assert.deepEqual(phrases("You're right that it is well written, and the ending works as well."), []);
+  assert.deepEqual(phrases("You know that the ending is a kind of elegy. I mean to show this."), []);
+});
+
+test("flags the same words when context marks them as fillers", () => {
+  assert.deepEqual(phrases("It was, like, really sad."), ["like:discourse"]);
+  assert.deepEqual(phrases("So, um, the poem ends."), ["So:discourse", "um:hesitation"]);
+  assert.deepEqual(phrases("Well, the sea is grief, right?"), ["Well:discourse", "right:discourse"]);
+  assert.deepEqual(phrases("It's sort of sad, you know, and I guess it works."), ["sort of:hedge", "you know:discourse", "I guess:hedge"]);
+});
+
+test("multi-word fillers are whole words said together", () => {
+  // "i mean" must not match inside "Remi meant"; "you, know" is not the phrase
+  assert.deepEqual(phrases("Remi meant the knowledge of you, known to all."), []);
+});
+
+test("counts by type", () => {
+  const r = detectFillers("Um, uh, basically it's, like, done.");
+  assert.deepEqual(r.counts, { hesitation: 2, discourse: 1, hedge: 1 });
+  assert.equal(r.total, 4);
+});
+
+test("accepts a custom lexicon", () => {
+  const lexicon = { language: "xx", fillers: [{ phrase: "eh", type: "hesitation" }] };
+  assert.equal(detectFillers("eh um eh", { lexicon }).total, 2);
+  assert.ok(LEXICONS.en.fillers.length > 10);
+});
+
+test("detects repetitions and restarts", () => {
+  const d = detectDisfluencies("The the poet shows in the in the final stanza that wh- what matters is the sea — the sea itself.");
+  assert.deepEqual(d.map((x) => `${x.type}:${x.text}`), [
+    "repetition:The",
+    "repetition:in the",
+    "restart:wh",
+    "restart:the sea"
+  ]);
+});
+
+test("ignores legitimate doubles and sentence boundaries", () => {
+  assert.deepEqual(detectDisfluencies("She had had enough. Enough was said."), []);
+});
+
+test("uses the lexicon for the requested language", () => {
+  const fr = detectFillers("Euh, alors, le poème est, genre, triste. Le genre du texte est clair.", { language: "fr" });
+  assert.deepEqual(fr.occurrences.map((o) => o.text), ["Euh", "alors", "genre"]);
+  const es = detectFillers("Pues, eh, o sea, el poema es bueno.", { language: "es" });
+  assert.deepEqual(es.occurrences.map((o) => o.text), ["Pues", "eh", "o sea"]);
+  const de = detectFillers("Also, ähm, das Gedicht ist irgendwie traurig, oder?", { language: "de" });
+  assert.deepEqual(de.occurrences.map((o) => `${o.text}:${o.type}`), ["Also:discourse", "ähm:hesitation", "irgendwie:hedge", "oder:discourse"]);
+  // English fillers mean nothing in French
+  assert.equal(detectFillers("Um, like, so,", { language: "fr" }).total, 0);
+});
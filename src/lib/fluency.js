@@ -0,0 +1,192 @@
+// src/lib/fluency.js
+// Read-aloud fluency: the transcript of a student reading a reference
+// passage is aligned word by word to the passage (minimum edit cost),
+// giving words correct per minute (WCPM), accuracy and the reading errors.
+//
+// Each reference word is read correctly, substituted or omitted; extra
+// spoken words are insertions, except
+//  - a repetition: the word said again ("the the dog"), and
+//  - a self-correction: a false start or wrong word that the student put
+//    right at once ("the b- big dog", "the house horse"),
+// which are shown but not counted as errors, as in running records.
+// Reference words after the last one the student reached are "not
+// reached" rather than omitted, so a timed reading that stops early is not
+// penalised. Hesitations ("um") are ignored.
+import { DEFAULT_LANGUAGE, getLexicon } from "../lexicons/index.js";
+
+export const FLUENCY_CATEGORIES = [
+  { id: "correct", label: "Correct", colour: "#d9f2d9", error: false },
+  { id: "substitution", label: "Substitution", colour: "#ffc9c9", error: true },
+  { id: "omission", label: "Omission", colour: "#e0e0e0", error: true },
+  { id: "insertion", label: "Insertion", colour: "#e5d4ff", error: true },
+  { id: "selfCorrection", label: "Self-correction", colour: "#d3e6ff", error: false },
+  { id: "repetition", label: "Repetition", colour: "#fff1b8", error: false },
+  { id: "notReached", label: "Not reached", colour: "transparent", error: false }
+];
+
+// larger passages are refused rather than freezing the page
+const MAX_ALIGN_CELLS = 4000000;
+
+// no hyphens: "well-known" read as "well known" is two correct words
+const WORD_RE = /[\p{L}\p{N}]+(?:['’][\p{L}\p{N}]+)*/gu;
+
+function key(word) {
+  return word.normalize("NFKD").replace(/[\u0300-\u036f]/g, "").toLowerCase().replace(/’/g, "'");
+}
+
+function tokenize(text) {
+  return [...String(text || "").matchAll(WORD_RE)].map((m) => ({ word: m[0], key: key(m[0]), start: m.index, end: m.index + m[0].length }));
+}
+
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// an attempt at `target`: a fragment of its start or a near miss
+function isAttemptAt(attempt, target) {
+  if (attempt.length < target.length && target.startsWith(attempt)) return true;
+  return editDistance(attempt, target) <= Math.max(1, Math.floor(target.length / 3));
+}
+
+const MATCH = 1;
+const SUBSTITUTE = 2;
+const OMIT = 3;
+const INSERT = 4;
+
+/**
+ * Minimum-cost alignment of `ref` and `spoken` token keys.
+ * Returns `[{ op: "match" | "substitute" | "omit" | "insert", r, s }]` in
+ * reading order, with indexes into each list. Throws an Error with code
+ * "too_long_to_align" when the lists are too long to align.
+ */
+export function alignWords(ref, spoken) {
+  const n = ref.length;
+  const m = spoken.length;
+  if ((n + 1) * (m + 1) > MAX_ALIGN_CELLS) {
+    const err = new Error("The passage or reading is too long to align");
+    err.code = "too_long_to_align";
+    throw err;
+  }
+
+  const back = new Uint8Array((n + 1) * (m + 1));
+  let prev = new Uint32Array(m + 1);
+  let row = new Uint32Array(m + 1);
+  for (let j = 1; j <= m; j++) { prev[j] = j; back[j] = INSERT; }
+  for (let i = 1; i <= n; i++) {
+    row[0] = i;
+    back[i * (m + 1)] = OMIT;
+    for (let j = 1; j <= m; j++) {
+      const same = ref[i - 1] === spoken[j - 1];
+      // a substitution costs as much as an omission plus an insertion, so
+      // the alignment keeps as many words correct as it can; ties prefer
+      // the diagonal, so a wrong word in place of the right one is a
+      // substitution
+      let best = prev[j - 1] + (same ? 0 : 2);
+      let op = same ? MATCH : SUBSTITUTE;
+      if (prev[j] + 1 < best) { best = prev[j] + 1; op = OMIT; }
+      if (row[j - 1] + 1 < best) { best = row[j - 1] + 1; op = INSERT; }
+      row[j] = best;
+      back[i * (m + 1) + j] = op;
+    }
+    [prev, row] = [row, prev];
+  }
+
+  const ops = [];
+  let i = n;
+  let j = m;
+  while (i > 0 || j > 0) {
+    const op = back[i * (m + 1) + j];
+    if (op === MATCH || op === SUBSTITUTE) ops.push({ op: op === MATCH ? "match" : "substitute", r: --i, s: --j });
+    else if (op === OMIT) ops.push({ op: "omit", r: --i, s: null });
+    else ops.push({ op: "insert", r: null, s: --j });
+  }
+  return ops.reverse();
+}
+
+/**
+ * Score a read-aloud attempt.
+ *
+ * @param {string} reference the passage the student was asked to read
+ * @param {string} transcript what /api/transcribe heard
+ * @param {object} [options]
+ * @param {{ start: number, end: number }[]} [options.words] timed words
+ *   from the transcription; the reading time runs from the first to the last
+ * @param {number} [options.durationSeconds] used when there are no timings
+ * @param {string} [options.language] picks the hesitations to ignore
+ * @returns {{ reference, tokens, counts, referenceWords, attempted, correct,
+ *   errors, accuracy, seconds, wcpm }} where each token is
+ *   `{ type, ref?, spoken?, start?, end? }`: `type` is a FLUENCY_CATEGORIES
+ *   id, `ref` the passage word (with `start`/`end` offsets into it) and
+ *   `spoken` what was said instead or in addition
+ */
+export function analyzeReading(reference, transcript, { words = [], durationSeconds = 0, language = DEFAULT_LANGUAGE } = {}) {
+  const ref = tokenize(reference);
+  const refKeys = new Set(ref.map((t) => t.key));
+  const hesitations = new Set(getLexicon(language).fillers.filter((f) => f.type === "hesitation").map((f) => key(f.phrase)));
+  const spoken = tokenize(transcript).filter((t) => !hesitations.has(t.key) || refKeys.has(t.key));
+
+  const ops = alignWords(ref.map((t) => t.key), spoken.map((t) => t.key));
+  const lastReached = ops.reduce((last, o, idx) => (o.op !== "omit" ? idx : last), -1);
+
+  const tokens = ops.map((o, idx) => {
+    const r = o.r === null ? null : ref[o.r];
+    const s = o.s === null ? null : spoken[o.s];
+    const at = r ? { ref: r.word, start: r.start, end: r.end } : {};
+    if (o.op === "match") return { type: "correct", ...at };
+    if (o.op === "substitute") return { type: "substitution", ...at, spoken: s.word };
+    if (o.op === "omit") return { type: idx > lastReached ? "notReached" : "omission", ...at };
+    return { type: "insertion", spoken: s.word, key: s.key };
+  });
+
+  // classify each run of insertions by the words either side of it
+  for (let idx = 0; idx < tokens.length; idx++) {
+    if (tokens[idx].type !== "insertion") continue;
+    let end = idx;
+    while (end + 1 < tokens.length && tokens[end + 1].type === "insertion") end++;
+    const before = idx > 0 ? ops[idx - 1] : null;
+    const after = end + 1 < ops.length ? ops[end + 1] : null;
+    const prevSpoken = before && before.s !== null ? spoken[before.s].key : null;
+    const next = after && after.op === "match" ? ref[after.r].key : null;
+    for (let k = idx; k <= end; k++) {
+      const t = tokens[k];
+      if (t.key === prevSpoken || t.key === next || (k > idx && t.key === tokens[k - 1].key)) t.type = "repetition";
+      else if (next && isAttemptAt(t.key, next)) t.type = "selfCorrection";
+    }
+    // "the hou- house": everything before the successful attempt was part
+    // of putting it right
+    if (next && tokens.slice(idx, end + 1).some((t) => t.type === "selfCorrection")) {
+      for (let k = idx; k <= end; k++) if (tokens[k].type === "insertion") tokens[k].type = "selfCorrection";
+    }
+    idx = end;
+  }
+  for (const t of tokens) delete t.key;
+
+  const counts = Object.fromEntries(FLUENCY_CATEGORIES.map((c) => [c.id, 0]));
+  for (const t of tokens) counts[t.type]++;
+  const errors = FLUENCY_CATEGORIES.filter((c) => c.error).reduce((sum, c) => sum + counts[c.id], 0);
+  const attempted = ref.length - counts.notReached;
+
+  const timed = words.filter((w) => Number.isFinite(w.start) && Number.isFinite(w.end));
+  const seconds = timed.length ? timed[timed.length - 1].end - timed[0].start : durationSeconds;
+
+  return {
+    reference: String(reference || ""),
+    tokens,
+    counts,
+    referenceWords: ref.length,
+    attempted,
+    correct: counts.correct,
+    errors,
+    accuracy: attempted ? Math.round((counts.correct / attempted) * 1000) / 1000 : 0,
+    seconds: Math.round(seconds * 10) / 10,
+    wcpm: seconds > 0 ? Math.round(counts.correct / (seconds / 60)) : null
+  };
+}
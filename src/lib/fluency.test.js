@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { alignWords, analyzeReading } from "./fluency.js";
+
+const PASSAGE = "The old dog ran to the house.";
+
+function types(result) {
+  return result.tokens.map((t) => `${t.type}:${t.ref || t.spoken}`);
+}
+
+test("alignWords keeps matches and marks the differences", () => {
+  assert.deepEqual(alignWords(["a", "b", "c"], ["a", "x", "c", "d"]).map((o) => o.op), ["match", "substitute", "match", "insert"]);
+  assert.deepEqual(alignWords(["a", "b", "c"], ["a", "c"]).map((o) => o.op), ["match", "omit", "match"]);
+});
+
+test("a clean reading is all correct", () => {
+  const r = analyzeReading(PASSAGE, "the old dog ran to the house", { durationSeconds: 3.5 });
+  assert.equal(r.correct, 7);
+  assert.equal(r.errors, 0);
+  assert.equal(r.accuracy, 1);
+  assert.equal(r.wcpm, 120);
+});
+
+test("substitutions, omissions and insertions are errors", () => {
+  const r = analyzeReading(PASSAGE, "the big old cat ran to house");
+  assert.deepEqual(types(r), ["correct:The", "insertion:big", "correct:old", "substitution:dog", "correct:ran", "correct:to", "omission:the", "correct:house"]);
+  assert.equal(r.tokens[3].spoken, "cat");
+  assert.equal(r.errors, 3);
+  assert.equal(r.correct, 5);
+  assert.equal(r.accuracy, Math.round((5 / 7) * 1000) / 1000);
+});
+
+test("false starts and repeats are not errors", () => {
+  const r = analyzeReading(PASSAGE, "the old old dog ran to the hou house");
+  assert.deepEqual(r.counts, { correct: 7, substitution: 0, omission: 0, insertion: 0, selfCorrection: 1, repetition: 1, notReached: 0 });
+  assert.equal(r.errors, 0);
+});
+
+test("words after the last one read are not reached, not omitted", () => {
+  const r = analyzeReading(PASSAGE, "the old dog ran");
+  assert.equal(r.counts.notReached, 3);
+  assert.equal(r.counts.omission, 0);
+  assert.equal(r.attempted, 4);
+  assert.equal(r.accuracy, 1);
+});
+
+test("hesitations are ignored and word timings set the reading time", () => {
+  const words = [{ word: "um", start: 0.5, end: 0.8 }, { word: "the", start: 1, end: 1.2 }, { word: "house", start: 3.6, end: 4 }];
+  const r = analyzeReading(PASSAGE, "um the old dog ran to the house", { words, durationSeconds: 60 });
+  assert.equal(r.errors, 0);
+  assert.equal(r.seconds, 3.5);
+  assert.equal(r.wcpm, 120);
+});
+
+test("tokens point back into the passage", () => {
+  const r = analyzeReading(PASSAGE, "the old dog ran to the house");
+  const last = r.tokens[r.tokens.length - 1];
+  assert.equal(PASSAGE.slice(last.start, last.end), "house");
+});
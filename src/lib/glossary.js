@@ -0,0 +1,251 @@
+// src/lib/glossary.js
+// Subject glossaries: validation, CSV/JSON import and term matching.
+//
+// A glossary is `{ id, version, title, subject, language, terms }` where each
+// term is `{ term, definition, aliases? }`. Terms may be several words long
+// ("pathetic fallacy"). Matching compares each transcript word's possible
+// lemmas with the term's words, so "metaphors", "foreshadowed" and
+// "juxtaposing" find "metaphor", "foreshadow" and "juxtapose". Overlapping
+// matches go to the longest term.
+
+const WORD_RE = /[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu;
+
+// plurals the suffix rules below cannot undo
+const IRREGULAR = {
+  analyses: "analysis",
+  hypotheses: "hypothesis",
+  theses: "thesis",
+  criteria: "criterion",
+  phenomena: "phenomenon",
+  stimuli: "stimulus",
+  nuclei: "nucleus",
+  indices: "index",
+  children: "child",
+  women: "woman",
+  men: "man"
+};
+
+export function validateGlossary(glossary) {
+  const problems = [];
+  if (!glossary || typeof glossary !== "object" || Array.isArray(glossary)) return ["Glossary must be a JSON object"];
+  if (!glossary.id || typeof glossary.id !== "string") problems.push("Glossary needs an id");
+  if (glossary.version !== undefined && !(Number.isInteger(glossary.version) && glossary.version > 0)) problems.push("Glossary version must be a positive integer");
+  if (!Array.isArray(glossary.terms) || glossary.terms.length === 0) return [...problems, "Glossary needs at least one term"];
+
+  for (const [i, t] of glossary.terms.entries()) {
+    const where = `terms[${i}]${t && t.term ? ` (${t.term})` : ""}`;
+    if (!t || typeof t.term !== "string" || !t.term.trim()) problems.push(`${where} needs a term`);
+    else if (!t.term.match(WORD_RE)) problems.push(`${where} has no words to match`);
+    if (!t || typeof t.definition !== "string") problems.push(`${where} needs a definition`);
+    if (t && t.aliases !== undefined && !(Array.isArray(t.aliases) && t.aliases.every((a) => typeof a === "string"))) {
+      problems.push(`${where} aliases must be a list of strings`);
+    }
+  }
+  return problems;
+}
+
+function normalizeWord(word) {
+  return word.toLowerCase().replace(/’/g, "'").replace(/'s$/, "");
+}
+
+/**
+ * The forms a word could be an inflection of, including the word itself.
+ * Deliberately generous: a candidate only matters if a glossary term uses it.
+ */
+export function lemmaCandidates(word) {
+  const w = normalizeWord(word);
+  const out = new Set([w]);
+  const add = (stem) => {
+    if (stem.length >= 2 && /[aeiouy]/.test(stem)) out.add(stem);
+  };
+  if (IRREGULAR[w]) out.add(IRREGULAR[w]);
+  if (w.length > 3) {
+    if (w.endsWith("ies") || w.endsWith("ied")) add(`${w.slice(0, -3)}y`);
+    if (w.endsWith("es")) add(w.slice(0, -2));
+    if (w.endsWith("s") && !/(ss|us|is)$/.test(w)) add(w.slice(0, -1));
+    for (const suffix of ["ing", "ed"]) {
+      if (!w.endsWith(suffix)) continue;
+      const stem = w.slice(0, -suffix.length);
+      add(stem);
+      add(`${stem}e`);
+      // "running" -> "run", but not "falling" -> "fal"
+      if (/([^aeiouls])\1$/.test(stem)) add(stem.slice(0, -1));
+    }
+  }
+  return out;
+}
+
+/**
+ * Words of `text` with their character offsets.
+ */
+export function tokenizeWithOffsets(text) {
+  return [...String(text || "").matchAll(WORD_RE)].map((m) => ({ word: m[0], start: m.index, end: m.index + m[0].length }));
+}
+
+const compiled = new WeakMap();
+
+// first word -> entries, longest first
+function compileGlossary(glossary) {
+  if (compiled.has(glossary)) return compiled.get(glossary);
+  const index = new Map();
+  for (const t of glossary.terms) {
+    for (const form of [t.term, ...(t.aliases || [])]) {
+      const words = tokenizeWithOffsets(form).map((w) => normalizeWord(w.word));
+      if (!words.length) continue;
+      if (!index.has(words[0])) index.set(words[0], []);
+      index.get(words[0]).push({ words, term: t });
+    }
+  }
+  for (const entries of index.values()) entries.sort((a, b) => b.words.length - a.words.length);
+  compiled.set(glossary, index);
+  return index;
+}
+
+/**
+ * Find glossary terms in `text`.
+ * Returns `[{ term, definition, start, end, text }]` in transcript order,
+ * with `start`/`end` as character offsets into `text`.
+ */
+export function findGlossaryTerms(text, glossary) {
+  if (!glossary || !Array.isArray(glossary.terms)) return [];
+  const index = compileGlossary(glossary);
+  const tokens = tokenizeWithOffsets(text);
+  const candidates = tokens.map((t) => lemmaCandidates(t.word));
+  const matches = [];
+
+  for (let i = 0; i < tokens.length; i++) {
+    let best = null;
+    for (const c of candidates[i]) {
+      for (const entry of index.get(c) || []) {
+        if (best && best.words.length >= entry.words.length) break;
+        const n = entry.words.length;
+        if (i + n > tokens.length) continue;
+        if (entry.words.every((w, k) => candidates[i + k].has(w))) best = entry;
+      }
+    }
+    if (!best) continue;
+    const start = tokens[i].start;
+    const end = tokens[i + best.words.length - 1].end;
+    matches.push({ term: best.term.term, definition: best.term.definition, start, end, text: text.slice(start, end) });
+    i += best.words.length - 1;
+  }
+  return matches;
+}
+
+/**
+ * Distinct matched terms with how often each was used, in order of first use.
+ */
+export function summarizeTerms(matches) {
+  const byTerm = new Map();
+  for (const m of matches) {
+    if (!byTerm.has(m.term)) byTerm.set(m.term, { term: m.term, definition: m.definition, count: 0 });
+    byTerm.get(m.term).count++;
+  }
+  return [...byTerm.values()];
+}
+
+/**
+ * Split a CSV document into rows of fields (RFC 4180 quoting).
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  const src = String(text).replace(/^\uFEFF/, "");
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((f) => f.trim()));
+}
+
+function splitAliases(value) {
+  return String(value || "").split(/[;|]/).map((a) => a.trim()).filter(Boolean);
+}
+
+function termsFromCsv(text) {
+  const rows = parseCsv(text);
+  let columns = { term: 0, definition: 1, aliases: 2 };
+  const header = rows[0] ? rows[0].map((h) => h.trim().toLowerCase()) : [];
+  if (header.includes("term")) {
+    columns = { term: header.indexOf("term"), definition: header.indexOf("definition"), aliases: header.indexOf("aliases") };
+    rows.shift();
+  }
+  return rows.map((r) => {
+    const t = { term: (r[columns.term] || "").trim(), definition: columns.definition >= 0 ? (r[columns.definition] || "").trim() : "" };
+    const aliases = columns.aliases >= 0 ? splitAliases(r[columns.aliases]) : [];
+    return aliases.length ? { ...t, aliases } : t;
+  });
+}
+
+function slugify(s) {
+  return String(s || "").toLowerCase().replace(/\.[a-z]+$/, "").replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+}
+
+/**
+ * Build a glossary from an uploaded CSV or JSON document.
+ *
+ * CSV has one term per row: `term,definition,aliases` (aliases separated by
+ * `;`), with an optional header row. JSON is either a glossary object or a
+ * bare array of terms. `meta` (id, title, subject, language, version) fills
+ * in whatever the document does not say; `filename` picks the format and a
+ * fallback id. The result still needs `validateGlossary`.
+ */
+export function parseGlossaryFile(text, { filename = "", ...meta } = {}) {
+  const trimmed = String(text || "").trim();
+  const isJson = /\.json$/i.test(filename) || trimmed.startsWith("{") || trimmed.startsWith("[");
+  let doc;
+  if (isJson) {
+    const parsed = JSON.parse(trimmed);
+    doc = Array.isArray(parsed) ? { terms: parsed } : parsed;
+  } else {
+    doc = { terms: termsFromCsv(trimmed) };
+  }
+
+  const seen = new Set();
+  const terms = (Array.isArray(doc.terms) ? doc.terms : []).filter((t) => {
+    const key = t && typeof t.term === "string" ? t.term.trim().toLowerCase() : null;
+    if (key === null) return true; // left for validateGlossary to report
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  const title = doc.title || meta.title || filename.replace(/\.[a-z]+$/i, "") || "Imported glossary";
+  return {
+    ...doc,
+    id: doc.id || meta.id || slugify(title),
+    version: doc.version ?? meta.version ?? 1,
+    title,
+    subject: doc.subject || meta.subject || "",
+    language: doc.language || meta.language || "en",
+    terms
+  };
+}
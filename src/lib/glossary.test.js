@@ -0,0 +1,62 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { findGlossaryTerms, lemmaCandidates, parseCsv, parseGlossaryFile, summarizeTerms, validateGlossary } from "./glossary.js";
+import { GLOSSARIES, getGlossary } from "../glossaries/index.js";
+
+const english = getGlossary("english-language-literature");
+
+test("built-in glossaries are valid", () => {
+  for (const g of Object.values(GLOSSARIES)) assert.deepEqual(validateGlossary(g), [], g.id);
+});
+
+test("lemma candidates undo common inflections", () => {
+  assert.ok(lemmaCandidates("metaphors").has("metaphor"));
+  assert.ok(lemmaCandidates("Foreshadowed").has("foreshadow"));
+  assert.ok(lemmaCandidates("juxtaposing").has("juxtapose"));
+  assert.ok(lemmaCandidates("personified").has("personify"));
+  assert.ok(lemmaCandidates("analyses").has("analysis"));
+  assert.ok(lemmaCandidates("poet's").has("poet"));
+  assert.ok(!lemmaCandidates("them").has("theme"));
+});
+
+test("matches inflected and multi-word terms with offsets", () => {
+  const text = "Her metaphors, and the extended metaphor, use pathetic fallacy.";
+  const found = findGlossaryTerms(text, english);
+  assert.deepEqual(found.map((m) => m.term), ["metaphor", "extended metaphor", "pathetic fallacy"]);
+  assert.equal(found[0].text, "metaphors");
+  assert.equal(text.slice(found[1].start, found[1].end), "extended metaphor");
+  assert.ok(found[2].definition.length > 0);
+});
+
+test("aliases match and summarizeTerms groups repeats", () => {
+  const text = "The meter matters; the metre is regular.";
+  const summary = summarizeTerms(findGlossaryTerms(text, english));
+  assert.deepEqual(summary.map((s) => [s.term, s.count]), [["metre", 2]]);
+});
+
+test("parses quoted CSV fields", () => {
+  assert.deepEqual(parseCsv('term,definition\r\n"a, b","say ""hi"""\n'), [["term", "definition"], ["a, b", 'say "hi"']]);
+});
+
+test("imports CSV with a header, aliases and duplicates", () => {
+  const csv = "Term,Definition,Aliases\nthesis,The main claim.,thesis statement;claim\nThesis,Duplicate.\nrebuttal,A reply to an objection.";
+  const g = parseGlossaryFile(csv, { filename: "Debate Terms.csv", subject: "debate" });
+  assert.equal(g.id, "debate-terms");
+  assert.equal(g.version, 1);
+  assert.equal(g.subject, "debate");
+  assert.deepEqual(g.terms.map((t) => t.term), ["thesis", "rebuttal"]);
+  assert.deepEqual(g.terms[0].aliases, ["thesis statement", "claim"]);
+  assert.deepEqual(validateGlossary(g), []);
+});
+
+test("imports JSON arrays and objects and reports problems", () => {
+  const fromArray = parseGlossaryFile('[{ "term": "ethos", "definition": "Appeal to character." }]', { id: "rhetoric" });
+  assert.equal(fromArray.id, "rhetoric");
+  assert.deepEqual(validateGlossary(fromArray), []);
+  const bad = parseGlossaryFile('{ "id": "x", "version": 0, "terms": [{ "term": "" }] }');
+  assert.deepEqual(validateGlossary(bad), [
+    "Glossary version must be a positive integer",
+    "terms[0] needs a term",
+    "terms[0] needs a definition"
+  ]);
+});
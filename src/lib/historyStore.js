@@ -0,0 +1,99 @@
+// src/lib/historyStore.js
+// Practice attempts persisted in IndexedDB so they survive reloads.
+// Each record is one session: audio Blob, transcript, metrics, questions
+// and viva exchanges. Recordings made while offline wait in a second store
+// until they can be uploaded.
+
+const DB_NAME = "oral-feedback";
+const DB_VERSION = 2;
+const SESSIONS = "sessions";
+const QUEUED_UPLOADS = "queuedUploads";
+
+let dbPromise = null;
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(SESSIONS)) {
+          const store = db.createObjectStore(SESSIONS, { keyPath: "id" });
+          store.createIndex("createdAt", "createdAt");
+        }
+        if (!db.objectStoreNames.contains(QUEUED_UPLOADS)) {
+          db.createObjectStore(QUEUED_UPLOADS, { keyPath: "id" }).createIndex("createdAt", "createdAt");
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    // allow a retry after e.g. a blocked upgrade
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+}
+
+async function tx(storeName, mode, fn) {
+  const db = await openDb();
+  const transaction = db.transaction(storeName, mode);
+  const result = await promisify(fn(transaction.objectStore(storeName)));
+  await new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+  return result;
+}
+
+// object URLs only live as long as the page, so they are not stored
+function storable(session) {
+  return {
+    ...session,
+    exchanges: (session.exchanges || []).map((x) => ({ ...x, answer: { ...x.answer, audioUrl: undefined } }))
+  };
+}
+
+export function saveSession(session) {
+  return tx(SESSIONS, "readwrite", (store) => store.put(storable(session)));
+}
+
+export function getSession(id) {
+  return tx(SESSIONS, "readonly", (store) => store.get(id));
+}
+
+export function deleteSession(id) {
+  return tx(SESSIONS, "readwrite", (store) => store.delete(id));
+}
+
+/**
+ * All sessions, oldest first.
+ */
+export function listSessions() {
+  return tx(SESSIONS, "readonly", (store) => store.index("createdAt").getAll());
+}
+
+/**
+ * Keep a recording for upload later: `{ id, createdAt, audio, ...settings }`.
+ */
+export function queueUpload(item) {
+  return tx(QUEUED_UPLOADS, "readwrite", (store) => store.put(item));
+}
+
+/**
+ * Recordings waiting to be uploaded, oldest first.
+ */
+export function listQueuedUploads() {
+  return tx(QUEUED_UPLOADS, "readonly", (store) => store.index("createdAt").getAll());
+}
+
+export function removeQueuedUpload(id) {
+  return tx(QUEUED_UPLOADS, "readwrite", (store) => store.delete(id));
+}
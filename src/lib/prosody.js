@@ -0,0 +1,211 @@
+// src/lib/prosody.js
+// Offline prosody analysis over a whole recording: pitch contour and
+// variation, volume dynamics and pauses. Pure; takes mono samples, so it
+// runs on decoded recordings and uploads alike (see audioFile.js).
+
+const FRAME_SECONDS = 0.04;
+const HOP_SECONDS = 0.01;
+// pitch is estimated on every PITCH_EVERY-th frame, downsampled to ~8 kHz
+const PITCH_EVERY = 2;
+const PITCH_RATE = 8000;
+const MIN_PITCH_HZ = 75;
+const MAX_PITCH_HZ = 400;
+const YIN_THRESHOLD = 0.15;
+// silences shorter than this are ordinary gaps between words
+export const MIN_PAUSE_SECONDS = 0.25;
+export const PAUSE_BUCKETS = [
+  { id: "short", label: "0.25–0.5 s", max: 0.5 },
+  { id: "medium", label: "0.5–1 s", max: 1 },
+  { id: "long", label: "1–2 s", max: 2 },
+  { id: "veryLong", label: "over 2 s", max: Infinity }
+];
+const CONTOUR_POINTS = 300;
+
+function percentile(sorted, p) {
+  if (!sorted.length) return 0;
+  const idx = Math.min(sorted.length - 1, Math.max(0, Math.round(p * (sorted.length - 1))));
+  return sorted[idx];
+}
+
+function stdDev(values) {
+  if (values.length < 2) return 0;
+  const m = values.reduce((a, b) => a + b, 0) / values.length;
+  return Math.sqrt(values.reduce((a, b) => a + (b - m) * (b - m), 0) / values.length);
+}
+
+function round(n, places = 2) {
+  const f = 10 ** places;
+  return Math.round(n * f) / f;
+}
+
+export function hzToSemitones(hz, ref = 100) {
+  return 12 * Math.log2(hz / ref);
+}
+
+/**
+ * YIN fundamental frequency estimate for one frame, or null if unvoiced.
+ */
+export function estimatePitch(frame, sampleRate) {
+  const minLag = Math.floor(sampleRate / MAX_PITCH_HZ);
+  const maxLag = Math.min(Math.ceil(sampleRate / MIN_PITCH_HZ), Math.floor(frame.length / 2));
+  if (maxLag <= minLag) return null;
+  const window = frame.length - maxLag;
+
+  const diff = new Float32Array(maxLag + 1);
+  for (let lag = 1; lag <= maxLag; lag++) {
+    let sum = 0;
+    for (let i = 0; i < window; i++) {
+      const d = frame[i] - frame[i + lag];
+      sum += d * d;
+    }
+    diff[lag] = sum;
+  }
+
+  // cumulative mean normalised difference
+  let running = 0;
+  for (let lag = 1; lag <= maxLag; lag++) {
+    running += diff[lag];
+    diff[lag] = running ? (diff[lag] * lag) / running : 1;
+  }
+
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    if (diff[lag] < YIN_THRESHOLD) {
+      while (lag + 1 <= maxLag && diff[lag + 1] < diff[lag]) lag++;
+      // parabolic interpolation around the minimum
+      const a = diff[lag - 1];
+      const b = diff[lag];
+      const c = lag + 1 <= maxLag ? diff[lag + 1] : b;
+      const denom = a - 2 * b + c;
+      const shift = denom ? (a - c) / (2 * denom) : 0;
+      return sampleRate / (lag + shift);
+    }
+  }
+  return null;
+}
+
+function downsample(samples, sampleRate, targetRate) {
+  const factor = Math.max(1, Math.floor(sampleRate / targetRate));
+  if (factor === 1) return { data: samples, rate: sampleRate };
+  const out = new Float32Array(Math.floor(samples.length / factor));
+  for (let i = 0; i < out.length; i++) {
+    let sum = 0;
+    for (let j = 0; j < factor; j++) sum += samples[i * factor + j];
+    out[i] = sum / factor;
+  }
+  return { data: out, rate: sampleRate / factor };
+}
+
+/**
+ * Frame-level RMS (dB) and a speech/silence decision per frame.
+ * The threshold adapts to the recording's noise floor.
+ */
+function voiceActivity(samples, sampleRate) {
+  const frameLen = Math.round(FRAME_SECONDS * sampleRate);
+  const hop = Math.round(HOP_SECONDS * sampleRate);
+  const frames = Math.max(0, Math.floor((samples.length - frameLen) / hop) + 1);
+  const db = new Float32Array(frames);
+  let peak = 0;
+  for (let f = 0; f < frames; f++) {
+    let sum = 0;
+    const start = f * hop;
+    for (let i = start; i < start + frameLen; i++) {
+      sum += samples[i] * samples[i];
+      const abs = Math.abs(samples[i]);
+      if (abs > peak) peak = abs;
+    }
+    db[f] = 10 * Math.log10(sum / frameLen + 1e-10);
+  }
+
+  const sorted = Array.from(db).sort((a, b) => a - b);
+  const noiseFloor = percentile(sorted, 0.1);
+  const loud = percentile(sorted, 0.95);
+  // halfway (in dB) between noise and loud speech, but never below -50 dBFS
+  const threshold = Math.max(-50, noiseFloor + Math.max(6, (loud - noiseFloor) / 2));
+  const speech = new Uint8Array(frames);
+  for (let f = 0; f < frames; f++) speech[f] = db[f] > threshold ? 1 : 0;
+
+  return { db, speech, frameLen, hop, peak };
+}
+
+function findPauses(speech) {
+  const pauses = [];
+  const first = speech.indexOf(1);
+  const last = speech.lastIndexOf(1);
+  if (first === -1) return pauses;
+  let runStart = -1;
+  for (let f = first; f <= last; f++) {
+    if (!speech[f] && runStart === -1) runStart = f;
+    if (speech[f] && runStart !== -1) {
+      const seconds = (f - runStart) * HOP_SECONDS;
+      if (seconds >= MIN_PAUSE_SECONDS) pauses.push({ start: round(runStart * HOP_SECONDS), seconds: round(seconds) });
+      runStart = -1;
+    }
+  }
+  return pauses;
+}
+
+/**
+ * Analyse a whole recording.
+ *
+ * @param {Float32Array} samples mono samples in [-1, 1]
+ * @param {number} sampleRate
+ * @returns {object|null} prosody summary, or null for silent/empty audio
+ */
+export function analyzeProsody(samples, sampleRate) {
+  if (!samples || samples.length < sampleRate * FRAME_SECONDS) return null;
+  const duration = samples.length / sampleRate;
+  const { db, speech, peak } = voiceActivity(samples, sampleRate);
+  const speechFrames = speech.reduce((a, b) => a + b, 0);
+  if (!speechFrames) return null;
+
+  // pitch over speech frames
+  const { data, rate } = downsample(samples, sampleRate, PITCH_RATE);
+  const pitchFrameLen = Math.round(FRAME_SECONDS * rate);
+  const pitchHop = HOP_SECONDS * rate;
+  const contour = [];
+  for (let f = 0; f < speech.length; f += PITCH_EVERY) {
+    if (!speech[f]) continue;
+    const start = Math.round(f * pitchHop);
+    if (start + pitchFrameLen > data.length) break;
+    const hz = estimatePitch(data.subarray(start, start + pitchFrameLen), rate);
+    if (hz && hz >= MIN_PITCH_HZ && hz <= MAX_PITCH_HZ) contour.push({ t: f * HOP_SECONDS, hz });
+  }
+
+  const semitones = contour.map((p) => hzToSemitones(p.hz));
+  const sortedSt = [...semitones].sort((a, b) => a - b);
+  const pitchVariation = stdDev(semitones);
+  const pitchMeanHz = contour.length ? contour.reduce((a, p) => a + p.hz, 0) / contour.length : 0;
+
+  const speechDb = [];
+  for (let f = 0; f < speech.length; f++) if (speech[f]) speechDb.push(db[f]);
+  const sortedDb = [...speechDb].sort((a, b) => a - b);
+
+  const pauses = findPauses(speech);
+  const pauseSeconds = pauses.map((p) => p.seconds).sort((a, b) => a - b);
+  const distribution = {};
+  for (const bucket of PAUSE_BUCKETS) distribution[bucket.id] = 0;
+  for (const s of pauseSeconds) distribution[PAUSE_BUCKETS.find((b) => s < b.max).id]++;
+
+  const step = Math.max(1, Math.ceil(contour.length / CONTOUR_POINTS));
+  return {
+    duration: round(duration),
+    speakingTime: round(speechFrames * HOP_SECONDS),
+    pitchMeanHz: Math.round(pitchMeanHz),
+    pitchRangeSemitones: round(percentile(sortedSt, 0.9) - percentile(sortedSt, 0.1), 1),
+    pitchVariation: round(pitchVariation, 2),
+    // 1 = flat delivery; falls to 0 as the pitch spread reaches 4 semitones
+    monotony: contour.length ? round(Math.max(0, 1 - pitchVariation / 4), 2) : null,
+    volumeMeanDb: round(speechDb.reduce((a, b) => a + b, 0) / speechDb.length, 1),
+    volumeRangeDb: round(percentile(sortedDb, 0.9) - percentile(sortedDb, 0.1), 1),
+    volumeVariationDb: round(stdDev(speechDb), 1),
+    peak: round(peak, 3),
+    pauseCount: pauses.length,
+    pausesPerMinute: round(pauses.length / Math.max(duration / 60, 1 / 60), 1),
+    meanPauseSeconds: pauseSeconds.length ? round(pauseSeconds.reduce((a, b) => a + b, 0) / pauseSeconds.length) : 0,
+    medianPauseSeconds: round(percentile(pauseSeconds, 0.5)),
+    longestPauseSeconds: pauseSeconds.length ? pauseSeconds[pauseSeconds.length - 1] : 0,
+    pauseDistribution: distribution,
+    pauses,
+    pitchContour: contour.filter((_, i) => i % step === 0).map((p) => ({ t: round(p.t), hz: Math.round(p.hz) }))
+  };
+}
@@ -0,0 +1,66 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { analyzeProsody, estimatePitch, hzToSemitones } from "./prosody.js";
+
+const SR = 16000;
+
+function tone(hz, seconds, amp = 0.3) {
+  const out = new Float32Array(Math.round(SR * seconds));
+  for (let i = 0; i < out.length; i++) {
+    const ph = (2 * Math.PI * hz * i) / SR;
+    out[i] = amp * (Math.sin(ph) + 0.5 * Math.sin(2 * ph));
+  }
+  return out;
+}
+
+function silence(seconds) {
+  const out = new Float32Array(Math.round(SR * seconds));
+  // deterministic low-level noise
+  for (let i = 0; i < out.length; i++) out[i] = ((i * 7919) % 200 - 100) / 100000;
+  return out;
+}
+
+function concat(parts) {
+  const out = new Float32Array(parts.reduce((a, p) => a + p.length, 0));
+  let offset = 0;
+  for (const p of parts) {
+    out.set(p, offset);
+    offset += p.length;
+  }
+  return out;
+}
+
+test("estimates the pitch of a harmonic tone", () => {
+  assert.ok(Math.abs(estimatePitch(tone(200, 0.04), SR) - 200) < 2);
+  assert.ok(Math.abs(estimatePitch(tone(110, 0.04), SR) - 110) < 2);
+  assert.equal(estimatePitch(silence(0.04).map(() => 0), SR), null);
+});
+
+test("semitone conversion", () => {
+  assert.equal(hzToSemitones(200, 100), 12);
+});
+
+test("returns null for silence or tiny inputs", () => {
+  assert.equal(analyzeProsody(new Float32Array(10), SR), null);
+  assert.equal(analyzeProsody(new Float32Array(SR), SR), null);
+});
+
+test("a flat tone is monotonous", () => {
+  const r = analyzeProsody(concat([tone(150, 2), silence(0.5), tone(150, 2)]), SR);
+  assert.ok(Math.abs(r.pitchMeanHz - 150) <= 2);
+  assert.ok(r.pitchRangeSemitones < 1);
+  assert.ok(r.monotony > 0.9);
+});
+
+test("measures pitch range, pauses and speaking time", () => {
+  const r = analyzeProsody(concat([tone(120, 2), silence(0.8), tone(180, 2), silence(2.5), tone(240, 2), silence(0.1), tone(150, 1)]), SR);
+  assert.equal(r.duration, 10.4);
+  assert.ok(r.speakingTime > 6.5 && r.speakingTime < 7.5);
+  assert.ok(r.pitchRangeSemitones > 10);
+  assert.equal(r.monotony, 0);
+  // the 0.1 s gap is too short to count as a pause
+  assert.equal(r.pauseCount, 2);
+  assert.deepEqual(r.pauseDistribution, { short: 0, medium: 1, long: 0, veryLong: 1 });
+  assert.ok(Math.abs(r.longestPauseSeconds - 2.5) < 0.1);
+  assert.ok(r.pitchContour.length > 0);
+});
@@ -0,0 +1,13 @@
+// src/lib/prosodyWorker.js
+// Web Worker running analyzeProsody, whose pitch pass takes seconds on a
+// long recording, away from the page. Started by runProsody in assess.js.
+import { analyzeProsody } from "./prosody.js";
+
+self.onmessage = (e) => {
+  const { samples, sampleRate } = e.data;
+  try {
+    self.postMessage({ prosody: analyzeProsody(samples, sampleRate) });
+  } catch (err) {
+    self.postMessage({ error: err && err.message ? err.message : String(err) });
+  }
+};
@@ -0,0 +1,81 @@
+// src/lib/readability.js
+// Syllable counting and reading-ease formulas per language.
+//
+// Every formula is a Flesch adaptation on roughly the same 0–100 scale
+// (higher is easier), so one rubric band set can serve all languages:
+//   en  Flesch (1948)             206.835 - 1.015 ASL - 84.6 ASW
+//   fr  Kandel & Moles (1958)     207 - 1.015 ASL - 73.6 ASW
+//   es  Fernández Huerta (1959)   206.84 - 0.60 P - 1.02 F
+//   de  Amstad (1978)             180 - ASL - 58.5 ASW
+// ASL is words per sentence, ASW syllables per word, P syllables per 100
+// words and F sentences per 100 words.
+import { DEFAULT_LANGUAGE } from "../lexicons/index.js";
+
+export const READABILITY_FORMULAS = {
+  en: { name: "Flesch reading ease", score: (asl, asw) => 206.835 - 1.015 * asl - 84.6 * asw },
+  fr: { name: "Kandel–Moles", score: (asl, asw) => 207 - 1.015 * asl - 73.6 * asw },
+  es: { name: "Fernández Huerta", score: (asl, asw) => 206.84 - 0.6 * (asw * 100) - 1.02 * (100 / asl) },
+  de: { name: "Amstad", score: (asl, asw) => 180 - asl - 58.5 * asw }
+};
+
+function countEnglish(word) {
+  const cleaned = word.toLowerCase().replace(/[^a-z]/g, "");
+  const m = cleaned.match(/[aeiouy]{1,2}/g);
+  let syll = m ? m.length : 0;
+  if (cleaned.endsWith("e")) syll = Math.max(1, syll - 1);
+  return Math.max(1, syll);
+}
+
+function countFrench(word) {
+  let w = word.toLowerCase().replace(/[^a-zàâäéèêëîïôöùûüÿœæç]/g, "");
+  // a final mute e (and plural -es) is not pronounced: "table", "tables"
+  if (/[^aeiouyàâäéèêëîïôöùûüÿœæ]es?$/.test(w) && w.length > 3) w = w.replace(/es?$/, "");
+  let syll = 0;
+  for (const group of w.match(/[aeiouyàâäéèêëîïôöùûüÿœæ]+/g) || []) {
+    // "eau", "oi", "ou" are one sound, but é/è meet their neighbour in a
+    // hiatus: "po-è-me", "ré-el", "thé-â-tre"
+    syll++;
+    for (let i = 1; i < group.length; i++) {
+      if (/[éè]/.test(group[i]) || group[i - 1] === "é") syll++;
+    }
+  }
+  return Math.max(1, syll);
+}
+
+function countSpanish(word) {
+  const w = word.toLowerCase().replace(/[^a-záéíóúüñ]/g, "");
+  let syll = 0;
+  for (const group of w.match(/[aeiouáéíóúü]+/g) || []) {
+    // two strong vowels (a, e, o, or any accented vowel) are a hiatus and
+    // split into separate syllables; a weak i/u/ü joins its neighbour
+    syll++;
+    for (let i = 1; i < group.length; i++) {
+      if (/[aeoáéíóú]/.test(group[i]) && /[aeoáéíóú]/.test(group[i - 1])) syll++;
+    }
+  }
+  return Math.max(1, syll);
+}
+
+function countGerman(word) {
+  const w = word.toLowerCase().replace(/[^a-zäöüß]/g, "");
+  // diphthongs and long vowels (ei, ie, au, eu, äu, aa, ee, oo) are one group
+  const m = w.match(/[aeiouyäöü]+/g);
+  return Math.max(1, m ? m.length : 0);
+}
+
+const SYLLABLE_COUNTERS = { en: countEnglish, fr: countFrench, es: countSpanish, de: countGerman };
+
+export function countSyllables(word, language = DEFAULT_LANGUAGE) {
+  return (SYLLABLE_COUNTERS[language] || countEnglish)(word);
+}
+
+/**
+ * Reading ease for `{ words, sentences, syllables }` in `language`, never
+ * below 0.
+ */
+export function readingEase({ words, sentences, syllables }, language = DEFAULT_LANGUAGE) {
+  const formula = READABILITY_FORMULAS[language] || READABILITY_FORMULAS[DEFAULT_LANGUAGE];
+  const asl = words / Math.max(1, sentences);
+  const asw = syllables / Math.max(1, words);
+  return Math.max(0, formula.score(asl, asw));
+}
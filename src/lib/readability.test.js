@@ -0,0 +1,37 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { READABILITY_FORMULAS, countSyllables, readingEase } from "./readability.js";
+import { LANGUAGES } from "../lexicons/index.js";
+
+test("every supported language has a readability formula", () => {
+  for (const { code } of LANGUAGES) assert.ok(READABILITY_FORMULAS[code], code);
+});
+
+test("French syllables skip the mute final e", () => {
+  assert.equal(countSyllables("table", "fr"), 1);
+  assert.equal(countSyllables("poème", "fr"), 2);
+  assert.equal(countSyllables("eau", "fr"), 1);
+  assert.equal(countSyllables("littérature", "fr"), 4);
+});
+
+test("Spanish syllables split hiatus but keep diphthongs", () => {
+  assert.equal(countSyllables("ciudad", "es"), 2);
+  assert.equal(countSyllables("poeta", "es"), 3);
+  assert.equal(countSyllables("día", "es"), 2);
+  assert.equal(countSyllables("aire", "es"), 2);
+});
+
+test("German syllables treat diphthongs as one", () => {
+  assert.equal(countSyllables("Freiheit", "de"), 2);
+  assert.equal(countSyllables("Gedicht", "de"), 2);
+  assert.equal(countSyllables("schön", "de"), 1);
+});
+
+test("formulas match their published coefficients", () => {
+  const sample = { words: 100, sentences: 5, syllables: 150 };
+  assert.equal(readingEase(sample, "en").toFixed(2), (206.835 - 1.015 * 20 - 84.6 * 1.5).toFixed(2));
+  assert.equal(readingEase(sample, "fr").toFixed(2), (207 - 1.015 * 20 - 73.6 * 1.5).toFixed(2));
+  assert.equal(readingEase(sample, "es").toFixed(2), (206.84 - 0.6 * 150 - 1.02 * 5).toFixed(2));
+  assert.equal(readingEase(sample, "de").toFixed(2), (180 - 20 - 58.5 * 1.5).toFixed(2));
+  assert.equal(readingEase({ words: 10, sentences: 1, syllables: 60 }, "de"), 0);
+});
@@ -0,0 +1,92 @@
+// src/lib/rubric.js
+// Scores a metrics object (see speechMetrics.js) against a JSON rubric.
+//
+// A rubric has `criteria`, each reading one metric and listing `bands` in
+// priority order. The first band whose optional `min`/`max` bounds contain
+// the value wins; a band with neither bound is the catch-all. Band `score`
+// is 0–1 and criteria are combined by `weight` into an overall score that
+// is mapped onto `grades` (highest `min` first).
+
+const COLOURS = ["green", "orange", "red"];
+
+export function validateRubric(rubric) {
+  const problems = [];
+  if (!rubric || typeof rubric !== "object") return ["Rubric must be a JSON object"];
+  if (!rubric.id) problems.push("Rubric needs an id");
+  if (!Array.isArray(rubric.criteria) || rubric.criteria.length === 0) problems.push("Rubric needs at least one criterion");
+  if (!Array.isArray(rubric.grades) || rubric.grades.length === 0) problems.push("Rubric needs at least one grade");
+
+  for (const [i, c] of (rubric.criteria || []).entries()) {
+    const where = `criteria[${i}]${c && c.id ? ` (${c.id})` : ""}`;
+    if (!c || !c.id || !c.metric) problems.push(`${where} needs an id and a metric`);
+    if (c && c.weight !== undefined && !(c.weight >= 0)) problems.push(`${where} weight must be a non-negative number`);
+    if (!c || !Array.isArray(c.bands) || c.bands.length === 0) {
+      problems.push(`${where} needs at least one band`);
+      continue;
+    }
+    for (const [j, b] of c.bands.entries()) {
+      if (typeof b.score !== "number" || b.score < 0 || b.score > 1) problems.push(`${where} bands[${j}] score must be between 0 and 1`);
+      if (b.colour && !COLOURS.includes(b.colour)) problems.push(`${where} bands[${j}] colour must be one of ${COLOURS.join(", ")}`);
+    }
+  }
+  for (const [i, g] of (rubric.grades || []).entries()) {
+    if (!g || !g.label || typeof g.min !== "number") problems.push(`grades[${i}] needs a label and a numeric min`);
+  }
+  return problems;
+}
+
+export function findBand(bands, value) {
+  return bands.find((b) => (b.min === undefined || value >= b.min) && (b.max === undefined || value <= b.max)) || null;
+}
+
+export function formatMetric(criterion, value) {
+  let text;
+  if (criterion.format === "percent") text = `${(value * 100).toFixed(criterion.decimals ?? 2)}%`;
+  else if (criterion.format === "decimal") text = value.toFixed(criterion.decimals ?? 2);
+  else text = String(Math.round(value));
+  return criterion.unit ? `${text} ${criterion.unit}` : text;
+}
+
+/**
+ * Score `metrics` against `rubric`.
+ * Returns `{ rubricId, criteria, score, grade, narrative }`. Criteria whose
+ * metric is missing are listed with `band: null` and do not count towards
+ * the overall score.
+ *
+ * `overrides` lets a teacher replace the automatic result:
+ * `{ criteria: { [criterionId]: bandLabel }, grade }`. Overridden criteria
+ * are flagged with `overridden: true`.
+ */
+export function scoreAgainstRubric(metrics, rubric, overrides = {}) {
+  const bandOverrides = overrides.criteria || {};
+  const criteria = rubric.criteria.map((c) => {
+    const value = metrics ? metrics[c.metric] : undefined;
+    const weight = c.weight ?? 1;
+    const hasValue = typeof value === "number" && !Number.isNaN(value);
+    const result = {
+      id: c.id,
+      label: c.label || c.id,
+      metric: c.metric,
+      weight,
+      value: hasValue ? value : null,
+      display: hasValue ? formatMetric(c, value) : "n/a",
+      band: hasValue ? findBand(c.bands, value) : null
+    };
+    const forced = bandOverrides[c.id] ? c.bands.find((b) => b.label === bandOverrides[c.id]) : null;
+    return forced ? { ...result, band: forced, overridden: true } : result;
+  });
+
+  const scored = criteria.filter((c) => c.band && c.weight > 0);
+  const totalWeight = scored.reduce((acc, c) => acc + c.weight, 0);
+  const score = totalWeight ? scored.reduce((acc, c) => acc + c.band.score * c.weight, 0) / totalWeight : null;
+
+  const grades = [...rubric.grades].sort((a, b) => b.min - a.min);
+  let grade = score === null ? null : (grades.find((g) => score >= g.min) || grades[grades.length - 1]).label;
+  if (overrides.grade && rubric.grades.some((g) => g.label === overrides.grade)) grade = overrides.grade;
+
+  const narrative = criteria
+    .filter((c) => c.band && c.band.feedback)
+    .map((c) => ({ criterion: c.id, label: c.label, text: c.band.feedback }));
+
+  return { rubricId: rubric.id, criteria, score, grade, narrative };
+}
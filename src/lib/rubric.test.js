@@ -0,0 +1,87 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { findBand, formatMetric, scoreAgainstRubric, validateRubric } from "./rubric.js";
+import { RUBRICS, getRubric, DEFAULT_TASK_TYPE } from "../rubrics/index.js";
+
+const RUBRIC = {
+  id: "test",
+  grades: [{ label: "Pass", min: 0.5 }, { label: "Fail", min: 0 }],
+  criteria: [
+    {
+      id: "fillers",
+      metric: "fillerRate",
+      weight: 3,
+      bands: [
+        { label: "Good", colour: "green", score: 1, max: 0.08, feedback: "Few fillers." },
+        { label: "Poor", colour: "red", score: 0, feedback: "Many fillers." }
+      ]
+    },
+    {
+      id: "pace",
+      metric: "wordsPerMinute",
+      weight: 1,
+      bands: [
+        { label: "Good", colour: "green", score: 1, min: 130, max: 165 },
+        { label: "Poor", colour: "red", score: 0 }
+      ]
+    }
+  ]
+};
+
+test("built-in rubrics are valid and selectable by task type", () => {
+  for (const rubric of Object.values(RUBRICS)) assert.deepEqual(validateRubric(rubric), [], rubric.id);
+  assert.equal(getRubric("a-level-presentation").id, "a-level-presentation");
+  assert.equal(getRubric("unknown").id, DEFAULT_TASK_TYPE);
+});
+
+test("validateRubric reports problems", () => {
+  assert.deepEqual(validateRubric(null), ["Rubric must be a JSON object"]);
+  const problems = validateRubric({ id: "x", grades: [], criteria: [{ id: "a", metric: "ttr", bands: [{ score: 2, colour: "blue" }] }] });
+  assert.equal(problems.length, 3);
+});
+
+test("first matching band wins and catch-all bands match anything", () => {
+  const bands = [{ min: 0.45, max: 0.7 }, { max: 0.8 }, {}];
+  assert.equal(findBand(bands, 0.5), bands[0]);
+  assert.equal(findBand(bands, 0.3), bands[1]);
+  assert.equal(findBand(bands, 0.9), bands[2]);
+});
+
+test("formats metrics for display", () => {
+  assert.equal(formatMetric({ format: "percent" }, 0.0512), "5.12%");
+  assert.equal(formatMetric({ format: "decimal", decimals: 1, unit: "words" }, 12.345), "12.3 words");
+  assert.equal(formatMetric({}, 141.6), "142");
+});
+
+test("weights criteria into an overall score and grade", () => {
+  const r = scoreAgainstRubric({ fillerRate: 0.05, wordsPerMinute: 200 }, RUBRIC);
+  assert.equal(r.score, 0.75);
+  assert.equal(r.grade, "Pass");
+  assert.deepEqual(r.criteria.map((c) => c.band.label), ["Good", "Poor"]);
+  assert.deepEqual(r.narrative, [{ criterion: "fillers", label: "fillers", text: "Few fillers." }]);
+});
+
+test("missing metrics are not scored", () => {
+  const r = scoreAgainstRubric({ fillerRate: 0.2 }, RUBRIC);
+  assert.equal(r.criteria[1].band, null);
+  assert.equal(r.score, 0);
+  assert.equal(r.grade, "Fail");
+  assert.equal(scoreAgainstRubric(null, RUBRIC).score, null);
+});
+
+test("GCSE rubric keeps the original colour thresholds", () => {
+  const r = scoreAgainstRubric({ fillerRate: 0.1, academicMatches: 5, ttr: 0.3, avgSentenceLen: 30, flesch: 60, wordsPerMinute: 140 }, getRubric("gcse-spoken-language"));
+  assert.deepEqual(r.criteria.slice(0, 6).map((c) => c.band.colour), ["orange", "green", "orange", "red", "green", "green"]);
+  // prosody criteria are unscored until the audio has been analysed
+  assert.ok(r.criteria.slice(6).every((c) => c.band === null));
+});
+
+test("teacher overrides replace bands and grade", () => {
+  const r = scoreAgainstRubric({ fillerRate: 0.2, wordsPerMinute: 140 }, RUBRIC, { criteria: { fillers: "Good" } });
+  assert.equal(r.criteria[0].band.label, "Good");
+  assert.equal(r.criteria[0].overridden, true);
+  assert.equal(r.score, 1);
+  assert.equal(scoreAgainstRubric({ fillerRate: 0.2 }, RUBRIC, { grade: "Pass" }).grade, "Pass");
+  // unknown labels are ignored
+  assert.equal(scoreAgainstRubric({ fillerRate: 0.2 }, RUBRIC, { criteria: { fillers: "Nope" }, grade: "A*" }).grade, "Fail");
+});
@@ -0,0 +1,105 @@
+// src/lib/speechMetrics.js
+// Transcript metrics shared by the React app and the /api functions.
+// Pure: everything it needs (audio stats, glossary, lexicon) is passed in.
+import { detectDisfluencies, detectFillers } from "./fillers.js";
+import { findGlossaryTerms } from "./glossary.js";
+import { countSyllables, readingEase } from "./readability.js";
+import { DEFAULT_GLOSSARY_ID, getGlossary } from "../glossaries/index.js";
+import { DEFAULT_LANGUAGE } from "../lexicons/index.js";
+
+export function mean(arr) {
+  if (!arr || arr.length === 0) return 0;
+  return arr.reduce((a, b) => a + b, 0) / arr.length;
+}
+
+export { countSyllables };
+
+export function splitSentences(normalized) {
+  return normalized.split(/[.!?]+/).map((s) => s.trim()).filter(Boolean);
+}
+
+/**
+ * Compute the feedback metrics for a transcript.
+ *
+ * @param {string} text transcript
+ * @param {object} [audio] audio stats gathered while recording
+ * @param {number[]} [audio.pitchHistory] pitch estimates in Hz
+ * @param {number[]} [audio.volumeHistory] RMS volume samples
+ * @param {number} [audio.durationSeconds] length of the recording
+ * @param {object} [audio.prosody] full-recording analysis from prosody.js;
+ *   supersedes the live histories and duration when present
+ * @param {object} [audio.glossary] subject glossary (see glossary.js) whose
+ *   terms count as academic vocabulary
+ * @param {string} [audio.language] transcript language; selects the filler
+ *   lexicon, syllable rules and readability formula (see readability.js)
+ * @returns {object|null} metrics, or null for an empty transcript
+ */
+export function analyzeTranscript(text, { pitchHistory = [], volumeHistory = [], durationSeconds = 0, prosody = null, glossary = getGlossary(DEFAULT_GLOSSARY_ID), language = DEFAULT_LANGUAGE } = {}) {
+  if (!text || !text.trim()) return null;
+  const normalized = text.replace(/\n/g, " ").trim();
+  const tokens = normalized.split(/\s+/).filter(Boolean);
+  const wordCount = tokens.length;
+
+  const fillers = detectFillers(normalized, { language });
+  const disfluencies = detectDisfluencies(normalized, { language });
+  const terms = findGlossaryTerms(normalized, glossary);
+
+  const uniq = new Set(tokens.map((t) => t.toLowerCase()));
+  const ttr = uniq.size / Math.max(1, wordCount);
+
+  const sentences = splitSentences(normalized);
+  const avgSentenceLen = sentences.length ? (sentences.reduce((acc, s) => acc + s.split(/\s+/).filter(Boolean).length, 0) / sentences.length) : 0;
+
+  const syllables = tokens.reduce((acc, w) => acc + countSyllables(w, language), 0);
+  // Flesch for English, its adaptation for other languages
+  const flesch = readingEase({ words: wordCount, sentences: sentences.length, syllables }, language);
+
+  const metrics = {
+    wordCount,
+    fillerCount: fillers.total,
+    fillerRate: fillers.total / Math.max(1, wordCount),
+    hesitationCount: fillers.counts.hesitation,
+    discourseMarkerCount: fillers.counts.discourse,
+    hedgeCount: fillers.counts.hedge,
+    disfluencyCount: disfluencies.length,
+    disfluencyRate: disfluencies.length / Math.max(1, wordCount),
+    restartCount: disfluencies.filter((d) => d.type === "restart").length,
+    repetitionCount: disfluencies.filter((d) => d.type === "repetition").length,
+    academicMatches: terms.length,
+    academicTermsUsed: new Set(terms.map((t) => t.term)).size,
+    ttr,
+    avgSentenceLen,
+    flesch: Math.round(flesch),
+    pitchMean: Math.round(mean(pitchHistory) || 0),
+    volumeMean: Math.round(mean(volumeHistory) * 1000) / 1000,
+    wordsPerMinute: speakingRate(wordCount, durationSeconds)
+  };
+  return prosody ? { ...metrics, ...prosodyMetrics(wordCount, prosody, metrics) } : metrics;
+}
+
+// Words over the whole recording. Without a known duration the word count
+// is reported as-is rather than guessing.
+function speakingRate(wordCount, seconds) {
+  return seconds > 0 ? Math.round(wordCount / (seconds / 60)) : wordCount;
+}
+
+function prosodyMetrics(wordCount, prosody, metrics) {
+  return {
+    pitchMean: prosody.pitchMeanHz || metrics.pitchMean,
+    volumeMean: Math.round(10 ** (prosody.volumeMeanDb / 20) * 1000) / 1000,
+    durationSeconds: prosody.duration,
+    speakingTime: prosody.speakingTime,
+    wordsPerMinute: speakingRate(wordCount, prosody.duration),
+    // words per minute of actual speech, pauses excluded
+    articulationRate: speakingRate(wordCount, prosody.speakingTime),
+    pitchRangeSemitones: prosody.pitchRangeSemitones,
+    pitchVariation: prosody.pitchVariation,
+    monotony: prosody.monotony,
+    volumeRangeDb: prosody.volumeRangeDb,
+    volumeVariationDb: prosody.volumeVariationDb,
+    pauseCount: prosody.pauseCount,
+    pausesPerMinute: prosody.pausesPerMinute,
+    meanPauseSeconds: prosody.meanPauseSeconds,
+    longestPauseSeconds: prosody.longestPauseSeconds
+  };
+}
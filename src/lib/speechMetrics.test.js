@@ -0,0 +1,115 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { analyzeTranscript, countSyllables, splitSentences } from "./speechMetrics.js";
+
+const FIXTURES = {
+  science: "Um, I think the data indicates a significant trend. Like, it suggests a method to analyze variables.",
+  theory: "Well, actually, the theory suggests an approach. Um, it's significant.",
+  literary: "The poet uses a metaphor to build the theme. The tone shifts in the final stanza."
+};
+
+test("returns null for empty or whitespace transcripts", () => {
+  assert.equal(analyzeTranscript(""), null);
+  assert.equal(analyzeTranscript("   \n "), null);
+  assert.equal(analyzeTranscript(undefined), null);
+});
+
+test("science fixture", () => {
+  const r = analyzeTranscript(FIXTURES.science);
+  assert.equal(r.wordCount, 17);
+  // "Um" hesitates; "Like," opens a sentence as a discourse marker
+  assert.equal(r.fillerCount, 2);
+  assert.equal(r.hesitationCount, 1);
+  assert.equal(r.discourseMarkerCount, 1);
+  assert.equal(r.avgSentenceLen, 8.5);
+  assert.equal(r.ttr, 16 / 17);
+  assert.equal(r.wordsPerMinute, 17);
+});
+
+test("counts fillers by type and disfluencies separately", () => {
+  const r = analyzeTranscript(FIXTURES.theory);
+  // "Well," "actually," and "Um"
+  assert.equal(r.fillerCount, 3);
+  assert.equal(r.discourseMarkerCount, 2);
+  const d = analyzeTranscript("The the poet wh- what the poet shows is kind of grief.");
+  assert.equal(d.repetitionCount, 1);
+  assert.equal(d.restartCount, 1);
+  assert.equal(d.disfluencyCount, 2);
+  assert.equal(d.hedgeCount, 1);
+});
+
+test("type-token ratio is case-insensitive", () => {
+  const r = analyzeTranscript("The the THE poem.");
+  assert.equal(r.wordCount, 4);
+  assert.equal(r.ttr, 2 / 4);
+});
+
+test("counts glossary terms, ignoring punctuation, and accepts other glossaries", () => {
+  const r = analyzeTranscript(FIXTURES.literary);
+  // metaphor, theme, tone, stanza
+  assert.equal(r.academicMatches, 4);
+  assert.equal(r.academicTermsUsed, 4);
+  const glossary = { id: "test", terms: [{ term: "lexicon", definition: "Vocabulary." }] };
+  assert.equal(analyzeTranscript("the lexicon of power", { glossary }).academicMatches, 1);
+});
+
+test("ordinary long words are not academic", () => {
+  assert.equal(analyzeTranscript("People everywhere wandering through beautiful gardens.").academicMatches, 0);
+});
+
+test("does not carry academic words over between calls", () => {
+  const before = analyzeTranscript(FIXTURES.literary).academicMatches;
+  analyzeTranscript("people everywhere wandering");
+  assert.equal(analyzeTranscript(FIXTURES.literary).academicMatches, before);
+});
+
+test("syllable heuristic", () => {
+  assert.equal(countSyllables("cat"), 1);
+  assert.equal(countSyllables("poem"), 1);
+  assert.equal(countSyllables("metaphor"), 3);
+  assert.equal(countSyllables("theme"), 1);
+  assert.equal(countSyllables("123"), 1);
+});
+
+test("splits sentences on terminal punctuation", () => {
+  assert.deepEqual(splitSentences("One. Two? Three!"), ["One", "Two", "Three"]);
+});
+
+test("flesch score is clamped at zero and rounded", () => {
+  const r = analyzeTranscript("Incomprehensibility characterises institutionalisation internationally");
+  assert.equal(r.flesch, 0);
+  assert.ok(Number.isInteger(analyzeTranscript(FIXTURES.science).flesch));
+});
+
+test("uses the supplied audio stats", () => {
+  const r = analyzeTranscript(FIXTURES.science, {
+    pitchHistory: [100, 200],
+    volumeHistory: [0.01, 0.02],
+    durationSeconds: 30
+  });
+  assert.equal(r.pitchMean, 150);
+  assert.equal(r.volumeMean, 0.015);
+  assert.equal(r.wordsPerMinute, 34);
+});
+
+test("words per minute uses the recording length", () => {
+  const text = Array.from({ length: 300 }, () => "word").join(" ");
+  assert.equal(analyzeTranscript(text, { durationSeconds: 120 }).wordsPerMinute, 150);
+  // unknown duration (e.g. an uploaded file before decoding)
+  assert.equal(analyzeTranscript(text).wordsPerMinute, 300);
+});
+
+test("prosody analysis supplies duration, pitch and pause metrics", () => {
+  const text = Array.from({ length: 300 }, () => "word").join(" ");
+  const prosody = {
+    duration: 120, speakingTime: 90, pitchMeanHz: 180, pitchRangeSemitones: 6.5, pitchVariation: 2.1, monotony: 0.48,
+    volumeMeanDb: -20, volumeRangeDb: 12, volumeVariationDb: 4, pauseCount: 14, pausesPerMinute: 7, meanPauseSeconds: 0.8, longestPauseSeconds: 2.4
+  };
+  const r = analyzeTranscript(text, { pitchHistory: [100], volumeHistory: [0.5], durationSeconds: 0, prosody });
+  assert.equal(r.wordsPerMinute, 150);
+  assert.equal(r.articulationRate, 200);
+  assert.equal(r.pitchMean, 180);
+  assert.equal(r.volumeMean, 0.1);
+  assert.equal(r.pitchRangeSemitones, 6.5);
+  assert.equal(r.pausesPerMinute, 7);
+});
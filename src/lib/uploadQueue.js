@@ -0,0 +1,90 @@
+// src/lib/uploadQueue.js
+// Recordings made while offline (or while the server was unreachable) are
+// kept in IndexedDB and assessed when the connection returns, landing in
+// History like any other attempt.
+import { ApiError, describeError, isTransient } from "./api.js";
+import { assessRecording } from "./assess.js";
+import { listQueuedUploads, queueUpload, removeQueuedUpload, saveSession } from "./historyStore.js";
+
+let draining = null;
+
+/**
+ * Queue `audio` with the settings it should be assessed with:
+ * `{ taskType, language, glossary, questionCount, referenceText, diarize,
+ * live }`.
+ */
+export async function queueRecording(audio, settings) {
+  const item = { id: crypto.randomUUID(), createdAt: new Date().toISOString(), audio, ...settings, error: null };
+  await queueUpload(item);
+  return item;
+}
+
+/**
+ * What is waiting, without the audio: `[{ id, createdAt, error }]`, where
+ * `error` is set for recordings the server rejected.
+ */
+export async function listQueue() {
+  return (await listQueuedUploads()).map(({ id, createdAt, error }) => ({ id, createdAt, error }));
+}
+
+export function discardQueued(id) {
+  return removeQueuedUpload(id);
+}
+
+async function drain(includeFailed) {
+  let processed = 0;
+  for (const item of await listQueuedUploads()) {
+    if (item.error && !includeFailed) continue;
+    try {
+      const result = await assessRecording(item.audio, {
+        language: item.language,
+        glossary: item.glossary,
+        questionCount: item.questionCount,
+        referenceText: item.referenceText,
+        diarize: item.diarize,
+        live: item.live
+      });
+      await saveSession({
+        id: item.id,
+        createdAt: item.createdAt,
+        taskType: item.taskType,
+        language: item.language,
+        glossary: { id: item.glossary.id, version: item.glossary.version },
+        audio: item.audio,
+        transcript: result.transcript,
+        segments: result.segments,
+        words: result.words,
+        analysis: result.analysis,
+        prosody: result.prosody,
+        fluency: result.fluency,
+        diarized: !!item.diarize,
+        questions: result.questions,
+        exchanges: [],
+        contentFeedback: null
+      });
+      await removeQueuedUpload(item.id);
+      processed++;
+    } catch (err) {
+      // still offline, signed out, out of today's quota or the server is
+      // struggling: stop and wait for the next chance; anything else will
+      // not fix itself, so set it aside
+      if (isTransient(err) || (err instanceof ApiError && (err.status === 401 || err.code === "quota_exceeded"))) break;
+      console.error("Queued recording failed", err);
+      const { title, message } = describeError(err);
+      await queueUpload({ ...item, error: `${title} ${message}` });
+    }
+  }
+  return { processed, remaining: await listQueue() };
+}
+
+/**
+ * Assess every queued recording in order, stopping at the first transient
+ * failure, sign-in request or spent daily quota; those recordings stay
+ * queued. Recordings that failed permanently are skipped unless
+ * `includeFailed`. Concurrent calls share one run.
+ * Resolves to `{ processed, remaining }`.
+ */
+export function drainQueue({ includeFailed = false } = {}) {
+  if (!draining) draining = drain(includeFailed).finally(() => { draining = null; });
+  return draining;
+}
@@ -0,0 +1,15 @@
+// src/rubrics/index.js
+// Built-in rubrics, keyed by task type.
+import gcseSpokenLanguage from "./gcse-spoken-language.json" with { type: "json" };
+import aLevelPresentation from "./a-level-presentation.json" with { type: "json" };
+
+export const RUBRICS = {
+  [gcseSpokenLanguage.taskType]: gcseSpokenLanguage,
+  [aLevelPresentation.taskType]: aLevelPresentation
+};
+
+export const DEFAULT_TASK_TYPE = gcseSpokenLanguage.taskType;
+
+export function getRubric(taskType) {
+  return RUBRICS[taskType] || RUBRICS[DEFAULT_TASK_TYPE];
+}